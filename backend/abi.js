@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Hardhat writes compiled contracts to <root>/artifacts/contracts/<Name>.sol/<Name>.json
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(__dirname, '..', 'artifacts');
+
+function loadArtifact(contractName) {
+  const artifactPath = path.join(ARTIFACTS_DIR, 'contracts', `${contractName}.sol`, `${contractName}.json`);
+
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(
+      `Artifact for ${contractName} not found at ${artifactPath}. Run "npm run compile" in the project root or set ARTIFACTS_DIR.`
+    );
+  }
+
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+}
+
+function loadInterface(contractName) {
+  return new ethers.Interface(loadArtifact(contractName).abi);
+}
+
+// Make sure every handler points at an event that exists in the ABI and only
+// reads arguments that event actually emits. Throws with every mismatch found.
+function validateHandlers(contractName, iface, handlers, target) {
+  const problems = [];
+
+  for (const [eventName, { handler, args, enrich }] of Object.entries(handlers)) {
+    const fragment = iface.getEvent(eventName);
+
+    if (!fragment) {
+      problems.push(`${contractName} has no event ${eventName}`);
+      continue;
+    }
+
+    const emitted = fragment.inputs.map((input) => input.name);
+    for (const arg of args) {
+      if (!emitted.includes(arg)) {
+        problems.push(`${contractName}.${eventName} has no argument "${arg}" (emits: ${emitted.join(', ')})`);
+      }
+    }
+
+    if (target && typeof target[handler] !== 'function') {
+      problems.push(`Handler ${handler} for ${contractName}.${eventName} is not implemented`);
+    }
+    if (target && enrich && typeof target[enrich] !== 'function') {
+      problems.push(`Enricher ${enrich} for ${contractName}.${eventName} is not implemented`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Indexer handlers do not match the ${contractName} ABI:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+// Decode a raw log into { eventName, args } where args is keyed by the
+// parameter names from the ABI. Returns null for logs the ABI doesn't know.
+function decodeLog(iface, log) {
+  let parsed;
+  try {
+    parsed = iface.parseLog({ topics: log.topics, data: log.data });
+  } catch (error) {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+
+  return { eventName: parsed.name, args };
+}
+
+// JSON.stringify can't handle BigInt, so store uint values as decimal strings
+function serializeArgs(args) {
+  return JSON.stringify(args, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+module.exports = {
+  ARTIFACTS_DIR,
+  loadArtifact,
+  loadInterface,
+  validateHandlers,
+  decodeLog,
+  serializeArgs,
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SiweMessage, generateNonce } = require('siwe');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+// Sign-In with Ethereum (EIP-4361).
+//
+// 1. The client fetches a nonce from GET /api/auth/nonce.
+// 2. It builds a SIWE message for SIWE_DOMAIN and CHAIN_ID with that nonce,
+//    signs it with the wallet and posts both to POST /api/auth/verify.
+// 3. The signature is checked, the nonce is consumed and the client gets a
+//    JWT, both in the response body and as an httpOnly cookie.
+//
+// Arbitrators are whoever DisputeResolution.authorizedArbitrators says they
+// are at request time, so adding or removing one on-chain takes effect at once.
+
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'localhost:3000';
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || '1337');
+const NONCE_TTL_SECONDS = 10 * 60;
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS || '86400');
+const SESSION_COOKIE = 'zkm_session';
+
+// Without a configured secret sessions only last until the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET not set, using a random secret; sessions end when the server restarts');
+}
+
+const ARBITRATOR_ABI = [
+  'function authorizedArbitrators(address) view returns (bool)',
+  'function mainArbitrator() view returns (address)'
+];
+
+// Rejected sign-ins and requests; the API turns these into 401/403 responses
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+async function issueNonce(db) {
+  const nonce = generateNonce();
+  await db.query(
+    `INSERT INTO auth_nonces (nonce, expires_at)
+     VALUES ($1, CURRENT_TIMESTAMP + make_interval(secs => $2))`,
+    [nonce, NONCE_TTL_SECONDS]
+  );
+  // Nonces that were never used are dropped as new ones are handed out
+  await db.query('DELETE FROM auth_nonces WHERE expires_at < CURRENT_TIMESTAMP');
+  return nonce;
+}
+
+// Check a signed SIWE message and start a session for its address
+async function signIn(db, message, signature) {
+  if (typeof message !== 'string' || typeof signature !== 'string') {
+    throw new AuthError('message and signature are required', 400);
+  }
+
+  let siweMessage;
+  try {
+    siweMessage = new SiweMessage(message);
+  } catch (error) {
+    throw new AuthError('Malformed SIWE message', 400);
+  }
+
+  if (siweMessage.domain !== SIWE_DOMAIN) {
+    throw new AuthError(`SIWE message must be for ${SIWE_DOMAIN}`);
+  }
+  if (siweMessage.chainId !== CHAIN_ID) {
+    throw new AuthError(`SIWE message must be for chain ${CHAIN_ID}`);
+  }
+
+  // Each nonce signs in once
+  const nonce = await db.query(
+    'DELETE FROM auth_nonces WHERE nonce = $1 AND expires_at > CURRENT_TIMESTAMP RETURNING nonce',
+    [siweMessage.nonce]
+  );
+  if (nonce.rows.length === 0) {
+    throw new AuthError('Unknown or expired nonce');
+  }
+
+  try {
+    await siweMessage.verify({ signature, domain: SIWE_DOMAIN, nonce: siweMessage.nonce });
+  } catch (error) {
+    throw new AuthError('Invalid SIWE signature');
+  }
+
+  const address = ethers.getAddress(siweMessage.address);
+  const token = jwt.sign({ sub: address }, JWT_SECRET, { expiresIn: SESSION_TTL_SECONDS });
+  return { address, token, expiresAt: new Date(Date.now() + SESSION_TTL_SECONDS * 1000) };
+}
+
+function sessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_SECONDS * 1000
+  };
+}
+
+// Reads the session from "Authorization: Bearer <jwt>" or the session cookie.
+// Requests without a valid one carry on anonymously.
+function authenticate(req, res, next) {
+  const header = req.get('authorization');
+  const token = header && header.startsWith('Bearer ')
+    ? header.slice('Bearer '.length)
+    : req.cookies && req.cookies[SESSION_COOKIE];
+
+  if (token) {
+    try {
+      req.user = { address: jwt.verify(token, JWT_SECRET).sub };
+    } catch (error) {
+      req.user = null;
+    }
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+// The signed-in address, checked against an `address` the client sent (if any)
+function sessionAddress(req, claimed) {
+  if (claimed === undefined || claimed === null) {
+    return req.user.address;
+  }
+  if (!ethers.isAddress(claimed)) {
+    throw new AuthError('Invalid address', 400);
+  }
+  if (ethers.getAddress(claimed) !== req.user.address) {
+    throw new AuthError('Signed in as a different address', 403);
+  }
+  return req.user.address;
+}
+
+// Arbitrator role, read from DisputeResolution.authorizedArbitrators
+function createArbitratorCheck(provider, disputeAddress) {
+  const dispute = new ethers.Contract(disputeAddress, ARBITRATOR_ABI, provider);
+
+  const isArbitrator = (address) => dispute.authorizedArbitrators(address);
+  const isMainArbitrator = async (address) => (await dispute.mainArbitrator()) === ethers.getAddress(address);
+
+  const requireArbitrator = async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    try {
+      if (!(await isArbitrator(req.user.address))) {
+        return res.status(403).json({ error: 'Arbitrator role required' });
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking arbitrator role:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+
+  return { isArbitrator, isMainArbitrator, requireArbitrator };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  AuthError,
+  issueNonce,
+  signIn,
+  sessionCookieOptions,
+  authenticate,
+  requireAuth,
+  sessionAddress,
+  createArbitratorCheck
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Content-addressed evidence files.
+//
+// Uploads are keyed by their CID, which is what goes on-chain as the
+// evidenceHash of raiseDispute / submitEvidence. The CID is a CIDv1 over a
+// single raw block (sha2-256, base32), the same one `ipfs add --cid-version=1
+// --raw-leaves` gives files up to its 256 KiB chunk size, so small files can
+// be pinned to IPFS unchanged. Every read is hashed again before it's served.
+//
+// Private uploads belong to an order: they're encrypted at rest with
+// EVIDENCE_ENCRYPTION_KEY and only its buyer, seller, uploader and the
+// arbitrators can read them.
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.EVIDENCE_MAX_BYTES || String(10 * 1024 * 1024));
+
+// New bytes one address may upload per QUOTA_WINDOW_HOURS
+const UPLOAD_QUOTA_BYTES = parseInt(process.env.EVIDENCE_QUOTA_BYTES || String(50 * 1024 * 1024));
+const QUOTA_WINDOW_HOURS = 24;
+
+// Multicodec and multihash prefixes: CIDv1, raw, sha2-256 with a 32 byte digest
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// CIDv0 (Qm...) or CIDv1 in base32 (b...); the frontend's evidenceUrl accepts the same
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+// Rejected uploads and reads; the API turns these into their status codes
+class EvidenceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EvidenceError';
+    this.status = status;
+  }
+}
+
+// RFC 4648 base32, lowercase and unpadded as multibase 'b' uses it
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function computeCid(data) {
+  const digest = crypto.createHash('sha256').update(data).digest();
+  return 'b' + base32(Buffer.concat([CID_PREFIX, digest]));
+}
+
+// The CID in an on-chain evidenceHash: a bare CID, ipfs://<cid> or /ipfs/<cid>,
+// optionally followed by a path. Anything else (free text, URLs) is null.
+function parseCid(hash) {
+  if (typeof hash !== 'string') return null;
+  const cid = hash.trim().replace(/^ipfs:\/\//i, '').replace(/^\/?ipfs\//, '').split('/')[0];
+  return CID_PATTERN.test(cid) ? cid : null;
+}
+
+// Blobs as files under `dir`, fanned out by the CID's last two characters
+class LocalFileStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  pathFor(key) {
+    return path.join(this.dir, key.slice(-2), key);
+  }
+
+  async put(key, data) {
+    const file = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // Written aside and renamed so a crash never leaves half a blob under its CID
+    const partial = `${file}.${process.pid}.partial`;
+    await fs.promises.writeFile(partial, data);
+    await fs.promises.rename(partial, file);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.pathFor(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// Stores by EVIDENCE_STORE name. Others (S3, an IPFS node) only need put and get.
+const STORES = {
+  local: () => new LocalFileStore(process.env.EVIDENCE_DIR || path.join(__dirname, 'evidence-data'))
+};
+
+function createStore(name = process.env.EVIDENCE_STORE || 'local') {
+  if (!STORES[name]) {
+    throw new Error(`Unknown EVIDENCE_STORE "${name}" (expected one of ${Object.keys(STORES).join(', ')})`);
+  }
+  return STORES[name]();
+}
+
+// AES-256-GCM with the CID as associated data, stored as iv | tag | ciphertext
+function encrypt(key, cid, data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(cid));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function decrypt(key, cid, stored) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, stored.subarray(0, 12));
+  decipher.setAAD(Buffer.from(cid));
+  decipher.setAuthTag(stored.subarray(12, 28));
+  return Buffer.concat([decipher.update(stored.subarray(28)), decipher.final()]);
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+}
+
+class EvidenceService {
+  // options.store (defaults to EVIDENCE_STORE), options.encryptionKey (hex,
+  // 32 bytes; needed for private uploads), options.isArbitrator(address) and
+  // options.quotaBytes (defaults to EVIDENCE_QUOTA_BYTES)
+  constructor(db, options = {}) {
+    this.db = db;
+    this.store = options.store || createStore();
+    this.isArbitrator = options.isArbitrator || (async () => false);
+    this.quotaBytes = options.quotaBytes || UPLOAD_QUOTA_BYTES;
+    this.encryptionKey = null;
+    if (options.encryptionKey) {
+      this.encryptionKey = Buffer.from(options.encryptionKey.replace(/^0x/, ''), 'hex');
+      if (this.encryptionKey.length !== 32) {
+        throw new Error('EVIDENCE_ENCRYPTION_KEY must be 32 bytes of hex');
+      }
+    }
+  }
+
+  // Metadata as the API shows it; private files don't give away their names
+  describe(row) {
+    return {
+      cid: row.cid,
+      size: row.size_bytes,
+      contentType: row.content_type,
+      filename: row.is_private ? null : row.filename,
+      private: row.is_private,
+      orderId: row.order_id,
+      uploadedBy: row.uploaded_by,
+      createdAt: row.created_at
+    };
+  }
+
+  async find(cid) {
+    const result = await this.db.query('SELECT * FROM evidence_blobs WHERE cid = $1', [cid]);
+    return result.rows[0] || null;
+  }
+
+  // Store an upload and return its metadata. Content that was uploaded before
+  // keeps its first metadata, including whether it's private, and doesn't
+  // count against the uploader's quota.
+  async upload(data, { contentType, filename = null, uploader = null, orderId = null, isPrivate = false }) {
+    if (!uploader) {
+      throw new EvidenceError('Sign in to upload evidence', 401);
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new EvidenceError('Upload a non-empty file as the request body');
+    }
+    if (isPrivate) {
+      if (!this.encryptionKey) {
+        throw new EvidenceError('Private evidence is not enabled on this server', 503);
+      }
+      if (orderId === null) {
+        throw new EvidenceError('Private evidence needs the orderId it belongs to');
+      }
+      if (!(await this.canRead({ order_id: orderId, uploaded_by: null }, uploader))) {
+        throw new EvidenceError('Only the order\'s buyer, seller or an arbitrator can upload its private evidence', 403);
+      }
+    }
+
+    const cid = computeCid(data);
+    const existing = await this.find(cid);
+    if (existing) {
+      return { created: false, blob: this.describe(existing) };
+    }
+    await this.checkQuota(uploader, data.length);
+
+    await this.store.put(cid, isPrivate ? encrypt(this.encryptionKey, cid, data) : data);
+    const result = await this.db.query(
+      `INSERT INTO evidence_blobs (cid, size_bytes, content_type, filename, uploaded_by, order_id, is_private)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (cid) DO NOTHING
+       RETURNING *`,
+      [cid, data.length, contentType || 'application/octet-stream', filename, uploader, orderId, isPrivate]
+    );
+    // A concurrent upload of the same bytes got there first
+    const row = result.rows[0] || await this.find(cid);
+
+    return { created: result.rows.length > 0, blob: this.describe(row) };
+  }
+
+  // So one address can't fill the store
+  async checkQuota(uploader, size) {
+    const result = await this.db.query(
+      `SELECT COALESCE(SUM(size_bytes), 0) AS used FROM evidence_blobs
+       WHERE uploaded_by = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $2)`,
+      [uploader, QUOTA_WINDOW_HOURS]
+    );
+    if (Number(result.rows[0].used) + size > this.quotaBytes) {
+      throw new EvidenceError(
+        `Upload quota of ${this.quotaBytes} bytes per ${QUOTA_WINDOW_HOURS} hours exceeded`,
+        429
+      );
+    }
+  }
+
+  async canRead(row, reader) {
+    if (!reader) return false;
+    if (sameAddress(row.uploaded_by, reader)) return true;
+    const order = await this.db.query(
+      'SELECT buyer_address, seller_address FROM orders WHERE order_id = $1',
+      [row.order_id]
+    );
+    const parties = order.rows[0] || {};
+    if (sameAddress(parties.buyer_address, reader) || sameAddress(parties.seller_address, reader)) return true;
+    return this.isArbitrator(reader);
+  }
+
+  // The file for a CID and its metadata, after checking the bytes still hash to it
+  async read(cid, reader = null) {
+    const row = await this.find(cid);
+    if (!row) {
+      throw new EvidenceError('Evidence not found', 404);
+    }
+    if (row.is_private && !(await this.canRead(row, reader))) {
+      throw new EvidenceError(reader ? 'Not a party to this evidence' : 'Sign in to read private evidence', reader ? 403 : 401);
+    }
+
+    const stored = await this.store.get(cid);
+    if (!stored) {
+      throw new Error(`Evidence ${cid} is indexed but missing from the store`);
+    }
+    let data;
+    try {
+      data = row.is_private ? decrypt(this.encryptionKey, cid, stored) : stored;
+    } catch (error) {
+      throw new Error(`Evidence ${cid} could not be decrypted: ${error.message}`);
+    }
+    if (computeCid(data) !== cid) {
+      throw new Error(`Evidence ${cid} failed its integrity check`);
+    }
+    return { blob: this.describe(row), data };
+  }
+
+  // Uploaded blobs for a list of on-chain evidence hashes, by hash. Hashes
+  // that aren't a CID or weren't uploaded map to null.
+  async resolve(hashes) {
+    const cids = [...new Set(hashes.map(parseCid).filter(Boolean))];
+    const found = new Map();
+    if (cids.length > 0) {
+      const result = await this.db.query('SELECT * FROM evidence_blobs WHERE cid = ANY($1)', [cids]);
+      result.rows.forEach((row) => found.set(row.cid, this.describe(row)));
+    }
+    return new Map(hashes.map((hash) => [hash, found.get(parseCid(hash)) || null]));
+  }
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  EvidenceError,
+  LocalFileStore,
+  EvidenceService,
+  computeCid,
+  parseCid,
+  createStore
+};
@@ -1,226 +1,939 @@
 const { ethers } = require('ethers');
-const { Pool } = require('pg');
+const { pool, withTransaction } = require('./db');
+const reputation = require('./reputation');
+const realtime = require('./realtime');
+const { ZKVerification } = require('../zk/verification');
+const { loadInterface, validateHandlers, decodeLog, serializeArgs } = require('./abi');
+const { parseCid } = require('./evidence');
 require('dotenv').config();
 
-// Database connection
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'zk_marketplace',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
-});
-
-// Contract ABI (simplified for ZK Marketplace)
-const CONTRACT_ABI = [
-  "event OrderCreated(uint256 indexed orderId, address indexed buyer, address indexed seller, uint256 amount, string description)",
-  "event OrderFunded(uint256 indexed orderId, uint256 amount)",
-  "event OrderConfirmed(uint256 indexed orderId, address indexed buyer)",
-  "event DisputeRaised(uint256 indexed disputeId, uint256 indexed orderId, address indexed raisedBy, string reason)",
-  "event DisputeResolved(uint256 indexed disputeId, bool buyerWins)"
+// Events each handler consumes, checked against the compiled ABIs at startup.
+// `args` lists every event argument the handler reads.
+const EVENT_HANDLERS = {
+  ZKMarketplace: {
+    OrderCreated: {
+      handler: 'handleOrderCreated',
+      args: ['orderId', 'seller', 'buyer', 'token', 'amount', 'description', 'timestamp']
+    },
+    OrderFunded: {
+      handler: 'handleOrderFunded',
+      args: ['orderId', 'buyer', 'amount', 'deliveryDeadline', 'timestamp']
+    },
+    OrderConfirmed: {
+      handler: 'handleOrderConfirmed',
+      args: ['orderId', 'seller', 'amount', 'timestamp']
+    },
+    OrderCancelled: {
+      handler: 'handleOrderCancelled',
+      args: ['orderId', 'seller', 'refund', 'timestamp']
+    },
+    OrderDelivered: {
+      handler: 'handleOrderDelivered',
+      args: ['orderId', 'seller', 'confirmationDeadline', 'timestamp']
+    },
+    OrderRefunded: {
+      handler: 'handleOrderRefunded',
+      args: ['orderId', 'buyer', 'refund', 'timestamp']
+    },
+    OrderAutoReleased: {
+      handler: 'handleOrderAutoReleased',
+      args: ['orderId', 'seller', 'amount', 'timestamp']
+    },
+    OrderEligibilitySet: {
+      handler: 'handleOrderEligibilitySet',
+      args: ['orderId', 'minScore', 'minCompletedOrders', 'maxLostDisputes']
+    },
+    OrderTermsCommitted: {
+      handler: 'handleOrderTermsCommitted',
+      args: ['orderId', 'termsCommitment']
+    },
+    OrderDisputeCleared: {
+      handler: 'handleOrderDisputeCleared',
+      args: ['orderId']
+    },
+    ListingCreated: {
+      handler: 'handleListingCreated',
+      args: ['listingId', 'seller', 'buyer', 'token', 'price', 'stock', 'category', 'description', 'timestamp']
+    },
+    ListingUpdated: {
+      handler: 'handleListingUpdated',
+      args: ['listingId', 'price', 'stock', 'timestamp']
+    },
+    ListingClosed: {
+      handler: 'handleListingClosed',
+      args: ['listingId', 'refund', 'timestamp']
+    },
+    ListingOrdered: {
+      handler: 'handleListingOrdered',
+      args: ['listingId', 'orderId', 'buyer', 'remainingStock']
+    },
+    TokenAllowlistUpdated: {
+      handler: 'handleTokenAllowlistUpdated',
+      args: ['token', 'allowed'],
+      // Adds the token's symbol and decimals to the stored event
+      enrich: 'getTokenMetadata'
+    }
+  },
+  DisputeResolution: {
+    DisputeRaised: {
+      handler: 'handleDisputeRaised',
+      args: ['orderId', 'disputer', 'reason', 'evidenceHash', 'timestamp']
+    },
+    EvidenceSubmitted: {
+      handler: 'handleEvidenceSubmitted',
+      args: ['orderId', 'submitter', 'evidenceHash', 'description', 'timestamp']
+    },
+    DisputeResolved: {
+      handler: 'handleDisputeResolved',
+      args: [
+        'orderId', 'winner', 'ruledBy', 'buyerShareBps', 'buyerAmount', 'sellerAmount',
+        'platformFee', 'disputeFeeRefund', 'resolution', 'timestamp'
+      ]
+    },
+    DisputeCancelled: {
+      handler: 'handleDisputeCancelled',
+      args: ['orderId', 'timestamp']
+    },
+    PanelAssigned: {
+      handler: 'handlePanelAssigned',
+      args: ['orderId', 'panel', 'commitDeadline', 'revealDeadline']
+    },
+    VoteCommitted: {
+      handler: 'handleVoteCommitted',
+      args: ['orderId', 'arbitrator', 'commitment', 'timestamp']
+    },
+    VoteRevealed: {
+      handler: 'handleVoteRevealed',
+      args: ['orderId', 'arbitrator', 'buyerShareBps', 'timestamp']
+    },
+    ArbitratorPenalized: {
+      handler: 'handleArbitratorPenalized',
+      args: ['orderId', 'arbitrator', 'strikes']
+    },
+    ArbitratorAdded: {
+      handler: 'handleArbitratorAdded',
+      args: ['arbitrator']
+    },
+    ArbitratorRemoved: {
+      handler: 'handleArbitratorRemoved',
+      args: ['arbitrator']
+    },
+    MainArbitratorChanged: {
+      handler: 'handleMainArbitratorChanged',
+      args: ['previousArbitrator', 'newArbitrator']
+    }
+  }
+};
+
+// Deployed address of each indexed contract. CONTRACT_ADDRESS is kept as the
+// marketplace fallback for existing .env files.
+const CONTRACT_ADDRESSES = {
+  ZKMarketplace: process.env.MARKETPLACE_ADDRESS || process.env.CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  DisputeResolution: process.env.DISPUTE_CONTRACT_ADDRESS || '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+};
+
+// Just enough ERC-20 to label amounts in the API
+const ERC20_METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
 ];
 
+// Blocks fetched per getLogs call while catching up
+const BATCH_SIZE = 1000;
+
+// Number of checkpoints kept for locating a common ancestor after a reorg
+const CHECKPOINT_HISTORY = 256;
+
+// Arbitrators whose rows an event's projection touches
+function arbitratorsOf(eventData) {
+  return [eventData.arbitrator, eventData.previousArbitrator, eventData.newArbitrator]
+    .filter((address) => address && address !== ethers.ZeroAddress);
+}
+
 class BlockchainIndexer {
-  constructor() {
-    this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545');
-    this.contractAddress = process.env.CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3';
-    this.contract = new ethers.Contract(this.contractAddress, CONTRACT_ABI, this.provider);
+  // The provider and contract addresses default to the environment; tests
+  // pass their own
+  constructor({ provider, addresses = CONTRACT_ADDRESSES } = {}) {
+    this.provider = provider || new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545');
+    this.contracts = Object.keys(EVENT_HANDLERS).map((name) => {
+      const iface = loadInterface(name);
+      validateHandlers(name, iface, EVENT_HANDLERS[name], this);
+      return { name, address: ethers.getAddress(addresses[name]), iface };
+    });
+    this.contractsByAddress = new Map(
+      this.contracts.map((contract) => [contract.address.toLowerCase(), contract])
+    );
     this.startBlock = parseInt(process.env.START_BLOCK || '0');
+    this.confirmations = parseInt(process.env.CONFIRMATIONS || '6');
+    this.cursor = null;
+    this.syncing = false;
+    this.syncRequested = false;
+    this.tokenMetadata = new Map();
     this.isRunning = false;
   }
 
   async start() {
     console.log('🔍 Starting ZK Marketplace Blockchain Indexer...');
-    console.log(`📡 RPC URL: ${this.provider.connection.url}`);
-    console.log(`📄 Contract: ${this.contractAddress}`);
+    console.log(`📡 RPC URL: ${this.provider._getConnection().url}`);
+    for (const contract of this.contracts) {
+      console.log(`📄 ${contract.name}: ${contract.address}`);
+    }
     console.log(`🔢 Start Block: ${this.startBlock}`);
+    console.log(`⏳ Confirmations: ${this.confirmations}`);
     
     this.isRunning = true;
+    this.cursor = await this.loadCursor();
+    console.log(`📍 Resuming after block ${this.cursor.blockNumber}`);
+
     await this.indexHistoricalEvents();
     await this.startRealTimeIndexing();
   }
 
   async indexHistoricalEvents() {
-    try {
-      console.log('📚 Indexing historical events...');
-      
-      // Get current block number
-      const currentBlock = await this.provider.getBlockNumber();
-      console.log(`📊 Current block: ${currentBlock}, Start block: ${this.startBlock}`);
-      
-      if (currentBlock <= this.startBlock) {
-        console.log('✅ No new blocks to index');
-        return;
-      }
-
-      // Process events in batches
-      const batchSize = 1000;
-      for (let fromBlock = this.startBlock; fromBlock <= currentBlock; fromBlock += batchSize) {
-        const toBlock = Math.min(fromBlock + batchSize - 1, currentBlock);
-        
-        console.log(`🔍 Processing blocks ${fromBlock} to ${toBlock}...`);
-        await this.processEvents(fromBlock, toBlock);
-      }
-      
-      console.log('✅ Historical indexing completed');
-    } catch (error) {
-      console.error('❌ Error indexing historical events:', error);
-    }
+    console.log('📚 Indexing historical events...');
+    await this.sync();
+    console.log('✅ Historical indexing completed');
   }
 
   async startRealTimeIndexing() {
     console.log('🔄 Starting real-time event monitoring...');
     
-    // Listen for new blocks
+    // Listen for new blocks. Blocks are only indexed once they have enough
+    // confirmations, so each new head just triggers a sync up to head - confirmations.
     this.provider.on('block', async (blockNumber) => {
       if (this.isRunning) {
         console.log(`📦 New block: ${blockNumber}`);
-        await this.processEvents(blockNumber, blockNumber);
+        await this.sync();
       }
     });
   }
 
-  async processEvents(fromBlock, toBlock) {
+  // Index every confirmed block after the cursor. Calls that arrive while a
+  // sync is running are folded into one follow-up pass.
+  async sync() {
+    if (this.syncing) {
+      this.syncRequested = true;
+      return;
+    }
+
+    this.syncing = true;
     try {
-      // Get all events from the contract
-      const filter = {
-        address: this.contractAddress,
-        fromBlock,
-        toBlock
-      };
-
-      const events = await this.contract.queryFilter(filter);
-      
-      for (const event of events) {
-        await this.handleEvent(event);
-      }
+      do {
+        this.syncRequested = false;
+        await this.syncToHead();
+      } while (this.syncRequested && this.isRunning);
     } catch (error) {
-      console.error(`❌ Error processing events from ${fromBlock} to ${toBlock}:`, error);
+      console.error('❌ Error syncing blocks:', error);
+    } finally {
+      this.syncing = false;
     }
   }
 
-  async handleEvent(event) {
-    try {
-      const { blockNumber, transactionHash, eventName, args } = event;
-      
-      console.log(`📝 Processing event: ${eventName} in block ${blockNumber}`);
-      
-      // Check if event already exists
-      const existingEvent = await pool.query(
-        'SELECT id FROM events WHERE transaction_hash = $1 AND event_name = $2',
-        [transactionHash, eventName]
+  async syncToHead() {
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+
+    while (this.isRunning && this.cursor.blockNumber < target) {
+      const fromBlock = this.cursor.blockNumber + 1;
+      const toBlock = Math.min(fromBlock + BATCH_SIZE - 1, target);
+
+      if (await this.detectReorg(fromBlock)) {
+        continue;
+      }
+
+      console.log(`🔍 Processing blocks ${fromBlock} to ${toBlock}...`);
+      await this.processEvents(fromBlock, toBlock);
+
+      const block = await this.provider.getBlock(toBlock);
+      await this.saveCheckpoint(block.number, block.hash);
+    }
+  }
+
+  async processEvents(fromBlock, toBlock) {
+    // One query for every contract; logs come back in chain order
+    const logs = await this.provider.getLogs({
+      address: this.contracts.map((contract) => contract.address),
+      fromBlock,
+      toBlock
+    });
+
+    // Block times for the timeline; one lookup per block with logs
+    const blockTimes = new Map();
+    for (const log of logs) {
+      const contract = this.contractsByAddress.get(log.address.toLowerCase());
+      if (contract) {
+        if (!blockTimes.has(log.blockNumber)) {
+          blockTimes.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+        }
+        await this.handleLog(contract, log, blockTimes.get(log.blockNumber));
+      }
+    }
+  }
+
+  // Store the log and project it into orders/disputes/etc. in one transaction,
+  // so an event is never recorded without its projection. A projection that
+  // fails is parked in dead_letter_events instead of blocking the indexer;
+  // anything else (e.g. the database going away) is rethrown so the block
+  // range is retried.
+  async handleLog(contract, log, blockTimestamp) {
+    const contractName = contract.name;
+    const decoded = decodeLog(contract.iface, log);
+    if (!decoded) {
+      console.log(`⏭️  Skipping unknown log in tx ${log.transactionHash}`);
+      return;
+    }
+
+    const { eventName } = decoded;
+    const { blockNumber, blockHash, transactionHash, index: logIndex } = log;
+    
+    console.log(`📝 Processing event: ${contractName}.${eventName} in block ${blockNumber}`);
+
+    // Anything a projection needs beyond the log is read from the chain here,
+    // once, and stored with the event, so projecting and replaying never do
+    const registration = EVENT_HANDLERS[contractName][eventName];
+    const args = registration?.enrich
+      ? { ...decoded.args, ...(await this[registration.enrich](decoded.args)) }
+      : decoded.args;
+
+    await withTransaction(async (client) => {
+      // A log is identified by its position in the transaction
+      const inserted = await client.query(
+        `INSERT INTO events (block_number, block_hash, block_timestamp, transaction_hash, log_index, contract_name,
+                             event_name, event_data, processed_at)
+         VALUES ($1, $2, to_timestamp($3), $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+         ON CONFLICT (transaction_hash, log_index) DO NOTHING
+         RETURNING id, seq`,
+        [blockNumber, blockHash, blockTimestamp, transactionHash, logIndex, contractName, eventName, serializeArgs(args)]
       );
       
-      if (existingEvent.rows.length > 0) {
+      if (inserted.rows.length === 0) {
         console.log(`⏭️  Event already processed: ${eventName}`);
         return;
       }
 
-      // Store event in database
-      await pool.query(
-        `INSERT INTO events (block_number, transaction_hash, event_name, event_data, processed_at)
-         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
-        [blockNumber, transactionHash, eventName, JSON.stringify(args)]
-      );
+      await this.projectEvent(client, inserted.rows[0].id, contractName, eventName, args);
+      await realtime.notifyEvent(client, inserted.rows[0].seq);
+    });
+  }
 
-      // Handle specific events
-      switch (eventName) {
-        case 'OrderCreated':
-          await this.handleOrderCreated(args);
-          break;
-        case 'OrderFunded':
-          await this.handleOrderFunded(args);
-          break;
-        case 'OrderConfirmed':
-          await this.handleOrderConfirmed(args);
-          break;
-        case 'DisputeRaised':
-          await this.handleDisputeRaised(args);
-          break;
-        case 'DisputeResolved':
-          await this.handleDisputeResolved(args);
-          break;
-      }
-      
+  // Apply one stored event inside the caller's transaction. The savepoint
+  // lets a failing projection be undone without losing the event row.
+  async projectEvent(client, eventId, contractName, eventName, args) {
+    await client.query('SAVEPOINT projection');
+    try {
+      await this.applyEvent(client, contractName, eventName, args);
+      await client.query('RELEASE SAVEPOINT projection');
       console.log(`✅ Event processed: ${eventName}`);
+      return true;
     } catch (error) {
-      console.error('❌ Error handling event:', error);
+      await client.query('ROLLBACK TO SAVEPOINT projection');
+      await client.query(
+        `INSERT INTO dead_letter_events (event_id, contract_name, event_name, error)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (event_id) DO UPDATE SET error = $4, failed_at = CURRENT_TIMESTAMP`,
+        [eventId, contractName, eventName, error.stack || error.message]
+      );
+      console.error(`☠️  Projection of ${contractName}.${eventName} failed, moved to dead letters:`, error.message);
+      return false;
     }
   }
 
-  async handleOrderCreated(args) {
-    const [orderId, buyer, seller, amount, description] = args;
-    
-    // Ensure users exist
-    await this.ensureUserExists(buyer);
-    await this.ensureUserExists(seller);
-    
-    // Create order
+  // Dispatch to the handler registered for this event
+  async applyEvent(db, contractName, eventName, args) {
+    const registration = EVENT_HANDLERS[contractName][eventName];
+    if (registration) {
+      await this[registration.handler](db, args);
+    }
+  }
+
+  async loadCursor() {
+    const result = await pool.query(
+      'SELECT block_number, block_hash FROM indexer_checkpoints ORDER BY block_number DESC LIMIT 1'
+    );
+
+    if (result.rows.length === 0) {
+      return { blockNumber: this.startBlock - 1, blockHash: null };
+    }
+
+    return {
+      blockNumber: Number(result.rows[0].block_number),
+      blockHash: result.rows[0].block_hash
+    };
+  }
+
+  async saveCheckpoint(blockNumber, blockHash) {
     await pool.query(
-      `INSERT INTO orders (order_id, buyer_address, seller_address, amount_wei, description, status)
-       VALUES ($1, $2, $3, $4, $5, 'pending')
-       ON CONFLICT (order_id) DO NOTHING`,
-      [orderId.toString(), buyer, seller, amount.toString(), description]
+      `INSERT INTO indexer_checkpoints (block_number, block_hash)
+       VALUES ($1, $2)
+       ON CONFLICT (block_number) DO UPDATE SET block_hash = $2, created_at = CURRENT_TIMESTAMP`,
+      [blockNumber, blockHash]
+    );
+
+    // Only recent checkpoints are needed to find a common ancestor after a reorg
+    await pool.query(
+      `DELETE FROM indexer_checkpoints WHERE block_number NOT IN (
+         SELECT block_number FROM indexer_checkpoints ORDER BY block_number DESC LIMIT $1
+       )`,
+      [CHECKPOINT_HISTORY]
+    );
+
+    this.cursor = { blockNumber, blockHash };
+  }
+
+  // The next block must build on the block we last indexed. If its parent
+  // hash differs the chain reorganised under us: walk back through our
+  // checkpoints to the newest one still on the canonical chain and roll back
+  // everything indexed after it. Returns true when the cursor was rewound.
+  async detectReorg(nextBlock) {
+    if (!this.cursor.blockHash) {
+      return false;
+    }
+
+    const block = await this.provider.getBlock(nextBlock);
+    if (block.parentHash === this.cursor.blockHash) {
+      return false;
+    }
+
+    console.log(`🔀 Reorg detected at block ${nextBlock}: parent ${block.parentHash} != indexed ${this.cursor.blockHash}`);
+
+    const checkpoints = await pool.query(
+      'SELECT block_number, block_hash FROM indexer_checkpoints ORDER BY block_number DESC'
+    );
+
+    let ancestor = { blockNumber: this.startBlock - 1, blockHash: null };
+    for (const row of checkpoints.rows) {
+      const canonical = await this.provider.getBlock(Number(row.block_number));
+      if (canonical && canonical.hash === row.block_hash) {
+        ancestor = { blockNumber: Number(row.block_number), blockHash: row.block_hash };
+        break;
+      }
+    }
+
+    await this.rollbackTo(ancestor.blockNumber);
+    this.cursor = ancestor;
+    return true;
+  }
+
+  // Remove every event above `blockNumber` and rebuild the rows those events
+  // touched from the events that remain, all in one transaction.
+  async rollbackTo(blockNumber) {
+    console.log(`⏪ Rolling back indexed data after block ${blockNumber}...`);
+
+    const { orderIds, arbitrators, listingIds, tokens } = await withTransaction(async (client) => {
+      const removed = await client.query(
+        'DELETE FROM events WHERE block_number > $1 RETURNING event_name, event_data',
+        [blockNumber]
+      );
+      const orderIds = [...new Set(removed.rows.map((row) => row.event_data.orderId).filter(Boolean))];
+      const arbitrators = [...new Set(removed.rows.flatMap((row) => arbitratorsOf(row.event_data)))];
+      const tokens = [...new Set(
+        removed.rows.filter((row) => row.event_name === 'TokenAllowlistUpdated').map((row) => row.event_data.token)
+      )];
+
+      // Replaying an order's ListingOrdered sets its listing's stock, so that
+      // listing is rebuilt too rather than left with an older stock figure
+      const listed = await client.query(
+        `SELECT DISTINCT event_data->>'listingId' AS listing_id FROM events
+         WHERE event_name = 'ListingOrdered' AND event_data->>'orderId' = ANY($1)`,
+        [orderIds]
+      );
+      const listingIds = [...new Set([
+        ...removed.rows.map((row) => row.event_data.listingId).filter(Boolean),
+        ...listed.rows.map((row) => row.listing_id)
+      ])];
+
+      await this.clearProjections(client, { orderIds, arbitrators, listingIds, tokens });
+      await client.query('DELETE FROM indexer_checkpoints WHERE block_number > $1', [blockNumber]);
+
+      // Re-apply the surviving history of every affected order, listing,
+      // arbitrator and payment token
+      const remaining = await client.query(
+        `SELECT id, contract_name, event_name, event_data FROM events
+         WHERE event_data->>'orderId' = ANY($1) OR event_data->>'listingId' = ANY($3)
+            OR event_data->>'arbitrator' = ANY($2) OR event_data->>'previousArbitrator' = ANY($2)
+            OR event_data->>'newArbitrator' = ANY($2)
+            OR (event_name = 'TokenAllowlistUpdated' AND event_data->>'token' = ANY($4))
+         ORDER BY block_number ASC, log_index ASC`,
+        [orderIds, arbitrators, listingIds, tokens]
+      );
+      for (const row of remaining.rows) {
+        await this.projectEvent(client, row.id, row.contract_name, row.event_name, row.event_data);
+      }
+
+      await realtime.notifyResync(client, orderIds);
+      return { orderIds, arbitrators, listingIds, tokens };
+    });
+
+    console.log(
+      `✅ Rolled back ${orderIds.length} order(s), ${listingIds.length} listing(s), ` +
+      `${arbitrators.length} arbitrator(s) and ${tokens.length} token(s)`
     );
-    
-    console.log(`📋 Order created: ${orderId} - ${buyer} -> ${seller}`);
   }
 
-  async handleOrderFunded(args) {
-    const [orderId, amount] = args;
+  // Delete projected rows. With no filter every order, dispute, listing,
+  // arbitrator and payment token projection is cleared (ETH is always kept).
+  async clearProjections(db, filter = null) {
+    if (!filter) {
+      await db.query('DELETE FROM dead_letter_events');
+      await this.clearReputationHistory(db);
+      await db.query('DELETE FROM evidence');
+      await db.query('DELETE FROM dispute_panel_members');
+      await db.query('DELETE FROM disputes');
+      await db.query('DELETE FROM orders');
+      await db.query('DELETE FROM listings');
+      await db.query('DELETE FROM arbitrators');
+      await db.query('DELETE FROM payment_tokens WHERE address <> $1', [ethers.ZeroAddress]);
+      return;
+    }
+
+    const { orderIds, arbitrators, listingIds = [], tokens = [] } = filter;
+    await this.clearReputationHistory(db, 'WHERE order_id = ANY($1::bigint[])', [orderIds]);
+    await db.query('DELETE FROM evidence WHERE dispute_id = ANY($1::bigint[])', [orderIds]);
+    await db.query('DELETE FROM dispute_panel_members WHERE dispute_id = ANY($1::bigint[])', [orderIds]);
+    await db.query('DELETE FROM disputes WHERE dispute_id = ANY($1::bigint[])', [orderIds]);
+    await db.query('DELETE FROM orders WHERE order_id = ANY($1::bigint[])', [orderIds]);
+    await db.query('DELETE FROM listings WHERE listing_id = ANY($1::bigint[])', [listingIds]);
+    await db.query('DELETE FROM arbitrators WHERE address = ANY($1)', [arbitrators]);
+    await db.query('DELETE FROM payment_tokens WHERE address = ANY($1) AND address <> $2', [tokens, ethers.ZeroAddress]);
+  }
+
+  // Delete reputation history rows and bring the affected users' cached
+  // scores back in line with what remains
+  async clearReputationHistory(db, where = '', params = []) {
+    const removed = await db.query(`DELETE FROM reputation_history ${where} RETURNING user_address`, params);
+    const addresses = [...new Set(removed.rows.map((row) => row.user_address))];
+    await reputation.recalculateScores(db, addresses);
+  }
+
+  // Rebuild every projection from scratch using only the raw events table.
+  // Run it with the indexer stopped: `npm run replay`.
+  async replay() {
+    console.log('🔁 Replaying indexed events...');
+
+    const { total, failed } = await withTransaction(async (client) => {
+      // Keep the live indexer from writing while projections are rebuilt
+      await client.query('LOCK TABLE events IN SHARE MODE');
+      await this.clearProjections(client);
+
+      const events = await client.query(
+        `SELECT id, contract_name, event_name, event_data FROM events
+         ORDER BY block_number ASC, log_index ASC`
+      );
+
+      let failed = 0;
+      for (const row of events.rows) {
+        const ok = await this.projectEvent(client, row.id, row.contract_name, row.event_name, row.event_data);
+        if (!ok) failed++;
+      }
+
+      await realtime.notifyResync(client);
+
+      return { total: events.rows.length, failed };
+    });
+
+    console.log(`✅ Replayed ${total} event(s), ${failed} moved to dead letters`);
+  }
+
+  async handleOrderCreated(db, { orderId, seller, buyer, token, amount, description, timestamp }) {
+    // Buyer is the zero address until someone funds the order, except for
+    // private orders, which name their buyer up front
+    await this.ensureUserExists(db, seller);
+    if (buyer !== ethers.ZeroAddress) {
+      await this.ensureUserExists(db, buyer);
+    }
     
-    await pool.query(
-      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
-      ['funded', orderId.toString()]
+    // Create order; amount_wei is in the smallest unit of payment_token (wei for ETH)
+    await db.query(
+      `INSERT INTO orders (order_id, buyer_address, seller_address, payment_token, amount_wei, description, status, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending', to_timestamp($7))
+       ON CONFLICT (order_id) DO NOTHING`,
+      [orderId.toString(), buyer, seller, token, amount.toString(), description, timestamp.toString()]
     );
     
-    console.log(`💰 Order funded: ${orderId} - ${amount} wei`);
+    console.log(`📋 Order created: ${orderId} by seller ${seller} (token ${token})`);
   }
 
-  async handleOrderConfirmed(args) {
-    const [orderId, buyer] = args;
-    
-    await pool.query(
-      'UPDATE orders SET status = $1, confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
-      ['completed', orderId.toString()]
+  async handleOrderFunded(db, { orderId, buyer, amount, deliveryDeadline, timestamp }) {
+    await this.ensureUserExists(db, buyer);
+
+    await db.query(
+      `UPDATE orders SET status = $1, buyer_address = $2, funded_at = to_timestamp($3),
+                         delivery_deadline = to_timestamp($4), updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $5`,
+      ['funded', buyer, timestamp.toString(), deliveryDeadline.toString(), orderId.toString()]
     );
     
-    console.log(`✅ Order confirmed: ${orderId} by ${buyer}`);
+    console.log(`💰 Order funded: ${orderId} by ${buyer} - ${amount} wei`);
   }
 
-  async handleDisputeRaised(args) {
-    const [disputeId, orderId, raisedBy, reason] = args;
+  // `amount` is the seller's payout (payment plus their deposit back); the rest
+  // of the escrow (twice the order amount) was the platform fee
+  async handleOrderConfirmed(db, { orderId, seller, amount, timestamp }) {
+    await db.query(
+      `UPDATE orders SET status = $1, confirmed_at = to_timestamp($2), platform_fee = amount_wei * 2 - $3,
+                         updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $4`,
+      ['completed', timestamp.toString(), amount.toString(), orderId.toString()]
+    );
+
+    await reputation.recordOrderCompleted(db, orderId);
     
-    // Create dispute
-    await pool.query(
-      `INSERT INTO disputes (dispute_id, order_id, raised_by, reason, status)
-       VALUES ($1, $2, $3, $4, 'open')
-       ON CONFLICT (dispute_id) DO NOTHING`,
-      [disputeId.toString(), orderId.toString(), raisedBy, reason]
+    console.log(`✅ Order confirmed: ${orderId} - ${amount} wei released to ${seller}`);
+  }
+
+  async handleOrderCancelled(db, { orderId, seller, refund, timestamp }) {
+    await db.query(
+      'UPDATE orders SET status = $1, cancelled_at = to_timestamp($2), updated_at = CURRENT_TIMESTAMP WHERE order_id = $3',
+      ['cancelled', timestamp.toString(), orderId.toString()]
+    );
+
+    console.log(`🗑️  Order cancelled: ${orderId} - ${refund} wei returned to ${seller}`);
+  }
+
+  // On-chain the order stays Funded; 'delivered' tells the UI the confirmation window is running
+  async handleOrderDelivered(db, { orderId, seller, confirmationDeadline, timestamp }) {
+    await db.query(
+      `UPDATE orders SET status = $1, delivered_at = to_timestamp($2), confirmation_deadline = to_timestamp($3),
+                         updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $4`,
+      ['delivered', timestamp.toString(), confirmationDeadline.toString(), orderId.toString()]
+    );
+
+    console.log(`📦 Order delivered: ${orderId} by ${seller}`);
+  }
+
+  async handleOrderRefunded(db, { orderId, buyer, refund, timestamp }) {
+    await db.query(
+      'UPDATE orders SET status = $1, cancelled_at = to_timestamp($2), updated_at = CURRENT_TIMESTAMP WHERE order_id = $3',
+      ['refunded', timestamp.toString(), orderId.toString()]
+    );
+
+    console.log(`↩️  Order refunded: ${orderId} - ${refund} wei returned to ${buyer} after missed delivery`);
+  }
+
+  // The buyer let the confirmation window lapse; counts as a completed order
+  async handleOrderAutoReleased(db, { orderId, seller, amount, timestamp }) {
+    await db.query(
+      `UPDATE orders SET status = $1, confirmed_at = to_timestamp($2), auto_released = TRUE,
+                         platform_fee = amount_wei * 2 - $3, updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $4`,
+      ['completed', timestamp.toString(), amount.toString(), orderId.toString()]
+    );
+
+    await reputation.recordOrderCompleted(db, orderId);
+
+    console.log(`⏰ Order auto-released: ${orderId} - ${amount} wei released to ${seller}`);
+  }
+
+  async handleTokenAllowlistUpdated(db, { token, allowed, symbol, decimals }) {
+    if (decimals == null) {
+      throw new Error(`No metadata was stored for token ${token}`);
+    }
+
+    await db.query(
+      `INSERT INTO payment_tokens (address, symbol, decimals, is_allowed)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (address)
+       DO UPDATE SET symbol = $2, decimals = $3, is_allowed = $4, updated_at = CURRENT_TIMESTAMP`,
+      [token, symbol, decimals, allowed]
+    );
+    console.log(`🪙 Token ${token} ${allowed ? 'allowed' : 'removed from allowlist'}`);
+  }
+
+  async handleOrderEligibilitySet(db, { orderId, minScore, minCompletedOrders, maxLostDisputes }) {
+    await db.query(
+      `UPDATE orders SET requires_eligibility = TRUE, required_min_score = $1,
+                         required_min_completed_orders = $2, required_max_lost_disputes = $3
+       WHERE order_id = $4`,
+      [minScore.toString(), minCompletedOrders.toString(), maxLostDisputes.toString(), orderId.toString()]
+    );
+
+    console.log(`🔐 Order ${orderId} requires eligibility proof (score >= ${minScore}, orders >= ${minCompletedOrders}, lost disputes <= ${maxLostDisputes})`);
+  }
+
+  // Private orders are created with an empty description; the terms stay off-chain
+  async handleOrderTermsCommitted(db, { orderId, termsCommitment }) {
+    await db.query(
+      'UPDATE orders SET terms_commitment = $1 WHERE order_id = $2',
+      [termsCommitment, orderId.toString()]
+    );
+
+    console.log(`🔒 Order ${orderId} has private terms (commitment ${termsCommitment})`);
+  }
+
+  // A cancelled dispute hands the order back to the buyer to confirm
+  async handleOrderDisputeCleared(db, { orderId }) {
+    await db.query(
+      `UPDATE orders SET status = CASE WHEN delivered_at IS NULL THEN 'funded' ELSE 'delivered' END,
+                         updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $1`,
+      [orderId.toString()]
+    );
+
+    console.log(`↩️  Order ${orderId} is back in escrow after its dispute was cancelled`);
+  }
+
+  async handleListingCreated(db, { listingId, seller, buyer, token, price, stock, category, description, timestamp }) {
+    await this.ensureUserExists(db, seller);
+
+    await db.query(
+      `INSERT INTO listings (listing_id, seller_address, buyer_address, payment_token, price_wei, stock,
+                             category, description, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, to_timestamp($9))
+       ON CONFLICT (listing_id) DO NOTHING`,
+      [
+        listingId.toString(), seller, buyer, token, price.toString(), stock.toString(),
+        category, description, timestamp.toString()
+      ]
+    );
+
+    console.log(`🏷️  Listing created: ${listingId} by ${seller} - ${stock} x ${price} (${category})`);
+  }
+
+  async handleListingUpdated(db, { listingId, price, stock }) {
+    await db.query(
+      'UPDATE listings SET price_wei = $1, stock = $2 WHERE listing_id = $3',
+      [price.toString(), stock.toString(), listingId.toString()]
     );
+
+    console.log(`🏷️  Listing ${listingId} updated: ${stock} x ${price}`);
+  }
+
+  async handleListingClosed(db, { listingId, refund, timestamp }) {
+    await db.query(
+      'UPDATE listings SET is_active = FALSE, stock = 0, closed_at = to_timestamp($1) WHERE listing_id = $2',
+      [timestamp.toString(), listingId.toString()]
+    );
+
+    console.log(`🗑️  Listing closed: ${listingId} - ${refund} returned to the seller`);
+  }
+
+  // Follows the order's OrderCreated; `remainingStock` is absolute, and the
+  // order count is recounted, so replaying this is idempotent
+  async handleListingOrdered(db, { listingId, orderId, buyer, remainingStock }) {
+    await db.query(
+      'UPDATE orders SET listing_id = $1 WHERE order_id = $2',
+      [listingId.toString(), orderId.toString()]
+    );
+
+    await db.query(
+      `UPDATE listings SET stock = $1,
+                           order_count = (SELECT COUNT(*) FROM orders WHERE listing_id = $2)
+       WHERE listing_id = $2`,
+      [remainingStock.toString(), listingId.toString()]
+    );
+
+    console.log(`🛒 Order ${orderId} placed against listing ${listingId} by ${buyer} (${remainingStock} left)`);
+  }
+
+  async handleDisputeRaised(db, { orderId, disputer, reason, evidenceHash, timestamp }) {
+    await this.ensureUserExists(db, disputer);
+
+    // DisputeResolution keys disputes by order, so the order ID doubles as the dispute ID.
+    // The contract also records the opening evidence, so it counts as the first piece.
+    // A cancelled dispute raised again reopens the same row with a fresh panel
+    // and keeps the evidence submitted so far.
+    await db.query(
+      `INSERT INTO disputes (dispute_id, order_id, raised_by, reason, evidence_hash, status, evidence_count, created_at)
+       VALUES ($1, $1, $2, $3, $4, 'open', 1, to_timestamp($5))
+       ON CONFLICT (dispute_id) DO UPDATE SET
+         raised_by = $2, reason = $3, evidence_hash = $4, status = 'open',
+         evidence_count = disputes.evidence_count + 1, created_at = to_timestamp($5), resolved_at = NULL,
+         commit_deadline = NULL, reveal_deadline = NULL`,
+      [orderId.toString(), disputer, reason, evidenceHash, timestamp.toString()]
+    );
+    await db.query('DELETE FROM dispute_panel_members WHERE dispute_id = $1', [orderId.toString()]);
+
+    await this.insertEvidence(db, orderId, disputer, reason, evidenceHash, timestamp);
     
     // Update order status
-    await pool.query(
-      'UPDATE orders SET status = $1, dispute_raised_at = CURRENT_TIMESTAMP WHERE order_id = $2',
-      ['disputed', orderId.toString()]
+    await db.query(
+      'UPDATE orders SET status = $1, dispute_raised_at = to_timestamp($2) WHERE order_id = $3',
+      ['disputed', timestamp.toString(), orderId.toString()]
     );
-    
-    console.log(`⚠️  Dispute raised: ${disputeId} for order ${orderId}`);
+
+    console.log(`⚠️  Dispute raised for order ${orderId} by ${disputer}`);
   }
 
-  async handleDisputeResolved(args) {
-    const [disputeId, buyerWins] = args;
-    
-    await pool.query(
-      'UPDATE disputes SET status = $1, resolved_at = CURRENT_TIMESTAMP WHERE dispute_id = $2',
-      ['resolved', disputeId.toString()]
+  async handleEvidenceSubmitted(db, { orderId, submitter, evidenceHash, description, timestamp }) {
+    await this.ensureUserExists(db, submitter);
+
+    await this.insertEvidence(db, orderId, submitter, description, evidenceHash, timestamp);
+
+    await db.query(
+      'UPDATE disputes SET evidence_count = evidence_count + 1 WHERE dispute_id = $1',
+      [orderId.toString()]
+    );
+
+    console.log(`📎 Evidence submitted for order ${orderId} by ${submitter}`);
+  }
+
+  async handleDisputeResolved(db, {
+    orderId, winner, ruledBy, buyerShareBps, buyerAmount, sellerAmount, platformFee, disputeFeeRefund, resolution,
+    timestamp
+  }) {
+    // An even split has no winner, and a panel ruling no single arbitrator
+    const prevailing = winner === ethers.ZeroAddress ? null : winner;
+    const ruler = ruledBy === ethers.ZeroAddress ? null : ruledBy;
+
+    await db.query(
+      `UPDATE disputes SET status = $1, winner_address = $2, resolution = $3, resolved_at = to_timestamp($4),
+                           buyer_share_bps = $5, buyer_amount = $6, seller_amount = $7, platform_fee = $8,
+                           dispute_fee_refund = $9, ruled_by = $10
+       WHERE dispute_id = $11`,
+      [
+        'resolved', prevailing, resolution, timestamp.toString(),
+        buyerShareBps.toString(), buyerAmount.toString(), sellerAmount.toString(), platformFee.toString(),
+        disputeFeeRefund.toString(), ruler, orderId.toString()
+      ]
+    );
+
+    await db.query(
+      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
+      ['resolved', orderId.toString()]
     );
+
+    const { loser } = await reputation.recordDisputeResolved(db, orderId, prevailing);
+    if (loser) {
+      // Eligibility proven before the loss no longer reflects the user's history;
+      // anything issued since already accounts for it
+      await new ZKVerification(db).revokeVerification(loser, timestamp);
+    }
     
-    console.log(`⚖️  Dispute resolved: ${disputeId} - Buyer wins: ${buyerWins}`);
+    console.log(`⚖️  Dispute resolved for order ${orderId} - ${buyerShareBps} bps to buyer, winner: ${prevailing || 'none'}`);
   }
 
-  async ensureUserExists(address) {
-    await pool.query(
+  async handleDisputeCancelled(db, { orderId, timestamp }) {
+    await db.query(
+      'UPDATE disputes SET status = $1, resolved_at = to_timestamp($2) WHERE dispute_id = $3',
+      ['cancelled', timestamp.toString(), orderId.toString()]
+    );
+
+    console.log(`🚫 Dispute cancelled for order ${orderId}`);
+  }
+
+  async handlePanelAssigned(db, { orderId, panel, commitDeadline, revealDeadline }) {
+    await db.query(
+      `UPDATE disputes SET status = $1, commit_deadline = to_timestamp($2), reveal_deadline = to_timestamp($3)
+       WHERE dispute_id = $4`,
+      ['under_review', commitDeadline.toString(), revealDeadline.toString(), orderId.toString()]
+    );
+
+    for (const arbitrator of panel) {
+      await this.ensureUserExists(db, arbitrator);
+      await db.query(
+        `INSERT INTO dispute_panel_members (dispute_id, arbitrator_address)
+         VALUES ($1, $2)
+         ON CONFLICT (dispute_id, arbitrator_address) DO NOTHING`,
+        [orderId.toString(), arbitrator]
+      );
+    }
+
+    console.log(`🧑‍⚖️ Panel assigned for order ${orderId}: ${[...panel].join(', ')}`);
+  }
+
+  async handleVoteCommitted(db, { orderId, arbitrator, commitment, timestamp }) {
+    await db.query(
+      `UPDATE dispute_panel_members SET commitment = $1, committed_at = to_timestamp($2)
+       WHERE dispute_id = $3 AND arbitrator_address = $4`,
+      [commitment, timestamp.toString(), orderId.toString(), arbitrator]
+    );
+
+    console.log(`🔒 Vote committed for order ${orderId} by ${arbitrator}`);
+  }
+
+  async handleVoteRevealed(db, { orderId, arbitrator, buyerShareBps, timestamp }) {
+    await db.query(
+      `UPDATE dispute_panel_members SET buyer_share_bps = $1, revealed_at = to_timestamp($2)
+       WHERE dispute_id = $3 AND arbitrator_address = $4`,
+      [buyerShareBps.toString(), timestamp.toString(), orderId.toString(), arbitrator]
+    );
+
+    console.log(`🗳️  Vote revealed for order ${orderId} by ${arbitrator}: ${buyerShareBps} bps to buyer`);
+  }
+
+  // `strikes` is the arbitrator's running total, so replaying this is idempotent
+  async handleArbitratorPenalized(db, { orderId, arbitrator, strikes }) {
+    await db.query(
+      'UPDATE dispute_panel_members SET penalized = TRUE WHERE dispute_id = $1 AND arbitrator_address = $2',
+      [orderId.toString(), arbitrator]
+    );
+
+    await this.ensureUserExists(db, arbitrator);
+    await db.query(
+      `INSERT INTO arbitrators (address, strikes) VALUES ($1, $2)
+       ON CONFLICT (address) DO UPDATE SET strikes = $2, updated_at = CURRENT_TIMESTAMP`,
+      [arbitrator, strikes.toString()]
+    );
+
+    console.log(`⚠️  Arbitrator ${arbitrator} missed a reveal for order ${orderId} (${strikes} strike(s))`);
+  }
+
+  async handleArbitratorAdded(db, { arbitrator }) {
+    await this.upsertArbitrator(db, arbitrator, true);
+    console.log(`👩‍⚖️ Arbitrator added: ${arbitrator}`);
+  }
+
+  async handleArbitratorRemoved(db, { arbitrator }) {
+    await this.upsertArbitrator(db, arbitrator, false);
+    console.log(`🚫 Arbitrator removed: ${arbitrator}`);
+  }
+
+  // Emitted by the constructor (previous is the zero address) and
+  // setMainArbitrator, which also removes the previous main arbitrator
+  async handleMainArbitratorChanged(db, { previousArbitrator, newArbitrator }) {
+    await db.query(
+      'UPDATE arbitrators SET is_main = FALSE, updated_at = CURRENT_TIMESTAMP WHERE address = $1',
+      [previousArbitrator]
+    );
+    await this.upsertArbitrator(db, newArbitrator, true, true);
+    console.log(`👩‍⚖️ Main arbitrator: ${newArbitrator}`);
+  }
+
+  async upsertArbitrator(db, address, isActive, isMain = false) {
+    await this.ensureUserExists(db, address);
+    await db.query(
+      `INSERT INTO arbitrators (address, is_active, is_main)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (address)
+       DO UPDATE SET is_active = $2, is_main = arbitrators.is_main OR $3,
+                     removed_at = CASE WHEN $2 THEN NULL ELSE CURRENT_TIMESTAMP END,
+                     updated_at = CURRENT_TIMESTAMP`,
+      [address, isActive, isMain]
+    );
+  }
+
+  // Symbol and decimals never change, so each token is only read once. A
+  // token without them gets nulls, and its allowlist event is dead-lettered
+  // rather than retried forever; network errors are rethrown.
+  async getTokenMetadata({ token }) {
+    if (!this.tokenMetadata.has(token)) {
+      const contract = new ethers.Contract(token, ERC20_METADATA_ABI, this.provider);
+      try {
+        const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+        this.tokenMetadata.set(token, { symbol, decimals: Number(decimals) });
+      } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION' && error.code !== 'BAD_DATA') {
+          throw error;
+        }
+        this.tokenMetadata.set(token, { symbol: null, decimals: null });
+      }
+    }
+    return this.tokenMetadata.get(token);
+  }
+
+  // The CID is kept so the API can tell whether the file was uploaded to the
+  // evidence service, whenever that happens
+  async insertEvidence(db, orderId, submitter, text, evidenceHash, timestamp) {
+    await db.query(
+      `INSERT INTO evidence (dispute_id, submitted_by, evidence_text, evidence_hash, evidence_cid, created_at)
+       VALUES ($1, $2, $3, $4, $6, to_timestamp($5))`,
+      [orderId.toString(), submitter, text, evidenceHash, timestamp.toString(), parseCid(evidenceHash)]
+    );
+  }
+
+  async ensureUserExists(db, address) {
+    await db.query(
       `INSERT INTO users (address, reputation_score, is_verified)
        VALUES ($1, 0, false)
        ON CONFLICT (address) DO NOTHING`,
@@ -235,15 +948,28 @@ class BlockchainIndexer {
   }
 }
 
-// Start the indexer
-const indexer = new BlockchainIndexer();
+module.exports = { BlockchainIndexer };
 
-indexer.start().catch(console.error);
+if (require.main === module) {
+  const indexer = new BlockchainIndexer();
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down indexer...');
-  await indexer.stop();
-  process.exit(0);
-});
+  if (process.argv[2] === 'replay') {
+    indexer.replay()
+      .then(() => pool.end())
+      .catch(async (error) => {
+        console.error('❌ Replay failed:', error);
+        await pool.end();
+        process.exit(1);
+      });
+  } else {
+    // Start the indexer
+    indexer.start().catch(console.error);
+  }
 
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\n🛑 Shutting down indexer...');
+    await indexer.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,208 @@
+const { ethers } = require('ethers');
+
+// Query-string parsing and keyset pagination for the list endpoints.
+//
+// Lists are ordered by a sort column plus a unique tiebreak column and return
+// `{ items, nextCursor }`. nextCursor is an opaque token holding the last
+// row's sort and tiebreak values; passing it back as ?cursor= continues after
+// that row, so pages stay consistent while new rows are being indexed.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_BIGINT = 2n ** 63n - 1n;
+
+// Malformed query parameters; the API turns these into 400 responses
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = 400;
+  }
+}
+
+// ?a=1&a=2 and ?a[b]=1 arrive as arrays and objects
+function scalar(value, name) {
+  if (value !== undefined && typeof value !== 'string') {
+    throw new QueryError(`${name} must be given once`);
+  }
+  return value;
+}
+
+function parseLimit(value) {
+  if (scalar(value, 'limit') === undefined) return DEFAULT_LIMIT;
+  if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > MAX_LIMIT) {
+    throw new QueryError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return Number(value);
+}
+
+function parseAddress(value, name) {
+  if (scalar(value, name) === undefined) return null;
+  if (!ethers.isAddress(value)) {
+    throw new QueryError(`${name} must be an Ethereum address`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseEnum(value, name, allowed) {
+  if (scalar(value, name) === undefined) return null;
+  if (!allowed.includes(value)) {
+    throw new QueryError(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function parseBoolean(value, name) {
+  if (scalar(value, name) === undefined) return null;
+  if (value !== 'true' && value !== 'false') {
+    throw new QueryError(`${name} must be true or false`);
+  }
+  return value === 'true';
+}
+
+// Integers, kept as strings so wei amounts don't lose precision. `max`
+// defaults to the largest BIGINT, so IDs and block numbers that Postgres
+// can't compare are rejected here rather than failing the query.
+function parseInteger(value, name, { min = 0, max = MAX_BIGINT } = {}) {
+  if (scalar(value, name) === undefined) return null;
+  if (!/^-?\d+$/.test(value) || BigInt(value) < BigInt(min)) {
+    throw new QueryError(`${name} must be an integer >= ${min}`);
+  }
+  if (BigInt(value) > BigInt(max)) {
+    throw new QueryError(`${name} must be an integer <= ${max}`);
+  }
+  return value;
+}
+
+// ISO 8601 dates or unix timestamps in seconds
+function parseDate(value, name) {
+  if (scalar(value, name) === undefined) return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`${name} must be an ISO 8601 date or a unix timestamp`);
+  }
+  return date.toISOString();
+}
+
+function parseText(value, name, maxLength = 200) {
+  if (scalar(value, name) === undefined) return null;
+  if (value.trim() === '' || value.length > maxLength) {
+    throw new QueryError(`${name} must be 1 to ${maxLength} characters`);
+  }
+  return value;
+}
+
+// ?sort=field for ascending, ?sort=-field for descending. `sortable` maps
+// field names to { column, type }; the first entry, descending, is the default.
+function parseSort(value, sortable) {
+  const fields = Object.keys(sortable);
+  if (scalar(value, 'sort') === undefined) {
+    return { ...sortable[fields[0]], direction: 'DESC' };
+  }
+
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!sortable[field]) {
+    throw new QueryError(`sort must be one of: ${fields.map((f) => `${f}, -${f}`).join(', ')}`);
+  }
+  return { ...sortable[field], direction: descending ? 'DESC' : 'ASC' };
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(value) {
+  if (scalar(value, 'cursor') === undefined) return null;
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (Array.isArray(cursor) && cursor.length === 2 && cursor.every((part) => typeof part === 'string')) {
+      return cursor;
+    }
+  } catch (error) {
+    // fall through
+  }
+  throw new QueryError('cursor is invalid');
+}
+
+// Collects WHERE conditions and their positional parameters
+class Conditions {
+  constructor() {
+    this.clauses = [];
+    this.params = [];
+  }
+
+  param(value) {
+    this.params.push(value);
+    return `$${this.params.length}`;
+  }
+
+  // `clause` uses ? for the parameter, e.g. add('o.status = ?', status); every
+  // ? refers to the same value. Skipped when the value is null so optional
+  // filters can be chained.
+  add(clause, value) {
+    if (value !== null && value !== undefined) {
+      this.clauses.push(clause.replaceAll('?', this.param(value)));
+    }
+    return this;
+  }
+
+  toSql() {
+    return this.clauses.length > 0 ? `WHERE ${this.clauses.join(' AND ')}` : '';
+  }
+}
+
+// Fetch one page. `sort` comes from parseSort; `tiebreak` is a unique
+// { column, type } that settles rows with equal sort values.
+async function paginate(db, { select, from, conditions, sort, tiebreak, cursor, limit }) {
+  const after = decodeCursor(cursor);
+  if (after) {
+    const comparison = sort.direction === 'DESC' ? '<' : '>';
+    conditions.clauses.push(
+      `(${sort.column}, ${tiebreak.column}) ${comparison} ` +
+      `(${conditions.param(after[0])}::${sort.type}, ${conditions.param(after[1])}::${tiebreak.type})`
+    );
+  }
+
+  const sql =
+    `SELECT ${select},
+            (${sort.column})::text AS cursor_value, (${tiebreak.column})::text AS cursor_id
+     FROM ${from}
+     ${conditions.toSql()}
+     ORDER BY ${sort.column} ${sort.direction}, ${tiebreak.column} ${sort.direction}
+     LIMIT ${conditions.param(limit + 1)}`;
+
+  let result;
+  try {
+    result = await db.query(sql, conditions.params);
+  } catch (error) {
+    // A tampered cursor fails its casts (SQLSTATE class 22, data exception)
+    if (after && typeof error.code === 'string' && error.code.startsWith('22')) {
+      throw new QueryError('cursor is invalid');
+    }
+    throw error;
+  }
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = result.rows.length > limit ? encodeCursor(last.cursor_value, last.cursor_id) : null;
+
+  const items = rows.map(({ cursor_value, cursor_id, ...row }) => row);
+  return { items, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  QueryError,
+  parseLimit,
+  parseAddress,
+  parseEnum,
+  parseBoolean,
+  parseInteger,
+  parseDate,
+  parseText,
+  parseSort,
+  Conditions,
+  paginate
+};
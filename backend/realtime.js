@@ -0,0 +1,299 @@
+const { WebSocketServer } = require('ws');
+const { ethers } = require('ethers');
+
+// Live updates for the frontend.
+//
+// The indexer queues a Postgres NOTIFY in the same transaction that stores and
+// projects an event, so it is delivered only once the projection is committed.
+// The API server LISTENs and pushes the event, with the order's projected
+// status, to WebSocket clients on /ws that subscribed to the order, to one of
+// the addresses involved, or to everything:
+//
+//   → { type: 'subscribe', orders: [1, 2], addresses: ['0x...'], all: false, lastEventId: '41' }
+//   ← { type: 'subscribed', lastEventId: '57' }
+//   ← { type: 'event', id: '58', contract, event, orderId, args, order: { status, ... }, dispute }
+//   ← { type: 'resync', orderIds: ['3'] }   (null = everything)
+//
+// Event IDs are events.seq. A client that reconnects subscribes with the last
+// ID it saw and is sent what it missed; if that's more than MAX_BACKLOG events
+// (or the indexer rolled back or replayed) it gets a resync and should refetch.
+
+const CHANNEL = 'marketplace_events';
+const WS_PATH = '/ws';
+const MAX_BACKLOG = 500;
+const MAX_SUBSCRIPTIONS = 100;
+const LISTEN_RETRY_MS = 5000;
+const HEARTBEAT_MS = 30000;
+
+// Notifications can't exceed 8000 bytes; beyond this many orders resync everything
+const MAX_RESYNC_ORDER_IDS = 200;
+
+// Indexer side: queued in the caller's transaction and sent on commit
+async function notifyEvent(db, eventSeq) {
+  await db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ type: 'event', id: String(eventSeq) })]);
+}
+
+async function notifyResync(db, orderIds = null) {
+  const ids = orderIds && orderIds.length <= MAX_RESYNC_ORDER_IDS ? orderIds.map(String) : null;
+  await db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ type: 'resync', orderIds: ids })]);
+}
+
+const EVENT_QUERY = `
+  SELECT e.seq, e.block_number, e.transaction_hash, e.contract_name, e.event_name, e.event_data,
+         o.order_id, o.status AS order_status, o.buyer_address, o.seller_address,
+         d.status AS dispute_status
+  FROM events e
+  LEFT JOIN orders o ON o.order_id = (e.event_data->>'orderId')::bigint
+  LEFT JOIN disputes d ON d.dispute_id = o.order_id`;
+
+// `order` and `dispute` carry the current projected state, which for a
+// resumed backlog may be newer than the event itself
+function toMessage(row) {
+  return {
+    type: 'event',
+    id: String(row.seq),
+    contract: row.contract_name,
+    event: row.event_name,
+    blockNumber: String(row.block_number),
+    transactionHash: row.transaction_hash,
+    orderId: row.event_data.orderId ?? null,
+    args: row.event_data,
+    order: row.order_id === null ? null : {
+      orderId: String(row.order_id),
+      status: row.order_status,
+      buyer: row.buyer_address,
+      seller: row.seller_address
+    },
+    dispute: row.dispute_status ? { status: row.dispute_status } : null
+  };
+}
+
+// Parse and normalize a subscribe message; throws with a client-facing message
+function parseSubscription(message) {
+  const orders = message.orders ?? [];
+  const addresses = message.addresses ?? [];
+  if (!Array.isArray(orders) || !Array.isArray(addresses)) {
+    throw new Error('orders and addresses must be arrays');
+  }
+  if (orders.length + addresses.length > MAX_SUBSCRIPTIONS) {
+    throw new Error(`At most ${MAX_SUBSCRIPTIONS} orders and addresses per connection`);
+  }
+  if (!orders.every((id) => /^\d+$/.test(String(id)))) {
+    throw new Error('orders must be order IDs');
+  }
+  if (!addresses.every((address) => typeof address === 'string' && ethers.isAddress(address))) {
+    throw new Error('addresses must be Ethereum addresses');
+  }
+  const lastEventId = message.lastEventId ?? null;
+  if (lastEventId !== null && !/^\d+$/.test(String(lastEventId))) {
+    throw new Error('lastEventId must be an event ID');
+  }
+
+  return {
+    all: message.all === true,
+    orders: new Set(orders.map(String)),
+    addresses: new Set(addresses.map((address) => ethers.getAddress(address))),
+    lastEventId: lastEventId === null ? null : String(lastEventId)
+  };
+}
+
+function matches(subscription, message) {
+  if (subscription.all) return true;
+  if (message.orderId !== null && subscription.orders.has(String(message.orderId))) return true;
+
+  const involved = Object.values(message.args).filter((value) => typeof value === 'string');
+  if (message.order) {
+    involved.push(message.order.buyer, message.order.seller);
+  }
+  return involved.some((value) => subscription.addresses.has(value));
+}
+
+class RealtimeServer {
+  constructor(pool) {
+    this.pool = pool;
+    this.wss = null;
+    this.listener = null;
+    // Notifications and subscribes are handled one at a time so clients see
+    // events in order, without gaps between their backlog and live events
+    this.queue = Promise.resolve();
+    this.stopped = false;
+  }
+
+  attach(httpServer) {
+    this.wss = new WebSocketServer({ server: httpServer, path: WS_PATH });
+    this.wss.on('connection', (socket) => this.handleConnection(socket));
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      for (const socket of this.wss.clients) {
+        if (!socket.isAlive) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, HEARTBEAT_MS);
+
+    this.listen();
+    console.log(`📡 Live updates on ws://localhost:${httpServer.address().port}${WS_PATH}`);
+  }
+
+  async listen() {
+    try {
+      const client = await this.pool.connect();
+      client.on('notification', (notification) => {
+        this.enqueue(() => this.handleNotification(JSON.parse(notification.payload)))
+          .catch((error) => console.error('Error broadcasting notification:', error));
+      });
+      client.on('error', (error) => {
+        console.error('Live update listener lost its connection:', error.message);
+        client.release(error);
+        this.retryListen();
+      });
+      await client.query(`LISTEN ${CHANNEL}`);
+      this.listener = client;
+    } catch (error) {
+      console.error('Error starting live update listener:', error.message);
+      this.retryListen();
+    }
+  }
+
+  // Events committed while the listener was down reach clients when they resume
+  retryListen() {
+    this.listener = null;
+    if (!this.stopped) {
+      setTimeout(() => this.listen(), LISTEN_RETRY_MS);
+    }
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  handleConnection(socket) {
+    socket.isAlive = true;
+    socket.subscription = null;
+    // Highest event ID sent, so events in both the backlog and a pending
+    // notification only go out once
+    socket.lastEventId = 0n;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (data) => {
+      this.enqueue(() => this.handleMessage(socket, data)).catch((error) => {
+        console.error('Error handling live update message:', error);
+        this.send(socket, { type: 'error', error: 'Internal server error' });
+      });
+    });
+  }
+
+  async handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      message = null;
+    }
+    if (!message || typeof message !== 'object') {
+      return this.send(socket, { type: 'error', error: 'Messages must be JSON objects' });
+    }
+
+    if (message.type === 'unsubscribe') {
+      socket.subscription = null;
+      return this.send(socket, { type: 'unsubscribed' });
+    }
+    if (message.type !== 'subscribe') {
+      return this.send(socket, { type: 'error', error: 'Unknown message type' });
+    }
+
+    let subscription;
+    try {
+      subscription = parseSubscription(message);
+    } catch (error) {
+      return this.send(socket, { type: 'error', error: error.message });
+    }
+
+    const latest = await this.pool.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM events');
+    if (subscription.lastEventId !== null) {
+      socket.lastEventId = BigInt(subscription.lastEventId);
+      await this.sendBacklog(socket, subscription, latest.rows[0].seq);
+    }
+    socket.subscription = subscription;
+    socket.lastEventId = BigInt(latest.rows[0].seq);
+    this.send(socket, { type: 'subscribed', lastEventId: String(latest.rows[0].seq) });
+  }
+
+  async sendBacklog(socket, subscription, upTo) {
+    const result = await this.pool.query(
+      `${EVENT_QUERY}
+       WHERE e.seq > $1 AND e.seq <= $2
+         AND ($3 OR o.order_id = ANY($4::bigint[])
+              OR o.buyer_address = ANY($5) OR o.seller_address = ANY($5)
+              OR EXISTS (SELECT 1 FROM jsonb_each_text(e.event_data) arg WHERE arg.value = ANY($5)))
+       ORDER BY e.seq ASC
+       LIMIT $6`,
+      [
+        subscription.lastEventId, upTo, subscription.all,
+        [...subscription.orders], [...subscription.addresses], MAX_BACKLOG + 1
+      ]
+    );
+
+    if (result.rows.length > MAX_BACKLOG) {
+      return this.send(socket, { type: 'resync', orderIds: null });
+    }
+    for (const row of result.rows) {
+      this.send(socket, toMessage(row));
+    }
+  }
+
+  async handleNotification(notification) {
+    if (notification.type === 'resync') {
+      return this.broadcast(notification, (subscription) =>
+        notification.orderIds === null || subscription.all || subscription.addresses.size > 0 ||
+        notification.orderIds.some((id) => subscription.orders.has(id))
+      );
+    }
+
+    const result = await this.pool.query(`${EVENT_QUERY} WHERE e.seq = $1`, [notification.id]);
+    if (result.rows.length === 0) {
+      // Rolled back before we got to it
+      return;
+    }
+    const message = toMessage(result.rows[0]);
+    this.broadcast(message, (subscription) => matches(subscription, message));
+  }
+
+  broadcast(message, filter) {
+    for (const socket of this.wss.clients) {
+      if (socket.subscription && filter(socket.subscription)) {
+        this.send(socket, message);
+      }
+    }
+  }
+
+  send(socket, message) {
+    if (message.type === 'event') {
+      if (BigInt(message.id) <= socket.lastEventId) return;
+      socket.lastEventId = BigInt(message.id);
+    }
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearInterval(this.heartbeat);
+    if (this.listener) {
+      this.listener.release();
+    }
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+}
+
+module.exports = { CHANNEL, MAX_BACKLOG, RealtimeServer, notifyEvent, notifyResync, parseSubscription, matches };
@@ -0,0 +1,164 @@
+const { ethers } = require('ethers');
+
+// Score changes applied for on-chain outcomes. Everything here is derived
+// from indexed events only, so `npm run replay` rebuilds the same scores.
+const SCORES = {
+  ORDER_COMPLETED: 10,
+  PROMPT_CONFIRMATION: 3,
+  DISPUTE_SPLIT: -5,
+  DISPUTE_WON: 15,
+  DISPUTE_LOST: -10
+};
+
+// ETH orders above this value count 1.5x towards completion points
+const HIGH_VALUE_THRESHOLD_WEI = ethers.parseEther('1');
+const HIGH_VALUE_MULTIPLIER = 1.5;
+
+// Buyers who confirm within this window of funding earn PROMPT_CONFIRMATION
+const PROMPT_CONFIRMATION_SECONDS = 3 * 24 * 60 * 60;
+
+// Highest tier first
+const TIERS = [
+  { name: 'Trusted Seller', minScore: 200, perks: ['Priority listing', 'Lower fees'] },
+  { name: 'High Reputation', minScore: 100, perks: ['Lower fees', 'Reputation badge'] },
+  { name: 'Verified', minScore: 50, perks: ['Verified badge'] },
+  { name: 'New User', minScore: 0, perks: ['Standard features'] }
+];
+
+// Scores can go negative after lost disputes; those users stay in the lowest tier
+function getTier(score) {
+  return TIERS.find((tier) => score >= tier.minScore) || TIERS[TIERS.length - 1];
+}
+
+function getNextTier(score) {
+  const higher = TIERS.filter((tier) => tier.minScore > score);
+  return higher.length > 0 ? higher[higher.length - 1] : null;
+}
+
+// Apply `delta` to a user's score and record why in reputation_history
+async function adjustReputation(db, address, delta, reason, { orderId = null, disputeId = null } = {}) {
+  const current = await db.query(
+    'SELECT reputation_score FROM users WHERE address = $1 FOR UPDATE',
+    [address]
+  );
+  if (current.rows.length === 0) {
+    throw new Error(`Cannot adjust reputation of unknown user ${address}`);
+  }
+
+  const oldScore = current.rows[0].reputation_score;
+  const newScore = oldScore + delta;
+
+  await db.query('UPDATE users SET reputation_score = $1 WHERE address = $2', [newScore, address]);
+  await db.query(
+    `INSERT INTO reputation_history (user_address, old_score, new_score, reason, order_id, dispute_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [address, oldScore, newScore, reason, orderId, disputeId]
+  );
+
+  console.log(`🏆 Reputation ${address}: ${oldScore} -> ${newScore} (${reason})`);
+  return newScore;
+}
+
+async function getOrder(db, orderId) {
+  const result = await db.query(
+    `SELECT order_id, buyer_address, seller_address, payment_token, amount_wei, auto_released,
+            EXTRACT(EPOCH FROM funded_at) AS funded_at,
+            EXTRACT(EPOCH FROM confirmed_at) AS confirmed_at
+     FROM orders WHERE order_id = $1`,
+    [orderId.toString()]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Order ${orderId} has not been indexed`);
+  }
+  return result.rows[0];
+}
+
+// Both parties of a confirmed order gain completion points; the buyer also
+// earns a bonus for confirming promptly after funding. Orders released after
+// the confirmation deadline were never confirmed, so they earn no bonus.
+async function recordOrderCompleted(db, orderId) {
+  const order = await getOrder(db, orderId);
+  const options = { orderId: order.order_id };
+
+  let points = SCORES.ORDER_COMPLETED;
+  if (order.payment_token === ethers.ZeroAddress && BigInt(order.amount_wei) > HIGH_VALUE_THRESHOLD_WEI) {
+    points = Math.round(points * HIGH_VALUE_MULTIPLIER);
+  }
+
+  await adjustReputation(db, order.seller_address, points, 'Order completed as seller', options);
+  await adjustReputation(db, order.buyer_address, points, 'Order completed as buyer', options);
+
+  if (!order.auto_released && order.funded_at && order.confirmed_at &&
+      Number(order.confirmed_at) - Number(order.funded_at) <= PROMPT_CONFIRMATION_SECONDS) {
+    await adjustReputation(db, order.buyer_address, SCORES.PROMPT_CONFIRMATION, 'Prompt confirmation', options);
+  }
+}
+
+// Disputes only count once ruled on, so a party isn't penalized for a dispute
+// raised against them that they go on to win, or one that is cancelled. An
+// even split (no winner) costs both parties DISPUTE_SPLIT.
+async function recordDisputeResolved(db, orderId, winner) {
+  const order = await getOrder(db, orderId);
+  const options = { orderId: order.order_id, disputeId: order.order_id };
+
+  if (!winner) {
+    await adjustReputation(db, order.seller_address, SCORES.DISPUTE_SPLIT, 'Dispute split', options);
+    await adjustReputation(db, order.buyer_address, SCORES.DISPUTE_SPLIT, 'Dispute split', options);
+    return { winner: null, loser: null };
+  }
+
+  const loser = winner.toLowerCase() === order.seller_address.toLowerCase()
+    ? order.buyer_address
+    : order.seller_address;
+
+  await adjustReputation(db, winner, SCORES.DISPUTE_WON, 'Dispute won', options);
+  await adjustReputation(db, loser, SCORES.DISPUTE_LOST, 'Dispute lost', options);
+
+  return { winner, loser };
+}
+
+// Recompute cached scores from the history, e.g. after history rows were
+// deleted during a rollback or replay
+async function recalculateScores(db, addresses) {
+  await db.query(
+    `UPDATE users SET reputation_score = COALESCE(
+       (SELECT SUM(h.new_score - h.old_score) FROM reputation_history h WHERE h.user_address = users.address), 0)
+     WHERE address = ANY($1)`,
+    [addresses]
+  );
+}
+
+async function getReputation(db, address) {
+  const user = await db.query('SELECT address, reputation_score FROM users WHERE address = $1', [address]);
+  if (user.rows.length === 0) {
+    return null;
+  }
+
+  const history = await db.query(
+    `SELECT old_score, new_score, new_score - old_score AS change, reason, order_id, dispute_id, created_at
+     FROM reputation_history WHERE user_address = $1
+     ORDER BY created_at DESC`,
+    [address]
+  );
+
+  const score = user.rows[0].reputation_score;
+  return {
+    address: user.rows[0].address,
+    score,
+    tier: getTier(score),
+    nextTier: getNextTier(score),
+    history: history.rows
+  };
+}
+
+module.exports = {
+  SCORES,
+  TIERS,
+  getTier,
+  getNextTier,
+  adjustReputation,
+  recordOrderCompleted,
+  recordDisputeResolved,
+  recalculateScores,
+  getReputation
+};
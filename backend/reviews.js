@@ -0,0 +1,137 @@
+const { ethers } = require('ethers');
+
+// Ratings and reviews between the parties of a finished order.
+//
+// Once an order is completed or resolved, its buyer and seller can each leave
+// one rating (1-5) and a review of the other. Reviews are signed with the
+// reviewer's wallet (EIP-191 personal_sign) over this message, which the
+// browser (frontend/lib/reviews.js) and the backend build the same way:
+//
+//   ZK Marketplace review
+//
+//   Marketplace: <ZKMarketplace address>
+//   Chain ID: <chain id>
+//   Order: <order id>
+//   Reviewer: <address>
+//   Reviewee: <address>
+//   Rating: <1-5>/5
+//
+//   <comment>
+//
+// The signature is stored with the review, so anyone can check it later.
+// Arbitrators can hide reviews; hidden ones don't count towards ratings.
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_MODERATION_REASON_LENGTH = 500;
+
+// Orders in these statuses can be reviewed (ZKMarketplace Confirmed and Resolved)
+const REVIEWABLE_STATUSES = ['completed', 'resolved'];
+
+// Rejected reviews and moderation requests; the API turns these into their status codes
+class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+  }
+}
+
+function buildMessage({ marketplace, chainId, orderId, reviewer, reviewee, rating, comment }) {
+  return [
+    'ZK Marketplace review',
+    '',
+    `Marketplace: ${ethers.getAddress(marketplace)}`,
+    `Chain ID: ${chainId}`,
+    `Order: ${orderId}`,
+    `Reviewer: ${ethers.getAddress(reviewer)}`,
+    `Reviewee: ${ethers.getAddress(reviewee)}`,
+    `Rating: ${rating}/${MAX_RATING}`,
+    '',
+    comment
+  ].join('\n');
+}
+
+// A submitted review: { reviewer, rating, comment, signature }
+function parseReview(body) {
+  const { reviewer, rating, comment, signature } = body || {};
+  if (typeof reviewer !== 'string' || !ethers.isAddress(reviewer)) {
+    throw new ReviewError('reviewer must be an Ethereum address');
+  }
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    throw new ReviewError(`rating must be an integer from ${MIN_RATING} to ${MAX_RATING}`);
+  }
+  if (typeof comment !== 'string' || comment.trim() === '' || comment.length > MAX_COMMENT_LENGTH) {
+    throw new ReviewError(`comment must be 1 to ${MAX_COMMENT_LENGTH} characters`);
+  }
+  if (!ethers.isHexString(signature, 65)) {
+    throw new ReviewError('signature must be a 65 byte hex signature');
+  }
+  return { reviewer: ethers.getAddress(reviewer), rating, comment, signature };
+}
+
+// Check that `order` can be reviewed by `review.reviewer` and that they signed
+// the review; returns the reviewee and the reviewer's role in the order
+function verifyReview(order, review, { marketplace, chainId }) {
+  const role = review.reviewer === ethers.getAddress(order.buyer_address) ? 'buyer'
+    : review.reviewer === ethers.getAddress(order.seller_address) ? 'seller'
+    : null;
+  if (!role) {
+    throw new ReviewError('Only the order\'s buyer or seller can review it', 403);
+  }
+  if (!REVIEWABLE_STATUSES.includes(order.status)) {
+    throw new ReviewError('Orders can only be reviewed once they are completed or resolved', 409);
+  }
+
+  const reviewee = role === 'buyer' ? order.seller_address : order.buyer_address;
+  const message = buildMessage({
+    marketplace,
+    chainId,
+    orderId: order.order_id,
+    reviewer: review.reviewer,
+    reviewee,
+    rating: review.rating,
+    comment: review.comment
+  });
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, review.signature);
+  } catch (error) {
+    throw new ReviewError('Invalid review signature', 401);
+  }
+  if (signer !== review.reviewer) {
+    throw new ReviewError('The review was not signed by the reviewer', 401);
+  }
+
+  return { reviewee: ethers.getAddress(reviewee), role };
+}
+
+// Moderation request body: { hidden, reason }; hiding needs a reason
+function parseModeration(body) {
+  const { hidden, reason } = body || {};
+  if (typeof hidden !== 'boolean') {
+    throw new ReviewError('hidden must be true or false');
+  }
+  if (reason !== undefined && reason !== null &&
+      (typeof reason !== 'string' || reason.length > MAX_MODERATION_REASON_LENGTH)) {
+    throw new ReviewError(`reason must be at most ${MAX_MODERATION_REASON_LENGTH} characters`);
+  }
+  if (hidden && (!reason || reason.trim() === '')) {
+    throw new ReviewError('Give a reason for hiding the review');
+  }
+  return { hidden, reason: reason || null };
+}
+
+module.exports = {
+  MIN_RATING,
+  MAX_RATING,
+  MAX_COMMENT_LENGTH,
+  REVIEWABLE_STATUSES,
+  ReviewError,
+  buildMessage,
+  parseReview,
+  verifyReview,
+  parseModeration
+};
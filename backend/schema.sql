@@ -20,17 +20,54 @@ CREATE TABLE IF NOT EXISTS orders (
     order_id BIGINT UNIQUE NOT NULL,
     buyer_address VARCHAR(42) NOT NULL,
     seller_address VARCHAR(42) NOT NULL,
-    amount_wei BIGINT NOT NULL,
+    payment_token VARCHAR(42) NOT NULL DEFAULT '0x0000000000000000000000000000000000000000',
+    amount_wei NUMERIC(78, 0) NOT NULL,
+    platform_fee NUMERIC(78, 0),
     description TEXT,
+    -- Private orders: commitment to the off-chain terms (see order_terms), description is empty
+    terms_commitment VARCHAR(66),
+    -- Listing the order was placed against (ZKMarketplace.orderFromListing), NULL otherwise
+    listing_id BIGINT,
     status VARCHAR(20) DEFAULT 'pending',
+    requires_eligibility BOOLEAN DEFAULT FALSE,
+    required_min_score INTEGER,
+    required_min_completed_orders INTEGER,
+    required_max_lost_disputes BIGINT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    funded_at TIMESTAMP,
+    delivery_deadline TIMESTAMP,
+    delivered_at TIMESTAMP,
+    confirmation_deadline TIMESTAMP,
     confirmed_at TIMESTAMP,
+    auto_released BOOLEAN DEFAULT FALSE,
+    cancelled_at TIMESTAMP,
     dispute_raised_at TIMESTAMP,
     FOREIGN KEY (buyer_address) REFERENCES users(address),
     FOREIGN KEY (seller_address) REFERENCES users(address)
 );
 
+-- Listings (mirrors ZKMarketplace.listings); each order placed against one
+-- takes a unit of stock
+CREATE TABLE IF NOT EXISTS listings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    listing_id BIGINT UNIQUE NOT NULL,
+    seller_address VARCHAR(42) NOT NULL,
+    -- Designated buyer; the zero address when anyone can order
+    buyer_address VARCHAR(42) NOT NULL,
+    payment_token VARCHAR(42) NOT NULL DEFAULT '0x0000000000000000000000000000000000000000',
+    price_wei NUMERIC(78, 0) NOT NULL,
+    stock NUMERIC(78, 0) NOT NULL,
+    category VARCHAR(32) NOT NULL,
+    description TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    order_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP,
+    FOREIGN KEY (seller_address) REFERENCES users(address)
+);
+
 -- Disputes table
 CREATE TABLE IF NOT EXISTS disputes (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -38,8 +75,20 @@ CREATE TABLE IF NOT EXISTS disputes (
     order_id BIGINT NOT NULL,
     raised_by VARCHAR(42) NOT NULL,
     reason TEXT NOT NULL,
+    evidence_hash TEXT,
     status VARCHAR(20) DEFAULT 'open',
     evidence_count INTEGER DEFAULT 0,
+    winner_address VARCHAR(42),
+    resolution TEXT,
+    buyer_share_bps INTEGER,
+    buyer_amount NUMERIC(78, 0),
+    seller_amount NUMERIC(78, 0),
+    platform_fee NUMERIC(78, 0),
+    dispute_fee_refund NUMERIC(78, 0),
+    -- The main arbitrator, when they ruled on a deadlock or a dispute no panel was drawn for; NULL for panel rulings
+    ruled_by VARCHAR(42),
+    commit_deadline TIMESTAMP,
+    reveal_deadline TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     resolved_at TIMESTAMP,
     FOREIGN KEY (order_id) REFERENCES orders(order_id),
@@ -52,21 +101,187 @@ CREATE TABLE IF NOT EXISTS evidence (
     dispute_id BIGINT NOT NULL,
     submitted_by VARCHAR(42) NOT NULL,
     evidence_text TEXT NOT NULL,
+    evidence_hash TEXT,
     evidence_url TEXT,
+    -- The CID evidence_hash names, if any; the evidence resolves while evidence_blobs has it
+    evidence_cid VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (dispute_id) REFERENCES disputes(dispute_id),
     FOREIGN KEY (submitted_by) REFERENCES users(address)
 );
 
+-- Uploaded evidence files (backend/evidence.js), keyed by the CID that goes
+-- on-chain as evidenceHash; the bytes live in the configured EVIDENCE_STORE
+CREATE TABLE IF NOT EXISTS evidence_blobs (
+    cid VARCHAR(100) PRIMARY KEY,
+    size_bytes INTEGER NOT NULL,
+    content_type VARCHAR(255) NOT NULL,
+    filename VARCHAR(255),
+    uploaded_by VARCHAR(42),
+    -- Private blobs are encrypted at rest and readable by this order's parties and the arbitrators
+    order_id BIGINT,
+    is_private BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Public keys private order terms are encrypted to (backend/terms.js), one per
+-- address, derived in the browser from a wallet signature
+CREATE TABLE IF NOT EXISTS encryption_keys (
+    address VARCHAR(42) PRIMARY KEY,
+    public_key VARCHAR(132) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Encrypted terms of private orders, keyed by the commitment the order was
+-- created with; stored by the seller before the order is sent
+CREATE TABLE IF NOT EXISTS order_terms (
+    commitment VARCHAR(66) PRIMARY KEY,
+    envelope JSONB NOT NULL,
+    stored_by VARCHAR(42) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Terms fields a party disclosed to the arbitrators, checked against the
+-- order's commitment when they were submitted
+CREATE TABLE IF NOT EXISTS order_terms_reveals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id BIGINT NOT NULL,
+    revealed_by VARCHAR(42) NOT NULL,
+    leaves JSONB NOT NULL,
+    fields JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ratings and reviews the parties of a completed or resolved order leave each
+-- other, signed by the reviewer (backend/reviews.js); one per party per order
+CREATE TABLE IF NOT EXISTS reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id BIGINT NOT NULL,
+    reviewer_address VARCHAR(42) NOT NULL,
+    reviewee_address VARCHAR(42) NOT NULL,
+    -- The reviewer's side of the order: 'buyer' or 'seller'
+    reviewer_role VARCHAR(10) NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT NOT NULL,
+    signature VARCHAR(132) NOT NULL,
+    -- Arbitrator moderation; hidden reviews are left out of listings and ratings
+    is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+    moderated_by VARCHAR(42),
+    moderation_reason TEXT,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, reviewer_address)
+);
+
+-- Arbitrators drawn for a dispute's panel and their commit-reveal votes
+CREATE TABLE IF NOT EXISTS dispute_panel_members (
+    dispute_id BIGINT NOT NULL,
+    arbitrator_address VARCHAR(42) NOT NULL,
+    commitment VARCHAR(66),
+    committed_at TIMESTAMP,
+    buyer_share_bps INTEGER,
+    revealed_at TIMESTAMP,
+    penalized BOOLEAN NOT NULL DEFAULT FALSE,
+    PRIMARY KEY (dispute_id, arbitrator_address),
+    FOREIGN KEY (dispute_id) REFERENCES disputes(dispute_id),
+    FOREIGN KEY (arbitrator_address) REFERENCES users(address)
+);
+
+-- Payment tokens (mirrors ZKMarketplace.allowedTokens, plus ETH as the zero address)
+CREATE TABLE IF NOT EXISTS payment_tokens (
+    address VARCHAR(42) PRIMARY KEY,
+    symbol VARCHAR(32),
+    decimals INTEGER NOT NULL DEFAULT 18,
+    is_allowed BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Arbitrators table (mirrors DisputeResolution.authorizedArbitrators)
+CREATE TABLE IF NOT EXISTS arbitrators (
+    address VARCHAR(42) PRIMARY KEY,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_main BOOLEAN NOT NULL DEFAULT FALSE,
+    strikes INTEGER NOT NULL DEFAULT 0,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    removed_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (address) REFERENCES users(address)
+);
+
+-- ZK credentials: commitments to a user's indexed history, issued by the backend
+CREATE TABLE IF NOT EXISTS zk_credentials (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_address VARCHAR(42) NOT NULL,
+    commitment VARCHAR(80) UNIQUE NOT NULL,
+    score INTEGER NOT NULL,
+    completed_orders INTEGER NOT NULL,
+    lost_disputes INTEGER NOT NULL,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    FOREIGN KEY (user_address) REFERENCES users(address)
+);
+
+-- Verified eligibility proofs; users.is_verified follows the active ones
+CREATE TABLE IF NOT EXISTS zk_verifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_address VARCHAR(42) NOT NULL,
+    credential_id UUID NOT NULL,
+    min_score INTEGER NOT NULL,
+    min_completed_orders INTEGER NOT NULL,
+    max_lost_disputes BIGINT NOT NULL,
+    proof JSONB NOT NULL,
+    public_signals JSONB NOT NULL,
+    verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    FOREIGN KEY (user_address) REFERENCES users(address),
+    FOREIGN KEY (credential_id) REFERENCES zk_credentials(id)
+);
+
+-- SIWE nonces handed out by /api/auth/nonce; each one signs in once
+CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce VARCHAR(64) PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
 -- Events table for blockchain event tracking
 CREATE TABLE IF NOT EXISTS events (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Insertion order; the event ID live-update clients resume from
+    seq BIGSERIAL UNIQUE NOT NULL,
     block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    block_timestamp TIMESTAMP,
     transaction_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract_name VARCHAR(50) NOT NULL,
     event_name VARCHAR(50) NOT NULL,
     event_data JSONB,
     processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(transaction_hash, event_name)
+    UNIQUE(transaction_hash, log_index)
+);
+
+-- Events whose projection failed; replayed by `npm run replay`
+CREATE TABLE IF NOT EXISTS dead_letter_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID UNIQUE NOT NULL,
+    contract_name VARCHAR(50) NOT NULL,
+    event_name VARCHAR(50) NOT NULL,
+    error TEXT NOT NULL,
+    failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+);
+
+-- Indexer checkpoints: the last processed block and its hash, plus recent
+-- history so a reorg can be rolled back to a common ancestor
+CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+    block_number BIGINT PRIMARY KEY,
+    block_hash VARCHAR(66) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Reputation history table
@@ -89,11 +304,35 @@ CREATE INDEX IF NOT EXISTS idx_users_address ON users(address);
 CREATE INDEX IF NOT EXISTS idx_orders_buyer ON orders(buyer_address);
 CREATE INDEX IF NOT EXISTS idx_orders_seller ON orders(seller_address);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_orders_created ON orders(created_at, order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_amount ON orders(amount_wei, order_id);
+-- Full-text search on descriptions (GET /api/orders?q=)
+CREATE INDEX IF NOT EXISTS idx_orders_description_search
+    ON orders USING GIN (to_tsvector('english', COALESCE(description, '')));
+CREATE INDEX IF NOT EXISTS idx_orders_listing ON orders(listing_id);
+CREATE INDEX IF NOT EXISTS idx_listings_seller ON listings(seller_address);
+CREATE INDEX IF NOT EXISTS idx_listings_category ON listings(category);
+CREATE INDEX IF NOT EXISTS idx_listings_created ON listings(created_at, listing_id);
+CREATE INDEX IF NOT EXISTS idx_listings_price ON listings(price_wei, listing_id);
+CREATE INDEX IF NOT EXISTS idx_listings_description_search
+    ON listings USING GIN (to_tsvector('english', description));
 CREATE INDEX IF NOT EXISTS idx_disputes_order ON disputes(order_id);
 CREATE INDEX IF NOT EXISTS idx_disputes_status ON disputes(status);
+CREATE INDEX IF NOT EXISTS idx_disputes_created ON disputes(created_at, dispute_id);
+CREATE INDEX IF NOT EXISTS idx_evidence_dispute ON evidence(dispute_id);
+CREATE INDEX IF NOT EXISTS idx_evidence_blobs_uploader ON evidence_blobs(uploaded_by, created_at);
+CREATE INDEX IF NOT EXISTS idx_terms_reveals_order ON order_terms_reveals(order_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews(reviewee_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewer ON reviews(reviewer_address);
+CREATE INDEX IF NOT EXISTS idx_panel_members_arbitrator ON dispute_panel_members(arbitrator_address);
 CREATE INDEX IF NOT EXISTS idx_events_block ON events(block_number);
 CREATE INDEX IF NOT EXISTS idx_events_name ON events(event_name);
+CREATE INDEX IF NOT EXISTS idx_events_order ON events((event_data->>'orderId'));
+CREATE INDEX IF NOT EXISTS idx_events_listing ON events((event_data->>'listingId'));
+CREATE INDEX IF NOT EXISTS idx_events_payee ON events((event_data->>'payee'));
 CREATE INDEX IF NOT EXISTS idx_reputation_user ON reputation_history(user_address);
+CREATE INDEX IF NOT EXISTS idx_zk_credentials_user ON zk_credentials(user_address);
+CREATE INDEX IF NOT EXISTS idx_zk_verifications_user ON zk_verifications(user_address);
 
 -- Triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -110,6 +349,17 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_listings_updated_at BEFORE UPDATE ON listings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Native ETH is always accepted
+INSERT INTO payment_tokens (address, symbol, decimals, is_allowed)
+VALUES ('0x0000000000000000000000000000000000000000', 'ETH', 18, true)
+ON CONFLICT (address) DO NOTHING;
+
 -- Insert default admin user (optional)
 INSERT INTO users (address, reputation_score, is_verified) 
 VALUES ('0x0000000000000000000000000000000000000000', 100, true)
@@ -1,44 +1,187 @@
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const cookieParser = require('cookie-parser');
+const { ethers } = require('ethers');
+const { pool } = require('./db');
+const reputation = require('./reputation');
+const { ZKVerification, VerificationError } = require('../zk/verification');
+const { ARTIFACTS } = require('../zk/eligibility');
+const auth = require('./auth');
+const query = require('./query');
+const { RealtimeServer } = require('./realtime');
+const evidence = require('./evidence');
+const terms = require('./terms');
+const reviews = require('./reviews');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Database connection
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'zk_marketplace',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
+// Middleware. Session cookies need credentialed CORS from the frontend.
+app.use(cors({ origin: process.env.FRONTEND_URL || 'http://localhost:3000', credentials: true }));
+// Evidence uploads are the file itself, whatever its type, so they skip the JSON parser
+app.use('/api/evidence', express.raw({ type: () => true, limit: evidence.MAX_UPLOAD_BYTES }));
+app.use(express.json());
+app.use(cookieParser());
+app.use(auth.authenticate);
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545');
+const { isArbitrator, isMainArbitrator, requireArbitrator } = auth.createArbitratorCheck(
+  provider,
+  process.env.DISPUTE_CONTRACT_ADDRESS || '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+);
+
+const evidenceService = new evidence.EvidenceService(pool, {
+  encryptionKey: process.env.EVIDENCE_ENCRYPTION_KEY,
+  isArbitrator
 });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Turn auth, query, verification and evidence errors into their status codes, anything else into a 500
+function handleError(res, error, context) {
+  if (
+    error instanceof auth.AuthError ||
+    error instanceof query.QueryError ||
+    error instanceof VerificationError ||
+    error instanceof evidence.EvidenceError ||
+    error instanceof terms.TermsError ||
+    error instanceof reviews.ReviewError
+  ) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+// With an issuer key and verifier address, credentials are also signed for
+// use with ZKMarketplace.fundOrderWithProof
+const zkVerification = new ZKVerification(pool, {
+  issuer: process.env.ISSUER_PRIVATE_KEY ? new ethers.Wallet(process.env.ISSUER_PRIVATE_KEY) : null,
+  chainId: parseInt(process.env.CHAIN_ID || '1337'),
+  verifierAddress: process.env.ELIGIBILITY_VERIFIER_ADDRESS
+});
+
+// Expire verification flags whose proofs have lapsed
+const VERIFICATION_SWEEP_MS = 60 * 1000;
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Get all users
+// Nonce to embed in a SIWE message
+app.get('/api/auth/nonce', async (req, res) => {
+  try {
+    res.json({ nonce: await auth.issueNonce(pool) });
+  } catch (error) {
+    handleError(res, error, 'issuing nonce');
+  }
+});
+
+// Exchange a signed SIWE message for a session
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    const session = await auth.signIn(pool, message, signature);
+    
+    res.cookie(auth.SESSION_COOKIE, session.token, auth.sessionCookieOptions());
+    res.json({ ...session, isArbitrator: await isArbitrator(session.address) });
+  } catch (error) {
+    handleError(res, error, 'signing in');
+  }
+});
+
+// Current session
+app.get('/api/auth/me', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ address: req.user.address, isArbitrator: await isArbitrator(req.user.address) });
+  } catch (error) {
+    handleError(res, error, 'fetching session');
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  res.clearCookie(auth.SESSION_COOKIE);
+  res.json({ ok: true });
+});
+
+// List endpoints take ?limit= and ?cursor= (the previous page's nextCursor),
+// ?sort=field or ?sort=-field, and the filters below; see backend/query.js
+const ORDER_STATUSES = ['pending', 'funded', 'delivered', 'disputed', 'resolved', 'completed', 'cancelled', 'refunded'];
+const DISPUTE_STATUSES = ['open', 'under_review', 'resolved', 'cancelled'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ORDER_SORTS = {
+  created_at: { column: 'o.created_at', type: 'timestamp' },
+  updated_at: { column: 'o.updated_at', type: 'timestamp' },
+  amount: { column: 'o.amount_wei', type: 'numeric' },
+  order_id: { column: 'o.order_id', type: 'bigint' }
+};
+const DISPUTE_SORTS = {
+  created_at: { column: 'd.created_at', type: 'timestamp' },
+  order_id: { column: 'd.dispute_id', type: 'bigint' }
+};
+const RULING_SORTS = {
+  resolved_at: { column: 'd.resolved_at', type: 'timestamp' }
+};
+const USER_SORTS = {
+  created_at: { column: 'u.created_at', type: 'timestamp' },
+  reputation: { column: 'u.reputation_score', type: 'integer' }
+};
+const LISTING_SORTS = {
+  created_at: { column: 'l.created_at', type: 'timestamp' },
+  price: { column: 'l.price_wei', type: 'numeric' },
+  listing_id: { column: 'l.listing_id', type: 'bigint' }
+};
+const REVIEW_SORTS = {
+  created_at: { column: 'r.created_at', type: 'timestamp' },
+  rating: { column: 'r.rating', type: 'integer' }
+};
+const EVENT_SORTS = {
+  block: { column: 'e.block_number', type: 'bigint' }
+};
+
+// Must match idx_orders_description_search in schema.sql
+const ORDER_SEARCH_VECTOR = "to_tsvector('english', COALESCE(o.description, ''))";
+// Must match idx_listings_description_search
+const LISTING_SEARCH_VECTOR = "to_tsvector('english', l.description)";
+
+// Whether a panel was drawn for dispute `d`
+const HAS_PANEL = 'EXISTS (SELECT 1 FROM dispute_panel_members p WHERE p.dispute_id = d.dispute_id)';
+
+// Evidence of dispute `d` whose on-chain hash doesn't resolve to an upload
+// (yet), so arbitrators can't open it
+const UNRESOLVED_EVIDENCE = `SELECT COUNT(*)::int FROM evidence e WHERE e.dispute_id = d.dispute_id
+  AND NOT EXISTS (SELECT 1 FROM evidence_blobs b WHERE b.cid = e.evidence_cid)`;
+
+// Get users, e.g. ?verified=true&minScore=50&sort=-reputation
 app.get('/api/users', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM users ORDER BY created_at DESC');
-    res.json(result.rows);
+    const params = req.query;
+    const conditions = new query.Conditions()
+      .add('u.is_verified = ?', query.parseBoolean(params.verified, 'verified'))
+      .add('u.reputation_score >= ?', query.parseInteger(params.minScore, 'minScore', { min: -2147483648, max: 2147483647 }))
+      .add('u.reputation_score <= ?', query.parseInteger(params.maxScore, 'maxScore', { min: -2147483648, max: 2147483647 }))
+      .add('u.created_at >= ?', query.parseDate(params.createdAfter, 'createdAfter'))
+      .add('u.created_at < ?', query.parseDate(params.createdBefore, 'createdBefore'));
+    
+    res.json(await query.paginate(pool, {
+      select: 'u.*',
+      from: 'users u',
+      conditions,
+      sort: query.parseSort(params.sort, USER_SORTS),
+      tiebreak: { column: 'u.address', type: 'varchar' },
+      cursor: params.cursor,
+      limit: query.parseLimit(params.limit)
+    }));
   } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'fetching users');
   }
 });
 
 // Get user by address
 app.get('/api/users/:address', async (req, res) => {
   try {
-    const { address } = req.params;
+    const address = query.parseAddress(req.params.address, 'address');
     const result = await pool.query('SELECT * FROM users WHERE address = $1', [address]);
     
     if (result.rows.length === 0) {
@@ -47,56 +190,339 @@ app.get('/api/users/:address', async (req, res) => {
     
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'fetching user');
   }
 });
 
-// Create or update user
-app.post('/api/users', async (req, res) => {
+// Get user's reputation score, tier and full history
+app.get('/api/users/:address/reputation', async (req, res) => {
   try {
-    const { address, reputation_score = 0, is_verified = false } = req.body;
+    const result = await reputation.getReputation(pool, query.parseAddress(req.params.address, 'address'));
+    
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'fetching reputation');
+  }
+});
+
+// Get reputation tiers
+app.get('/api/reputation/tiers', (req, res) => {
+  res.json(reputation.TIERS);
+});
+
+// Get payouts credited to a user and not yet withdrawn, per contract and token.
+// Derived from the indexed PaymentCredited/PaymentWithdrawn events; the
+// DisputeResolution contract only holds ETH, so its events carry no token.
+app.get('/api/users/:address/balances', async (req, res) => {
+  try {
+    const address = query.parseAddress(req.params.address, 'address');
     const result = await pool.query(
-      `INSERT INTO users (address, reputation_score, is_verified) 
-       VALUES ($1, $2, $3) 
+      `SELECT e.contract_name,
+              COALESCE(e.event_data->>'token', '0x0000000000000000000000000000000000000000') AS token,
+              t.symbol AS token_symbol,
+              t.decimals AS token_decimals,
+              SUM(CASE WHEN e.event_name = 'PaymentCredited'
+                       THEN (e.event_data->>'amount')::numeric
+                       ELSE -(e.event_data->>'amount')::numeric END) AS pending
+       FROM events e
+       LEFT JOIN payment_tokens t
+         ON t.address = COALESCE(e.event_data->>'token', '0x0000000000000000000000000000000000000000')
+       WHERE e.event_name IN ('PaymentCredited', 'PaymentWithdrawn')
+         AND e.event_data->>'payee' = $1
+       GROUP BY e.contract_name, 2, t.symbol, t.decimals
+       HAVING SUM(CASE WHEN e.event_name = 'PaymentCredited'
+                       THEN (e.event_data->>'amount')::numeric
+                       ELSE -(e.event_data->>'amount')::numeric END) > 0
+       ORDER BY e.contract_name, 2`,
+      [address]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    handleError(res, error, 'fetching balances');
+  }
+});
+
+// Orders (alias o) `address` took part in, as buyer, seller or either
+function partyConditions(params) {
+  const address = query.parseAddress(params.address, 'address');
+  const role = query.parseEnum(params.role, 'role', ['buyer', 'seller']);
+  
+  const conditions = new query.Conditions();
+  if (role === 'buyer') return conditions.add('o.buyer_address = ?', address);
+  if (role === 'seller') return conditions.add('o.seller_address = ?', address);
+  return conditions.add('(o.buyer_address = ? OR o.seller_address = ?)', address);
+}
+
+// Get a user's orders; ?role=buyer or ?role=seller plus the /api/orders filters
+app.get('/api/users/:address/orders', async (req, res) => {
+  try {
+    res.json(await listOrders(req.query, partyConditions({ ...req.query, ...req.params })));
+  } catch (error) {
+    handleError(res, error, 'fetching user orders');
+  }
+});
+
+// Get disputes over a user's orders; ?role=buyer or ?role=seller plus the /api/disputes filters
+app.get('/api/users/:address/disputes', async (req, res) => {
+  try {
+    res.json(await listDisputes(req.query, partyConditions({ ...req.query, ...req.params })));
+  } catch (error) {
+    handleError(res, error, 'fetching user disputes');
+  }
+});
+
+// Get a user's trading stats. Volume counts completed orders and, like fees,
+// is reported per payment token; feesPaid is the platform fee withheld from
+// the user's completed sales. avgConfirmationSeconds is how long the user
+// took as a buyer to confirm after delivery (or funding, if never marked
+// delivered), excluding auto-released orders.
+app.get('/api/users/:address/stats', async (req, res) => {
+  try {
+    const address = query.parseAddress(req.params.address, 'address');
+    const user = await pool.query('SELECT address FROM users WHERE address = $1', [address]);
+    
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const counts = await pool.query(
+      `SELECT COUNT(*) AS total_orders,
+              COUNT(*) FILTER (WHERE o.buyer_address = $1) AS orders_as_buyer,
+              COUNT(*) FILTER (WHERE o.seller_address = $1) AS orders_as_seller,
+              COUNT(*) FILTER (WHERE o.status = 'completed') AS completed_orders,
+              COUNT(*) FILTER (WHERE o.status IN ('cancelled', 'refunded')) AS cancelled_orders,
+              COUNT(*) FILTER (WHERE o.funded_at IS NOT NULL) AS funded_orders,
+              COUNT(d.dispute_id) AS disputed_orders,
+              AVG(EXTRACT(EPOCH FROM o.confirmed_at - COALESCE(o.delivered_at, o.funded_at)))
+                FILTER (WHERE o.buyer_address = $1 AND o.status = 'completed' AND NOT o.auto_released)
+                AS avg_confirmation_seconds
+       FROM orders o
+       LEFT JOIN disputes d ON d.order_id = o.order_id
+       WHERE o.buyer_address = $1 OR o.seller_address = $1`,
+      [address]
+    );
+    
+    const tokens = await pool.query(
+      `SELECT o.payment_token AS token, t.symbol, t.decimals,
+              COALESCE(SUM(o.amount_wei) FILTER (WHERE o.buyer_address = $1), 0) AS bought,
+              COALESCE(SUM(o.amount_wei) FILTER (WHERE o.seller_address = $1), 0) AS sold,
+              COALESCE(SUM(o.platform_fee) FILTER (WHERE o.seller_address = $1), 0) AS fees_paid
+       FROM orders o
+       LEFT JOIN payment_tokens t ON o.payment_token = t.address
+       WHERE (o.buyer_address = $1 OR o.seller_address = $1) AND o.status = 'completed'
+       GROUP BY o.payment_token, t.symbol, t.decimals
+       ORDER BY t.symbol`,
+      [address]
+    );
+    
+    const stats = counts.rows[0];
+    const fundedOrders = Number(stats.funded_orders);
+    res.json({
+      address,
+      totalOrders: Number(stats.total_orders),
+      ordersAsBuyer: Number(stats.orders_as_buyer),
+      ordersAsSeller: Number(stats.orders_as_seller),
+      completedOrders: Number(stats.completed_orders),
+      cancelledOrders: Number(stats.cancelled_orders),
+      disputedOrders: Number(stats.disputed_orders),
+      disputeRate: fundedOrders > 0 ? Number(stats.disputed_orders) / fundedOrders : null,
+      avgConfirmationSeconds: stats.avg_confirmation_seconds === null ? null : Math.round(Number(stats.avg_confirmation_seconds)),
+      tokens: tokens.rows.map((row) => ({
+        token: row.token,
+        symbol: row.symbol,
+        decimals: row.decimals,
+        bought: row.bought,
+        sold: row.sold,
+        feesPaid: row.fees_paid
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching user stats');
+  }
+});
+
+// Get user's ZK verification status and results
+app.get('/api/users/:address/verification', async (req, res) => {
+  try {
+    const address = query.parseAddress(req.params.address, 'address');
+    const user = await pool.query('SELECT address, is_verified FROM users WHERE address = $1', [address]);
+    
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const verifications = await zkVerification.getVerifications(address);
+    res.json({ ...user.rows[0], verifications });
+  } catch (error) {
+    handleError(res, error, 'fetching verification');
+  }
+});
+
+// Register the signed-in user. Reputation and verification status are derived
+// from on-chain outcomes and ZK proofs and can't be set by clients.
+app.post('/api/users', auth.requireAuth, async (req, res) => {
+  try {
+    const address = auth.sessionAddress(req, req.body.address);
+    
+    const result = await pool.query(
+      `INSERT INTO users (address) 
+       VALUES ($1) 
        ON CONFLICT (address) 
-       DO UPDATE SET reputation_score = $2, is_verified = $3, updated_at = CURRENT_TIMESTAMP
+       DO UPDATE SET updated_at = CURRENT_TIMESTAMP
        RETURNING *`,
-      [address, reputation_score, is_verified]
+      [address]
     );
     
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error creating/updating user:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'creating/updating user');
+  }
+});
+
+// Public key the user's private order terms are encrypted to
+app.get('/api/users/:address/encryption-key', async (req, res) => {
+  try {
+    const address = query.parseAddress(req.params.address, 'address');
+    const result = await pool.query(
+      'SELECT address, public_key, updated_at FROM encryption_keys WHERE address = $1',
+      [address]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No encryption key registered' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleError(res, error, 'fetching encryption key');
+  }
+});
+
+// Register the signed-in user's encryption key (derived in the browser, see
+// frontend/lib/terms.js)
+app.put('/api/users/:address/encryption-key', auth.requireAuth, async (req, res) => {
+  try {
+    const address = auth.sessionAddress(req, req.params.address);
+    const publicKey = terms.parsePublicKey(req.body.publicKey);
+    
+    const result = await pool.query(
+      `INSERT INTO encryption_keys (address, public_key)
+       VALUES ($1, $2)
+       ON CONFLICT (address)
+       DO UPDATE SET public_key = $2, updated_at = CURRENT_TIMESTAMP
+       RETURNING address, public_key, updated_at`,
+      [address, publicKey]
+    );
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleError(res, error, 'registering encryption key');
   }
 });
 
-// Get all orders
+// Arbitrators can revoke a user's credentials and verification results
+app.post('/api/users/:address/verification/revoke', requireArbitrator, async (req, res) => {
+  try {
+    const address = query.parseAddress(req.params.address, 'address');
+    const user = await pool.query('SELECT address FROM users WHERE address = $1', [address]);
+    
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await zkVerification.revokeVerification(address);
+    console.log(`🚫 Verification of ${address} revoked by ${req.user.address}`);
+    res.json({ address, revoked: true });
+  } catch (error) {
+    handleError(res, error, 'revoking verification');
+  }
+});
+
+// Orders page for the given filters, narrowed further by `conditions`.
+// Amounts are in the token's smallest unit; q is a web-style full-text search.
+function listOrders(params, conditions = new query.Conditions()) {
+  conditions
+    .add('o.buyer_address = ?', query.parseAddress(params.buyer, 'buyer'))
+    .add('o.seller_address = ?', query.parseAddress(params.seller, 'seller'))
+    .add('o.status = ?', query.parseEnum(params.status, 'status', ORDER_STATUSES))
+    .add('o.payment_token = ?', query.parseAddress(params.token, 'token'))
+    .add('o.amount_wei >= ?', query.parseInteger(params.minAmount, 'minAmount', { max: ethers.MaxUint256 }))
+    .add('o.amount_wei <= ?', query.parseInteger(params.maxAmount, 'maxAmount', { max: ethers.MaxUint256 }))
+    .add('o.created_at >= ?', query.parseDate(params.createdAfter, 'createdAfter'))
+    .add('o.created_at < ?', query.parseDate(params.createdBefore, 'createdBefore'))
+    .add('o.listing_id = ?', query.parseInteger(params.listing, 'listing'))
+    .add(`${ORDER_SEARCH_VECTOR} @@ websearch_to_tsquery('english', ?)`, query.parseText(params.q, 'q'));
+  
+  return query.paginate(pool, {
+    select: 'o.*, t.symbol as token_symbol, t.decimals as token_decimals',
+    from: 'orders o LEFT JOIN payment_tokens t ON o.payment_token = t.address',
+    conditions,
+    sort: query.parseSort(params.sort, ORDER_SORTS),
+    tiebreak: { column: 'o.order_id', type: 'bigint' },
+    cursor: params.cursor,
+    limit: query.parseLimit(params.limit)
+  });
+}
+
+// Disputes page for the given filters, narrowed further by `conditions`
+function listDisputes(params, conditions = new query.Conditions()) {
+  conditions
+    .add('d.status = ?', query.parseEnum(params.status, 'status', DISPUTE_STATUSES))
+    .add('d.raised_by = ?', query.parseAddress(params.raisedBy, 'raisedBy'))
+    .add('o.buyer_address = ?', query.parseAddress(params.buyer, 'buyer'))
+    .add('o.seller_address = ?', query.parseAddress(params.seller, 'seller'))
+    .add(
+      'EXISTS (SELECT 1 FROM dispute_panel_members m WHERE m.dispute_id = d.dispute_id AND m.arbitrator_address = ?)',
+      query.parseAddress(params.panelMember, 'panelMember')
+    )
+    .add('o.amount_wei >= ?', query.parseInteger(params.minAmount, 'minAmount', { max: ethers.MaxUint256 }))
+    .add('o.amount_wei <= ?', query.parseInteger(params.maxAmount, 'maxAmount', { max: ethers.MaxUint256 }))
+    .add('d.created_at >= ?', query.parseDate(params.createdAfter, 'createdAfter'))
+    .add('d.created_at < ?', query.parseDate(params.createdBefore, 'createdBefore'))
+    .add(`((${UNRESOLVED_EVIDENCE}) > 0) = ?`, query.parseBoolean(params.unresolvedEvidence, 'unresolvedEvidence'));
+  
+  return query.paginate(pool, {
+    select: `d.*, o.description as order_description, (${UNRESOLVED_EVIDENCE}) AS unresolved_evidence`,
+    from: 'disputes d LEFT JOIN orders o ON d.order_id = o.order_id',
+    conditions,
+    sort: query.parseSort(params.sort, DISPUTE_SORTS),
+    tiebreak: { column: 'd.dispute_id', type: 'bigint' },
+    cursor: params.cursor,
+    limit: query.parseLimit(params.limit)
+  });
+}
+
+// Get orders, e.g. ?seller=0x...&status=funded&minAmount=1000000&q=laptop&sort=-amount
 app.get('/api/orders', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT o.*, 
-             b.address as buyer_address, 
-             s.address as seller_address
-      FROM orders o
-      LEFT JOIN users b ON o.buyer_address = b.address
-      LEFT JOIN users s ON o.seller_address = s.address
-      ORDER BY o.created_at DESC
-    `);
-    res.json(result.rows);
+    res.json(await listOrders(req.query));
   } catch (error) {
-    console.error('Error fetching orders:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'fetching orders');
   }
 });
 
 // Get order by ID
+// `id` is the on-chain order ID or the row's UUID
 app.get('/api/orders/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query('SELECT * FROM orders WHERE id = $1', [id]);
+    const column = /^\d+$/.test(id) ? 'o.order_id' : 'o.id';
+    if (column === 'o.order_id') {
+      query.parseInteger(id, 'id');
+    } else if (!UUID_PATTERN.test(id)) {
+      throw new query.QueryError('id must be an order ID or a UUID');
+    }
+    const result = await pool.query(
+      `SELECT o.*, t.symbol as token_symbol, t.decimals as token_decimals
+       FROM orders o
+       LEFT JOIN payment_tokens t ON o.payment_token = t.address
+       WHERE ${column} = $1`,
+      [id]
+    );
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Order not found' });
@@ -104,53 +530,652 @@ app.get('/api/orders/:id', async (req, res) => {
     
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error fetching order:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'fetching order');
+  }
+});
+
+const LISTING_SELECT = `l.*, t.symbol as token_symbol, t.decimals as token_decimals,
+                        u.reputation_score as seller_reputation`;
+const LISTING_FROM = `listings l
+                      LEFT JOIN payment_tokens t ON l.payment_token = t.address
+                      LEFT JOIN users u ON l.seller_address = u.address`;
+
+// Get listings, e.g. ?category=electronics&inStock=true&availableTo=0x...&sort=price.
+// availableTo keeps listings open to anyone or reserved for that address;
+// prices are in the token's smallest unit.
+app.get('/api/listings', async (req, res) => {
+  try {
+    const params = req.query;
+    const conditions = new query.Conditions()
+      .add('l.category = ?', query.parseText(params.category, 'category', 32))
+      .add('l.seller_address = ?', query.parseAddress(params.seller, 'seller'))
+      .add('l.buyer_address = ?', query.parseAddress(params.buyer, 'buyer'))
+      .add(`l.buyer_address IN ('${ethers.ZeroAddress}', ?)`, query.parseAddress(params.availableTo, 'availableTo'))
+      .add('l.payment_token = ?', query.parseAddress(params.token, 'token'))
+      .add('l.is_active = ?', query.parseBoolean(params.active, 'active'))
+      .add('(l.stock > 0) = ?', query.parseBoolean(params.inStock, 'inStock'))
+      .add('l.price_wei >= ?', query.parseInteger(params.minPrice, 'minPrice', { max: ethers.MaxUint256 }))
+      .add('l.price_wei <= ?', query.parseInteger(params.maxPrice, 'maxPrice', { max: ethers.MaxUint256 }))
+      .add(`${LISTING_SEARCH_VECTOR} @@ websearch_to_tsquery('english', ?)`, query.parseText(params.q, 'q'));
+    
+    res.json(await query.paginate(pool, {
+      select: LISTING_SELECT,
+      from: LISTING_FROM,
+      conditions,
+      sort: query.parseSort(params.sort, LISTING_SORTS),
+      tiebreak: { column: 'l.listing_id', type: 'bigint' },
+      cursor: params.cursor,
+      limit: query.parseLimit(params.limit)
+    }));
+  } catch (error) {
+    handleError(res, error, 'fetching listings');
+  }
+});
+
+// Categories with active, in-stock listings, for the catalog's filters
+app.get('/api/listings/categories', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT category, COUNT(*)::int AS listings
+       FROM listings
+       WHERE is_active AND stock > 0
+       GROUP BY category
+       ORDER BY category`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    handleError(res, error, 'fetching listing categories');
+  }
+});
+
+// Get listing by on-chain listing ID; its orders are /api/orders?listing=<id>
+app.get('/api/listings/:id', async (req, res) => {
+  try {
+    const listingId = query.parseInteger(req.params.id, 'id');
+    const result = await pool.query(
+      `SELECT ${LISTING_SELECT} FROM ${LISTING_FROM} WHERE l.listing_id = $1`,
+      [listingId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleError(res, error, 'fetching listing');
+  }
+});
+
+// A private order by on-chain ID, with its terms commitment
+async function findPrivateOrder(id) {
+  const orderId = query.parseInteger(id, 'id');
+  const result = await pool.query(
+    'SELECT order_id, buyer_address, seller_address, status, terms_commitment FROM orders WHERE order_id = $1',
+    [orderId]
+  );
+  if (result.rows.length === 0) {
+    throw new terms.TermsError('Order not found', 404);
+  }
+  if (!result.rows[0].terms_commitment) {
+    throw new terms.TermsError('Order has public terms', 404);
+  }
+  return result.rows[0];
+}
+
+function isParty(order, address) {
+  return [order.buyer_address, order.seller_address].some((party) => party.toLowerCase() === address.toLowerCase());
+}
+
+// Store a private order's encrypted terms. The seller does this before
+// sending createPrivateOrder, so the commitment isn't public yet; the first
+// envelope stored for a commitment is kept.
+app.post('/api/terms', auth.requireAuth, async (req, res) => {
+  try {
+    const { commitment } = req.body;
+    if (!ethers.isHexString(commitment, 32)) {
+      throw new terms.TermsError('commitment must be a bytes32 hash');
+    }
+    const envelope = terms.parseEnvelope(req.body.envelope);
+    if (!envelope.recipients[req.user.address]) {
+      throw new terms.TermsError('The terms must be encrypted to your own key too');
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO order_terms (commitment, envelope, stored_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (commitment) DO NOTHING
+       RETURNING commitment, stored_by, created_at`,
+      [commitment.toLowerCase(), JSON.stringify(envelope), req.user.address]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Terms are already stored for this commitment' });
+    }
+    
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    handleError(res, error, 'storing order terms');
+  }
+});
+
+// A private order's terms commitment and encrypted terms. Only the
+// recipients' keys can open the envelope, so it isn't access controlled.
+app.get('/api/orders/:id/terms', async (req, res) => {
+  try {
+    const order = await findPrivateOrder(req.params.id);
+    const stored = await pool.query(
+      'SELECT envelope, stored_by, created_at FROM order_terms WHERE commitment = $1',
+      [order.terms_commitment.toLowerCase()]
+    );
+    
+    res.json({
+      orderId: order.order_id,
+      commitment: order.terms_commitment,
+      ...(stored.rows[0] || { envelope: null, stored_by: null, created_at: null })
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching order terms');
+  }
+});
+
+// Disclose some of a private order's terms fields to the arbitrators once it's
+// disputed. Body: { leaves, fields: [{ index, name, value, salt }] }, checked
+// against the order's commitment.
+app.post('/api/orders/:id/terms/reveals', auth.requireAuth, async (req, res) => {
+  try {
+    const order = await findPrivateOrder(req.params.id);
+    if (!isParty(order, req.user.address)) {
+      throw new terms.TermsError('Only the buyer or seller can reveal the terms', 403);
+    }
+    const dispute = await pool.query('SELECT 1 FROM disputes WHERE dispute_id = $1', [order.order_id]);
+    if (dispute.rows.length === 0) {
+      throw new terms.TermsError('Terms can only be revealed once the order is disputed', 409);
+    }
+    const reveal = terms.verifyReveal(order.terms_commitment, req.body);
+    
+    const result = await pool.query(
+      `INSERT INTO order_terms_reveals (order_id, revealed_by, leaves, fields)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [order.order_id, req.user.address, JSON.stringify(reveal.leaves), JSON.stringify(reveal.fields)]
+    );
+    
+    console.log(`🔓 ${req.user.address} revealed ${reveal.fields.length} terms field(s) of order ${order.order_id}`);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    handleError(res, error, 'revealing order terms');
+  }
+});
+
+// Arbitrators who can rule on the order's dispute: its panel, and the main
+// arbitrator, who rules when the panel deadlocks or can't be drawn
+async function isAssignedArbitrator(order, address) {
+  if (await isMainArbitrator(address)) return true;
+  if (!(await isArbitrator(address))) return false;
+  const member = await pool.query(
+    'SELECT 1 FROM dispute_panel_members WHERE dispute_id = $1 AND arbitrator_address = $2',
+    [order.order_id, address]
+  );
+  return member.rows.length > 0;
+}
+
+// Terms fields revealed for an order, oldest first; for its parties and the
+// arbitrators assigned to its dispute
+app.get('/api/orders/:id/terms/reveals', auth.requireAuth, async (req, res) => {
+  try {
+    const order = await findPrivateOrder(req.params.id);
+    if (!isParty(order, req.user.address) && !(await isAssignedArbitrator(order, req.user.address))) {
+      throw new terms.TermsError('Only the order\'s parties and the arbitrators on its dispute can see revealed terms', 403);
+    }
+    
+    const result = await pool.query(
+      'SELECT * FROM order_terms_reveals WHERE order_id = $1 ORDER BY created_at ASC',
+      [order.order_id]
+    );
+    
+    res.json({ commitment: order.terms_commitment, reveals: result.rows });
+  } catch (error) {
+    handleError(res, error, 'fetching revealed terms');
+  }
+});
+
+// Reviews are signed for this marketplace deployment (see backend/reviews.js)
+const REVIEW_DOMAIN = {
+  marketplace: process.env.MARKETPLACE_ADDRESS || process.env.CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  chainId: parseInt(process.env.CHAIN_ID || '1337')
+};
+
+// Hidden reviews are only listed for arbitrators asking with ?includeHidden=true
+async function includeHiddenReviews(req) {
+  if (!query.parseBoolean(req.query.includeHidden, 'includeHidden')) {
+    return false;
+  }
+  if (!req.user) {
+    throw new auth.AuthError('Sign in required');
+  }
+  if (!(await isArbitrator(req.user.address))) {
+    throw new auth.AuthError('Arbitrator role required', 403);
+  }
+  return true;
+}
+
+// Reviews page for the given filters, narrowed further by `conditions`.
+// ?hidden= only applies when hidden reviews are included.
+function listReviews(params, conditions = new query.Conditions(), { includeHidden = false } = {}) {
+  conditions
+    .add('r.reviewer_address = ?', query.parseAddress(params.reviewer, 'reviewer'))
+    .add('r.reviewee_address = ?', query.parseAddress(params.reviewee, 'reviewee'))
+    .add('r.order_id = ?', query.parseInteger(params.orderId, 'orderId'))
+    .add('r.rating >= ?', query.parseInteger(params.minRating, 'minRating', { max: 32767 }))
+    .add('r.rating <= ?', query.parseInteger(params.maxRating, 'maxRating', { max: 32767 }))
+    .add('r.is_hidden = ?', includeHidden ? query.parseBoolean(params.hidden, 'hidden') : false);
+  
+  return query.paginate(pool, {
+    select: 'r.*',
+    from: 'reviews r',
+    conditions,
+    sort: query.parseSort(params.sort, REVIEW_SORTS),
+    tiebreak: { column: 'r.id', type: 'uuid' },
+    cursor: params.cursor,
+    limit: query.parseLimit(params.limit)
+  });
+}
+
+// Get reviews, e.g. ?reviewee=0x...&minRating=4 or, for arbitrators,
+// ?includeHidden=true&hidden=true to see what has been hidden
+app.get('/api/reviews', async (req, res) => {
+  try {
+    res.json(await listReviews(req.query, undefined, { includeHidden: await includeHiddenReviews(req) }));
+  } catch (error) {
+    handleError(res, error, 'fetching reviews');
+  }
+});
+
+// Get reviews of a user (?role=received, the default) or by them (?role=given)
+app.get('/api/users/:address/reviews', async (req, res) => {
+  try {
+    const address = query.parseAddress(req.params.address, 'address');
+    const role = query.parseEnum(req.query.role, 'role', ['received', 'given']) || 'received';
+    const conditions = new query.Conditions()
+      .add(role === 'received' ? 'r.reviewee_address = ?' : 'r.reviewer_address = ?', address);
+    
+    res.json(await listReviews(req.query, conditions, { includeHidden: await includeHiddenReviews(req) }));
+  } catch (error) {
+    handleError(res, error, 'fetching user reviews');
+  }
+});
+
+// Get a user's average rating and how many reviews gave each rating, from
+// visible reviews only; ?role=seller or ?role=buyer counts reviews of them in that role
+app.get('/api/users/:address/rating', async (req, res) => {
+  try {
+    const address = query.parseAddress(req.params.address, 'address');
+    const role = query.parseEnum(req.query.role, 'role', ['buyer', 'seller']);
+    const conditions = new query.Conditions()
+      .add('reviewee_address = ?', address)
+      // Reviews of a seller are written by the buyer, and the other way round
+      .add('reviewer_role = ?', role && (role === 'seller' ? 'buyer' : 'seller'));
+    
+    const result = await pool.query(
+      `SELECT rating, COUNT(*)::int AS count FROM reviews ${conditions.toSql()} AND NOT is_hidden GROUP BY rating`,
+      conditions.params
+    );
+    
+    const distribution = {};
+    for (let rating = reviews.MIN_RATING; rating <= reviews.MAX_RATING; rating++) {
+      distribution[rating] = 0;
+    }
+    let count = 0;
+    let total = 0;
+    for (const row of result.rows) {
+      distribution[row.rating] = row.count;
+      count += row.count;
+      total += row.rating * row.count;
+    }
+    
+    res.json({ address, role, count, average: count > 0 ? Math.round((total / count) * 100) / 100 : null, distribution });
+  } catch (error) {
+    handleError(res, error, 'fetching user rating');
+  }
+});
+
+// Get the reviews left on an order
+app.get('/api/orders/:id/reviews', async (req, res) => {
+  try {
+    const conditions = new query.Conditions().add('r.order_id = ?', query.parseInteger(req.params.id, 'id'));
+    res.json(await listReviews(req.query, conditions, { includeHidden: await includeHiddenReviews(req) }));
+  } catch (error) {
+    handleError(res, error, 'fetching order reviews');
   }
 });
 
-// Get disputes
+// Review the other party of a completed or resolved order. Body:
+// { reviewer, rating, comment, signature }; the signature stands in for a
+// session, so reviews can be checked by anyone later.
+app.post('/api/orders/:id/reviews', async (req, res) => {
+  try {
+    const orderId = query.parseInteger(req.params.id, 'id');
+    const review = reviews.parseReview(req.body);
+    
+    const order = await pool.query(
+      'SELECT order_id, buyer_address, seller_address, status FROM orders WHERE order_id = $1',
+      [orderId]
+    );
+    if (order.rows.length === 0) {
+      throw new reviews.ReviewError('Order not found', 404);
+    }
+    const { reviewee, role } = reviews.verifyReview(order.rows[0], review, REVIEW_DOMAIN);
+    
+    const result = await pool.query(
+      `INSERT INTO reviews (order_id, reviewer_address, reviewee_address, reviewer_role, rating, comment, signature)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (order_id, reviewer_address) DO NOTHING
+       RETURNING *`,
+      [orderId, review.reviewer, reviewee, role, review.rating, review.comment, review.signature]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'You have already reviewed this order' });
+    }
+    
+    console.log(`⭐ ${review.reviewer} rated ${reviewee} ${review.rating}/${reviews.MAX_RATING} for order ${orderId}`);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    handleError(res, error, 'submitting review');
+  }
+});
+
+// Arbitrators hide a review (with a reason) or restore it. Body: { hidden, reason }
+app.put('/api/reviews/:id/moderation', requireArbitrator, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      throw new reviews.ReviewError('Review not found', 404);
+    }
+    const { hidden, reason } = reviews.parseModeration(req.body);
+    
+    const result = await pool.query(
+      `UPDATE reviews
+       SET is_hidden = $2, moderated_by = $3, moderation_reason = $4, moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id, hidden, req.user.address, reason]
+    );
+    
+    if (result.rows.length === 0) {
+      throw new reviews.ReviewError('Review not found', 404);
+    }
+    
+    console.log(`${hidden ? '🙈' : '👁️ '} Review ${req.params.id} ${hidden ? 'hidden' : 'restored'} by ${req.user.address}`);
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleError(res, error, 'moderating review');
+  }
+});
+
+// Get disputes, e.g. ?status=under_review&buyer=0x... Each has unresolved_evidence,
+// the number of evidence hashes that don't resolve to an upload;
+// ?unresolvedEvidence=true lists only disputes with some
 app.get('/api/disputes', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT d.*, o.description as order_description
-      FROM disputes d
-      LEFT JOIN orders o ON d.order_id = o.order_id
-      ORDER BY d.created_at DESC
-    `);
+    res.json(await listDisputes(req.query));
+  } catch (error) {
+    handleError(res, error, 'fetching disputes');
+  }
+});
+
+// Get dispute for an order, with its evidence trail and unresolved_evidence
+app.get('/api/disputes/:orderId', async (req, res) => {
+  try {
+    const orderId = query.parseInteger(req.params.orderId, 'orderId');
+    const dispute = await pool.query(
+      `SELECT d.*, o.description as order_description, o.buyer_address, o.seller_address,
+              o.amount_wei, o.payment_token, t.symbol as token_symbol, t.decimals as token_decimals,
+              (${UNRESOLVED_EVIDENCE}) AS unresolved_evidence
+       FROM disputes d
+       LEFT JOIN orders o ON d.order_id = o.order_id
+       LEFT JOIN payment_tokens t ON o.payment_token = t.address
+       WHERE d.dispute_id = $1`,
+      [orderId]
+    );
+    
+    if (dispute.rows.length === 0) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    
+    const evidenceRows = await pool.query(
+      'SELECT * FROM evidence WHERE dispute_id = $1 ORDER BY created_at ASC',
+      [orderId]
+    );
+    // Each on-chain hash with the upload it resolves to, or null if there's none
+    const blobs = await evidenceService.resolve(evidenceRows.rows.map((item) => item.evidence_hash));
+    
+    const panel = await pool.query(
+      `SELECT arbitrator_address, committed_at IS NOT NULL AS has_committed, committed_at,
+              buyer_share_bps, revealed_at, penalized
+       FROM dispute_panel_members WHERE dispute_id = $1
+       ORDER BY arbitrator_address`,
+      [orderId]
+    );
+    
+    res.json({
+      ...dispute.rows[0],
+      evidence: evidenceRows.rows.map((item) => ({ ...item, blob: blobs.get(item.evidence_hash) })),
+      panel: panel.rows
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching dispute');
+  }
+});
+
+// Upload an evidence file as the raw request body, with its Content-Type.
+// ?filename=photo.jpg names it; ?private=true&orderId=12 encrypts it for that
+// order's parties and the arbitrators. Needs a session, and each address has
+// a daily upload quota. Responds with the CID to pass as evidenceHash.
+app.post('/api/evidence', auth.requireAuth, async (req, res) => {
+  try {
+    const params = req.query;
+    const { created, blob } = await evidenceService.upload(req.body, {
+      contentType: req.get('content-type'),
+      filename: query.parseText(params.filename, 'filename', 255),
+      uploader: req.user.address,
+      orderId: query.parseInteger(params.orderId, 'orderId'),
+      isPrivate: query.parseBoolean(params.private, 'private') === true
+    });
+    res.status(created ? 201 : 200).json(blob);
+  } catch (error) {
+    handleError(res, error, 'uploading evidence');
+  }
+});
+
+// Metadata for an uploaded CID; 404 means an evidenceHash doesn't resolve
+app.get('/api/evidence/:cid/info', async (req, res) => {
+  try {
+    const row = await evidenceService.find(req.params.cid);
+    if (!row) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+    res.json(evidenceService.describe(row));
+  } catch (error) {
+    handleError(res, error, 'fetching evidence info');
+  }
+});
+
+// The file for a CID, checked against it first. Served sandboxed so uploaded
+// HTML or SVG can't run scripts on the API's origin.
+app.get('/api/evidence/:cid', async (req, res) => {
+  try {
+    const { blob, data } = await evidenceService.read(req.params.cid, req.user ? req.user.address : null);
+    res.set({
+      'Content-Type': blob.contentType,
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'X-Content-Type-Options': 'nosniff',
+      'X-Content-CID': blob.cid,
+      'Cache-Control': blob.private ? 'private, no-store' : 'public, max-age=31536000, immutable',
+      ETag: `"${blob.cid}"`
+    });
+    if (blob.filename) {
+      res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(blob.filename)}`);
+    }
+    res.send(data);
+  } catch (error) {
+    handleError(res, error, 'reading evidence');
+  }
+});
+
+// Get arbitrators
+app.get('/api/arbitrators', async (req, res) => {
+  try {
+    const active = query.parseBoolean(req.query.active, 'active');
+    const result = await pool.query(
+      `SELECT * FROM arbitrators
+       WHERE ($1::boolean IS NULL OR is_active = $1)
+       ORDER BY is_main DESC, added_at ASC`,
+      [active]
+    );
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching disputes:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'fetching arbitrators');
   }
 });
 
-// Get events
-app.get('/api/events', async (req, res) => {
+// Resolved disputes an arbitrator ruled on: their panel vote next to the final
+// ruling, plus deadlocks they broke and disputes no panel was drawn for that
+// they ruled on as main arbitrator
+app.get('/api/arbitrators/:address/rulings', async (req, res) => {
+  try {
+    const params = req.query;
+    const address = query.parseAddress(req.params.address, 'address');
+    const conditions = new query.Conditions();
+    const seat = conditions.param(address);
+    conditions
+      .add('d.status = ?', 'resolved')
+      .add('(m.arbitrator_address IS NOT NULL OR d.ruled_by = ?)', address);
+
+    res.json(await query.paginate(pool, {
+      select: `d.dispute_id, d.order_id, d.reason, d.buyer_share_bps, d.resolution, d.created_at, d.resolved_at,
+               d.ruled_by IS NOT NULL AND d.ruled_by = ${seat} AND ${HAS_PANEL} AS broke_deadlock,
+               d.ruled_by IS NOT NULL AND d.ruled_by = ${seat} AND NOT ${HAS_PANEL} AS ruled_without_panel,
+               m.buyer_share_bps AS vote_bps, m.committed_at, m.revealed_at, COALESCE(m.penalized, FALSE) AS penalized`,
+      from: `disputes d
+             LEFT JOIN dispute_panel_members m ON m.dispute_id = d.dispute_id AND m.arbitrator_address = ${seat}`,
+      conditions,
+      sort: query.parseSort(params.sort, RULING_SORTS),
+      tiebreak: { column: 'd.dispute_id', type: 'bigint' },
+      cursor: params.cursor,
+      limit: query.parseLimit(params.limit)
+    }));
+  } catch (error) {
+    handleError(res, error, 'fetching rulings');
+  }
+});
+
+// Get tokens orders can be priced in (ETH is the zero address)
+app.get('/api/tokens', async (req, res) => {
   try {
-    const { limit = 100, offset = 0 } = req.query;
     const result = await pool.query(
-      'SELECT * FROM events ORDER BY block_number DESC LIMIT $1 OFFSET $2',
-      [limit, offset]
+      'SELECT address, symbol, decimals FROM payment_tokens WHERE is_allowed ORDER BY symbol'
     );
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching events:', error);
+    console.error('Error fetching tokens:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 ZK Marketplace Backend running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔗 API endpoints: http://localhost:${PORT}/api/*`);
+// Issue the signed-in user a ZK credential committing to their indexed history
+app.post('/api/zk/credentials', auth.requireAuth, async (req, res) => {
+  try {
+    const address = auth.sessionAddress(req, req.body.address);
+    const credential = await zkVerification.issueCredential(address);
+    res.status(201).json(credential);
+  } catch (error) {
+    handleError(res, error, 'issuing credential');
+  }
+});
+
+// The circuit's witness generator and proving key, for proving in the
+// browser (frontend/lib/eligibility.js)
+const CIRCUIT_FILES = {
+  'eligibility.wasm': ARTIFACTS.wasm,
+  'eligibility.zkey': ARTIFACTS.zkey
+};
+
+app.get('/api/zk/circuit/:file', (req, res) => {
+  const file = Object.hasOwn(CIRCUIT_FILES, req.params.file) ? CIRCUIT_FILES[req.params.file] : null;
+  if (!file) {
+    return res.status(404).json({ error: 'Unknown circuit file' });
+  }
+  res.sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Circuit not built; run npm run zk:build' });
+    }
+  });
+});
+
+// Verify an eligibility proof, e.g. requirements { minReputation: 50 } or
+// { minOrders: 5, maxLostDisputes: 0 }
+app.post('/api/zk/verify', auth.requireAuth, async (req, res) => {
+  try {
+    const { requirements, proof, publicSignals } = req.body;
+    const address = auth.sessionAddress(req, req.body.address);
+    const verification = await zkVerification.verifyUserRequirements(address, requirements, proof, publicSignals);
+    res.status(201).json(verification);
+  } catch (error) {
+    handleError(res, error, 'verifying proof');
+  }
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down backend server...');
-  await pool.end();
-  process.exit(0);
+// Get indexed events, e.g. ?contract=DisputeResolution&event=DisputeRaised&fromBlock=100,
+// or an order's timeline with ?orderId=3&sort=block
+app.get('/api/events', async (req, res) => {
+  try {
+    const params = req.query;
+    const conditions = new query.Conditions()
+      .add('e.contract_name = ?', query.parseEnum(params.contract, 'contract', ['ZKMarketplace', 'DisputeResolution']))
+      .add('e.event_name = ?', query.parseText(params.event, 'event', 50))
+      .add("e.event_data->>'orderId' = ?", query.parseInteger(params.orderId, 'orderId'))
+      .add('e.block_number >= ?', query.parseInteger(params.fromBlock, 'fromBlock'))
+      .add('e.block_number <= ?', query.parseInteger(params.toBlock, 'toBlock'));
+    
+    res.json(await query.paginate(pool, {
+      select: 'e.*',
+      from: 'events e',
+      conditions,
+      sort: query.parseSort(params.sort, EVENT_SORTS),
+      tiebreak: { column: 'e.log_index', type: 'integer' },
+      cursor: params.cursor,
+      limit: query.parseLimit(params.limit)
+    }));
+  } catch (error) {
+    handleError(res, error, 'fetching events');
+  }
 });
 
+module.exports = { app };
+
+// Start server (tests mount `app` themselves)
+if (require.main === module) {
+  setInterval(() => {
+    zkVerification.refreshVerificationStatus().catch((error) => {
+      console.error('Error refreshing verification status:', error);
+    });
+  }, VERIFICATION_SWEEP_MS);
+
+  const realtimeServer = new RealtimeServer(pool);
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 ZK Marketplace Backend running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/health`);
+    console.log(`🔗 API endpoints: http://localhost:${PORT}/api/*`);
+    realtimeServer.attach(server);
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\n🛑 Shutting down backend server...');
+    await realtimeServer.stop();
+    await pool.end();
+    process.exit(0);
+  });
+}
+
@@ -0,0 +1,134 @@
+const { ethers } = require('ethers');
+
+// Private order terms.
+//
+// A private order's terms are a list of named fields, each with its own
+// random salt. Only the commitment goes on-chain (ZKMarketplace.createPrivateOrder):
+//
+//   leaf_i     = keccak256(abi.encode(string name, string value, bytes32 salt))
+//   commitment = keccak256(leaf_0 ‖ leaf_1 ‖ ... ‖ leaf_n)
+//
+// The full terms are encrypted in the browser (frontend/lib/terms.js) to the
+// buyer's and seller's registered keys, and the backend only stores that
+// envelope. During a dispute a party can reveal some of the fields: all the
+// leaves plus the chosen fields with their salts. Anyone can check those
+// against the on-chain commitment without learning the other fields.
+
+const MAX_FIELDS = 32;
+const MAX_FIELD_LENGTH = 10000;
+const MAX_CIPHERTEXT_BYTES = 256 * 1024;
+
+// Rejected keys, envelopes and reveals; the API turns these into 400 responses
+class TermsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TermsError';
+    this.status = status;
+  }
+}
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+function computeLeaf({ name, value, salt }) {
+  return ethers.keccak256(abiCoder.encode(['string', 'string', 'bytes32'], [name, value, salt]));
+}
+
+function computeCommitment(leaves) {
+  return ethers.keccak256(ethers.concat(leaves));
+}
+
+function isHex(value, bytes) {
+  return ethers.isHexString(value, bytes) && value.length > 2;
+}
+
+// A secp256k1 public key terms can be encrypted to, stored uncompressed
+function parsePublicKey(value) {
+  if (!isHex(value)) {
+    throw new TermsError('publicKey must be a hex secp256k1 public key');
+  }
+  try {
+    return ethers.SigningKey.computePublicKey(value, false);
+  } catch (error) {
+    throw new TermsError('publicKey is not a valid secp256k1 public key');
+  }
+}
+
+// Encrypted terms as the browser produces them:
+// { iv, ciphertext, recipients: { <address>: { ephemeralPublicKey, iv, wrappedKey } } }
+function parseEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object') {
+    throw new TermsError('envelope is required');
+  }
+  const { iv, ciphertext, recipients } = envelope;
+  if (!isHex(iv, 12) || !isHex(ciphertext)) {
+    throw new TermsError('envelope needs a 12 byte iv and a hex ciphertext');
+  }
+  if ((ciphertext.length - 2) / 2 > MAX_CIPHERTEXT_BYTES) {
+    throw new TermsError(`Encrypted terms can be at most ${MAX_CIPHERTEXT_BYTES} bytes`);
+  }
+  if (!recipients || typeof recipients !== 'object' || Object.keys(recipients).length === 0) {
+    throw new TermsError('envelope needs at least one recipient');
+  }
+
+  const parsed = {};
+  for (const [address, key] of Object.entries(recipients)) {
+    if (!ethers.isAddress(address)) {
+      throw new TermsError(`Invalid recipient address ${address}`);
+    }
+    if (!key || !isHex(key.iv, 12) || !isHex(key.wrappedKey) || !isHex(key.ephemeralPublicKey)) {
+      throw new TermsError(`Recipient ${address} needs ephemeralPublicKey, iv and wrappedKey`);
+    }
+    parsed[ethers.getAddress(address)] = {
+      ephemeralPublicKey: parsePublicKey(key.ephemeralPublicKey),
+      iv: key.iv,
+      wrappedKey: key.wrappedKey
+    };
+  }
+  return { iv, ciphertext, recipients: parsed };
+}
+
+// Check a reveal against a commitment and return it normalized:
+// { leaves: [bytes32...], fields: [{ index, name, value, salt }] }
+function verifyReveal(commitment, reveal) {
+  if (!reveal || typeof reveal !== 'object') {
+    throw new TermsError('A reveal needs leaves and fields');
+  }
+  const { leaves, fields } = reveal;
+  if (!Array.isArray(leaves) || leaves.length === 0 || leaves.length > MAX_FIELDS || !leaves.every((leaf) => isHex(leaf, 32))) {
+    throw new TermsError(`leaves must be 1 to ${MAX_FIELDS} bytes32 hashes`);
+  }
+  if (computeCommitment(leaves) !== commitment.toLowerCase()) {
+    throw new TermsError('Leaves do not match the order\'s terms commitment');
+  }
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new TermsError('Reveal at least one field');
+  }
+
+  const seen = new Set();
+  const verified = fields.map((field) => {
+    const { index, name, value, salt } = field || {};
+    if (!Number.isInteger(index) || index < 0 || index >= leaves.length || seen.has(index)) {
+      throw new TermsError(`Invalid or repeated field index ${index}`);
+    }
+    if (typeof name !== 'string' || typeof value !== 'string' || value.length > MAX_FIELD_LENGTH || !isHex(salt, 32)) {
+      throw new TermsError(`Field ${index} needs a name, a value and a bytes32 salt`);
+    }
+    if (computeLeaf({ name, value, salt }) !== leaves[index].toLowerCase()) {
+      throw new TermsError(`Field ${index} does not match its leaf`);
+    }
+    seen.add(index);
+    return { index, name, value, salt };
+  });
+
+  return { leaves: leaves.map((leaf) => leaf.toLowerCase()), fields: verified.sort((a, b) => a.index - b.index) };
+}
+
+module.exports = {
+  MAX_FIELDS,
+  TermsError,
+  computeLeaf,
+  computeCommitment,
+  parsePublicKey,
+  parseEnvelope,
+  verifyReveal
+};
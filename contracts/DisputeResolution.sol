@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
 interface IZKMarketplace {
     enum OrderStatus { Created, Funded, Confirmed, Disputed, Resolved, Cancelled }
     
@@ -14,12 +17,18 @@ interface IZKMarketplace {
         uint256 createdAt;
         uint256 fundedAt;
         uint256 confirmedAt;
+        address token;
     }
     
     function getOrder(uint256 orderId) external view returns (Order memory);
+    function markDisputed(uint256 orderId) external;
+    function clearDispute(uint256 orderId) external;
+    function resolveOrder(uint256 orderId, uint256 buyerShareBps)
+        external
+        returns (uint256 buyerAmount, uint256 sellerAmount, uint256 platformFee);
 }
 
-contract DisputeResolution {
+contract DisputeResolution is ReentrancyGuard {
     // Events
     event DisputeRaised(
         uint256 indexed orderId,
@@ -37,15 +46,57 @@ contract DisputeResolution {
         uint256 timestamp
     );
     
+    // buyerShareBps of the escrow (after the platform fee) goes to the buyer,
+    // the rest to the seller. winner is the party awarded more than half,
+    // address(0) for an even split. ruledBy is the main arbitrator when they
+    // decided, address(0) for a panel ruling.
     event DisputeResolved(
         uint256 indexed orderId,
         address indexed winner,
+        address ruledBy,
+        uint256 buyerShareBps,
+        uint256 buyerAmount,
+        uint256 sellerAmount,
+        uint256 platformFee,
+        uint256 disputeFeeRefund,
         string resolution,
         uint256 timestamp
     );
     
+    event DisputeCancelled(uint256 indexed orderId, uint256 timestamp);
+    
+    event PaymentCredited(address indexed payee, uint256 amount);
+    
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+    
+    event PanelAssigned(
+        uint256 indexed orderId,
+        address[] panel,
+        uint256 commitDeadline,
+        uint256 revealDeadline
+    );
+    
+    event VoteCommitted(
+        uint256 indexed orderId,
+        address indexed arbitrator,
+        bytes32 commitment,
+        uint256 timestamp
+    );
+    
+    event VoteRevealed(
+        uint256 indexed orderId,
+        address indexed arbitrator,
+        uint256 buyerShareBps,
+        uint256 timestamp
+    );
+    
+    event ArbitratorPenalized(uint256 indexed orderId, address indexed arbitrator, uint256 strikes);
+    
+    event PanelConfigChanged(uint256 panelSize, uint256 commitPeriod, uint256 revealPeriod, uint256 maxStrikes);
+    
     event ArbitratorAdded(address indexed arbitrator);
     event ArbitratorRemoved(address indexed arbitrator);
+    event MainArbitratorChanged(address indexed previousArbitrator, address indexed newArbitrator);
 
     // Enums
     enum DisputeStatus {
@@ -63,11 +114,21 @@ contract DisputeResolution {
         string evidenceHash;
         DisputeStatus status;
         address winner;
+        uint256 buyerShareBps;
+        uint256 feePaid;
         string resolution;
         uint256 createdAt;
         uint256 resolvedAt;
     }
     
+    // Arbitrators drawn for a dispute and the running tally of revealed votes
+    struct Panel {
+        address[] members;
+        uint256 commitDeadline;
+        uint256 revealDeadline;
+        uint256[] buyerShares; // revealed votes, in basis points
+    }
+    
     struct Evidence {
         address submitter;
         string hash;
@@ -80,20 +141,50 @@ contract DisputeResolution {
     address public mainArbitrator;
     IZKMarketplace public marketplace;
     uint256 public disputeFee = 0.01 ether;
+    uint256 public constant BPS = 10000;
     
     mapping(uint256 => Dispute) public disputes;
     mapping(uint256 => Evidence[]) public orderEvidence;
     mapping(address => bool) public authorizedArbitrators;
     mapping(uint256 => bool) public hasDispute;
     
+    // Panels draw from this list; arbitratorIndex is position + 1 (0 = absent)
+    address[] public arbitratorList;
+    mapping(address => uint256) private arbitratorIndex;
+    
+    uint256 public panelSize = 3;
+    uint256 public commitPeriod = 3 days;
+    uint256 public revealPeriod = 2 days;
+    // Missed reveals before an arbitrator is removed from the pool
+    uint256 public maxStrikes = 3;
+    // How long an open dispute waits for a panel before the main arbitrator
+    // may rule on it alone
+    uint256 public constant PANEL_TIMEOUT = 7 days;
+    
+    mapping(uint256 => Panel) private panels;
+    mapping(uint256 => mapping(address => bool)) public isPanelMember;
+    mapping(uint256 => mapping(address => bytes32)) public voteCommitments;
+    mapping(uint256 => mapping(address => bool)) public hasRevealed;
+    mapping(address => uint256) public arbitratorStrikes;
+    // Refunds and fee withdrawals waiting to be claimed with withdraw()
+    mapping(address => uint256) public pendingWithdrawals;
+    uint256 public totalPendingWithdrawals;
+    
     uint256 public totalDisputes;
     uint256 public resolvedDisputes;
+    
+    // Every disputed order ID in the order disputes were raised
+    uint256[] public disputedOrderIds;
+    // Disputed order IDs per status; statusIndex is position + 1 in its list
+    mapping(DisputeStatus => uint256[]) private disputesByStatus;
+    mapping(uint256 => uint256) private statusIndex;
 
     constructor(address _marketplace, address _mainArbitrator) {
         owner = msg.sender;
         marketplace = IZKMarketplace(_marketplace);
         mainArbitrator = _mainArbitrator;
-        authorizedArbitrators[_mainArbitrator] = true;
+        _addArbitrator(_mainArbitrator);
+        emit MainArbitratorChanged(address(0), _mainArbitrator);
     }
 
     modifier onlyOwner() {
@@ -120,19 +211,33 @@ contract DisputeResolution {
         uint256 orderId,
         string memory reason,
         string memory evidenceHash
-    ) external payable onlyOrderParticipant(orderId) {
+    ) external payable nonReentrant onlyOrderParticipant(orderId) {
         require(msg.value >= disputeFee, "Insufficient dispute fee");
-        require(!hasDispute[orderId], "Dispute already exists for this order");
+        // A cancelled dispute can be raised again; it keeps its evidence
+        bool reraised = hasDispute[orderId];
+        require(
+            !reraised || disputes[orderId].status == DisputeStatus.Cancelled,
+            "Dispute already exists for this order"
+        );
         require(bytes(reason).length > 0, "Reason cannot be empty");
         require(bytes(evidenceHash).length > 0, "Evidence hash required");
         
+        // Only orders whose funds are still in escrow can be disputed
         IZKMarketplace.Order memory order = marketplace.getOrder(orderId);
         require(
-            order.status == IZKMarketplace.OrderStatus.Funded ||
-            order.status == IZKMarketplace.OrderStatus.Confirmed,
+            order.status == IZKMarketplace.OrderStatus.Funded,
             "Order not in valid status for dispute"
         );
         
+        if (reraised) {
+            _setStatus(orderId, DisputeStatus.Open);
+        } else {
+            hasDispute[orderId] = true;
+            totalDisputes++;
+            disputedOrderIds.push(orderId);
+            _addToStatus(orderId, DisputeStatus.Open);
+        }
+        
         disputes[orderId] = Dispute({
             orderId: orderId,
             disputer: msg.sender,
@@ -140,13 +245,14 @@ contract DisputeResolution {
             evidenceHash: evidenceHash,
             status: DisputeStatus.Open,
             winner: address(0),
+            buyerShareBps: 0,
+            feePaid: disputeFee,
             resolution: "",
             createdAt: block.timestamp,
             resolvedAt: 0
         });
         
-        hasDispute[orderId] = true;
-        totalDisputes++;
+        marketplace.markDisputed(orderId);
         
         // Store initial evidence
         orderEvidence[orderId].push(Evidence({
@@ -160,7 +266,7 @@ contract DisputeResolution {
         
         // Refund excess dispute fee
         if (msg.value > disputeFee) {
-            payable(msg.sender).transfer(msg.value - disputeFee);
+            _credit(msg.sender, msg.value - disputeFee);
         }
     }
 
@@ -190,48 +296,262 @@ contract DisputeResolution {
     }
 
     // Arbitration System
-    function resolveDispute(
-        uint256 orderId,
-        address winner,
-        string memory resolution
-    ) external onlyArbitrator {
+    
+    // Draw a panel for an open dispute and start the commit phase. The draw
+    // uses prevrandao, which a block proposer can bias; good enough to stop
+    // a party choosing its arbitrators, not against a colluding validator.
+    function assignPanel(uint256 orderId) external onlyArbitrator {
         require(hasDispute[orderId], "No dispute exists for this order");
         Dispute storage dispute = disputes[orderId];
+        require(dispute.status == DisputeStatus.Open, "Dispute not in Open status");
+        
+        IZKMarketplace.Order memory order = marketplace.getOrder(orderId);
+        
+        // Parties to the order can't sit on its panel
+        address[] memory candidates = new address[](arbitratorList.length);
+        uint256 count;
+        for (uint256 i = 0; i < arbitratorList.length; i++) {
+            address candidate = arbitratorList[i];
+            if (candidate != order.seller && candidate != order.buyer) {
+                candidates[count++] = candidate;
+            }
+        }
+        require(count >= panelSize, "Not enough eligible arbitrators");
+        
+        // Partial Fisher-Yates shuffle
+        Panel storage panel = panels[orderId];
+        uint256 seed = uint256(keccak256(abi.encode(block.prevrandao, orderId, block.timestamp)));
+        for (uint256 i = 0; i < panelSize; i++) {
+            uint256 j = i + uint256(keccak256(abi.encode(seed, i))) % (count - i);
+            (candidates[i], candidates[j]) = (candidates[j], candidates[i]);
+            panel.members.push(candidates[i]);
+            isPanelMember[orderId][candidates[i]] = true;
+        }
+        
+        panel.commitDeadline = block.timestamp + commitPeriod;
+        panel.revealDeadline = panel.commitDeadline + revealPeriod;
+        _setStatus(orderId, DisputeStatus.UnderReview);
+        
+        emit PanelAssigned(orderId, panel.members, panel.commitDeadline, panel.revealDeadline);
+    }
+    
+    // Each vote is the buyer's share of the escrow in basis points (0 = all to
+    // the seller, 10000 = all to the buyer).
+    // commitment = keccak256(abi.encodePacked(orderId, msg.sender, buyerShareBps, salt)),
+    // see voteCommitment
+    function commitVote(uint256 orderId, bytes32 commitment) external {
+        Panel storage panel = panels[orderId];
+        require(isPanelMember[orderId][msg.sender], "Not on this panel");
+        require(disputes[orderId].status == DisputeStatus.UnderReview, "Dispute not under review");
+        require(block.timestamp <= panel.commitDeadline, "Commit period over");
+        require(commitment != bytes32(0), "Empty commitment");
+        
+        // Recommitting before the deadline replaces the earlier vote
+        voteCommitments[orderId][msg.sender] = commitment;
+        
+        emit VoteCommitted(orderId, msg.sender, commitment, block.timestamp);
+    }
+    
+    function revealVote(uint256 orderId, uint256 buyerShareBps, bytes32 salt) external {
+        Panel storage panel = panels[orderId];
+        require(disputes[orderId].status == DisputeStatus.UnderReview, "Dispute not under review");
+        require(block.timestamp > panel.commitDeadline, "Commit period not over");
+        require(block.timestamp <= panel.revealDeadline, "Reveal period over");
+        require(!hasRevealed[orderId][msg.sender], "Vote already revealed");
+        require(buyerShareBps <= BPS, "Share exceeds 100%");
         require(
-            dispute.status == DisputeStatus.Open ||
-            dispute.status == DisputeStatus.UnderReview,
-            "Dispute already resolved or cancelled"
+            voteCommitments[orderId][msg.sender] == voteCommitment(orderId, msg.sender, buyerShareBps, salt),
+            "Vote does not match commitment"
         );
-        require(bytes(resolution).length > 0, "Resolution explanation required");
         
-        IZKMarketplace.Order memory order = marketplace.getOrder(orderId);
+        panel.buyerShares.push(buyerShareBps);
+        hasRevealed[orderId][msg.sender] = true;
+        
+        emit VoteRevealed(orderId, msg.sender, buyerShareBps, block.timestamp);
+    }
+    
+    // Apply the panel's ruling once the reveal period is over, or as soon as
+    // every member has revealed. Anyone can call it. The ruling is the median
+    // vote, which for all-or-nothing votes is the majority; it needs a
+    // majority of the panel to have revealed.
+    function finalizeDispute(uint256 orderId) external nonReentrant {
+        Panel storage panel = panels[orderId];
+        require(disputes[orderId].status == DisputeStatus.UnderReview, "Dispute not under review");
         require(
-            winner == order.seller || winner == order.buyer,
-            "Winner must be order participant"
+            block.timestamp > panel.revealDeadline || panel.buyerShares.length == panel.members.length,
+            "Voting still in progress"
+        );
+        
+        (bool decided, uint256 buyerShareBps) = _panelRuling(orderId);
+        require(decided, "Panel deadlocked");
+        
+        _penalizeMissedReveals(orderId);
+        
+        string memory resolution = string.concat(
+            "Panel ruling: ",
+            Strings.toString(buyerShareBps),
+            " bps to buyer (",
+            Strings.toString(panel.buyerShares.length),
+            " of ",
+            Strings.toString(panel.members.length),
+            " votes)"
         );
         
-        dispute.status = DisputeStatus.Resolved;
-        dispute.winner = winner;
+        _resolve(orderId, buyerShareBps, resolution, address(0));
+    }
+    
+    // The main arbitrator decides when the panel reached no ruling (fewer than
+    // a majority of its members revealed, or the revealed votes have no single
+    // median), or when no panel was drawn within PANEL_TIMEOUT, e.g. too few
+    // eligible arbitrators
+    function resolveDispute(
+        uint256 orderId,
+        uint256 buyerShareBps,
+        string memory resolution
+    ) external nonReentrant {
+        require(msg.sender == mainArbitrator, "Only main arbitrator can break a deadlock");
+        require(hasDispute[orderId], "No dispute exists for this order");
+        Dispute storage dispute = disputes[orderId];
+        require(buyerShareBps <= BPS, "Share exceeds 100%");
+        require(bytes(resolution).length > 0, "Resolution explanation required");
+        
+        if (dispute.status == DisputeStatus.Open) {
+            require(block.timestamp > dispute.createdAt + PANEL_TIMEOUT, "Panel can still be assigned");
+        } else {
+            Panel storage panel = panels[orderId];
+            require(dispute.status == DisputeStatus.UnderReview, "Dispute not under review");
+            require(block.timestamp > panel.revealDeadline, "Voting still in progress");
+            (bool decided, ) = _panelRuling(orderId);
+            require(!decided, "Panel reached a ruling");
+            
+            _penalizeMissedReveals(orderId);
+        }
+        
+        _resolve(orderId, buyerShareBps, resolution, msg.sender);
+    }
+    
+    function _resolve(
+        uint256 orderId,
+        uint256 buyerShareBps,
+        string memory resolution,
+        address ruledBy
+    ) internal {
+        Dispute storage dispute = disputes[orderId];
+        
+        _setStatus(orderId, DisputeStatus.Resolved);
+        dispute.winner = _prevailingParty(orderId, buyerShareBps);
+        dispute.buyerShareBps = buyerShareBps;
         dispute.resolution = resolution;
         dispute.resolvedAt = block.timestamp;
         resolvedDisputes++;
         
-        // Calculate funds distribution (order amount * 2 minus platform fee)
-        uint256 totalFunds = order.amount * 2;
-        uint256 platformFee = (totalFunds * 250) / 10000; // 2.5% platform fee
-        uint256 winnerAmount = totalFunds - platformFee - disputeFee;
+        // The escrow lives in the marketplace, which credits both parties
+        (uint256 buyerAmount, uint256 sellerAmount, uint256 platformFee) =
+            marketplace.resolveOrder(orderId, buyerShareBps);
+        uint256 disputeFeeRefund = _refundDisputeFee(orderId, buyerShareBps);
         
-        // Transfer funds to winner
-        payable(winner).transfer(winnerAmount);
+        emit DisputeResolved(
+            orderId,
+            dispute.winner,
+            ruledBy,
+            buyerShareBps,
+            buyerAmount,
+            sellerAmount,
+            platformFee,
+            disputeFeeRefund,
+            resolution,
+            block.timestamp
+        );
+    }
+    
+    // The party awarded more than half, or address(0) for an even split
+    function _prevailingParty(uint256 orderId, uint256 buyerShareBps) internal view returns (address) {
+        IZKMarketplace.Order memory order = marketplace.getOrder(orderId);
+        if (buyerShareBps * 2 > BPS) {
+            return order.buyer;
+        }
+        if (buyerShareBps * 2 < BPS) {
+            return order.seller;
+        }
+        return address(0);
+    }
+    
+    // The disputer gets back the share of their fee matching the share of the
+    // ruling that went their way
+    function _refundDisputeFee(uint256 orderId, uint256 buyerShareBps) internal returns (uint256 refund) {
+        Dispute storage dispute = disputes[orderId];
+        IZKMarketplace.Order memory order = marketplace.getOrder(orderId);
         
-        emit DisputeResolved(orderId, winner, resolution, block.timestamp);
+        uint256 disputerShareBps = dispute.disputer == order.buyer ? buyerShareBps : BPS - buyerShareBps;
+        refund = (dispute.feePaid * disputerShareBps) / BPS;
+        if (refund > 0) {
+            _credit(dispute.disputer, refund);
+        }
     }
     
-    function setDisputeUnderReview(uint256 orderId) external onlyArbitrator {
-        require(hasDispute[orderId], "No dispute exists for this order");
-        require(disputes[orderId].status == DisputeStatus.Open, "Dispute not in Open status");
+    // The panel's ruling, once a majority of its members have revealed
+    function _panelRuling(uint256 orderId) internal view returns (bool, uint256) {
+        Panel storage panel = panels[orderId];
+        if (panel.buyerShares.length * 2 <= panel.members.length) {
+            return (false, 0);
+        }
+        return _median(panel.buyerShares);
+    }
+    
+    // Median of the revealed votes. With an even count the two middle votes
+    // must agree, otherwise (or with no votes) there is no ruling.
+    function _median(uint256[] storage votes) internal view returns (bool, uint256) {
+        uint256 count = votes.length;
+        if (count == 0) {
+            return (false, 0);
+        }
+        
+        uint256[] memory sorted = votes;
+        for (uint256 i = 1; i < count; i++) {
+            uint256 value = sorted[i];
+            uint256 j = i;
+            while (j > 0 && sorted[j - 1] > value) {
+                sorted[j] = sorted[j - 1];
+                j--;
+            }
+            sorted[j] = value;
+        }
         
-        disputes[orderId].status = DisputeStatus.UnderReview;
+        if (count % 2 == 1) {
+            return (true, sorted[count / 2]);
+        }
+        if (sorted[count / 2 - 1] == sorted[count / 2]) {
+            return (true, sorted[count / 2]);
+        }
+        return (false, 0);
+    }
+    
+    // A strike for every panel member who didn't reveal; too many strikes and
+    // the arbitrator leaves the pool (the main arbitrator only collects strikes)
+    function _penalizeMissedReveals(uint256 orderId) internal {
+        address[] storage members = panels[orderId].members;
+        for (uint256 i = 0; i < members.length; i++) {
+            address member = members[i];
+            if (hasRevealed[orderId][member]) {
+                continue;
+            }
+            
+            uint256 strikes = ++arbitratorStrikes[member];
+            emit ArbitratorPenalized(orderId, member, strikes);
+            
+            if (strikes >= maxStrikes && member != mainArbitrator && authorizedArbitrators[member]) {
+                _removeArbitrator(member);
+            }
+        }
+    }
+    
+    function voteCommitment(
+        uint256 orderId,
+        address arbitrator,
+        uint256 buyerShareBps,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(orderId, arbitrator, buyerShareBps, salt));
     }
 
     // Access Control Functions
@@ -239,28 +559,87 @@ contract DisputeResolution {
         require(arbitrator != address(0), "Invalid arbitrator address");
         require(!authorizedArbitrators[arbitrator], "Already an arbitrator");
         
-        authorizedArbitrators[arbitrator] = true;
-        emit ArbitratorAdded(arbitrator);
+        _addArbitrator(arbitrator);
     }
     
     function removeArbitrator(address arbitrator) external onlyOwner {
         require(arbitrator != mainArbitrator, "Cannot remove main arbitrator");
         require(authorizedArbitrators[arbitrator], "Not an arbitrator");
         
-        authorizedArbitrators[arbitrator] = false;
-        emit ArbitratorRemoved(arbitrator);
+        _removeArbitrator(arbitrator);
     }
     
     function setMainArbitrator(address newArbitrator) external onlyOwner {
         require(newArbitrator != address(0), "Invalid arbitrator address");
         
         // Remove old main arbitrator if different
-        if (mainArbitrator != newArbitrator) {
-            authorizedArbitrators[mainArbitrator] = false;
+        if (mainArbitrator != newArbitrator && authorizedArbitrators[mainArbitrator]) {
+            _removeArbitrator(mainArbitrator);
         }
         
+        emit MainArbitratorChanged(mainArbitrator, newArbitrator);
         mainArbitrator = newArbitrator;
-        authorizedArbitrators[newArbitrator] = true;
+        if (!authorizedArbitrators[newArbitrator]) {
+            _addArbitrator(newArbitrator);
+        }
+    }
+    
+    function setPanelConfig(
+        uint256 newPanelSize,
+        uint256 newCommitPeriod,
+        uint256 newRevealPeriod,
+        uint256 newMaxStrikes
+    ) external onlyOwner {
+        require(newPanelSize > 0 && newPanelSize % 2 == 1, "Panel size must be odd");
+        require(newCommitPeriod >= 1 hours && newRevealPeriod >= 1 hours, "Periods too short");
+        require(newMaxStrikes > 0, "Max strikes must be greater than 0");
+        
+        panelSize = newPanelSize;
+        commitPeriod = newCommitPeriod;
+        revealPeriod = newRevealPeriod;
+        maxStrikes = newMaxStrikes;
+        
+        emit PanelConfigChanged(newPanelSize, newCommitPeriod, newRevealPeriod, newMaxStrikes);
+    }
+    
+    function _addArbitrator(address arbitrator) internal {
+        authorizedArbitrators[arbitrator] = true;
+        arbitratorList.push(arbitrator);
+        arbitratorIndex[arbitrator] = arbitratorList.length;
+        emit ArbitratorAdded(arbitrator);
+    }
+    
+    // Swap-and-pop; panels already drawn keep their members
+    function _removeArbitrator(address arbitrator) internal {
+        uint256 index = arbitratorIndex[arbitrator] - 1;
+        address last = arbitratorList[arbitratorList.length - 1];
+        arbitratorList[index] = last;
+        arbitratorIndex[last] = index + 1;
+        arbitratorList.pop();
+        delete arbitratorIndex[arbitrator];
+        
+        authorizedArbitrators[arbitrator] = false;
+        emit ArbitratorRemoved(arbitrator);
+    }
+
+    // Status bookkeeping: moves the order ID between the per-status lists
+    function _setStatus(uint256 orderId, DisputeStatus newStatus) internal {
+        Dispute storage dispute = disputes[orderId];
+        uint256[] storage list = disputesByStatus[dispute.status];
+        
+        uint256 index = statusIndex[orderId] - 1;
+        uint256 last = list[list.length - 1];
+        list[index] = last;
+        statusIndex[last] = index + 1;
+        list.pop();
+        
+        dispute.status = newStatus;
+        _addToStatus(orderId, newStatus);
+    }
+    
+    function _addToStatus(uint256 orderId, DisputeStatus status) internal {
+        disputesByStatus[status].push(orderId);
+        statusIndex[orderId] = disputesByStatus[status].length;
     }
 
     // Administrative Functions
@@ -270,27 +649,69 @@ contract DisputeResolution {
         disputeFee = newFee;
     }
     
-    function cancelDispute(uint256 orderId) external onlyOwner {
+    function cancelDispute(uint256 orderId) external nonReentrant onlyOwner {
         require(hasDispute[orderId], "No dispute exists for this order");
         Dispute storage dispute = disputes[orderId];
         require(dispute.status != DisputeStatus.Resolved, "Cannot cancel resolved dispute");
         
-        dispute.status = DisputeStatus.Cancelled;
+        _setStatus(orderId, DisputeStatus.Cancelled);
+        _clearPanel(orderId);
         
-        // Refund dispute fee to disputer
-        payable(dispute.disputer).transfer(disputeFee);
+        // Unfreeze the order so the buyer can confirm receipt again
+        marketplace.clearDispute(orderId);
+        
+        // Refund the fee the disputer actually paid
+        _credit(dispute.disputer, dispute.feePaid);
+        
+        emit DisputeCancelled(orderId, block.timestamp);
+    }
+    
+    // Forget a cancelled dispute's panel and votes, so raising it again draws a new panel
+    function _clearPanel(uint256 orderId) internal {
+        address[] storage members = panels[orderId].members;
+        for (uint256 i = 0; i < members.length; i++) {
+            delete isPanelMember[orderId][members[i]];
+            delete voteCommitments[orderId][members[i]];
+            delete hasRevealed[orderId][members[i]];
+        }
+        delete panels[orderId];
     }
 
-    // Emergency withdrawal function
+    // Emergency withdrawal function; credited refunds stay claimable
     function emergencyWithdraw() external onlyOwner {
-        uint256 balance = address(this).balance;
+        uint256 balance = availableBalance();
         require(balance > 0, "No funds to withdraw");
-        payable(owner).transfer(balance);
+        _credit(owner, balance);
     }
     
     function withdrawDisputeFees(uint256 amount) external onlyOwner {
-        require(amount <= address(this).balance, "Insufficient balance");
-        payable(owner).transfer(amount);
+        require(amount <= availableBalance(), "Insufficient balance");
+        _credit(owner, amount);
+    }
+    
+    // Claim refunds and fees credited to the caller
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        
+        pendingWithdrawals[msg.sender] = 0;
+        totalPendingWithdrawals -= amount;
+        
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "ETH transfer failed");
+        
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+    
+    function _credit(address payee, uint256 amount) internal {
+        pendingWithdrawals[payee] += amount;
+        totalPendingWithdrawals += amount;
+        emit PaymentCredited(payee, amount);
+    }
+    
+    // Collected fees not owed to anyone as a refund
+    function availableBalance() public view returns (uint256) {
+        return address(this).balance - totalPendingWithdrawals;
     }
 
     // View Functions
@@ -307,21 +728,82 @@ contract DisputeResolution {
         return orderEvidence[orderId].length;
     }
     
+    function getEvidencePage(uint256 orderId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Evidence[] memory page)
+    {
+        Evidence[] storage evidence = orderEvidence[orderId];
+        uint256 end = _pageEnd(evidence.length, offset, limit);
+        page = new Evidence[](end > offset ? end - offset : 0);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = evidence[i];
+        }
+    }
+    
+    // All disputed order IDs, oldest first
+    function getDisputedOrderIds(uint256 offset, uint256 limit) external view returns (uint256[] memory) {
+        return _page(disputedOrderIds, offset, limit);
+    }
+    
+    // Disputed order IDs currently in `status`. Order within a status is not
+    // stable: a dispute leaving the status takes the last one's place.
+    function getDisputesByStatus(DisputeStatus status, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _page(disputesByStatus[status], offset, limit);
+    }
+    
+    function getDisputeCount(DisputeStatus status) public view returns (uint256) {
+        return disputesByStatus[status].length;
+    }
+    
+    function _page(uint256[] storage list, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (uint256[] memory page)
+    {
+        uint256 end = _pageEnd(list.length, offset, limit);
+        page = new uint256[](end > offset ? end - offset : 0);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = list[i];
+        }
+    }
+    
+    function _pageEnd(uint256 length, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= length) {
+            return offset;
+        }
+        return limit > length - offset ? length : offset + limit;
+    }
+    
     function isArbitrator(address account) external view returns (bool) {
         return authorizedArbitrators[account];
     }
     
+    function getArbitrators() external view returns (address[] memory) {
+        return arbitratorList;
+    }
+    
+    function getPanel(uint256 orderId) external view returns (Panel memory) {
+        return panels[orderId];
+    }
+    
     function getDisputeStats() external view returns (
         uint256 total,
         uint256 resolved,
         uint256 open,
-        uint256 underReview
+        uint256 underReview,
+        uint256 cancelled
     ) {
         return (
             totalDisputes,
-            resolvedDisputes,
-            totalDisputes - resolvedDisputes,
-            0 // This would require iterating through all disputes
+            getDisputeCount(DisputeStatus.Resolved),
+            getDisputeCount(DisputeStatus.Open),
+            getDisputeCount(DisputeStatus.UnderReview),
+            getDisputeCount(DisputeStatus.Cancelled)
         );
     }
 
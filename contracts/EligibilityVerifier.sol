@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./interfaces/IEligibilityVerifier.sol";
+
+// Matches the verifier snarkjs exports for zk/circuits/eligibility.circom
+// (`npm run zk:build` writes it to contracts/verifiers/Groth16Verifier.sol)
+interface IGroth16Verifier {
+    function verifyProof(
+        uint256[2] calldata pA,
+        uint256[2][2] calldata pB,
+        uint256[2] calldata pC,
+        uint256[5] calldata pubSignals
+    ) external view returns (bool);
+}
+
+// Accepts a Groth16 eligibility proof if it is bound to a credential
+// commitment signed by the backend's issuer key.
+//
+// proof = abi.encode(pA, pB, pC, commitment, expiresAt, issuerSignature)
+// where the signature is an EIP-191 signature over
+// keccak256(abi.encode(chainId, this, subject, commitment, expiresAt)).
+contract EligibilityVerifier is IEligibilityVerifier {
+    event IssuerChanged(address indexed previousIssuer, address indexed newIssuer);
+
+    IGroth16Verifier public immutable groth16Verifier;
+    address public issuer;
+    address public owner;
+
+    constructor(address _groth16Verifier, address _issuer) {
+        require(_groth16Verifier != address(0), "Invalid verifier address");
+        require(_issuer != address(0), "Invalid issuer address");
+        groth16Verifier = IGroth16Verifier(_groth16Verifier);
+        issuer = _issuer;
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not the owner");
+        _;
+    }
+
+    function verify(
+        address subject,
+        uint256 minScore,
+        uint256 minCompletedOrders,
+        uint256 maxLostDisputes,
+        bytes calldata proof
+    ) external view returns (bool) {
+        (
+            uint256[2] memory pA,
+            uint256[2][2] memory pB,
+            uint256[2] memory pC,
+            uint256 commitment,
+            uint256 expiresAt,
+            bytes memory signature
+        ) = abi.decode(proof, (uint256[2], uint256[2][2], uint256[2], uint256, uint256, bytes));
+
+        if (expiresAt < block.timestamp) {
+            return false;
+        }
+        if (credentialSigner(subject, commitment, expiresAt, signature) != issuer) {
+            return false;
+        }
+
+        uint256[5] memory pubSignals = [
+            commitment,
+            uint256(uint160(subject)),
+            minScore,
+            minCompletedOrders,
+            maxLostDisputes
+        ];
+        return groth16Verifier.verifyProof(pA, pB, pC, pubSignals);
+    }
+
+    function credentialDigest(
+        address subject,
+        uint256 commitment,
+        uint256 expiresAt
+    ) public view returns (bytes32) {
+        return MessageHashUtils.toEthSignedMessageHash(
+            keccak256(abi.encode(block.chainid, address(this), subject, commitment, expiresAt))
+        );
+    }
+
+    function credentialSigner(
+        address subject,
+        uint256 commitment,
+        uint256 expiresAt,
+        bytes memory signature
+    ) public view returns (address) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(
+            credentialDigest(subject, commitment, expiresAt),
+            signature
+        );
+        return error == ECDSA.RecoverError.NoError ? signer : address(0);
+    }
+
+    function setIssuer(address newIssuer) external onlyOwner {
+        require(newIssuer != address(0), "Invalid issuer address");
+        emit IssuerChanged(issuer, newIssuer);
+        issuer = newIssuer;
+    }
+}
@@ -1,12 +1,20 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-contract ZKMarketplace {
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/IEligibilityVerifier.sol";
+
+contract ZKMarketplace is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
     // Events
     event OrderCreated(
         uint256 indexed orderId,
         address indexed seller,
         address indexed buyer,
+        address token,
         uint256 amount,
         string description,
         uint256 timestamp
@@ -16,6 +24,7 @@ contract ZKMarketplace {
         uint256 indexed orderId,
         address indexed buyer,
         uint256 amount,
+        uint256 deliveryDeadline,
         uint256 timestamp
     );
     
@@ -26,6 +35,94 @@ contract ZKMarketplace {
         uint256 timestamp
     );
 
+    event OrderCancelled(
+        uint256 indexed orderId,
+        address indexed seller,
+        uint256 refund,
+        uint256 timestamp
+    );
+    
+    event OrderDelivered(
+        uint256 indexed orderId,
+        address indexed seller,
+        uint256 confirmationDeadline,
+        uint256 timestamp
+    );
+    
+    event OrderRefunded(
+        uint256 indexed orderId,
+        address indexed buyer,
+        uint256 refund,
+        uint256 timestamp
+    );
+    
+    event OrderAutoReleased(
+        uint256 indexed orderId,
+        address indexed seller,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event DeadlineWindowsChanged(uint256 deliveryWindow, uint256 confirmationWindow);
+
+    event OrderEligibilitySet(
+        uint256 indexed orderId,
+        uint32 minScore,
+        uint32 minCompletedOrders,
+        uint32 maxLostDisputes
+    );
+    
+    // Private orders publish only this commitment to their terms (see createPrivateOrder)
+    event OrderTermsCommitted(uint256 indexed orderId, bytes32 termsCommitment);
+    
+    event ListingCreated(
+        uint256 indexed listingId,
+        address indexed seller,
+        address indexed buyer,
+        address token,
+        uint256 price,
+        uint256 stock,
+        string category,
+        string description,
+        uint256 timestamp
+    );
+    
+    event ListingUpdated(uint256 indexed listingId, uint256 price, uint256 stock, uint256 timestamp);
+    
+    event ListingClosed(uint256 indexed listingId, uint256 refund, uint256 timestamp);
+    
+    // Emitted between the order's OrderCreated and OrderFunded
+    event ListingOrdered(
+        uint256 indexed listingId,
+        uint256 indexed orderId,
+        address indexed buyer,
+        uint256 remainingStock
+    );
+    
+    event OrderDisputed(uint256 indexed orderId, uint256 timestamp);
+    
+    event OrderDisputeCleared(uint256 indexed orderId, uint256 timestamp);
+    
+    event OrderResolved(
+        uint256 indexed orderId,
+        uint256 buyerAmount,
+        uint256 sellerAmount,
+        uint256 platformFee,
+        uint256 timestamp
+    );
+    
+    event TokenAllowlistUpdated(address indexed token, bool allowed);
+    
+    event PaymentCredited(address indexed payee, address indexed token, uint256 amount);
+    
+    event PaymentWithdrawn(address indexed payee, address indexed token, uint256 amount);
+    
+    event FeesWithdrawn(address indexed token, address indexed recipient, uint256 amount);
+    
+    event DisputeResolverChanged(address indexed previousResolver, address indexed newResolver);
+    
+    event EligibilityVerifierChanged(address indexed previousVerifier, address indexed newVerifier);
+
     // Structs
     struct Order {
         uint256 id;
@@ -37,6 +134,39 @@ contract ZKMarketplace {
         uint256 createdAt;
         uint256 fundedAt;
         uint256 confirmedAt;
+        address token; // ERC-20 the order settles in, address(0) for ETH
+    }
+    
+    // A reusable offer buyers order from. The seller's deposit for every unit
+    // in stock (price * stock) is held up front, so each order starts with
+    // the same escrow as a createOrder deposit.
+    struct Listing {
+        uint256 id;
+        address seller;
+        address buyer; // designated buyer, address(0) if anyone can order
+        address token;
+        uint256 price;
+        uint256 stock;
+        string description;
+        string category;
+        bool active;
+        uint256 createdAt;
+    }
+    
+    // Thresholds a buyer must prove before funding a gated order
+    struct EligibilityRequirement {
+        bool required;
+        uint32 minScore;
+        uint32 minCompletedOrders;
+        uint32 maxLostDisputes;
+    }
+    
+    // Deadlines fixed when an order is funded and when it is delivered, so
+    // later changes to the windows don't affect orders already in flight
+    struct OrderDeadlines {
+        uint64 deliveryDeadline;
+        uint64 deliveredAt;
+        uint64 confirmationDeadline;
     }
     
     // Enums
@@ -51,11 +181,30 @@ contract ZKMarketplace {
 
     // State variables
     uint256 public nextOrderId;
+    uint256 public nextListingId;
     uint256 public platformFeePercent = 250; // 2.5% (250/10000)
+    uint256 public deliveryWindow = 7 days; // seller must deliver within this after funding
+    uint256 public confirmationWindow = 3 days; // buyer must confirm or dispute within this after delivery
     address public feeRecipient;
     address public owner;
     
+    IEligibilityVerifier public eligibilityVerifier;
+    address public disputeResolver;
+    
+    // ERC-20s orders may be priced in; ETH is always accepted
+    mapping(address => bool) public allowedTokens;
+    // Platform fees not yet withdrawn, and all fees ever taken, per token
+    mapping(address => uint256) public accruedFees;
+    mapping(address => uint256) public totalFeesCollected;
+    // Payouts waiting to be claimed with withdraw(), per payee and token
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+    
     mapping(uint256 => Order) public orders;
+    mapping(uint256 => EligibilityRequirement) public orderRequirements;
+    mapping(uint256 => OrderDeadlines) public orderDeadlines;
+    // Commitment to a private order's off-chain terms, zero for public orders
+    mapping(uint256 => bytes32) public termsCommitments;
+    mapping(uint256 => Listing) public listings;
 
     constructor(address _feeRecipient) {
         feeRecipient = _feeRecipient;
@@ -66,44 +215,373 @@ contract ZKMarketplace {
         require(msg.sender == owner, "Not the owner");
         _;
     }
+    
+    modifier onlyDisputeResolver() {
+        require(msg.sender == disputeResolver, "Not the dispute resolver");
+        _;
+    }
 
     // Core marketplace functions
     function createOrder(
         string memory description
-    ) external payable returns (uint256) {
-        require(msg.value > 0, "Amount must be greater than 0");
+    ) external payable nonReentrant returns (uint256) {
+        return _createOrder(description, address(0), msg.value);
+    }
+    
+    // Create an order priced in an allowlisted ERC-20. The seller's deposit is
+    // pulled with transferFrom, so approve `amount` first.
+    function createTokenOrder(
+        string memory description,
+        address token,
+        uint256 amount
+    ) external nonReentrant returns (uint256) {
+        return _createOrder(description, token, amount);
+    }
+    
+    // Create an order that only buyers proving the given thresholds can fund
+    function createGatedOrder(
+        string memory description,
+        uint32 minScore,
+        uint32 minCompletedOrders,
+        uint32 maxLostDisputes
+    ) external payable nonReentrant returns (uint256) {
+        uint256 orderId = _createOrder(description, address(0), msg.value);
+        _setRequirement(orderId, minScore, minCompletedOrders, maxLostDisputes);
+        return orderId;
+    }
+    
+    function createGatedTokenOrder(
+        string memory description,
+        address token,
+        uint256 amount,
+        uint32 minScore,
+        uint32 minCompletedOrders,
+        uint32 maxLostDisputes
+    ) external nonReentrant returns (uint256) {
+        uint256 orderId = _createOrder(description, token, amount);
+        _setRequirement(orderId, minScore, minCompletedOrders, maxLostDisputes);
+        return orderId;
+    }
+    
+    // Create an order whose terms stay off-chain. Only `termsCommitment` (the
+    // root of the salted terms fields, see backend/terms.js) is stored, the
+    // description is left empty, and only `buyer`, who the terms were agreed
+    // with, can fund it.
+    function createPrivateOrder(
+        bytes32 termsCommitment,
+        address buyer
+    ) external payable nonReentrant returns (uint256) {
+        return _createPrivateOrder(termsCommitment, buyer, address(0), msg.value);
+    }
+    
+    function createPrivateTokenOrder(
+        bytes32 termsCommitment,
+        address buyer,
+        address token,
+        uint256 amount
+    ) external nonReentrant returns (uint256) {
+        return _createPrivateOrder(termsCommitment, buyer, token, amount);
+    }
+    
+    // Listings
+    
+    // Publish a listing priced in ETH, depositing price * stock. `buyer`
+    // reserves it for one address; address(0) lets anyone order.
+    function createListing(
+        string memory description,
+        string memory category,
+        uint256 price,
+        uint256 stock,
+        address buyer
+    ) external payable nonReentrant returns (uint256) {
+        return _createListing(description, category, address(0), price, stock, buyer);
+    }
+    
+    // Same, priced in an allowlisted ERC-20; approve price * stock first
+    function createTokenListing(
+        string memory description,
+        string memory category,
+        address token,
+        uint256 price,
+        uint256 stock,
+        address buyer
+    ) external nonReentrant returns (uint256) {
+        return _createListing(description, category, token, price, stock, buyer);
+    }
+    
+    // Reprice or restock. The deposit is topped up (msg.value or transferFrom)
+    // or the excess credited back, so it always covers price * stock.
+    function updateListing(uint256 listingId, uint256 price, uint256 stock) external payable nonReentrant {
+        Listing storage listing = listings[listingId];
+        require(listing.active, "Listing not active");
+        require(msg.sender == listing.seller, "Only seller can update listing");
+        require(price > 0, "Price must be greater than 0");
+        
+        uint256 held = listing.price * listing.stock;
+        uint256 needed = price * stock;
+        if (needed > held) {
+            _collect(listing.token, needed - held);
+        } else {
+            require(msg.value == 0, "No deposit needed");
+            if (held > needed) {
+                _credit(listing.token, listing.seller, held - needed);
+            }
+        }
+        
+        listing.price = price;
+        listing.stock = stock;
+        
+        emit ListingUpdated(listingId, price, stock, block.timestamp);
+    }
+    
+    // Take a listing down and get the deposit for the unsold stock back.
+    // Orders already placed against it are unaffected.
+    function closeListing(uint256 listingId) external {
+        Listing storage listing = listings[listingId];
+        require(listing.active, "Listing not active");
+        require(msg.sender == listing.seller, "Only seller can close listing");
+        
+        uint256 refund = listing.price * listing.stock;
+        listing.active = false;
+        listing.stock = 0;
+        
+        if (refund > 0) {
+            _credit(listing.token, listing.seller, refund);
+        }
+        
+        emit ListingClosed(listingId, refund, block.timestamp);
+    }
+    
+    // Order one unit of a listing. The order takes one unit of the seller's
+    // deposit and is funded by the caller in the same call.
+    function orderFromListing(uint256 listingId) external payable nonReentrant returns (uint256) {
+        Listing storage listing = listings[listingId];
+        require(listing.active, "Listing not active");
+        require(listing.stock > 0, "Listing out of stock");
+        require(listing.buyer == address(0) || listing.buyer == msg.sender, "Listing is reserved for another buyer");
+        
+        listing.stock -= 1;
+        
+        uint256 orderId = _newOrder(listing.seller, msg.sender, listing.description, listing.token, listing.price);
+        
+        emit ListingOrdered(listingId, orderId, msg.sender, listing.stock);
+        
+        _fundOrder(orderId);
+        
+        return orderId;
+    }
+    
+    function _createListing(
+        string memory description,
+        string memory category,
+        address token,
+        uint256 price,
+        uint256 stock,
+        address buyer
+    ) internal returns (uint256) {
         require(bytes(description).length > 0, "Description cannot be empty");
+        require(bytes(category).length > 0 && bytes(category).length <= 32, "Category must be 1-32 bytes");
+        require(price > 0, "Price must be greater than 0");
+        require(stock > 0, "Stock must be greater than 0");
+        require(buyer != msg.sender, "Seller cannot be the buyer");
+        require(token == address(0) || allowedTokens[token], "Token not allowed");
+        
+        uint256 listingId = nextListingId++;
+        
+        listings[listingId] = Listing({
+            id: listingId,
+            seller: msg.sender,
+            buyer: buyer,
+            token: token,
+            price: price,
+            stock: stock,
+            description: description,
+            category: category,
+            active: true,
+            createdAt: block.timestamp
+        });
+        
+        _collect(token, price * stock);
+        
+        emit ListingCreated(listingId, msg.sender, buyer, token, price, stock, category, description, block.timestamp);
+        
+        return listingId;
+    }
+    
+    function _setRequirement(
+        uint256 orderId,
+        uint32 minScore,
+        uint32 minCompletedOrders,
+        uint32 maxLostDisputes
+    ) internal {
+        require(address(eligibilityVerifier) != address(0), "Eligibility verifier not configured");
         
+        orderRequirements[orderId] = EligibilityRequirement({
+            required: true,
+            minScore: minScore,
+            minCompletedOrders: minCompletedOrders,
+            maxLostDisputes: maxLostDisputes
+        });
+        
+        emit OrderEligibilitySet(orderId, minScore, minCompletedOrders, maxLostDisputes);
+    }
+    
+    function fundOrder(uint256 orderId) external payable nonReentrant {
+        require(!orderRequirements[orderId].required, "Eligibility proof required");
+        _fundOrder(orderId);
+    }
+    
+    // Fund a gated order; `proof` is passed to the eligibility verifier as-is
+    function fundOrderWithProof(uint256 orderId, bytes calldata proof) external payable nonReentrant {
+        EligibilityRequirement memory requirement = orderRequirements[orderId];
+        if (requirement.required) {
+            require(
+                eligibilityVerifier.verify(
+                    msg.sender,
+                    requirement.minScore,
+                    requirement.minCompletedOrders,
+                    requirement.maxLostDisputes,
+                    proof
+                ),
+                "Eligibility proof rejected"
+            );
+        }
+        _fundOrder(orderId);
+    }
+    
+    function _createOrder(string memory description, address token, uint256 amount) internal returns (uint256) {
+        require(bytes(description).length > 0, "Description cannot be empty");
+        return _storeOrder(description, address(0), token, amount);
+    }
+    
+    function _createPrivateOrder(
+        bytes32 termsCommitment,
+        address buyer,
+        address token,
+        uint256 amount
+    ) internal returns (uint256) {
+        require(termsCommitment != bytes32(0), "Terms commitment required");
+        require(buyer != address(0), "Private orders need a buyer");
+        require(buyer != msg.sender, "Seller cannot be the buyer");
+        
+        uint256 orderId = _storeOrder("", buyer, token, amount);
+        termsCommitments[orderId] = termsCommitment;
+        
+        emit OrderTermsCommitted(orderId, termsCommitment);
+        
+        return orderId;
+    }
+    
+    // `buyer` reserves the order for one address; address(0) lets anyone fund it
+    function _storeOrder(
+        string memory description,
+        address buyer,
+        address token,
+        uint256 amount
+    ) internal returns (uint256) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(token == address(0) || allowedTokens[token], "Token not allowed");
+        
+        uint256 orderId = _newOrder(msg.sender, buyer, description, token, amount);
+        
+        _collect(token, amount);
+        
+        return orderId;
+    }
+    
+    // Record an order whose seller deposit is already held
+    function _newOrder(
+        address seller,
+        address buyer,
+        string memory description,
+        address token,
+        uint256 amount
+    ) internal returns (uint256) {
         uint256 orderId = nextOrderId++;
         
         orders[orderId] = Order({
             id: orderId,
-            seller: msg.sender,
-            buyer: address(0),
-            amount: msg.value,
+            seller: seller,
+            buyer: buyer,
+            amount: amount,
             description: description,
             status: OrderStatus.Created,
             createdAt: block.timestamp,
             fundedAt: 0,
-            confirmedAt: 0
+            confirmedAt: 0,
+            token: token
         });
         
-        emit OrderCreated(orderId, msg.sender, address(0), msg.value, description, block.timestamp);
+        emit OrderCreated(orderId, seller, buyer, token, amount, description, block.timestamp);
         
         return orderId;
     }
     
-    function fundOrder(uint256 orderId) external payable {
+    function _fundOrder(uint256 orderId) internal {
         Order storage order = orders[orderId];
         require(order.status == OrderStatus.Created, "Order not in correct status");
-        require(msg.value == order.amount, "Incorrect funding amount");
         require(msg.sender != order.seller, "Seller cannot fund their own order");
+        require(order.buyer == address(0) || order.buyer == msg.sender, "Order is reserved for another buyer");
         
         order.buyer = msg.sender;
         order.status = OrderStatus.Funded;
         order.fundedAt = block.timestamp;
         
-        emit OrderFunded(orderId, msg.sender, msg.value, block.timestamp);
+        uint256 deliveryDeadline = block.timestamp + deliveryWindow;
+        orderDeadlines[orderId].deliveryDeadline = uint64(deliveryDeadline);
+        
+        _collect(order.token, order.amount);
+        
+        emit OrderFunded(orderId, msg.sender, order.amount, deliveryDeadline, block.timestamp);
+    }
+    
+    // Withdraw an order nobody has funded yet and get the deposit back
+    function cancelOrder(uint256 orderId) external {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Created, "Only unfunded orders can be cancelled");
+        require(msg.sender == order.seller, "Only seller can cancel order");
+        
+        order.status = OrderStatus.Cancelled;
+        
+        _credit(order.token, order.seller, order.amount);
+        
+        emit OrderCancelled(orderId, order.seller, order.amount, block.timestamp);
+    }
+    
+    // Seller marks the order delivered, which starts the buyer's confirmation window
+    function markDelivered(uint256 orderId) external {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Funded, "Order not funded");
+        require(msg.sender == order.seller, "Only seller can mark delivery");
+        
+        OrderDeadlines storage deadlines = orderDeadlines[orderId];
+        require(deadlines.deliveredAt == 0, "Order already delivered");
+        require(block.timestamp <= deadlines.deliveryDeadline, "Delivery deadline passed");
+        
+        uint256 confirmationDeadline = block.timestamp + confirmationWindow;
+        deadlines.deliveredAt = uint64(block.timestamp);
+        deadlines.confirmationDeadline = uint64(confirmationDeadline);
+        
+        emit OrderDelivered(orderId, msg.sender, confirmationDeadline, block.timestamp);
+    }
+    
+    // Buyer takes their funds back when the seller missed the delivery deadline.
+    // The seller's deposit is returned to the seller.
+    function refundOrder(uint256 orderId) external {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Funded, "Order not funded");
+        require(msg.sender == order.buyer, "Only buyer can request refund");
+        
+        OrderDeadlines memory deadlines = orderDeadlines[orderId];
+        require(deadlines.deliveredAt == 0, "Order already delivered");
+        require(block.timestamp > deadlines.deliveryDeadline, "Delivery deadline not reached");
+        
+        order.status = OrderStatus.Cancelled;
+        
+        _credit(order.token, order.buyer, order.amount);
+        _credit(order.token, order.seller, order.amount);
+        
+        emit OrderRefunded(orderId, order.buyer, order.amount, block.timestamp);
     }
     
     function confirmReceipt(uint256 orderId) external {
@@ -111,18 +589,116 @@ contract ZKMarketplace {
         require(order.status == OrderStatus.Funded, "Order not funded");
         require(msg.sender == order.buyer, "Only buyer can confirm receipt");
         
+        uint256 sellerAmount = _releaseToSeller(order);
+        
+        emit OrderConfirmed(orderId, order.seller, sellerAmount, block.timestamp);
+    }
+    
+    // Seller collects payment when the buyer neither confirmed nor disputed
+    // within the confirmation window
+    function releaseAfterDeadline(uint256 orderId) external {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Funded, "Order not funded");
+        require(msg.sender == order.seller, "Only seller can release funds");
+        
+        OrderDeadlines memory deadlines = orderDeadlines[orderId];
+        require(deadlines.deliveredAt != 0, "Order not delivered");
+        require(block.timestamp > deadlines.confirmationDeadline, "Confirmation deadline not reached");
+        
+        uint256 sellerAmount = _releaseToSeller(order);
+        
+        emit OrderAutoReleased(orderId, order.seller, sellerAmount, block.timestamp);
+    }
+    
+    // Pay the seller the buyer's funding and return their deposit, less the
+    // platform fee on the payment
+    function _releaseToSeller(Order storage order) internal returns (uint256) {
         order.status = OrderStatus.Confirmed;
         order.confirmedAt = block.timestamp;
         
         // Calculate fees
         uint256 platformFee = (order.amount * platformFeePercent) / 10000;
-        uint256 sellerAmount = order.amount - platformFee;
+        uint256 sellerAmount = order.amount * 2 - platformFee;
         
         // Transfer funds
-        payable(order.seller).transfer(sellerAmount);
-        payable(feeRecipient).transfer(platformFee);
+        _accrueFee(order.token, platformFee);
+        _credit(order.token, order.seller, sellerAmount);
         
-        emit OrderConfirmed(orderId, order.seller, sellerAmount, block.timestamp);
+        return sellerAmount;
+    }
+    
+    // Take a deposit from msg.sender in the order's currency
+    function _collect(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            require(msg.value == amount, "Incorrect funding amount");
+        } else {
+            require(msg.value == 0, "ETH sent for token order");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+    
+    // Payouts are credited rather than sent, so a payee that can't receive
+    // funds only blocks its own withdrawal, never the order
+    function _credit(address token, address payee, uint256 amount) internal {
+        pendingWithdrawals[payee][token] += amount;
+        emit PaymentCredited(payee, token, amount);
+    }
+    
+    function _accrueFee(address token, uint256 amount) internal {
+        accruedFees[token] += amount;
+        totalFeesCollected[token] += amount;
+    }
+    
+    // Dispute hooks, called by the DisputeResolution contract
+    
+    // Freeze a funded order so confirmReceipt can't release the escrow mid-dispute
+    function markDisputed(uint256 orderId) external onlyDisputeResolver {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Funded, "Order not funded");
+        
+        order.status = OrderStatus.Disputed;
+        
+        emit OrderDisputed(orderId, block.timestamp);
+    }
+    
+    // Return a disputed order to Funded when its dispute is cancelled
+    function clearDispute(uint256 orderId) external onlyDisputeResolver {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Disputed, "Order not disputed");
+        
+        order.status = OrderStatus.Funded;
+        
+        emit OrderDisputeCleared(orderId, block.timestamp);
+    }
+    
+    // Split the whole escrow (seller deposit plus buyer funding) between the
+    // parties as the ruling directs, less the platform fee, which like on
+    // release is charged on the payment only
+    function resolveOrder(uint256 orderId, uint256 buyerShareBps)
+        external
+        onlyDisputeResolver
+        returns (uint256 buyerAmount, uint256 sellerAmount, uint256 platformFee)
+    {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Disputed, "Order not disputed");
+        require(buyerShareBps <= 10000, "Share exceeds 100%");
+        
+        order.status = OrderStatus.Resolved;
+        
+        uint256 escrow = order.amount * 2;
+        platformFee = (order.amount * platformFeePercent) / 10000;
+        buyerAmount = ((escrow - platformFee) * buyerShareBps) / 10000;
+        sellerAmount = escrow - platformFee - buyerAmount;
+        
+        _accrueFee(order.token, platformFee);
+        if (buyerAmount > 0) {
+            _credit(order.token, order.buyer, buyerAmount);
+        }
+        if (sellerAmount > 0) {
+            _credit(order.token, order.seller, sellerAmount);
+        }
+        
+        emit OrderResolved(orderId, buyerAmount, sellerAmount, platformFee, block.timestamp);
     }
     
     // View functions
@@ -134,12 +710,92 @@ contract ZKMarketplace {
         return orders[orderId].status;
     }
     
+    function getOrderRequirement(uint256 orderId) external view returns (EligibilityRequirement memory) {
+        return orderRequirements[orderId];
+    }
+    
+    function getPendingWithdrawal(address payee, address token) external view returns (uint256) {
+        return pendingWithdrawals[payee][token];
+    }
+    
+    function getOrderDeadlines(uint256 orderId) external view returns (OrderDeadlines memory) {
+        return orderDeadlines[orderId];
+    }
+    
+    function getListing(uint256 listingId) external view returns (Listing memory) {
+        return listings[listingId];
+    }
+    
     // Admin functions
     function setPlatformFee(uint256 newFeePercent) external onlyOwner {
         require(newFeePercent <= 1000, "Fee cannot exceed 10%");
         platformFeePercent = newFeePercent;
     }
     
+    function setTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "ETH is always allowed");
+        allowedTokens[token] = allowed;
+        emit TokenAllowlistUpdated(token, allowed);
+    }
+    
+    // Claim ETH credited by cancellations, refunds, releases and rulings
+    function withdraw() external nonReentrant {
+        _withdraw(address(0));
+    }
+    
+    function withdrawToken(address token) external nonReentrant {
+        require(token != address(0), "Use withdraw for ETH");
+        _withdraw(token);
+    }
+    
+    function _withdraw(address token) internal {
+        uint256 amount = pendingWithdrawals[msg.sender][token];
+        require(amount > 0, "Nothing to withdraw");
+        
+        pendingWithdrawals[msg.sender][token] = 0;
+        
+        if (token == address(0)) {
+            (bool sent, ) = payable(msg.sender).call{value: amount}("");
+            require(sent, "ETH transfer failed");
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+        
+        emit PaymentWithdrawn(msg.sender, token, amount);
+    }
+    
+    // Move a token's accrued platform fees to the fee recipient's withdrawable balance
+    function withdrawFees(address token) external {
+        require(msg.sender == owner || msg.sender == feeRecipient, "Not authorized");
+        uint256 amount = accruedFees[token];
+        require(amount > 0, "No fees to withdraw");
+        
+        accruedFees[token] = 0;
+        _credit(token, feeRecipient, amount);
+        
+        emit FeesWithdrawn(token, feeRecipient, amount);
+    }
+    
+    function setDeadlineWindows(uint256 newDeliveryWindow, uint256 newConfirmationWindow) external onlyOwner {
+        require(newDeliveryWindow >= 1 hours && newDeliveryWindow <= 90 days, "Invalid delivery window");
+        require(newConfirmationWindow >= 1 hours && newConfirmationWindow <= 30 days, "Invalid confirmation window");
+        deliveryWindow = newDeliveryWindow;
+        confirmationWindow = newConfirmationWindow;
+        emit DeadlineWindowsChanged(newDeliveryWindow, newConfirmationWindow);
+    }
+    
+    function setDisputeResolver(address newResolver) external onlyOwner {
+        require(newResolver != address(0), "Invalid resolver address");
+        emit DisputeResolverChanged(disputeResolver, newResolver);
+        disputeResolver = newResolver;
+    }
+    
+    function setEligibilityVerifier(address newVerifier) external onlyOwner {
+        require(newVerifier != address(0), "Invalid verifier address");
+        emit EligibilityVerifierChanged(address(eligibilityVerifier), newVerifier);
+        eligibilityVerifier = IEligibilityVerifier(newVerifier);
+    }
+    
     function setFeeRecipient(address newRecipient) external onlyOwner {
         require(newRecipient != address(0), "Invalid recipient address");
         feeRecipient = newRecipient;
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Pluggable check used by ZKMarketplace to gate funding of orders that carry
+// an eligibility requirement. `proof` is verifier-specific.
+interface IEligibilityVerifier {
+    function verify(
+        address subject,
+        uint256 minScore,
+        uint256 minCompletedOrders,
+        uint256 maxLostDisputes,
+        bytes calldata proof
+    ) external view returns (bool);
+}
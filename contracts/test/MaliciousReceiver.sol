@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../ZKMarketplace.sol";
+
+// Test-only marketplace party whose ETH receive hook either rejects payments
+// or tries to reenter withdraw(), for checking the pull-payment path.
+contract MaliciousReceiver {
+    enum Mode {
+        Accept,
+        Revert,
+        Reenter
+    }
+
+    ZKMarketplace public immutable marketplace;
+    Mode public mode;
+
+    constructor(ZKMarketplace _marketplace) {
+        marketplace = _marketplace;
+    }
+
+    function setMode(Mode newMode) external {
+        mode = newMode;
+    }
+
+    function createOrder(string memory description) external payable returns (uint256) {
+        return marketplace.createOrder{value: msg.value}(description);
+    }
+
+    function withdraw() external {
+        marketplace.withdraw();
+    }
+
+    receive() external payable {
+        if (mode == Mode.Revert) {
+            revert("Payment rejected");
+        }
+        if (mode == Mode.Reenter) {
+            marketplace.withdraw();
+        }
+    }
+}
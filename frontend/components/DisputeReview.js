@@ -0,0 +1,270 @@
+import { useState, useEffect } from 'react'
+import { readContract } from 'wagmi/actions'
+import { formatUnits } from 'ethers'
+import axios from 'axios'
+import { disputeResolution } from '../lib/contracts'
+import { useTransaction } from '../lib/transactions'
+import { evidenceUrl } from '../lib/evidence'
+import { newSalt, saveVote, loadVote, forgetVote } from '../lib/votes'
+import TransactionStatus from './TransactionStatus'
+import PrivateTerms from './PrivateTerms'
+
+const API_URL = 'http://localhost:3001/api'
+
+const buttonClass = 'px-3 py-1 text-sm rounded-md disabled:opacity-50'
+const primary = `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`
+const secondary = `${buttonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—'
+}
+
+// DisputeResolution.PANEL_TIMEOUT: after this long without a panel the main
+// arbitrator may rule on an open dispute alone
+const PANEL_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000
+
+function passed(deadline) {
+  return deadline !== null && new Date(deadline).getTime() < Date.now()
+}
+
+// Buyer's share of the escrow in basis points, picked in whole percent
+function ShareInput({ value, onChange }) {
+  return (
+    <label className="flex items-center gap-3 text-sm text-gray-700">
+      <span>Buyer {value / 100}%</span>
+      <input
+        type="range"
+        min="0"
+        max="10000"
+        step="100"
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="flex-1"
+      />
+      <span>Seller {(10000 - value) / 100}%</span>
+    </label>
+  )
+}
+
+function EvidenceColumn({ title, party, evidence }) {
+  return (
+    <div className="flex-1 min-w-0">
+      <h4 className="text-sm font-semibold text-gray-900">{title}</h4>
+      <p className="text-xs text-gray-500 font-mono break-all mb-2">{party}</p>
+      {evidence.length === 0 ? (
+        <p className="text-sm text-gray-500">No evidence submitted.</p>
+      ) : (
+        <ul className="space-y-2">
+          {evidence.map((item) => {
+            const url = evidenceUrl(item.evidence_hash)
+            return (
+              <li key={item.id} className="border border-gray-200 rounded-md p-2">
+                <p className="text-sm text-gray-900">{item.evidence_text}</p>
+                {url ? (
+                  <a href={url} target="_blank" rel="noopener noreferrer" className="text-xs font-mono text-indigo-600 hover:text-indigo-800 break-all">
+                    {item.evidence_hash}
+                  </a>
+                ) : (
+                  <p className="text-xs font-mono text-gray-500 break-all">{item.evidence_hash}</p>
+                )}
+                {!item.blob && <p className="text-xs text-red-700">Hash doesn't match an uploaded file</p>}
+                <p className="text-xs text-gray-400">{formatTime(item.created_at)}</p>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// One dispute as an arbitrator sees it: both parties' evidence side by side
+// and whichever step of the panel process the connected arbitrator can take
+export default function DisputeReview({ orderId, address, isMain, isOwner, onDone }) {
+  const tx = useTransaction()
+  const [dispute, setDispute] = useState(null)
+  const [share, setShare] = useState(5000)
+  const [resolution, setResolution] = useState('')
+
+  useEffect(() => {
+    fetchDispute()
+  }, [orderId])
+
+  const fetchDispute = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/disputes/${orderId}`)
+      setDispute(response.data)
+    } catch (error) {
+      console.error('Error fetching dispute:', error)
+    }
+  }
+
+  if (!dispute) {
+    return <p className="text-sm text-gray-500">Loading dispute…</p>
+  }
+
+  const run = async (call, label) => {
+    const receipt = await tx.send({ ...disputeResolution, ...call }, label)
+    if (receipt) {
+      fetchDispute()
+      if (onDone) onDone()
+    }
+    return receipt
+  }
+
+  const id = BigInt(dispute.dispute_id)
+  const seat = dispute.panel.find((member) => member.arbitrator_address.toLowerCase() === address.toLowerCase())
+  const underReview = dispute.status === 'under_review'
+  const allRevealed = dispute.panel.length > 0 && dispute.panel.every((member) => member.revealed_at)
+  const commitOpen = underReview && !passed(dispute.commit_deadline)
+  const revealOpen = underReview && passed(dispute.commit_deadline) && !passed(dispute.reveal_deadline)
+  const votingOver = underReview && (passed(dispute.reveal_deadline) || allRevealed)
+  // DisputeResolution only follows the panel once a majority of it revealed
+  const quorum = dispute.panel.filter((member) => member.revealed_at).length * 2 > dispute.panel.length
+  const panelTimedOut = dispute.status === 'open' && passed(new Date(dispute.created_at).getTime() + PANEL_TIMEOUT_MS)
+  const storedVote = seat ? loadVote(dispute.dispute_id, address) : null
+
+  const commitVote = async () => {
+    const salt = newSalt()
+    let commitment
+    try {
+      commitment = await readContract({
+        ...disputeResolution,
+        functionName: 'voteCommitment',
+        args: [id, address, BigInt(share), salt]
+      })
+    } catch (error) {
+      return tx.fail(error, 'Commit vote')
+    }
+    // Saved before sending: a mined commitment without its salt can't be revealed
+    saveVote(dispute.dispute_id, address, { buyerShareBps: share, salt })
+    await run({ functionName: 'commitVote', args: [id, commitment] }, 'Commit vote')
+  }
+
+  const revealVote = async () => {
+    const receipt = await run(
+      { functionName: 'revealVote', args: [id, BigInt(storedVote.buyerShareBps), storedVote.salt] },
+      'Reveal vote'
+    )
+    if (receipt) forgetVote(dispute.dispute_id, address)
+  }
+
+  const rule = async () => {
+    if (!resolution.trim()) return
+    await run({ functionName: 'resolveDispute', args: [id, BigInt(share), resolution.trim()] }, 'Rule as main arbitrator')
+  }
+
+  const evidenceBy = (party) => dispute.evidence.filter(
+    (item) => party && item.submitted_by.toLowerCase() === party.toLowerCase()
+  )
+  const amount = dispute.amount_wei === null
+    ? '—'
+    : `${Number(formatUnits(dispute.amount_wei, dispute.token_decimals ?? 18)).toFixed(4)} ${dispute.token_symbol || 'ETH'}`
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-sm text-gray-900">{dispute.order_description || 'Private terms'} · {amount} in escrow</p>
+        <p className="text-sm text-gray-700 mt-1">
+          Raised by the {dispute.raised_by === dispute.buyer_address ? 'buyer' : 'seller'}: {dispute.reason}
+        </p>
+        <p className="text-xs text-gray-500 mt-1">
+          Status {dispute.status} · commit by {formatTime(dispute.commit_deadline)} · reveal by {formatTime(dispute.reveal_deadline)}
+        </p>
+      </div>
+
+      {dispute.unresolved_evidence > 0 && (
+        <p className="text-sm text-red-700 border border-red-200 bg-red-50 rounded-md p-2">
+          {dispute.unresolved_evidence} piece(s) of evidence don't resolve to an uploaded file and can't be checked.
+          Weigh them accordingly before voting or ruling.
+        </p>
+      )}
+
+      <div className="flex gap-4">
+        <EvidenceColumn title="Buyer" party={dispute.buyer_address} evidence={evidenceBy(dispute.buyer_address)} />
+        <EvidenceColumn title="Seller" party={dispute.seller_address} evidence={evidenceBy(dispute.seller_address)} />
+      </div>
+
+      <PrivateTerms
+        orderId={dispute.dispute_id}
+        parties={[dispute.buyer_address, dispute.seller_address]}
+        disputed
+        canViewReveals={isMain || Boolean(seat)}
+      />
+
+      {dispute.panel.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900">Panel</h4>
+          <ul className="text-xs text-gray-600 font-mono">
+            {dispute.panel.map((member) => (
+              <li key={member.arbitrator_address}>
+                {member.arbitrator_address} ·{' '}
+                {member.revealed_at ? `revealed ${member.buyer_share_bps / 100}% to buyer` : member.has_committed ? 'committed' : 'not voted'}
+                {member.penalized && ' · penalized'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="border-t border-gray-200 pt-4 space-y-3">
+        {dispute.status === 'open' && (
+          <button onClick={() => run({ functionName: 'assignPanel', args: [id] }, 'Assign panel')} disabled={tx.busy} className={primary}>
+            Draw a panel and start review
+          </button>
+        )}
+
+        {seat && commitOpen && !seat.has_committed && (
+          <div className="space-y-2">
+            <ShareInput value={share} onChange={setShare} />
+            <button onClick={commitVote} disabled={tx.busy} className={primary}>Commit vote</button>
+            <p className="text-xs text-gray-500">Your vote stays hidden until the reveal period; its salt is kept in this browser.</p>
+          </div>
+        )}
+
+        {seat && revealOpen && seat.has_committed && !seat.revealed_at && (
+          storedVote ? (
+            <button onClick={revealVote} disabled={tx.busy} className={primary}>
+              Reveal vote ({storedVote.buyerShareBps / 100}% to buyer)
+            </button>
+          ) : (
+            <p className="text-sm text-red-700">The salt for your committed vote isn't in this browser, so it can't be revealed here.</p>
+          )
+        )}
+
+        {votingOver && quorum && (
+          <button onClick={() => run({ functionName: 'finalizeDispute', args: [id] }, 'Finalize ruling')} disabled={tx.busy} className={primary}>
+            Finalize panel ruling
+          </button>
+        )}
+
+        {isMain && ((underReview && passed(dispute.reveal_deadline)) || panelTimedOut) && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-700">
+              {panelTimedOut
+                ? 'No panel was drawn in time, rule as main arbitrator:'
+                : 'If the panel is deadlocked, rule as main arbitrator:'}
+            </p>
+            <ShareInput value={share} onChange={setShare} />
+            <textarea
+              value={resolution}
+              onChange={(e) => setResolution(e.target.value)}
+              rows={2}
+              className="block w-full border-gray-300 rounded-md shadow-sm text-sm"
+              placeholder="Explain the ruling (required)"
+            />
+            <button onClick={rule} disabled={tx.busy || !resolution.trim()} className={primary}>Submit ruling</button>
+          </div>
+        )}
+
+        {isOwner && (dispute.status === 'open' || underReview) && (
+          <button onClick={() => run({ functionName: 'cancelDispute', args: [id] }, 'Cancel dispute')} disabled={tx.busy} className={secondary}>
+            Cancel dispute
+          </button>
+        )}
+
+        <TransactionStatus tx={tx} />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,49 @@
+import { useState } from 'react'
+import { uploadEvidence } from '../lib/evidence'
+
+const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500'
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+// Evidence hash field: picking a file uploads it to the evidence service and
+// fills in its CID; a CID from an earlier upload can be pasted instead
+export default function EvidenceInput({ value, onChange, disabled }) {
+  const [upload, setUpload] = useState({ status: 'idle', message: null })
+
+  const pick = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    setUpload({ status: 'uploading', message: `Uploading ${file.name}…` })
+    try {
+      const blob = await uploadEvidence(file)
+      onChange(blob.cid)
+      setUpload({ status: 'done', message: `${file.name} (${formatSize(blob.size)}) uploaded` })
+    } catch (error) {
+      console.error('Error uploading evidence:', error)
+      setUpload({ status: 'failed', message: error.response?.data?.error || `Upload failed: ${error.message}` })
+    }
+  }
+
+  return (
+    <div className="space-y-1">
+      <input
+        type="file"
+        onChange={pick}
+        disabled={disabled || upload.status === 'uploading'}
+        className="block w-full text-sm text-gray-700"
+      />
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={inputClass}
+        placeholder="…or the CID of an uploaded file"
+      />
+      {upload.message && (
+        <p className={`text-xs ${upload.status === 'failed' ? 'text-red-700' : 'text-gray-500'}`}>{upload.message}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+import { useState } from 'react'
+import { useRouter } from 'next/router'
+import { useAccount } from 'wagmi'
+import { decodeEventLog } from 'viem'
+import { formatUnits, parseUnits } from 'ethers'
+import { marketplace, ETH } from '../lib/contracts'
+import { useTransaction, approveMarketplace } from '../lib/transactions'
+import TransactionStatus from './TransactionStatus'
+
+const buttonClass = 'px-3 py-1 text-sm rounded-md disabled:opacity-50'
+const primary = `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`
+const secondary = `${buttonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`
+const danger = `${buttonClass} border border-red-300 text-red-700 hover:bg-red-50`
+const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500'
+
+// The order ID ListingOrdered reports in a mined orderFromListing receipt
+function orderedId(receipt) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== marketplace.address.toLowerCase()) continue
+    try {
+      const event = decodeEventLog({ abi: marketplace.abi, data: log.data, topics: log.topics })
+      if (event.eventName === 'ListingOrdered') return event.args.orderId
+    } catch (error) {
+      // not a marketplace event this ABI knows
+    }
+  }
+  return null
+}
+
+// The contract calls the connected wallet can make on an indexed listing:
+// buyers order a unit, the seller reprices, restocks or closes it. Ordering
+// opens the new order's page once it's mined.
+export default function ListingActions({ listing, onDone }) {
+  const { address } = useAccount()
+  const router = useRouter()
+  const tx = useTransaction()
+  const [update, setUpdate] = useState(null)
+
+  if (!address || !listing.is_active) return null
+
+  const listingId = BigInt(listing.listing_id)
+  const price = BigInt(listing.price_wei)
+  const stock = BigInt(listing.stock)
+  const decimals = listing.token_decimals ?? 18
+  const symbol = listing.token_symbol || 'ETH'
+  const isSeller = listing.seller_address.toLowerCase() === address.toLowerCase()
+  const isToken = listing.payment_token !== ETH
+  const reserved = listing.buyer_address !== ETH
+  const reservedForMe = reserved && listing.buyer_address.toLowerCase() === address.toLowerCase()
+
+  const run = async (call, label) => {
+    const receipt = await tx.send(call, label)
+    if (receipt && onDone) onDone()
+    return receipt
+  }
+
+  const order = async () => {
+    if (isToken) {
+      const approved = await approveMarketplace(tx, {
+        token: listing.payment_token, symbol: listing.token_symbol, owner: address, amount: price, label: 'Order'
+      })
+      if (!approved) return
+    }
+    const receipt = await run(
+      { ...marketplace, functionName: 'orderFromListing', args: [listingId], value: isToken ? 0n : price },
+      'Order'
+    )
+    const orderId = receipt && orderedId(receipt)
+    if (orderId !== null && orderId !== undefined) {
+      router.push(`/orders/${orderId}`)
+    }
+  }
+
+  // The deposit has to cover price * stock; only the difference is paid or credited back
+  const saveUpdate = async () => {
+    let newPrice
+    let newStock
+    try {
+      newPrice = parseUnits(update.price, decimals)
+      newStock = BigInt(update.stock)
+    } catch (error) {
+      return tx.fail(new Error('Invalid price or stock'), 'Update listing')
+    }
+    const topUp = newPrice * newStock > price * stock ? newPrice * newStock - price * stock : 0n
+
+    if (isToken && topUp > 0n) {
+      const approved = await approveMarketplace(tx, {
+        token: listing.payment_token, symbol: listing.token_symbol, owner: address, amount: topUp, label: 'Update listing'
+      })
+      if (!approved) return
+    }
+    const receipt = await run(
+      { ...marketplace, functionName: 'updateListing', args: [listingId, newPrice, newStock], value: isToken ? 0n : topUp },
+      'Update listing'
+    )
+    if (receipt) setUpdate(null)
+  }
+
+  const close = () => run({ ...marketplace, functionName: 'closeListing', args: [listingId] }, 'Close listing')
+
+  const buttons = []
+  if (isSeller) {
+    buttons.push(
+      <button
+        key="update"
+        onClick={() => setUpdate(update ? null : { price: formatUnits(price, decimals), stock: stock.toString() })}
+        disabled={tx.busy}
+        className={secondary}
+      >
+        Price / stock
+      </button>
+    )
+    buttons.push(<button key="close" onClick={close} disabled={tx.busy} className={danger}>Close listing</button>)
+  } else if (stock === 0n) {
+    buttons.push(<span key="sold-out" className="text-xs text-gray-500">Out of stock</span>)
+  } else if (reserved && !reservedForMe) {
+    buttons.push(<span key="reserved" className="text-xs text-gray-500">Reserved for another buyer</span>)
+  } else {
+    buttons.push(
+      <button key="order" onClick={order} disabled={tx.busy} className={primary}>
+        Order for {Number(formatUnits(price, decimals)).toFixed(4)} {symbol}
+      </button>
+    )
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-2">{buttons}</div>
+
+      {update && (
+        <div className="mt-3 space-y-2 max-w-sm">
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              step="0.001"
+              value={update.price}
+              onChange={(e) => setUpdate({ ...update, price: e.target.value })}
+              className={inputClass}
+              placeholder={`Price (${symbol})`}
+            />
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={update.stock}
+              onChange={(e) => setUpdate({ ...update, stock: e.target.value })}
+              className={inputClass}
+              placeholder="Stock"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Your deposit is topped up or refunded to cover price × stock.
+          </p>
+          <button onClick={saveUpdate} disabled={tx.busy || !update.price || update.stock === ''} className={primary}>
+            Save
+          </button>
+        </div>
+      )}
+
+      <TransactionStatus tx={tx} />
+    </div>
+  )
+}
@@ -0,0 +1,205 @@
+import { useState } from 'react'
+import { useAccount } from 'wagmi'
+import { readContract } from 'wagmi/actions'
+import { marketplace, disputeResolution, ETH } from '../lib/contracts'
+import { useTransaction, approveMarketplace } from '../lib/transactions'
+import { requireEvidence } from '../lib/evidence'
+import { proveEligibility } from '../lib/eligibility'
+import TransactionStatus from './TransactionStatus'
+import EvidenceInput from './EvidenceInput'
+
+const buttonClass = 'px-3 py-1 text-sm rounded-md disabled:opacity-50'
+const primary = `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`
+const secondary = `${buttonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`
+const danger = `${buttonClass} border border-red-300 text-red-700 hover:bg-red-50`
+const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500'
+
+function deadlinePassed(deadline) {
+  return deadline !== null && deadline !== undefined && new Date(deadline).getTime() < Date.now()
+}
+
+// The contract calls the connected wallet can make on an indexed order, per
+// its status and the wallet's role in it. `onDone` runs after each mined
+// transaction; the indexer's live updates catch the status change either way.
+export default function OrderActions({ order, onDone }) {
+  const { address } = useAccount()
+  const tx = useTransaction()
+  const [form, setForm] = useState(null)
+  const [dispute, setDispute] = useState({ reason: '', evidenceHash: '' })
+  const [evidence, setEvidence] = useState({ evidenceHash: '', description: '' })
+  const [proving, setProving] = useState(false)
+
+  if (!address) return null
+
+  const orderId = BigInt(order.order_id)
+  const amount = BigInt(order.amount_wei)
+  const isSeller = order.seller_address.toLowerCase() === address.toLowerCase()
+  const isBuyer = order.buyer_address.toLowerCase() === address.toLowerCase()
+  const isToken = order.payment_token !== ETH
+
+  const run = async (call, label) => {
+    const receipt = await tx.send(call, label)
+    if (receipt && onDone) onDone()
+    return receipt
+  }
+
+  // Token orders pull the buyer's payment with transferFrom. Gated orders are
+  // funded with a proof, made in the browser, that the buyer meets their requirements.
+  const fund = async () => {
+    let call = { functionName: 'fundOrder', args: [orderId] }
+    if (order.requires_eligibility) {
+      setProving(true)
+      try {
+        call = { functionName: 'fundOrderWithProof', args: [orderId, await proveEligibility(address, order)] }
+      } catch (error) {
+        return tx.fail(error, 'Fund order')
+      } finally {
+        setProving(false)
+      }
+    }
+    if (isToken) {
+      const approved = await approveMarketplace(tx, {
+        token: order.payment_token, symbol: order.token_symbol, owner: address, amount, label: 'Fund order'
+      })
+      if (!approved) return
+    }
+    await run({ ...marketplace, ...call, value: isToken ? 0n : amount }, 'Fund order')
+  }
+
+  const raiseDispute = async () => {
+    if (!dispute.reason || !dispute.evidenceHash) return
+    let fee
+    try {
+      await requireEvidence(dispute.evidenceHash)
+      fee = await readContract({ ...disputeResolution, functionName: 'disputeFee' })
+    } catch (error) {
+      return tx.fail(error, 'Raise dispute')
+    }
+    const receipt = await run(
+      { ...disputeResolution, functionName: 'raiseDispute', args: [orderId, dispute.reason, dispute.evidenceHash], value: fee },
+      'Raise dispute'
+    )
+    if (receipt) {
+      setForm(null)
+      setDispute({ reason: '', evidenceHash: '' })
+    }
+  }
+
+  const submitEvidence = async () => {
+    if (!evidence.evidenceHash || !evidence.description) return
+    try {
+      await requireEvidence(evidence.evidenceHash)
+    } catch (error) {
+      return tx.fail(error, 'Submit evidence')
+    }
+    const receipt = await run(
+      { ...disputeResolution, functionName: 'submitEvidence', args: [orderId, evidence.evidenceHash, evidence.description] },
+      'Submit evidence'
+    )
+    if (receipt) {
+      setForm(null)
+      setEvidence({ evidenceHash: '', description: '' })
+    }
+  }
+
+  const call = (functionName, label) => () => run({ ...marketplace, functionName, args: [orderId] }, label)
+
+  const buttons = []
+  if (order.status === 'pending') {
+    if (isSeller) {
+      buttons.push(<button key="cancel" onClick={call('cancelOrder', 'Cancel order')} disabled={tx.busy} className={secondary}>Cancel</button>)
+    } else if (order.terms_commitment && !isBuyer) {
+      buttons.push(<span key="reserved" className="text-xs text-gray-500">Reserved for the buyer the terms were agreed with</span>)
+    } else if (order.requires_eligibility) {
+      buttons.push(
+        <button key="fund" onClick={fund} disabled={tx.busy || proving} className={primary}>
+          {proving ? 'Proving eligibility…' : 'Prove eligibility and fund'}
+        </button>
+      )
+      buttons.push(
+        <span key="gated" className="text-xs text-gray-500">
+          Needs reputation ≥ {order.required_min_score}, ≥ {order.required_min_completed_orders} completed orders
+          and ≤ {order.required_max_lost_disputes} lost disputes
+        </span>
+      )
+    } else {
+      buttons.push(<button key="fund" onClick={fund} disabled={tx.busy} className={primary}>Fund</button>)
+    }
+  }
+  if (order.status === 'funded') {
+    if (isSeller && !deadlinePassed(order.delivery_deadline)) {
+      buttons.push(<button key="deliver" onClick={call('markDelivered', 'Mark delivered')} disabled={tx.busy} className={primary}>Mark delivered</button>)
+    }
+    if (isBuyer) {
+      buttons.push(<button key="confirm" onClick={call('confirmReceipt', 'Confirm receipt')} disabled={tx.busy} className={primary}>Confirm receipt</button>)
+      if (deadlinePassed(order.delivery_deadline)) {
+        buttons.push(<button key="refund" onClick={call('refundOrder', 'Refund')} disabled={tx.busy} className={secondary}>Refund</button>)
+      }
+    }
+  }
+  if (order.status === 'delivered') {
+    if (isBuyer) {
+      buttons.push(<button key="confirm" onClick={call('confirmReceipt', 'Confirm receipt')} disabled={tx.busy} className={primary}>Confirm receipt</button>)
+    }
+    if (isSeller && deadlinePassed(order.confirmation_deadline)) {
+      buttons.push(<button key="release" onClick={call('releaseAfterDeadline', 'Release payment')} disabled={tx.busy} className={primary}>Release payment</button>)
+    }
+  }
+  // Funds still in escrow can be disputed by either party
+  if ((order.status === 'funded' || order.status === 'delivered') && (isBuyer || isSeller)) {
+    buttons.push(<button key="dispute" onClick={() => setForm(form === 'dispute' ? null : 'dispute')} disabled={tx.busy} className={danger}>Raise dispute</button>)
+  }
+  if (order.status === 'disputed' && (isBuyer || isSeller)) {
+    buttons.push(<button key="evidence" onClick={() => setForm(form === 'evidence' ? null : 'evidence')} disabled={tx.busy} className={secondary}>Add evidence</button>)
+  }
+
+  if (buttons.length === 0 && tx.status === 'idle') return null
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-2">{buttons}</div>
+
+      {form === 'dispute' && (
+        <div className="mt-3 space-y-2 max-w-lg">
+          <textarea
+            value={dispute.reason}
+            onChange={(e) => setDispute({ ...dispute, reason: e.target.value })}
+            className={inputClass}
+            rows={2}
+            placeholder="What went wrong?"
+          />
+          <EvidenceInput
+            value={dispute.evidenceHash}
+            onChange={(evidenceHash) => setDispute({ ...dispute, evidenceHash })}
+            disabled={tx.busy}
+          />
+          <button onClick={raiseDispute} disabled={tx.busy || !dispute.reason || !dispute.evidenceHash} className={danger}>
+            Submit dispute (pays the dispute fee)
+          </button>
+        </div>
+      )}
+
+      {form === 'evidence' && (
+        <div className="mt-3 space-y-2 max-w-lg">
+          <EvidenceInput
+            value={evidence.evidenceHash}
+            onChange={(evidenceHash) => setEvidence({ ...evidence, evidenceHash })}
+            disabled={tx.busy}
+          />
+          <input
+            type="text"
+            value={evidence.description}
+            onChange={(e) => setEvidence({ ...evidence, description: e.target.value })}
+            className={inputClass}
+            placeholder="What does it show?"
+          />
+          <button onClick={submitEvidence} disabled={tx.busy || !evidence.evidenceHash || !evidence.description} className={secondary}>
+            Submit evidence
+          </button>
+        </div>
+      )}
+
+      <TransactionStatus tx={tx} />
+    </div>
+  )
+}
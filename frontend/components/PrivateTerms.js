@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { useAccount, useContractRead } from 'wagmi'
+import { marketplace } from '../lib/contracts'
+import { deriveKey, decryptTerms, fetchTerms, revealTerms, fetchReveals, verifyReveal } from '../lib/terms'
+
+const ZERO_HASH = `0x${'0'.repeat(64)}`
+
+const buttonClass = 'px-3 py-1 text-sm rounded-md disabled:opacity-50'
+const primary = `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`
+const secondary = `${buttonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`
+
+function shorten(value) {
+  return value ? `${value.slice(0, 10)}…${value.slice(-6)}` : '—'
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—'
+}
+
+function Verified({ ok }) {
+  return ok
+    ? <span className="text-xs text-green-700">✓ matches the on-chain commitment</span>
+    : <span className="text-xs text-red-700">✗ does not match the on-chain commitment</span>
+}
+
+// A private order's terms. Parties can decrypt them and, once the order is
+// disputed, reveal chosen fields to the arbitrators; parties and the
+// arbitrators on the dispute (canViewReveals) can see what was revealed.
+// Everything shown is checked against ZKMarketplace.termsCommitments, read
+// from the chain rather than the API.
+export default function PrivateTerms({ orderId, parties, disputed, canViewReveals }) {
+  const { address } = useAccount()
+  const [terms, setTerms] = useState(null)
+  const [selected, setSelected] = useState([])
+  const [reveals, setReveals] = useState(null)
+  const [status, setStatus] = useState({ busy: false, message: null, error: false })
+
+  const { data: commitment } = useContractRead({
+    ...marketplace,
+    functionName: 'termsCommitments',
+    args: [BigInt(orderId)]
+  })
+
+  if (!commitment || commitment === ZERO_HASH || !address) return null
+
+  const isParty = parties.some((party) => party && party.toLowerCase() === address.toLowerCase())
+
+  const step = async (message, fn) => {
+    setStatus({ busy: true, message, error: false })
+    try {
+      await fn()
+      setStatus({ busy: false, message: null, error: false })
+    } catch (error) {
+      console.error(`Error: ${message}`, error)
+      setStatus({ busy: false, message: error.shortMessage || error.message, error: true })
+    }
+  }
+
+  const decrypt = () => step('Decrypting terms…', async () => {
+    const stored = await fetchTerms(orderId)
+    if (!stored.envelope) {
+      throw new Error('The seller never stored the encrypted terms for this order')
+    }
+    setTerms(await decryptTerms(stored.envelope, address, await deriveKey(address)))
+  })
+
+  const reveal = () => step('Revealing to the arbitrators…', async () => {
+    await revealTerms(address, orderId, {
+      leaves: terms.leaves,
+      fields: selected.map((index) => ({ index, ...terms.fields[index] }))
+    })
+    setSelected([])
+    setReveals(await fetchReveals(address, orderId))
+  })
+
+  const loadReveals = () => step('Loading revealed terms…', async () => {
+    setReveals(await fetchReveals(address, orderId))
+  })
+
+  const toggle = (index) => {
+    setSelected(selected.includes(index) ? selected.filter((other) => other !== index) : [...selected, index])
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        <h4 className="text-sm font-semibold text-gray-900">Private terms</h4>
+        <span className="text-xs font-mono text-gray-500" title={commitment}>commitment {shorten(commitment)}</span>
+      </div>
+
+      {terms ? (
+        <div className="space-y-2">
+          <Verified ok={terms.commitment === commitment.toLowerCase()} />
+          <ul className="space-y-1">
+            {terms.fields.map((field, index) => (
+              <li key={index} className="flex items-start gap-2 text-sm">
+                {disputed && (
+                  <input type="checkbox" checked={selected.includes(index)} onChange={() => toggle(index)} className="mt-1" />
+                )}
+                <span className="text-gray-500">{field.name}:</span>
+                <span className="text-gray-900 whitespace-pre-wrap">{field.value}</span>
+              </li>
+            ))}
+          </ul>
+          {disputed && (
+            <button onClick={reveal} disabled={status.busy || selected.length === 0} className={primary}>
+              Reveal {selected.length || ''} selected to the arbitrators
+            </button>
+          )}
+        </div>
+      ) : (
+        isParty && (
+          <button onClick={decrypt} disabled={status.busy} className={secondary}>Decrypt terms</button>
+        )
+      )}
+
+      {(isParty || canViewReveals) && (
+        reveals === null ? (
+          <button onClick={loadReveals} disabled={status.busy} className={secondary}>Show revealed terms</button>
+        ) : reveals.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing has been revealed to the arbitrators.</p>
+        ) : (
+          <ul className="space-y-2">
+            {reveals.map((item) => (
+              <li key={item.id} className="border border-gray-200 rounded-md p-2">
+                <p className="text-xs text-gray-500">
+                  {item.fields.length} of {item.leaves.length} fields revealed by {item.revealed_by} · {formatTime(item.created_at)}
+                </p>
+                <Verified ok={verifyReveal(commitment, item)} />
+                {item.fields.map((field) => (
+                  <p key={field.index} className="text-sm">
+                    <span className="text-gray-500">{field.name}:</span>{' '}
+                    <span className="text-gray-900 whitespace-pre-wrap">{field.value}</span>
+                  </p>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+
+      {status.message && (
+        <p className={`text-xs ${status.error ? 'text-red-700' : 'text-gray-500'}`}>{status.message}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { useAccount } from 'wagmi'
+import { MAX_RATING, REVIEWABLE_STATUSES, fetchReviews, submitReview, moderateReview } from '../lib/reviews'
+
+const buttonClass = 'px-3 py-1 text-sm rounded-md disabled:opacity-50'
+const primary = `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`
+const secondary = `${buttonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`
+const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500'
+
+function shorten(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase()
+}
+
+export function Stars({ rating }) {
+  return (
+    <span className="text-yellow-500" title={`${rating} of ${MAX_RATING}`}>
+      {'★'.repeat(rating)}<span className="text-gray-300">{'★'.repeat(MAX_RATING - rating)}</span>
+    </span>
+  )
+}
+
+// The connected party's review of the other side of a finished order
+function ReviewForm({ order, address, onDone }) {
+  const [rating, setRating] = useState(0)
+  const [comment, setComment] = useState('')
+  const [status, setStatus] = useState({ busy: false, error: null })
+
+  const reviewee = sameAddress(address, order.buyer_address) ? order.seller_address : order.buyer_address
+
+  const submit = async () => {
+    setStatus({ busy: true, error: null })
+    try {
+      await submitReview({ orderId: order.order_id, reviewer: address, reviewee, rating, comment: comment.trim() })
+      setStatus({ busy: false, error: null })
+      onDone()
+    } catch (error) {
+      console.error('Error submitting review:', error)
+      setStatus({ busy: false, error: error.shortMessage || error.message })
+    }
+  }
+
+  return (
+    <div className="px-6 py-4 space-y-2">
+      <p className="text-sm text-gray-700">
+        Rate the {sameAddress(reviewee, order.seller_address) ? 'seller' : 'buyer'} ({shorten(reviewee)})
+      </p>
+      <div className="flex gap-1 text-2xl">
+        {Array.from({ length: MAX_RATING }, (_, index) => (
+          <button
+            key={index}
+            onClick={() => setRating(index + 1)}
+            className={index < rating ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-400'}
+            aria-label={`${index + 1} of ${MAX_RATING}`}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        className={inputClass}
+        placeholder="How did it go?"
+      />
+      <p className="text-xs text-gray-500">
+        Your wallet signs the review; it can't be changed afterwards.
+      </p>
+      <button onClick={submit} disabled={status.busy || rating === 0 || !comment.trim()} className={primary}>
+        {status.busy ? 'Signing...' : 'Sign and post review'}
+      </button>
+      {status.error && <p className="text-xs text-red-700">{status.error}</p>}
+    </div>
+  )
+}
+
+// Hide with a reason, or restore
+function Moderation({ review, moderator, onDone }) {
+  const [reason, setReason] = useState(null)
+  const [status, setStatus] = useState({ busy: false, error: null })
+
+  const moderate = async (hidden) => {
+    setStatus({ busy: true, error: null })
+    try {
+      await moderateReview(moderator, review.id, { hidden, reason: hidden ? reason : null })
+      setStatus({ busy: false, error: null })
+      setReason(null)
+      onDone()
+    } catch (error) {
+      console.error('Error moderating review:', error)
+      setStatus({ busy: false, error: error.message })
+    }
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      {review.is_hidden ? (
+        <button onClick={() => moderate(false)} disabled={status.busy} className={secondary}>Restore</button>
+      ) : reason === null ? (
+        <button onClick={() => setReason('')} className={secondary}>Hide</button>
+      ) : (
+        <div className="flex gap-2 max-w-md">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className={inputClass}
+            placeholder="Reason for hiding"
+          />
+          <button onClick={() => moderate(true)} disabled={status.busy || !reason.trim()} className={primary}>Hide</button>
+        </div>
+      )}
+      {status.error && <p className="text-xs text-red-700">{status.error}</p>}
+    </div>
+  )
+}
+
+// Reviews from an API path (`/orders/<id>/reviews`, `/users/<address>/reviews`).
+// With `order`, its parties can review each other once it's finished.
+// Arbitrators can switch to moderating, which signs them in, shows hidden
+// reviews and lets them hide or restore reviews.
+export default function Reviews({ path, order, isArbitrator, emptyText = 'No reviews yet.' }) {
+  const { address } = useAccount()
+  const [reviews, setReviews] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [error, setError] = useState(null)
+  const [moderating, setModerating] = useState(false)
+  const moderator = isArbitrator && moderating ? address : null
+
+  useEffect(() => {
+    load()
+  }, [path, moderator])
+
+  const load = async (cursor) => {
+    try {
+      const page = await fetchReviews(path, { cursor, moderator })
+      setReviews(cursor ? [...reviews, ...page.items] : page.items)
+      setNextCursor(page.nextCursor)
+      setError(null)
+    } catch (error) {
+      console.error('Error fetching reviews:', error)
+      setError(error.message)
+    }
+  }
+
+  const canReview = order && address &&
+    REVIEWABLE_STATUSES.includes(order.status) &&
+    (sameAddress(address, order.buyer_address) || sameAddress(address, order.seller_address)) &&
+    !reviews.some((review) => sameAddress(review.reviewer_address, address))
+
+  return (
+    <div className="divide-y divide-gray-200">
+      {isArbitrator && (
+        <div className="px-6 py-2 text-right">
+          <button onClick={() => setModerating(!moderating)} className="text-indigo-600 hover:text-indigo-800 text-sm">
+            {moderating ? 'Stop moderating' : 'Moderate reviews'}
+          </button>
+        </div>
+      )}
+      {canReview && <ReviewForm order={order} address={address} onDone={() => load()} />}
+      {reviews.length === 0 && !canReview && (
+        <p className="px-6 py-4 text-sm text-gray-500">{error || emptyText}</p>
+      )}
+      {reviews.map((review) => (
+        <div key={review.id} className={`px-6 py-4 ${review.is_hidden ? 'bg-gray-50' : ''}`}>
+          <div className="flex justify-between items-start">
+            <div>
+              <Stars rating={review.rating} />
+              <p className="text-sm text-gray-900 whitespace-pre-wrap mt-1">{review.comment}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                <Link href={`/users/${review.reviewer_address}`} className="hover:text-indigo-600">
+                  {shorten(review.reviewer_address)}
+                </Link>
+                {' '}({review.reviewer_role}) on{' '}
+                <Link href={`/users/${review.reviewee_address}`} className="hover:text-indigo-600">
+                  {shorten(review.reviewee_address)}
+                </Link>
+                {!order && (
+                  <>
+                    {' '}· <Link href={`/orders/${review.order_id}`} className="hover:text-indigo-600">Order #{review.order_id}</Link>
+                  </>
+                )}
+              </p>
+            </div>
+            <span className="text-xs text-gray-500">{new Date(review.created_at).toLocaleDateString()}</span>
+          </div>
+          {review.is_hidden && (
+            <p className="text-xs text-red-700 mt-1">Hidden by an arbitrator: {review.moderation_reason}</p>
+          )}
+          {moderator && <Moderation review={review} moderator={moderator} onDone={() => load()} />}
+        </div>
+      ))}
+      {nextCursor && (
+        <div className="px-6 py-3 text-center">
+          <button onClick={() => load(nextCursor)} className="text-indigo-600 hover:text-indigo-800 text-sm">
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+// Inline feedback for a transaction tracked with useTransaction
+export default function TransactionStatus({ tx }) {
+  if (tx.status === 'idle') return null
+
+  const shortHash = tx.hash ? `${tx.hash.slice(0, 10)}…` : null
+  const messages = {
+    signing: ['text-gray-600', `${tx.label}: confirm in your wallet…`],
+    pending: ['text-blue-700', `${tx.label}: waiting for ${shortHash} to be mined…`],
+    mined: ['text-green-700', `${tx.label}: mined in ${shortHash}`],
+    failed: ['text-red-700', `${tx.label} failed: ${tx.error}`]
+  }
+  const [color, message] = messages[tx.status]
+
+  return (
+    <p className={`text-xs mt-2 ${color}`}>
+      {message}
+      {!tx.busy && (
+        <button onClick={tx.reset} className="ml-2 text-gray-400 hover:text-gray-600">dismiss</button>
+      )}
+    </p>
+  )
+}
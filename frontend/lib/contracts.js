@@ -0,0 +1,17 @@
+import { erc20ABI } from 'wagmi'
+// ABIs come straight from the Hardhat artifacts, so run `npm run compile`
+// in the project root before building the frontend
+import ZKMarketplaceArtifact from '../../artifacts/contracts/ZKMarketplace.sol/ZKMarketplace.json'
+import DisputeResolutionArtifact from '../../artifacts/contracts/DisputeResolution.sol/DisputeResolution.json'
+
+export const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3'
+export const DISPUTE_CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_DISPUTE_CONTRACT_ADDRESS || '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+
+export const ETH = '0x0000000000000000000000000000000000000000'
+
+export const marketplace = { address: CONTRACT_ADDRESS, abi: ZKMarketplaceArtifact.abi }
+export const disputeResolution = { address: DISPUTE_CONTRACT_ADDRESS, abi: DisputeResolutionArtifact.abi }
+
+export function erc20(token) {
+  return { address: token, abi: erc20ABI }
+}
@@ -0,0 +1,79 @@
+import axios from 'axios'
+import { AbiCoder } from 'ethers'
+import { ensureSession, apiError } from './session'
+
+const API_URL = 'http://localhost:3001/api'
+
+// The eligibility circuit's files, served by the backend from zk/build
+const CIRCUIT = {
+  wasm: `${API_URL}/zk/circuit/eligibility.wasm`,
+  zkey: `${API_URL}/zk/circuit/eligibility.zkey`
+}
+
+// A fresh credential committing to the user's indexed history, with the
+// issuer signature EligibilityVerifier checks
+async function issueCredential(address) {
+  try {
+    await ensureSession(address)
+    const response = await axios.post(`${API_URL}/zk/credentials`, { address }, { withCredentials: true })
+    return response.data
+  } catch (error) {
+    throw apiError(error)
+  }
+}
+
+// Circuit input proving `credential` meets an indexed gated order's
+// requirements, as buildCircuitInput in zk/eligibility.js
+function circuitInput(credential, order) {
+  return {
+    commitment: credential.commitment,
+    subject: BigInt(credential.subject).toString(),
+    minScore: order.required_min_score,
+    minCompletedOrders: order.required_min_completed_orders,
+    maxLostDisputes: order.required_max_lost_disputes,
+    score: credential.score,
+    completedOrders: credential.completedOrders,
+    lostDisputes: credential.lostDisputes,
+    salt: credential.salt
+  }
+}
+
+// The `proof` bytes ZKMarketplace.fundOrderWithProof takes, as
+// encodeContractProof in zk/eligibility.js
+function encodeProof(proof, credential) {
+  const { expiresAt, signature } = credential.onChain
+  return AbiCoder.defaultAbiCoder().encode(
+    ['uint256[2]', 'uint256[2][2]', 'uint256[2]', 'uint256', 'uint256', 'bytes'],
+    [
+      [proof.pi_a[0], proof.pi_a[1]],
+      // The precompile expects G2 coordinates in reverse order
+      [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
+      [proof.pi_c[0], proof.pi_c[1]],
+      credential.commitment,
+      expiresAt,
+      signature
+    ]
+  )
+}
+
+// Prove in the browser that `address` meets a gated order's requirements.
+// Only the proof goes on-chain, not the history; resolves to the bytes for
+// fundOrderWithProof, or throws with the reason it can't be made.
+export async function proveEligibility(address, order) {
+  const credential = await issueCredential(address)
+  if (!credential.onChain) {
+    throw new Error('The backend has no issuer key to sign credentials for gated orders')
+  }
+
+  // snarkjs is large, so it's only loaded when a proof is needed
+  const { groth16 } = await import('snarkjs')
+  let proof
+  try {
+    ({ proof } = await groth16.fullProve(circuitInput(credential, order), CIRCUIT.wasm, CIRCUIT.zkey))
+  } catch (error) {
+    // The witness generator fails on any violated constraint
+    console.error('Error generating eligibility proof:', error)
+    throw new Error('Your indexed history does not meet the requirements of this order')
+  }
+  return encodeProof(proof, credential)
+}
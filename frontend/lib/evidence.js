@@ -0,0 +1,64 @@
+import axios from 'axios'
+
+const API_URL = 'http://localhost:3001/api'
+
+// Where content-addressed evidence is fetched from. The backend's evidence
+// service serves every uploaded CID; any IPFS HTTP gateway that serves
+// /<cid> paths under this prefix works for pinned files too.
+export const CONTENT_GATEWAY = (process.env.NEXT_PUBLIC_CONTENT_GATEWAY || `${API_URL}/evidence/`).replace(/\/?$/, '/')
+
+// CIDv0 (Qm...) or CIDv1 in base32 (b...)
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/
+
+function splitCid(hash) {
+  const path = hash.trim().replace(/^ipfs:\/\//i, '').replace(/^\/?ipfs\//, '')
+  const [cid, ...rest] = path.split('/')
+  return CID_PATTERN.test(cid) ? [cid, rest] : null
+}
+
+// The CID in an evidenceHash (bare, ipfs://<cid> or /ipfs/<cid>), or null
+export function evidenceCid(hash) {
+  const parts = hash ? splitCid(hash) : null
+  return parts ? parts[0] : null
+}
+
+// Link for an on-chain evidenceHash, or null when it isn't something we can
+// resolve (e.g. free text). URLs are used as they are.
+export function evidenceUrl(hash) {
+  if (!hash) return null
+  const value = hash.trim()
+  if (/^https?:\/\//i.test(value)) return value
+
+  const parts = splitCid(value)
+  if (!parts) return null
+  return `${CONTENT_GATEWAY}${[parts[0], ...parts[1]].join('/')}`
+}
+
+// Upload a File to the evidence service; resolves to its metadata, whose
+// `cid` is the evidenceHash to send on-chain
+export async function uploadEvidence(file) {
+  const response = await axios.post(`${API_URL}/evidence`, file, {
+    params: { filename: file.name || undefined },
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    withCredentials: true
+  })
+  return response.data
+}
+
+// Disputes only take hashes of uploaded files, so arbitrators can always open
+// them. Resolves to the upload's metadata or throws with the reason it can't be used.
+export async function requireEvidence(hash) {
+  const cid = evidenceCid(hash)
+  if (!cid) {
+    throw new Error('Evidence hash must be the CID of an uploaded file')
+  }
+  try {
+    const response = await axios.get(`${API_URL}/evidence/${cid}/info`)
+    return response.data
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new Error(`No uploaded file has CID ${cid}; upload it first`)
+    }
+    throw error
+  }
+}
@@ -0,0 +1,78 @@
+import axios from 'axios'
+import { getAddress } from 'ethers'
+import { signMessage, getNetwork } from 'wagmi/actions'
+import { CONTRACT_ADDRESS } from './contracts'
+import { ensureSession, apiError } from './session'
+
+const API_URL = 'http://localhost:3001/api'
+
+export const MAX_RATING = 5
+
+// Orders in these statuses can be reviewed by their buyer and seller
+export const REVIEWABLE_STATUSES = ['completed', 'resolved']
+
+// The message a review is signed over; backend/reviews.js builds the same one
+// to check the signature
+export function buildReviewMessage({ marketplace, chainId, orderId, reviewer, reviewee, rating, comment }) {
+  return [
+    'ZK Marketplace review',
+    '',
+    `Marketplace: ${getAddress(marketplace)}`,
+    `Chain ID: ${chainId}`,
+    `Order: ${orderId}`,
+    `Reviewer: ${getAddress(reviewer)}`,
+    `Reviewee: ${getAddress(reviewee)}`,
+    `Rating: ${rating}/${MAX_RATING}`,
+    '',
+    comment
+  ].join('\n')
+}
+
+// Sign a review with the wallet and submit it; the signature is all the
+// backend needs, so there's no sign-in
+export async function submitReview({ orderId, reviewer, reviewee, rating, comment }) {
+  const message = buildReviewMessage({
+    marketplace: CONTRACT_ADDRESS,
+    chainId: getNetwork().chain?.id,
+    orderId,
+    reviewer,
+    reviewee,
+    rating,
+    comment
+  })
+  const signature = await signMessage({ message })
+  try {
+    const response = await axios.post(`${API_URL}/orders/${orderId}/reviews`, { reviewer, rating, comment, signature })
+    return response.data
+  } catch (error) {
+    throw apiError(error)
+  }
+}
+
+// A page of reviews from `path` (e.g. `/orders/1/reviews`). Arbitrators
+// (`moderator` is their address) also get hidden reviews, which needs a session.
+export async function fetchReviews(path, { cursor, moderator } = {}) {
+  try {
+    if (moderator) {
+      await ensureSession(moderator)
+    }
+    const response = await axios.get(`${API_URL}${path}`, {
+      params: { cursor, includeHidden: moderator ? true : undefined },
+      withCredentials: Boolean(moderator)
+    })
+    return response.data
+  } catch (error) {
+    throw apiError(error)
+  }
+}
+
+// Hide a review (with a reason) or restore it; arbitrators only
+export async function moderateReview(address, id, { hidden, reason }) {
+  try {
+    await ensureSession(address)
+    const response = await axios.put(`${API_URL}/reviews/${id}/moderation`, { hidden, reason }, { withCredentials: true })
+    return response.data
+  } catch (error) {
+    throw apiError(error)
+  }
+}
@@ -0,0 +1,45 @@
+import axios from 'axios'
+import { signMessage, getNetwork } from 'wagmi/actions'
+
+const API_URL = 'http://localhost:3001/api'
+
+// EIP-4361 message layout, as scripts/sign-in.js builds it. The backend only
+// accepts messages for its SIWE_DOMAIN, which is this frontend's host.
+function buildMessage({ address, chainId, nonce }) {
+  return [
+    `${window.location.host} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to ZK Marketplace',
+    '',
+    `URI: ${window.location.origin}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n')
+}
+
+// A backend session for `address`, signing in with the wallet (one signature)
+// only when the session cookie is missing, expired or for another account
+export async function ensureSession(address) {
+  try {
+    const me = await axios.get(`${API_URL}/auth/me`, { withCredentials: true })
+    if (me.data.address.toLowerCase() === address.toLowerCase()) {
+      return me.data
+    }
+  } catch (error) {
+    if (error.response?.status !== 401) throw error
+  }
+
+  const { data: { nonce } } = await axios.get(`${API_URL}/auth/nonce`, { withCredentials: true })
+  const message = buildMessage({ address, chainId: getNetwork().chain?.id, nonce })
+  const signature = await signMessage({ message })
+  const session = await axios.post(`${API_URL}/auth/verify`, { message, signature }, { withCredentials: true })
+  return session.data
+}
+
+// The API's error message from a failed request, for showing to the user
+export function apiError(error) {
+  return new Error(error.response?.data?.error || error.message)
+}
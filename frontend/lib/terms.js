@@ -0,0 +1,178 @@
+import axios from 'axios'
+import { AbiCoder, SigningKey, keccak256, concat, hexlify, getBytes, randomBytes, toUtf8Bytes, toUtf8String, getAddress } from 'ethers'
+import { signMessage } from 'wagmi/actions'
+import { ensureSession, apiError } from './session'
+
+const API_URL = 'http://localhost:3001/api'
+
+// Private order terms; backend/terms.js describes the scheme. Terms are named
+// fields, each with a random salt:
+//
+//   leaf_i     = keccak256(abi.encode(string name, string value, bytes32 salt))
+//   commitment = keccak256(leaf_0 ‖ ... ‖ leaf_n)
+//
+// The terms are AES-GCM encrypted under a random content key, and that key is
+// wrapped for the buyer and the seller with ECDH against their registered
+// secp256k1 keys. Those keys are derived from a wallet signature, so they
+// come back on any device the wallet is used on.
+
+const KEY_MESSAGE = [
+  'ZK Marketplace private terms key',
+  '',
+  'Signing this derives the key your private order terms are encrypted to.',
+  'It does not send a transaction.'
+].join('\n')
+
+const abiCoder = AbiCoder.defaultAbiCoder()
+
+export function termsLeaf({ name, value, salt }) {
+  return keccak256(abiCoder.encode(['string', 'string', 'bytes32'], [name, value, salt]))
+}
+
+export function termsCommitment(leaves) {
+  return keccak256(concat(leaves))
+}
+
+// [{ name, value }] → { fields (with salts), leaves, commitment }
+export function buildTerms(fields) {
+  const salted = fields.map(({ name, value }) => ({ name, value, salt: hexlify(randomBytes(32)) }))
+  const leaves = salted.map(termsLeaf)
+  return { fields: salted, leaves, commitment: termsCommitment(leaves) }
+}
+
+// Whether revealed fields ({ leaves, fields: [{ index, name, value, salt }] })
+// belong to the terms `commitment` was made to
+export function verifyReveal(commitment, { leaves, fields }) {
+  if (!commitment || termsCommitment(leaves) !== commitment.toLowerCase()) return false
+  return fields.every((field) => termsLeaf(field) === leaves[field.index]?.toLowerCase())
+}
+
+// Keys
+
+const keys = new Map()
+
+// The wallet's terms key; asks for the signature once per page load
+export async function deriveKey(address) {
+  const id = address.toLowerCase()
+  if (!keys.has(id)) {
+    const signature = await signMessage({ message: KEY_MESSAGE })
+    keys.set(id, new SigningKey(keccak256(signature)))
+  }
+  return keys.get(id)
+}
+
+// Registered public key for `address`, or null if they haven't set one up
+export async function fetchPublicKey(address) {
+  try {
+    const response = await axios.get(`${API_URL}/users/${address}/encryption-key`)
+    return response.data.public_key
+  } catch (error) {
+    if (error.response?.status === 404) return null
+    throw apiError(error)
+  }
+}
+
+// Derive the wallet's key and register it, so private orders can be encrypted to it
+export async function setupKey(address) {
+  const key = await deriveKey(address)
+  if ((await fetchPublicKey(address)) !== key.publicKey) {
+    try {
+      await ensureSession(address)
+      await axios.put(`${API_URL}/users/${address}/encryption-key`, { publicKey: key.publicKey }, { withCredentials: true })
+    } catch (error) {
+      throw apiError(error)
+    }
+  }
+  return key
+}
+
+// Encryption
+
+async function seal(keyBytes, data) {
+  const key = await crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt'])
+  const iv = randomBytes(12)
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data)
+  return { iv: hexlify(iv), ciphertext: hexlify(new Uint8Array(ciphertext)) }
+}
+
+async function unseal(keyBytes, iv, ciphertext) {
+  const key = await crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['decrypt'])
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: getBytes(iv) }, key, getBytes(ciphertext)))
+}
+
+// AES key shared between an ephemeral or a recipient's private key and the other's public key
+function sharedKey(signingKey, publicKey) {
+  return getBytes(keccak256(signingKey.computeSharedSecret(publicKey)))
+}
+
+// Encrypt built terms to each { address: publicKey }
+export async function encryptTerms(terms, publicKeys) {
+  const contentKey = randomBytes(32)
+  const body = await seal(contentKey, toUtf8Bytes(JSON.stringify({ fields: terms.fields })))
+
+  const recipients = {}
+  for (const [address, publicKey] of Object.entries(publicKeys)) {
+    const ephemeral = new SigningKey(randomBytes(32))
+    const wrapped = await seal(sharedKey(ephemeral, publicKey), contentKey)
+    recipients[getAddress(address)] = { ephemeralPublicKey: ephemeral.publicKey, iv: wrapped.iv, wrappedKey: wrapped.ciphertext }
+  }
+  return { ...body, recipients }
+}
+
+// Decrypt an envelope with the wallet's key; resolves to { fields, leaves, commitment }
+export async function decryptTerms(envelope, address, signingKey) {
+  const entry = envelope.recipients[getAddress(address)]
+  if (!entry) {
+    throw new Error('These terms were not encrypted to your wallet')
+  }
+  let fields
+  try {
+    const contentKey = await unseal(sharedKey(signingKey, entry.ephemeralPublicKey), entry.iv, entry.wrappedKey)
+    fields = JSON.parse(toUtf8String(await unseal(contentKey, envelope.iv, envelope.ciphertext))).fields
+  } catch (error) {
+    throw new Error('Could not decrypt the terms with your key')
+  }
+  const leaves = fields.map(termsLeaf)
+  return { fields, leaves, commitment: termsCommitment(leaves) }
+}
+
+// API
+
+export async function storeTerms(address, commitment, envelope) {
+  try {
+    await ensureSession(address)
+    await axios.post(`${API_URL}/terms`, { commitment, envelope }, { withCredentials: true })
+  } catch (error) {
+    throw apiError(error)
+  }
+}
+
+// { commitment, envelope } for a private order; envelope is null if it was never stored
+export async function fetchTerms(orderId) {
+  try {
+    const response = await axios.get(`${API_URL}/orders/${orderId}/terms`)
+    return response.data
+  } catch (error) {
+    throw apiError(error)
+  }
+}
+
+export async function revealTerms(address, orderId, reveal) {
+  try {
+    await ensureSession(address)
+    const response = await axios.post(`${API_URL}/orders/${orderId}/terms/reveals`, reveal, { withCredentials: true })
+    return response.data
+  } catch (error) {
+    throw apiError(error)
+  }
+}
+
+export async function fetchReveals(address, orderId) {
+  try {
+    await ensureSession(address)
+    const response = await axios.get(`${API_URL}/orders/${orderId}/terms/reveals`, { withCredentials: true })
+    return response.data.reveals
+  } catch (error) {
+    throw apiError(error)
+  }
+}
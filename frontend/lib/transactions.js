@@ -0,0 +1,90 @@
+import { useState, useCallback } from 'react'
+import { prepareWriteContract, writeContract, getPublicClient, readContract } from 'wagmi/actions'
+import { BaseError, ContractFunctionRevertedError, UserRejectedRequestError } from 'viem'
+import { marketplace, erc20 } from './contracts'
+
+// Human-readable reason a contract call failed: the require() message or
+// custom error decoded with the contract's ABI where there is one
+export function revertReason(error) {
+  if (!(error instanceof BaseError)) {
+    return error.message
+  }
+  if (error.walk((cause) => cause instanceof UserRejectedRequestError)) {
+    return 'Transaction rejected in wallet'
+  }
+  const reverted = error.walk((cause) => cause instanceof ContractFunctionRevertedError)
+  if (reverted) {
+    if (reverted.reason) return reverted.reason
+    if (reverted.data) return `${reverted.data.errorName}(${(reverted.data.args || []).join(', ')})`
+  }
+  return error.shortMessage || error.message
+}
+
+// Sends contract transactions one at a time and tracks where the latest is:
+// 'idle' → 'signing' (simulated, waiting for the wallet) → 'pending' (sent,
+// waiting to be mined) → 'mined' or 'failed' with the revert reason.
+//
+// `send({ address, abi, functionName, args, value }, label)` resolves to the
+// receipt, or null when the call failed; the failure is in `error`.
+export function useTransaction() {
+  const [state, setState] = useState({ status: 'idle', label: null, hash: null, error: null })
+
+  const send = useCallback(async (call, label) => {
+    setState({ status: 'signing', label, hash: null, error: null })
+    let hash = null
+    try {
+      // Simulating first catches reverts before the wallet is asked to sign
+      const prepared = await prepareWriteContract(call)
+      hash = (await writeContract(prepared)).hash
+      setState({ status: 'pending', label, hash, error: null })
+
+      const publicClient = getPublicClient()
+      const receipt = await publicClient.waitForTransactionReceipt({ hash })
+      if (receipt.status === 'reverted') {
+        // Replay the call on the block it was mined in to recover the reason,
+        // with the full ABI so custom errors decode
+        await publicClient.simulateContract({ ...call, account: prepared.request.account, blockNumber: receipt.blockNumber })
+        throw new Error('Transaction reverted')
+      }
+
+      setState({ status: 'mined', label, hash, error: null })
+      return receipt
+    } catch (error) {
+      console.error(`Error sending ${call.functionName}:`, error)
+      setState({ status: 'failed', label, hash, error: revertReason(error) })
+      return null
+    }
+  }, [])
+
+  // For failures around a transaction, e.g. reading the fee it has to pay
+  const fail = useCallback((error, label) => {
+    console.error(`Error preparing ${label}:`, error)
+    setState({ status: 'failed', label, hash: null, error: revertReason(error) })
+  }, [])
+
+  const reset = useCallback(() => {
+    setState({ status: 'idle', label: null, hash: null, error: null })
+  }, [])
+
+  return { ...state, busy: state.status === 'signing' || state.status === 'pending', send, fail, reset }
+}
+
+// Token orders and listings pull their deposits with transferFrom. Approves the
+// marketplace for `amount` of `token` through `tx` when the allowance is short;
+// resolves to false if that failed (the failure is in tx.error).
+export async function approveMarketplace(tx, { token, symbol, owner, amount, label }) {
+  let allowance
+  try {
+    allowance = await readContract({ ...erc20(token), functionName: 'allowance', args: [owner, marketplace.address] })
+  } catch (error) {
+    tx.fail(error, label)
+    return false
+  }
+  if (allowance >= amount) return true
+
+  const approved = await tx.send(
+    { ...erc20(token), functionName: 'approve', args: [marketplace.address, amount] },
+    `Approve ${symbol || 'token'}`
+  )
+  return Boolean(approved)
+}
@@ -0,0 +1,74 @@
+import { useEffect, useRef } from 'react'
+
+const WS_URL = process.env.NEXT_PUBLIC_WS_URL || 'ws://localhost:3001/ws'
+const MAX_RETRY_MS = 30000
+
+// Live indexed events from the backend (see backend/realtime.js).
+// `subscription` is { all, addresses, orders }; onMessage gets every 'event'
+// and 'resync' message. Reconnects with backoff and resumes from the last
+// event seen, so nothing committed while disconnected is missed.
+export function useMarketplaceEvents(subscription, onMessage) {
+  const handlerRef = useRef(onMessage)
+  const lastEventIdRef = useRef(null)
+  handlerRef.current = onMessage
+
+  const key = subscription ? JSON.stringify(subscription) : null
+
+  useEffect(() => {
+    if (!key) return
+
+    let socket
+    let retryMs = 1000
+    let retryTimer
+    let closed = false
+
+    const connect = () => {
+      socket = new WebSocket(WS_URL)
+
+      socket.onopen = () => {
+        retryMs = 1000
+        socket.send(JSON.stringify({ type: 'subscribe', ...JSON.parse(key), lastEventId: lastEventIdRef.current }))
+      }
+
+      socket.onmessage = (message) => {
+        const data = JSON.parse(message.data)
+        if (data.type === 'subscribed') {
+          lastEventIdRef.current = data.lastEventId
+        } else if (data.type === 'event') {
+          lastEventIdRef.current = data.id
+          handlerRef.current(data)
+        } else if (data.type === 'resync') {
+          handlerRef.current(data)
+        } else if (data.type === 'error') {
+          console.error('Live updates:', data.error)
+        }
+      }
+
+      socket.onclose = () => {
+        if (closed) return
+        retryTimer = setTimeout(connect, retryMs)
+        retryMs = Math.min(retryMs * 2, MAX_RETRY_MS)
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(retryTimer)
+      socket.close()
+    }
+  }, [key])
+}
+
+// Apply an event's projected order status to a list of orders. Returns null
+// when the event is about an order the list doesn't have yet.
+export function applyOrderEvent(orders, event) {
+  if (!event.order) return orders
+  const index = orders.findIndex((order) => String(order.order_id) === event.order.orderId)
+  if (index === -1) return null
+
+  const updated = [...orders]
+  updated[index] = { ...orders[index], status: event.order.status }
+  return updated
+}
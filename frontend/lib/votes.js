@@ -0,0 +1,28 @@
+import { toHex } from 'viem'
+
+// Panel votes are commit-reveal: the commitment hides the vote until the
+// reveal period, and revealing needs the same share and salt. They're kept in
+// this browser's localStorage between the two; losing them means the vote
+// can't be revealed and the arbitrator takes a strike.
+
+function key(orderId, arbitrator) {
+  return `zkm-vote:${orderId}:${arbitrator.toLowerCase()}`
+}
+
+export function newSalt() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)))
+}
+
+export function saveVote(orderId, arbitrator, vote) {
+  localStorage.setItem(key(orderId, arbitrator), JSON.stringify(vote))
+}
+
+// { buyerShareBps, salt } or null
+export function loadVote(orderId, arbitrator) {
+  const stored = localStorage.getItem(key(orderId, arbitrator))
+  return stored ? JSON.parse(stored) : null
+}
+
+export function forgetVote(orderId, arbitrator) {
+  localStorage.removeItem(key(orderId, arbitrator))
+}
@@ -4,7 +4,9 @@ const nextConfig = {
   swcMinify: true,
   env: {
     NEXT_PUBLIC_CONTRACT_ADDRESS: process.env.NEXT_PUBLIC_CONTRACT_ADDRESS,
+    NEXT_PUBLIC_DISPUTE_CONTRACT_ADDRESS: process.env.NEXT_PUBLIC_DISPUTE_CONTRACT_ADDRESS,
     NEXT_PUBLIC_RPC_URL: process.env.NEXT_PUBLIC_RPC_URL,
+    NEXT_PUBLIC_CONTENT_GATEWAY: process.env.NEXT_PUBLIC_CONTENT_GATEWAY,
   },
 }
 
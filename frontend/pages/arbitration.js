@@ -0,0 +1,229 @@
+import { ConnectButton } from '@rainbow-me/rainbowkit'
+import { useAccount, useContractRead } from 'wagmi'
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import axios from 'axios'
+import { disputeResolution } from '../lib/contracts'
+import { useMarketplaceEvents } from '../lib/useMarketplaceEvents'
+import DisputeReview from '../components/DisputeReview'
+
+const API_URL = 'http://localhost:3001/api'
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—'
+}
+
+function formatShare(bps) {
+  return bps === null ? '—' : `${bps / 100}%`
+}
+
+// Every page of /disputes matching `params`, so nothing waiting is left out of the queue
+async function fetchAllDisputes(params) {
+  const items = []
+  let cursor
+  do {
+    const response = await axios.get(`${API_URL}/disputes`, { params: { ...params, cursor, limit: 100 } })
+    items.push(...response.data.items)
+    cursor = response.data.nextCursor
+  } while (cursor)
+  return items
+}
+
+// Arbitrators only; the on-chain isArbitrator decides who sees the console
+export default function Arbitration() {
+  const { address, isConnected } = useAccount()
+  const [queue, setQueue] = useState([])
+  const [mine, setMine] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const [rulings, setRulings] = useState([])
+  const [rulingsCursor, setRulingsCursor] = useState(null)
+
+  const { data: isArbitrator, isLoading } = useContractRead({
+    ...disputeResolution,
+    functionName: 'isArbitrator',
+    args: [address],
+    enabled: isConnected
+  })
+  const { data: mainArbitrator } = useContractRead({ ...disputeResolution, functionName: 'mainArbitrator', enabled: isConnected })
+  const { data: owner } = useContractRead({ ...disputeResolution, functionName: 'owner', enabled: isConnected })
+
+  const sameAddress = (other) => Boolean(other && address && other.toLowerCase() === address.toLowerCase())
+
+  useEffect(() => {
+    if (isArbitrator) {
+      fetchQueue()
+    }
+  }, [isArbitrator, address, mine])
+
+  useEffect(() => {
+    if (isArbitrator) {
+      fetchRulings()
+    }
+  }, [isArbitrator, address])
+
+  useMarketplaceEvents(isArbitrator ? { all: true } : null, (event) => {
+    if (event.type === 'resync' || event.contract === 'DisputeResolution') {
+      fetchQueue()
+      fetchRulings()
+    }
+  })
+
+  // Open disputes wait for a panel; under review ones wait for votes or a ruling
+  const fetchQueue = async () => {
+    try {
+      const panelMember = mine ? address : undefined
+      const [open, underReview] = await Promise.all(['open', 'under_review'].map((status) =>
+        fetchAllDisputes({ status, panelMember, sort: 'created_at' })
+      ))
+      setQueue([...open, ...underReview])
+    } catch (error) {
+      console.error('Error fetching dispute queue:', error)
+    }
+  }
+
+  const fetchRulings = async (cursor) => {
+    try {
+      const response = await axios.get(`${API_URL}/arbitrators/${address}/rulings`, { params: { cursor } })
+      setRulings(cursor ? [...rulings, ...response.data.items] : response.data.items)
+      setRulingsCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error('Error fetching rulings:', error)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div className="flex items-center space-x-6">
+              <h1 className="text-3xl font-bold text-gray-900">Arbitration</h1>
+              <Link href="/" className="text-indigo-600 hover:text-indigo-800">Marketplace</Link>
+              <Link href="/listings" className="text-indigo-600 hover:text-indigo-800">Catalog</Link>
+            </div>
+            <ConnectButton />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {!isConnected ? (
+          <div className="text-center py-12">
+            <p className="text-gray-600 mb-8">Connect an arbitrator wallet to review disputes</p>
+            <ConnectButton />
+          </div>
+        ) : isLoading ? (
+          <p className="text-center py-12 text-gray-500">Checking arbitrator status…</p>
+        ) : !isArbitrator ? (
+          <p className="text-center py-12 text-gray-600">{address} is not an authorized arbitrator.</p>
+        ) : (
+          <div className="space-y-8">
+            {/* Queue */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                <h2 className="text-xl font-semibold text-gray-900">Dispute queue</h2>
+                <label className="text-sm text-gray-700 flex items-center gap-2">
+                  <input type="checkbox" checked={mine} onChange={(e) => setMine(e.target.checked)} />
+                  Only panels I'm on
+                </label>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {queue.length === 0 ? (
+                  <div className="px-6 py-4 text-center text-gray-500">Nothing to review.</div>
+                ) : (
+                  queue.map((dispute) => (
+                    <div key={dispute.id} className="px-6 py-4">
+                      <button
+                        onClick={() => setSelected(selected === dispute.dispute_id ? null : dispute.dispute_id)}
+                        className="w-full flex justify-between items-start text-left"
+                      >
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            Order #{dispute.order_id} · {dispute.order_description || 'Private terms'}
+                          </p>
+                          <p className="text-sm text-gray-600">{dispute.reason}</p>
+                          {dispute.unresolved_evidence > 0 && (
+                            <p className="text-xs text-red-700">
+                              {dispute.unresolved_evidence} piece(s) of evidence not uploaded
+                            </p>
+                          )}
+                        </div>
+                        <div className="text-right text-xs text-gray-500">
+                          <p>{dispute.status}</p>
+                          <p>{formatTime(dispute.created_at)}</p>
+                        </div>
+                      </button>
+                      {selected === dispute.dispute_id && (
+                        <div className="mt-4">
+                          <DisputeReview
+                            orderId={dispute.dispute_id}
+                            address={address}
+                            isMain={sameAddress(mainArbitrator)}
+                            isOwner={sameAddress(owner)}
+                            onDone={fetchQueue}
+                          />
+                        </div>
+                      )}
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
+            {/* Past rulings */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-xl font-semibold text-gray-900">My rulings</h2>
+              </div>
+              {rulings.length === 0 ? (
+                <div className="px-6 py-4 text-center text-gray-500">No rulings yet.</div>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="px-6 py-2">Order</th>
+                      <th className="px-6 py-2">My vote (to buyer)</th>
+                      <th className="px-6 py-2">Ruling (to buyer)</th>
+                      <th className="px-6 py-2">Resolution</th>
+                      <th className="px-6 py-2">Resolved</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {rulings.map((ruling) => (
+                      <tr key={ruling.dispute_id} className="text-gray-900">
+                        <td className="px-6 py-2">
+                          <Link href={`/orders/${ruling.order_id}`} className="text-indigo-600 hover:text-indigo-800">
+                            #{ruling.order_id}
+                          </Link>
+                        </td>
+                        <td className="px-6 py-2">
+                          {ruling.ruled_without_panel
+                            ? 'Ruled without a panel'
+                            : ruling.broke_deadlock
+                              ? 'Broke deadlock'
+                              : ruling.revealed_at
+                                ? formatShare(ruling.vote_bps)
+                                : ruling.penalized ? 'Not revealed (penalized)' : 'Not revealed'}
+                        </td>
+                        <td className="px-6 py-2">{formatShare(ruling.buyer_share_bps)}</td>
+                        <td className="px-6 py-2 text-gray-600">{ruling.resolution}</td>
+                        <td className="px-6 py-2 text-gray-500">{formatTime(ruling.resolved_at)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {rulingsCursor && (
+                <div className="px-6 py-3 border-t border-gray-200 text-center">
+                  <button onClick={() => fetchRulings(rulingsCursor)} className="text-indigo-600 hover:text-indigo-800 text-sm">
+                    Load more
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,341 @@
+import { ConnectButton } from '@rainbow-me/rainbowkit'
+import { useAccount } from 'wagmi'
+import { useState, useEffect } from 'react'
+import { formatUnits } from 'ethers'
+import Link from 'next/link'
+import axios from 'axios'
+import { useMarketplaceEvents, applyOrderEvent } from '../lib/useMarketplaceEvents'
+import { marketplace, disputeResolution, ETH } from '../lib/contracts'
+import { useTransaction } from '../lib/transactions'
+import { fetchPublicKey, setupKey } from '../lib/terms'
+import OrderActions from '../components/OrderActions'
+import TransactionStatus from '../components/TransactionStatus'
+
+const API_URL = 'http://localhost:3001/api'
+
+// Amounts are stored in the smallest unit of the order's payment token
+function formatAmount(value, decimals, symbol) {
+  return `${Number(formatUnits(value, decimals ?? 18)).toFixed(4)} ${symbol || 'ETH'}`
+}
+
+function formatDuration(seconds) {
+  if (seconds === null) return '—'
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} h`
+  return `${(seconds / 86400).toFixed(1)} days`
+}
+
+function StatCard({ label, value }) {
+  return (
+    <div className="bg-white shadow rounded-lg p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className="text-2xl font-semibold text-gray-900">{value}</p>
+    </div>
+  )
+}
+
+export default function Dashboard() {
+  const { address, isConnected } = useAccount()
+  const [stats, setStats] = useState(null)
+  const [role, setRole] = useState('')
+  const [orders, setOrders] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [disputes, setDisputes] = useState([])
+  const [balances, setBalances] = useState([])
+  const [termsKey, setTermsKey] = useState({ registered: null, busy: false, error: null })
+  const withdrawal = useTransaction()
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchStats()
+      fetchDisputes()
+      fetchBalances()
+      fetchTermsKey()
+    }
+  }, [isConnected, address])
+
+  useEffect(() => {
+    if (isConnected) {
+      fetchOrders()
+    }
+  }, [isConnected, address, role])
+
+  // Anything involving the connected wallet changes its stats
+  useMarketplaceEvents(isConnected ? { addresses: [address] } : null, (event) => {
+    fetchStats()
+    fetchBalances()
+    if (event.type === 'resync' || event.dispute) {
+      fetchDisputes()
+    }
+    const updated = event.type === 'event' ? applyOrderEvent(orders, event) : null
+    if (updated) {
+      setOrders(updated)
+    } else {
+      fetchOrders()
+    }
+  })
+
+  const fetchStats = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/${address}/stats`)
+      setStats(response.data)
+    } catch (error) {
+      // Wallets the indexer hasn't seen yet have no stats
+      setStats(null)
+      if (error.response?.status !== 404) {
+        console.error('Error fetching stats:', error)
+      }
+    }
+  }
+
+  const fetchOrders = async (cursor) => {
+    try {
+      const response = await axios.get(`${API_URL}/users/${address}/orders`, {
+        params: { role: role || undefined, cursor }
+      })
+      setOrders(cursor ? [...orders, ...response.data.items] : response.data.items)
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error('Error fetching orders:', error)
+    }
+  }
+
+  const fetchDisputes = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/${address}/disputes`)
+      setDisputes(response.data.items)
+    } catch (error) {
+      console.error('Error fetching disputes:', error)
+    }
+  }
+
+  const fetchBalances = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/${address}/balances`)
+      setBalances(response.data)
+    } catch (error) {
+      console.error('Error fetching balances:', error)
+    }
+  }
+
+  const fetchTermsKey = async () => {
+    try {
+      setTermsKey({ registered: Boolean(await fetchPublicKey(address)), busy: false, error: null })
+    } catch (error) {
+      console.error('Error fetching encryption key:', error)
+    }
+  }
+
+  // Sellers can only create private orders for buyers with a registered key
+  const registerTermsKey = async () => {
+    setTermsKey({ ...termsKey, busy: true, error: null })
+    try {
+      await setupKey(address)
+      setTermsKey({ registered: true, busy: false, error: null })
+    } catch (error) {
+      console.error('Error setting up encryption key:', error)
+      setTermsKey({ ...termsKey, busy: false, error: error.shortMessage || error.message })
+    }
+  }
+
+  // Payouts are credited, not pushed; each contract holds its own
+  const withdraw = async (balance) => {
+    const call = balance.contract_name === 'DisputeResolution'
+      ? { ...disputeResolution, functionName: 'withdraw' }
+      : balance.token === ETH
+        ? { ...marketplace, functionName: 'withdraw' }
+        : { ...marketplace, functionName: 'withdrawToken', args: [balance.token] }
+    if (await withdrawal.send(call, `Withdraw ${balance.token_symbol || 'ETH'}`)) {
+      fetchBalances()
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div className="flex items-center space-x-6">
+              <h1 className="text-3xl font-bold text-gray-900">My Dashboard</h1>
+              <Link href="/" className="text-indigo-600 hover:text-indigo-800">Marketplace</Link>
+              <Link href="/listings" className="text-indigo-600 hover:text-indigo-800">Catalog</Link>
+              {isConnected && (
+                <Link href={`/users/${address}`} className="text-indigo-600 hover:text-indigo-800">My Reviews</Link>
+              )}
+            </div>
+            <ConnectButton />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {!isConnected ? (
+          <div className="text-center py-12">
+            <p className="text-gray-600 mb-8">Connect your wallet to see your orders and stats</p>
+            <ConnectButton />
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {/* Stats */}
+            {stats ? (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <StatCard label="Orders" value={stats.totalOrders} />
+                  <StatCard label="Completed" value={stats.completedOrders} />
+                  <StatCard
+                    label="Dispute rate"
+                    value={stats.disputeRate === null ? '—' : `${(stats.disputeRate * 100).toFixed(1)}%`}
+                  />
+                  <StatCard label="Avg. time to confirm" value={formatDuration(stats.avgConfirmationSeconds)} />
+                </div>
+                {stats.tokens.length > 0 && (
+                  <div className="bg-white shadow rounded-lg p-4">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="py-1">Token</th>
+                          <th className="py-1">Bought</th>
+                          <th className="py-1">Sold</th>
+                          <th className="py-1">Fees paid</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {stats.tokens.map((token) => (
+                          <tr key={token.token} className="text-gray-900">
+                            <td className="py-1">{token.symbol || token.token}</td>
+                            <td className="py-1">{formatAmount(token.bought, token.decimals, token.symbol)}</td>
+                            <td className="py-1">{formatAmount(token.sold, token.decimals, token.symbol)}</td>
+                            <td className="py-1">{formatAmount(token.feesPaid, token.decimals, token.symbol)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-gray-500">No activity indexed for {address} yet.</p>
+            )}
+
+            {/* Withdrawable payouts */}
+            {(balances.length > 0 || withdrawal.status !== 'idle') && (
+              <div className="bg-white shadow rounded-lg p-4">
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">Ready to withdraw</h2>
+                <div className="space-y-2">
+                  {balances.map((balance) => (
+                    <div key={`${balance.contract_name}-${balance.token}`} className="flex justify-between items-center">
+                      <span className="text-sm text-gray-900">
+                        {formatAmount(balance.pending, balance.token_decimals, balance.token_symbol)}
+                        {balance.contract_name === 'DisputeResolution' && ' · dispute fee refund'}
+                      </span>
+                      <button
+                        onClick={() => withdraw(balance)}
+                        disabled={withdrawal.busy}
+                        className="px-3 py-1 text-sm rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                      >
+                        Withdraw
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <TransactionStatus tx={withdrawal} />
+              </div>
+            )}
+
+            {/* Private terms key */}
+            {termsKey.registered === false && (
+              <div className="bg-white shadow rounded-lg p-4 flex justify-between items-center">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">Private terms</h2>
+                  <p className="text-sm text-gray-600">
+                    Set up your key so sellers can create orders for you with encrypted, off-chain terms.
+                  </p>
+                  {termsKey.error && <p className="text-xs text-red-700">{termsKey.error}</p>}
+                </div>
+                <button
+                  onClick={registerTermsKey}
+                  disabled={termsKey.busy}
+                  className="px-3 py-1 text-sm rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Set up key
+                </button>
+              </div>
+            )}
+
+            {/* My Orders */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                <h2 className="text-xl font-semibold text-gray-900">My Orders</h2>
+                <select
+                  value={role}
+                  onChange={(e) => setRole(e.target.value)}
+                  className="border-gray-300 rounded-md text-sm"
+                >
+                  <option value="">All</option>
+                  <option value="buyer">Buying</option>
+                  <option value="seller">Selling</option>
+                </select>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {orders.length === 0 ? (
+                  <div className="px-6 py-4 text-center text-gray-500">No orders yet.</div>
+                ) : (
+                  orders.map((order) => (
+                    <div key={order.id} className="px-6 py-4">
+                      <div className="flex justify-between items-start">
+                        <div>
+                          <Link href={`/orders/${order.order_id}`} className="text-sm font-medium text-gray-900 hover:text-indigo-600">
+                            Order #{order.order_id} · {order.seller_address === address ? 'Selling' : 'Buying'}
+                          </Link>
+                          <p className="text-sm text-gray-600">{order.description || 'Private terms'}</p>
+                        </div>
+                        <div className="text-right">
+                          <p className="text-sm font-medium text-gray-900">
+                            {formatAmount(order.amount_wei, order.token_decimals, order.token_symbol)}
+                          </p>
+                          <span className="text-xs text-gray-500">{order.status}</span>
+                        </div>
+                      </div>
+                      <OrderActions order={order} onDone={() => fetchOrders()} />
+                    </div>
+                  ))
+                )}
+              </div>
+              {nextCursor && (
+                <div className="px-6 py-3 border-t border-gray-200 text-center">
+                  <button onClick={() => fetchOrders(nextCursor)} className="text-indigo-600 hover:text-indigo-800 text-sm">
+                    Load more
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* My Disputes */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-xl font-semibold text-gray-900">My Disputes</h2>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {disputes.length === 0 ? (
+                  <div className="px-6 py-4 text-center text-gray-500">No disputes.</div>
+                ) : (
+                  disputes.map((dispute) => (
+                    <div key={dispute.id} className="px-6 py-4 flex justify-between items-start">
+                      <div>
+                        <Link href={`/orders/${dispute.order_id}`} className="text-sm font-medium text-gray-900 hover:text-indigo-600">
+                          Order #{dispute.order_id}{dispute.raised_by === address ? ' · raised by you' : ''}
+                        </Link>
+                        <p className="text-sm text-gray-600">{dispute.reason}</p>
+                      </div>
+                      <span className="text-xs text-gray-500">{dispute.status}</span>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
@@ -1,55 +1,156 @@
 import { ConnectButton } from '@rainbow-me/rainbowkit'
-import { useAccount, useContract, useSigner } from 'wagmi'
+import { useAccount, useContractRead } from 'wagmi'
 import { useState, useEffect } from 'react'
+import { formatUnits, parseUnits, isAddress } from 'ethers'
+import Link from 'next/link'
 import axios from 'axios'
+import { useMarketplaceEvents, applyOrderEvent } from '../lib/useMarketplaceEvents'
+import { CONTRACT_ADDRESS, marketplace, disputeResolution, ETH } from '../lib/contracts'
+import { useTransaction, approveMarketplace } from '../lib/transactions'
+import { buildTerms, encryptTerms, fetchPublicKey, setupKey, storeTerms } from '../lib/terms'
+import OrderActions from '../components/OrderActions'
+import TransactionStatus from '../components/TransactionStatus'
 
-const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3'
+// Amounts are stored in the smallest unit of the order's payment token
+function formatAmount(order) {
+  const value = Number(formatUnits(order.amount_wei, order.token_decimals ?? 18))
+  return `${value.toFixed(4)} ${order.token_symbol || 'ETH'}`
+}
 
 export default function Home() {
   const { address, isConnected } = useAccount()
   const [orders, setOrders] = useState([])
-  const [loading, setLoading] = useState(false)
-  const [newOrder, setNewOrder] = useState({ description: '', amount: '' })
+  const [tokens, setTokens] = useState([])
+  const [newOrder, setNewOrder] = useState({ description: '', amount: '', token: ETH, isPrivate: false, buyer: '', details: '' })
+  const tx = useTransaction()
+  const { data: isArbitrator } = useContractRead({
+    ...disputeResolution,
+    functionName: 'isArbitrator',
+    args: [address],
+    enabled: isConnected
+  })
 
   useEffect(() => {
     if (isConnected) {
       fetchOrders()
+      fetchTokens()
     }
   }, [isConnected])
 
+  // Keep statuses current as the indexer projects new events
+  useMarketplaceEvents(isConnected ? { all: true } : null, (event) => {
+    const updated = event.type === 'event' ? applyOrderEvent(orders, event) : null
+    if (updated) {
+      setOrders(updated)
+    } else {
+      fetchOrders()
+    }
+  })
+
   const fetchOrders = async () => {
     try {
       const response = await axios.get('http://localhost:3001/api/orders')
-      setOrders(response.data)
+      setOrders(response.data.items)
     } catch (error) {
       console.error('Error fetching orders:', error)
     }
   }
 
+  const fetchTokens = async () => {
+    try {
+      const response = await axios.get('http://localhost:3001/api/tokens')
+      setTokens(response.data.filter((token) => token.address !== ETH))
+    } catch (error) {
+      console.error('Error fetching tokens:', error)
+    }
+  }
+
+  // Private orders: encrypt the terms to the seller and the named buyer and
+  // store them, so only their commitment has to go on-chain
+  const preparePrivateTerms = async () => {
+    if (!isAddress(newOrder.buyer)) {
+      throw new Error('Enter the buyer\'s address for a private order')
+    }
+    const buyerKey = await fetchPublicKey(newOrder.buyer)
+    if (!buyerKey) {
+      throw new Error('The buyer has not set up a private terms key yet; they can do it from their dashboard')
+    }
+    const sellerKey = await setupKey(address)
+    const terms = buildTerms([
+      { name: 'description', value: newOrder.description },
+      ...(newOrder.details ? [{ name: 'details', value: newOrder.details }] : [])
+    ])
+    const envelope = await encryptTerms(terms, { [address]: sellerKey.publicKey, [newOrder.buyer]: buyerKey })
+    await storeTerms(address, terms.commitment, envelope)
+    return terms
+  }
+
+  // The seller deposits the order amount as collateral when creating it
   const createOrder = async () => {
     if (!newOrder.description || !newOrder.amount) return
-    
-    setLoading(true)
+
+    const token = tokens.find((candidate) => candidate.address === newOrder.token)
+    let amount
     try {
-      // Here you would interact with the smart contract
-      console.log('Creating order:', newOrder)
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000))
-      setNewOrder({ description: '', amount: '' })
-      fetchOrders()
+      amount = parseUnits(newOrder.amount, token ? token.decimals : 18)
     } catch (error) {
-      console.error('Error creating order:', error)
-    } finally {
-      setLoading(false)
+      return tx.fail(new Error('Invalid amount'), 'Create order')
+    }
+
+    let terms = null
+    if (newOrder.isPrivate) {
+      try {
+        terms = await preparePrivateTerms()
+      } catch (error) {
+        return tx.fail(error, 'Create order')
+      }
+    }
+
+    let receipt
+    if (token) {
+      // createTokenOrder pulls the deposit with transferFrom
+      const approved = await approveMarketplace(tx, {
+        token: token.address, symbol: token.symbol, owner: address, amount, label: 'Create order'
+      })
+      if (!approved) return
+      receipt = await tx.send(
+        terms
+          ? { ...marketplace, functionName: 'createPrivateTokenOrder', args: [terms.commitment, newOrder.buyer, token.address, amount] }
+          : { ...marketplace, functionName: 'createTokenOrder', args: [newOrder.description, token.address, amount] },
+        'Create order'
+      )
+    } else {
+      receipt = await tx.send(
+        terms
+          ? { ...marketplace, functionName: 'createPrivateOrder', args: [terms.commitment, newOrder.buyer], value: amount }
+          : { ...marketplace, functionName: 'createOrder', args: [newOrder.description], value: amount },
+        'Create order'
+      )
+    }
+
+    if (receipt) {
+      setNewOrder({ ...newOrder, description: '', amount: '', buyer: '', details: '' })
+      fetchOrders()
     }
   }
 
+  const symbol = tokens.find((token) => token.address === newOrder.token)?.symbol || 'ETH'
+
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-white shadow">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex justify-between items-center py-6">
-            <h1 className="text-3xl font-bold text-gray-900">ZK Marketplace</h1>
+            <div className="flex items-center space-x-6">
+              <h1 className="text-3xl font-bold text-gray-900">ZK Marketplace</h1>
+              <Link href="/listings" className="text-indigo-600 hover:text-indigo-800">Catalog</Link>
+              {isConnected && (
+                <Link href="/dashboard" className="text-indigo-600 hover:text-indigo-800">My Dashboard</Link>
+              )}
+              {isArbitrator && (
+                <Link href="/arbitration" className="text-indigo-600 hover:text-indigo-800">Arbitration</Link>
+              )}
+            </div>
             <ConnectButton />
           </div>
         </div>
@@ -82,8 +183,23 @@ export default function Home() {
                     placeholder="Describe your order..."
                   />
                 </div>
+                {tokens.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Payment token</label>
+                    <select
+                      value={newOrder.token}
+                      onChange={(e) => setNewOrder({...newOrder, token: e.target.value})}
+                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      <option value={ETH}>ETH</option>
+                      {tokens.map((token) => (
+                        <option key={token.address} value={token.address}>{token.symbol}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Amount (ETH)</label>
+                  <label className="block text-sm font-medium text-gray-700">Amount ({symbol})</label>
                   <input
                     type="number"
                     step="0.001"
@@ -93,13 +209,49 @@ export default function Home() {
                     placeholder="0.1"
                   />
                 </div>
+                <div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={newOrder.isPrivate}
+                      onChange={(e) => setNewOrder({...newOrder, isPrivate: e.target.checked})}
+                    />
+                    Private terms for a named buyer
+                  </label>
+                  {newOrder.isPrivate && (
+                    <div className="mt-2 space-y-2">
+                      <input
+                        type="text"
+                        value={newOrder.buyer}
+                        onChange={(e) => setNewOrder({...newOrder, buyer: e.target.value})}
+                        className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                        placeholder="Buyer address (0x...)"
+                      />
+                      <textarea
+                        value={newOrder.details}
+                        onChange={(e) => setNewOrder({...newOrder, details: e.target.value})}
+                        rows={3}
+                        className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                        placeholder="Further terms (optional)"
+                      />
+                      <p className="text-xs text-gray-500">
+                        The description and terms are encrypted to you and the buyer; only a commitment to
+                        them goes on-chain, and only this buyer can fund the order.
+                      </p>
+                    </div>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">
+                  You deposit the same amount as collateral; it comes back when the order completes.
+                </p>
                 <button
                   onClick={createOrder}
-                  disabled={loading}
+                  disabled={tx.busy}
                   className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
                 >
-                  {loading ? 'Creating...' : 'Create Order'}
+                  {tx.busy ? 'Creating...' : 'Create Order'}
                 </button>
+                <TransactionStatus tx={tx} />
               </div>
             </div>
 
@@ -118,17 +270,17 @@ export default function Home() {
                     <div key={order.id} className="px-6 py-4">
                       <div className="flex justify-between items-start">
                         <div>
-                          <p className="text-sm font-medium text-gray-900">
+                          <Link href={`/orders/${order.order_id}`} className="text-sm font-medium text-gray-900 hover:text-indigo-600">
                             Order #{order.order_id}
-                          </p>
-                          <p className="text-sm text-gray-600">{order.description}</p>
+                          </Link>
+                          <p className="text-sm text-gray-600">{order.description || 'Private terms'}</p>
                           <p className="text-xs text-gray-500">
                             Buyer: {order.buyer_address} | Seller: {order.seller_address}
                           </p>
                         </div>
                         <div className="text-right">
                           <p className="text-sm font-medium text-gray-900">
-                            {(order.amount_wei / 1e18).toFixed(4)} ETH
+                            {formatAmount(order)}
                           </p>
                           <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
                             order.status === 'completed' ? 'bg-green-100 text-green-800' :
@@ -140,6 +292,7 @@ export default function Home() {
                           </span>
                         </div>
                       </div>
+                      <OrderActions order={order} onDone={fetchOrders} />
                     </div>
                   ))
                 )}
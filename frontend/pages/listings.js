@@ -0,0 +1,379 @@
+import { ConnectButton } from '@rainbow-me/rainbowkit'
+import { useAccount } from 'wagmi'
+import { useState, useEffect } from 'react'
+import { formatUnits, parseUnits, isAddress } from 'ethers'
+import Link from 'next/link'
+import axios from 'axios'
+import { useMarketplaceEvents } from '../lib/useMarketplaceEvents'
+import { marketplace, ETH } from '../lib/contracts'
+import { useTransaction, approveMarketplace } from '../lib/transactions'
+import ListingActions from '../components/ListingActions'
+import TransactionStatus from '../components/TransactionStatus'
+
+const API_URL = 'http://localhost:3001/api'
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500'
+
+const SORTS = [
+  { value: '-created_at', label: 'Newest' },
+  { value: 'price', label: 'Price: low to high' },
+  { value: '-price', label: 'Price: high to low' }
+]
+
+const EMPTY_LISTING = { description: '', category: '', price: '', stock: '1', token: ETH, buyer: '' }
+
+// Prices are stored in the smallest unit of the listing's payment token
+function formatPrice(listing) {
+  const value = Number(formatUnits(listing.price_wei, listing.token_decimals ?? 18))
+  return `${value.toFixed(4)} ${listing.token_symbol || 'ETH'}`
+}
+
+function shorten(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`
+}
+
+// Catalog of seller listings. Anyone can browse; a connected wallet sees
+// listings open to everyone plus those reserved for it, can order from them,
+// and can publish and manage its own listings.
+export default function Listings() {
+  const { address, isConnected } = useAccount()
+  const [listings, setListings] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [categories, setCategories] = useState([])
+  const [tokens, setTokens] = useState([])
+  const [filters, setFilters] = useState({ category: null, q: '', sort: '-created_at', mine: false })
+  const [search, setSearch] = useState('')
+  const [publishing, setPublishing] = useState(false)
+  const [newListing, setNewListing] = useState(EMPTY_LISTING)
+  const tx = useTransaction()
+
+  useEffect(() => {
+    fetchListings()
+  }, [filters, address])
+
+  useEffect(() => {
+    fetchCategories()
+    fetchTokens()
+  }, [])
+
+  useMarketplaceEvents({ all: true }, (event) => {
+    if (event.type === 'resync' || event.event?.startsWith('Listing')) {
+      fetchListings()
+      fetchCategories()
+    }
+  })
+
+  // Your own listings include closed and sold-out ones
+  const listingParams = (cursor) => {
+    const params = { category: filters.category || undefined, q: filters.q || undefined, sort: filters.sort, cursor }
+    if (filters.mine && address) {
+      return { ...params, seller: address }
+    }
+    return { ...params, active: true, inStock: true, availableTo: address || ETH }
+  }
+
+  const fetchListings = async (cursor) => {
+    try {
+      const response = await axios.get(`${API_URL}/listings`, { params: listingParams(cursor) })
+      setListings(cursor ? [...listings, ...response.data.items] : response.data.items)
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error('Error fetching listings:', error)
+    }
+  }
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/listings/categories`)
+      setCategories(response.data)
+    } catch (error) {
+      console.error('Error fetching categories:', error)
+    }
+  }
+
+  const fetchTokens = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/tokens`)
+      setTokens(response.data.filter((token) => token.address !== ETH))
+    } catch (error) {
+      console.error('Error fetching tokens:', error)
+    }
+  }
+
+  // The seller deposits price * stock up front; each order takes one unit of it
+  const publish = async () => {
+    const { description, category, price, stock, buyer } = newListing
+    if (!description || !category || !price || !stock) return
+    if (buyer && !isAddress(buyer)) {
+      return tx.fail(new Error('Invalid buyer address'), 'Publish listing')
+    }
+
+    const token = tokens.find((candidate) => candidate.address === newListing.token)
+    let priceWei
+    let units
+    try {
+      priceWei = parseUnits(price, token ? token.decimals : 18)
+      units = BigInt(stock)
+    } catch (error) {
+      return tx.fail(new Error('Invalid price or stock'), 'Publish listing')
+    }
+    const designated = buyer || ETH
+
+    let receipt
+    if (token) {
+      const approved = await approveMarketplace(tx, {
+        token: token.address, symbol: token.symbol, owner: address, amount: priceWei * units, label: 'Publish listing'
+      })
+      if (!approved) return
+      receipt = await tx.send(
+        { ...marketplace, functionName: 'createTokenListing', args: [description, category, token.address, priceWei, units, designated] },
+        'Publish listing'
+      )
+    } else {
+      receipt = await tx.send(
+        { ...marketplace, functionName: 'createListing', args: [description, category, priceWei, units, designated], value: priceWei * units },
+        'Publish listing'
+      )
+    }
+
+    if (receipt) {
+      setNewListing({ ...EMPTY_LISTING, token: newListing.token })
+      setPublishing(false)
+      fetchListings()
+    }
+  }
+
+  const symbol = tokens.find((token) => token.address === newListing.token)?.symbol || 'ETH'
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div className="flex items-center space-x-6">
+              <h1 className="text-3xl font-bold text-gray-900">Catalog</h1>
+              <Link href="/" className="text-indigo-600 hover:text-indigo-800">Marketplace</Link>
+              {isConnected && (
+                <Link href="/dashboard" className="text-indigo-600 hover:text-indigo-800">My Dashboard</Link>
+              )}
+            </div>
+            <ConnectButton />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          {/* Categories */}
+          <aside className="bg-white shadow rounded-lg p-4 h-fit">
+            <h2 className="text-sm font-semibold text-gray-900 mb-2">Categories</h2>
+            <ul className="space-y-1 text-sm">
+              <li>
+                <button
+                  onClick={() => setFilters({ ...filters, category: null })}
+                  className={filters.category === null ? 'font-medium text-indigo-700' : 'text-gray-700 hover:text-indigo-600'}
+                >
+                  All
+                </button>
+              </li>
+              {categories.map((item) => (
+                <li key={item.category} className="flex justify-between">
+                  <button
+                    onClick={() => setFilters({ ...filters, category: item.category })}
+                    className={filters.category === item.category ? 'font-medium text-indigo-700' : 'text-gray-700 hover:text-indigo-600'}
+                  >
+                    {item.category}
+                  </button>
+                  <span className="text-gray-400">{item.listings}</span>
+                </li>
+              ))}
+            </ul>
+          </aside>
+
+          <div className="md:col-span-3 space-y-6">
+            {/* Search and view */}
+            <div className="bg-white shadow rounded-lg p-4 flex flex-wrap items-center gap-3">
+              <form
+                onSubmit={(e) => { e.preventDefault(); setFilters({ ...filters, q: search.trim() }) }}
+                className="flex-1 min-w-[12rem]"
+              >
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  className="block w-full border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Search listings..."
+                />
+              </form>
+              <select
+                value={filters.sort}
+                onChange={(e) => setFilters({ ...filters, sort: e.target.value })}
+                className="border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                {SORTS.map((sort) => <option key={sort.value} value={sort.value}>{sort.label}</option>)}
+              </select>
+              {isConnected && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={filters.mine} onChange={(e) => setFilters({ ...filters, mine: e.target.checked })} />
+                  My listings
+                </label>
+              )}
+              {isConnected && (
+                <button
+                  onClick={() => setPublishing(!publishing)}
+                  className="bg-indigo-600 text-white px-3 py-1 text-sm rounded-md hover:bg-indigo-700"
+                >
+                  Publish a listing
+                </button>
+              )}
+            </div>
+
+            {/* Publish form */}
+            {publishing && (
+              <div className="bg-white shadow rounded-lg p-6 space-y-4">
+                <h2 className="text-xl font-semibold text-gray-900">Publish a listing</h2>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Description</label>
+                  <input
+                    type="text"
+                    value={newListing.description}
+                    onChange={(e) => setNewListing({ ...newListing, description: e.target.value })}
+                    className={inputClass}
+                    placeholder="What are you selling?"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Category</label>
+                  <input
+                    type="text"
+                    list="listing-categories"
+                    maxLength={32}
+                    value={newListing.category}
+                    onChange={(e) => setNewListing({ ...newListing, category: e.target.value })}
+                    className={inputClass}
+                    placeholder="e.g. electronics"
+                  />
+                  <datalist id="listing-categories">
+                    {categories.map((item) => <option key={item.category} value={item.category} />)}
+                  </datalist>
+                </div>
+                {tokens.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Payment token</label>
+                    <select
+                      value={newListing.token}
+                      onChange={(e) => setNewListing({ ...newListing, token: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value={ETH}>ETH</option>
+                      {tokens.map((token) => (
+                        <option key={token.address} value={token.address}>{token.symbol}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Price ({symbol})</label>
+                    <input
+                      type="number"
+                      step="0.001"
+                      value={newListing.price}
+                      onChange={(e) => setNewListing({ ...newListing, price: e.target.value })}
+                      className={inputClass}
+                      placeholder="0.1"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Stock</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={newListing.stock}
+                      onChange={(e) => setNewListing({ ...newListing, stock: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Designated buyer (optional)</label>
+                  <input
+                    type="text"
+                    value={newListing.buyer}
+                    onChange={(e) => setNewListing({ ...newListing, buyer: e.target.value })}
+                    className={inputClass}
+                    placeholder="Only this address can order (0x...)"
+                  />
+                </div>
+                <p className="text-xs text-gray-500">
+                  You deposit price × stock as collateral. Each order holds one unit of it in escrow
+                  alongside the buyer's payment; unsold stock is refunded when you close the listing.
+                </p>
+                <button
+                  onClick={publish}
+                  disabled={tx.busy}
+                  className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {tx.busy ? 'Publishing...' : 'Publish'}
+                </button>
+                <TransactionStatus tx={tx} />
+              </div>
+            )}
+
+            {/* Listings */}
+            <div className="bg-white shadow rounded-lg divide-y divide-gray-200">
+              {listings.length === 0 ? (
+                <div className="px-6 py-4 text-center text-gray-500">
+                  {filters.mine ? 'You have no listings yet.' : 'No listings found.'}
+                </div>
+              ) : (
+                listings.map((listing) => (
+                  <div key={listing.id} className="px-6 py-4">
+                    <div className="flex justify-between items-start">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{listing.description}</p>
+                        <div className="flex flex-wrap items-center gap-2 mt-1">
+                          <span className="inline-flex px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                            {listing.category}
+                          </span>
+                          {listing.buyer_address !== ETH && (
+                            <span className="inline-flex px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800">
+                              {address && listing.buyer_address.toLowerCase() === address.toLowerCase()
+                                ? 'Reserved for you'
+                                : `Reserved for ${shorten(listing.buyer_address)}`}
+                            </span>
+                          )}
+                          {!listing.is_active && (
+                            <span className="inline-flex px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">closed</span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                          Listing #{listing.listing_id} · Seller {shorten(listing.seller_address)}
+                          {listing.seller_reputation !== null && ` (reputation ${listing.seller_reputation})`}
+                          {' '}· {listing.order_count} ordered
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className="text-sm font-medium text-gray-900">{formatPrice(listing)}</p>
+                        <p className="text-xs text-gray-500">{listing.stock} in stock</p>
+                      </div>
+                    </div>
+                    <ListingActions listing={listing} onDone={() => fetchListings()} />
+                  </div>
+                ))
+              )}
+              {nextCursor && (
+                <div className="px-6 py-3 text-center">
+                  <button onClick={() => fetchListings(nextCursor)} className="text-indigo-600 hover:text-indigo-800 text-sm">
+                    Load more
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,316 @@
+import { ConnectButton } from '@rainbow-me/rainbowkit'
+import { useAccount, useContractRead } from 'wagmi'
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { formatUnits } from 'ethers'
+import Link from 'next/link'
+import axios from 'axios'
+import { useMarketplaceEvents } from '../../lib/useMarketplaceEvents'
+import { evidenceUrl } from '../../lib/evidence'
+import { disputeResolution } from '../../lib/contracts'
+import { REVIEWABLE_STATUSES } from '../../lib/reviews'
+import OrderActions from '../../components/OrderActions'
+import PrivateTerms from '../../components/PrivateTerms'
+import Reviews from '../../components/Reviews'
+
+const API_URL = 'http://localhost:3001/api'
+
+function shorten(address) {
+  return address ? `${address.slice(0, 6)}…${address.slice(-4)}` : '—'
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—'
+}
+
+// Event timestamps are unix seconds
+function formatUnixTime(seconds) {
+  return seconds === undefined ? '—' : formatTime(Number(seconds) * 1000)
+}
+
+function formatShare(bps) {
+  return `${Number(bps) / 100}% to the buyer`
+}
+
+// One line per indexed event; amounts are in the order's payment token
+function describeEvent(event, amount) {
+  const args = event.event_data
+  switch (event.event_name) {
+    case 'OrderCreated': return `Created by ${shorten(args.seller)} for ${amount(args.amount)}`
+    case 'ListingOrdered': return `Ordered from listing #${args.listingId} by ${shorten(args.buyer)}; ${args.remainingStock} left in stock`
+    case 'OrderTermsCommitted': return `Terms kept private for the named buyer; commitment ${args.termsCommitment.slice(0, 10)}…`
+    case 'OrderEligibilitySet': return `Buyers must prove reputation ≥ ${args.minScore}, ≥ ${args.minCompletedOrders} completed orders, ≤ ${args.maxLostDisputes} lost disputes`
+    case 'OrderFunded': return `Funded by ${shorten(args.buyer)}; delivery due ${formatUnixTime(args.deliveryDeadline)}`
+    case 'OrderDelivered': return `Marked delivered; confirmation due ${formatUnixTime(args.confirmationDeadline)}`
+    case 'OrderConfirmed': return `Receipt confirmed; ${amount(args.amount)} released to the seller`
+    case 'OrderAutoReleased': return `Confirmation window lapsed; ${amount(args.amount)} released to the seller`
+    case 'OrderCancelled': return `Cancelled; ${amount(args.refund)} deposit returned to the seller`
+    case 'OrderRefunded': return `Delivery deadline missed; ${amount(args.refund)} refunded to the buyer`
+    case 'OrderDisputed': return 'Escrow frozen for a dispute'
+    case 'OrderDisputeCleared': return 'Dispute cleared; escrow released back to the order'
+    case 'OrderResolved': return `Paid out: ${amount(args.buyerAmount)} to the buyer, ${amount(args.sellerAmount)} to the seller`
+    case 'DisputeRaised': return `Dispute raised by ${shorten(args.disputer)}: ${args.reason}`
+    case 'EvidenceSubmitted': return `Evidence from ${shorten(args.submitter)}: ${args.description}`
+    case 'PanelAssigned': return `Panel of ${args.panel.length} drawn; votes committed by ${formatUnixTime(args.commitDeadline)}, revealed by ${formatUnixTime(args.revealDeadline)}`
+    case 'VoteCommitted': return `${shorten(args.arbitrator)} committed a vote`
+    case 'VoteRevealed': return `${shorten(args.arbitrator)} voted ${formatShare(args.buyerShareBps)}`
+    case 'ArbitratorPenalized': return `${shorten(args.arbitrator)} penalized for not voting (${args.strikes} strikes)`
+    case 'DisputeResolved': return `Resolved ${formatShare(args.buyerShareBps)}: ${args.resolution}`
+    case 'DisputeCancelled': return 'Dispute cancelled by the owner'
+    default: return event.event_name
+  }
+}
+
+// `blob` is the uploaded file the hash resolves to; hashes without one can't be checked
+function EvidenceLink({ hash, blob }) {
+  const url = evidenceUrl(hash)
+  return (
+    <p>
+      {url ? (
+        <a href={url} target="_blank" rel="noopener noreferrer" className="font-mono text-xs text-indigo-600 hover:text-indigo-800 break-all">
+          {hash}
+        </a>
+      ) : (
+        <span className="font-mono text-xs text-gray-500 break-all">{hash}</span>
+      )}
+      {blob
+        ? <span className="ml-2 text-xs text-gray-500">{blob.private ? 'private file' : blob.contentType}</span>
+        : <span className="ml-2 text-xs text-red-700">not an uploaded file</span>}
+    </p>
+  )
+}
+
+export default function OrderPage() {
+  const router = useRouter()
+  const { id } = router.query
+  const { address, isConnected } = useAccount()
+  const [order, setOrder] = useState(null)
+  const [notFound, setNotFound] = useState(false)
+  const [events, setEvents] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [dispute, setDispute] = useState(null)
+  const { data: isArbitrator } = useContractRead({
+    ...disputeResolution,
+    functionName: 'isArbitrator',
+    args: [address],
+    enabled: isConnected
+  })
+  const { data: mainArbitrator } = useContractRead({ ...disputeResolution, functionName: 'mainArbitrator', enabled: isConnected })
+
+  useEffect(() => {
+    if (id) {
+      refresh()
+    }
+  }, [id])
+
+  // Refetch on anything touching this order, so the timeline stays in chain order
+  useMarketplaceEvents(id ? { orders: [id] } : null, () => refresh())
+
+  const refresh = () => {
+    fetchOrder()
+    fetchEvents()
+    fetchDispute()
+  }
+
+  const fetchOrder = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/orders/${id}`)
+      setOrder(response.data)
+      setNotFound(false)
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setNotFound(true)
+      } else {
+        console.error('Error fetching order:', error)
+      }
+    }
+  }
+
+  const fetchEvents = async (cursor) => {
+    try {
+      const response = await axios.get(`${API_URL}/events`, {
+        params: { orderId: id, sort: 'block', limit: 100, cursor }
+      })
+      setEvents(cursor ? [...events, ...response.data.items] : response.data.items)
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error('Error fetching events:', error)
+    }
+  }
+
+  const fetchDispute = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/disputes/${id}`)
+      setDispute(response.data)
+    } catch (error) {
+      // Most orders are never disputed
+      setDispute(null)
+      if (error.response?.status !== 404) {
+        console.error('Error fetching dispute:', error)
+      }
+    }
+  }
+
+  const amount = (value) => {
+    const decimals = order?.token_decimals ?? 18
+    return `${Number(formatUnits(value, decimals)).toFixed(4)} ${order?.token_symbol || 'ETH'}`
+  }
+
+  // Revealed terms are only shown to the dispute's panel and the main arbitrator
+  const sameAddress = (other) => Boolean(other && address && other.toLowerCase() === address.toLowerCase())
+  const isAssignedArbitrator = Boolean(isArbitrator) && (
+    sameAddress(mainArbitrator) || Boolean(dispute?.panel.some((member) => sameAddress(member.arbitrator_address)))
+  )
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div className="flex items-center space-x-6">
+              <h1 className="text-3xl font-bold text-gray-900">Order #{id}</h1>
+              <Link href="/" className="text-indigo-600 hover:text-indigo-800">Marketplace</Link>
+              <Link href="/listings" className="text-indigo-600 hover:text-indigo-800">Catalog</Link>
+              {isConnected && (
+                <Link href="/dashboard" className="text-indigo-600 hover:text-indigo-800">My Dashboard</Link>
+              )}
+            </div>
+            <ConnectButton />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {notFound ? (
+          <p className="text-center py-12 text-gray-600">Order #{id} hasn't been indexed.</p>
+        ) : !order ? (
+          <p className="text-center py-12 text-gray-500">Loading…</p>
+        ) : (
+          <div className="space-y-8">
+            {/* Order */}
+            <div className="bg-white shadow rounded-lg p-6">
+              <div className="flex justify-between items-start">
+                <div>
+                  <p className="text-lg text-gray-900">{order.description || 'Private terms'}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Seller: <Link href={`/users/${order.seller_address}`} className="hover:text-indigo-600">{order.seller_address}</Link>
+                    {' '}| Buyer:{' '}
+                    {order.funded_at
+                      ? <Link href={`/users/${order.buyer_address}`} className="hover:text-indigo-600">{order.buyer_address}</Link>
+                      : '—'}
+                  </p>
+                  {order.listing_id !== null && (
+                    <p className="text-xs text-gray-500">Ordered from listing #{order.listing_id}</p>
+                  )}
+                </div>
+                <div className="text-right">
+                  <p className="text-lg font-medium text-gray-900">{amount(order.amount_wei)}</p>
+                  <span className="text-xs text-gray-500">{order.status}</span>
+                </div>
+              </div>
+              <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 text-sm">
+                <div>
+                  <dt className="text-gray-500">Created</dt>
+                  <dd className="text-gray-900">{formatTime(order.created_at)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Delivery due</dt>
+                  <dd className="text-gray-900">{formatTime(order.delivery_deadline)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Confirmation due</dt>
+                  <dd className="text-gray-900">{formatTime(order.confirmation_deadline)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Platform fee</dt>
+                  <dd className="text-gray-900">{order.platform_fee === null ? '—' : amount(order.platform_fee)}</dd>
+                </div>
+              </dl>
+              {isConnected && order.terms_commitment && (
+                <div className="mt-4 pt-4 border-t border-gray-200">
+                  <PrivateTerms
+                    orderId={order.order_id}
+                    parties={[order.seller_address, order.buyer_address]}
+                    disputed={Boolean(dispute)}
+                    canViewReveals={isAssignedArbitrator}
+                  />
+                </div>
+              )}
+              {isConnected && <OrderActions order={order} onDone={refresh} />}
+            </div>
+
+            {/* Dispute and evidence */}
+            {dispute && (
+              <div className="bg-white shadow rounded-lg">
+                <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                  <h2 className="text-xl font-semibold text-gray-900">Dispute</h2>
+                  <span className="text-xs text-gray-500">{dispute.status}</span>
+                </div>
+                <div className="px-6 py-4 space-y-1 text-sm">
+                  <p className="text-gray-900">{dispute.reason}</p>
+                  <p className="text-gray-500">Raised by {dispute.raised_by} on {formatTime(dispute.created_at)}</p>
+                  {dispute.status === 'resolved' && (
+                    <p className="text-gray-900">
+                      Ruling: {formatShare(dispute.buyer_share_bps)} — {dispute.resolution}
+                    </p>
+                  )}
+                </div>
+                <div className="divide-y divide-gray-200 border-t border-gray-200">
+                  {dispute.evidence.map((item) => (
+                    <div key={item.id} className="px-6 py-3">
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-900">{item.evidence_text}</span>
+                        <span className="text-gray-500">{shorten(item.submitted_by)} · {formatTime(item.created_at)}</span>
+                      </div>
+                      <EvidenceLink hash={item.evidence_hash} blob={item.blob} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Reviews, once the order is finished */}
+            {REVIEWABLE_STATUSES.includes(order.status) && (
+              <div className="bg-white shadow rounded-lg">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h2 className="text-xl font-semibold text-gray-900">Reviews</h2>
+                </div>
+                <Reviews path={`/orders/${order.order_id}/reviews`} order={order} isArbitrator={Boolean(isArbitrator)} />
+              </div>
+            )}
+
+            {/* Timeline */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-xl font-semibold text-gray-900">Timeline</h2>
+              </div>
+              <ol className="divide-y divide-gray-200">
+                {events.map((event) => (
+                  <li key={event.id} className="px-6 py-3 flex justify-between items-start">
+                    <div>
+                      <p className="text-sm text-gray-900">{describeEvent(event, amount)}</p>
+                      <p className="text-xs text-gray-500 font-mono" title={event.transaction_hash}>
+                        {event.event_name} · tx {event.transaction_hash.slice(0, 10)}…
+                      </p>
+                    </div>
+                    <div className="text-right text-xs text-gray-500">
+                      <p>{event.block_timestamp ? formatTime(event.block_timestamp) : formatUnixTime(event.event_data.timestamp)}</p>
+                      <p>block {event.block_number}</p>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+              {nextCursor && (
+                <div className="px-6 py-3 border-t border-gray-200 text-center">
+                  <button onClick={() => fetchEvents(nextCursor)} className="text-indigo-600 hover:text-indigo-800 text-sm">
+                    Load more
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
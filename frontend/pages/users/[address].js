@@ -0,0 +1,157 @@
+import { ConnectButton } from '@rainbow-me/rainbowkit'
+import { useAccount, useContractRead } from 'wagmi'
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { isAddress } from 'ethers'
+import Link from 'next/link'
+import axios from 'axios'
+import { disputeResolution } from '../../lib/contracts'
+import { MAX_RATING } from '../../lib/reviews'
+import Reviews, { Stars } from '../../components/Reviews'
+
+const API_URL = 'http://localhost:3001/api'
+
+// A user's reputation and the reviews left for and by them
+export default function UserPage() {
+  const router = useRouter()
+  const { address: user } = router.query
+  const { address, isConnected } = useAccount()
+  const [reputation, setReputation] = useState(null)
+  const [rating, setRating] = useState(null)
+  const [tab, setTab] = useState('received')
+  const { data: isArbitrator } = useContractRead({
+    ...disputeResolution,
+    functionName: 'isArbitrator',
+    args: [address],
+    enabled: isConnected
+  })
+
+  useEffect(() => {
+    if (user && isAddress(user)) {
+      fetchReputation()
+      fetchRating()
+    }
+  }, [user])
+
+  const fetchReputation = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/${user}/reputation`)
+      setReputation(response.data)
+    } catch (error) {
+      // Addresses that never took part in an order aren't indexed
+      setReputation(null)
+      if (error.response?.status !== 404) {
+        console.error('Error fetching reputation:', error)
+      }
+    }
+  }
+
+  const fetchRating = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/${user}/rating`)
+      setRating(response.data)
+    } catch (error) {
+      console.error('Error fetching rating:', error)
+    }
+  }
+
+  const isSelf = Boolean(address && user) && address.toLowerCase() === user.toLowerCase()
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div className="flex items-center space-x-6">
+              <h1 className="text-3xl font-bold text-gray-900">{isSelf ? 'My Profile' : 'User'}</h1>
+              <Link href="/" className="text-indigo-600 hover:text-indigo-800">Marketplace</Link>
+              <Link href="/listings" className="text-indigo-600 hover:text-indigo-800">Catalog</Link>
+              {isConnected && (
+                <Link href="/dashboard" className="text-indigo-600 hover:text-indigo-800">My Dashboard</Link>
+              )}
+            </div>
+            <ConnectButton />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {user && !isAddress(user) ? (
+          <p className="text-center py-12 text-gray-600">{user} isn't an Ethereum address.</p>
+        ) : !user ? (
+          <p className="text-center py-12 text-gray-500">Loading…</p>
+        ) : (
+          <div className="space-y-8">
+            {/* Profile */}
+            <div className="bg-white shadow rounded-lg p-6">
+              <p className="font-mono text-sm text-gray-900 break-all">{user}</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-4">
+                <div>
+                  <p className="text-sm text-gray-500">Reputation</p>
+                  {reputation ? (
+                    <>
+                      <p className="text-2xl font-semibold text-gray-900">{reputation.score}</p>
+                      <p className="text-xs text-gray-500">{reputation.tier.name}</p>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-500">No orders yet</p>
+                  )}
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Rating</p>
+                  {rating && rating.count > 0 ? (
+                    <>
+                      <p className="text-2xl font-semibold text-gray-900">
+                        {rating.average.toFixed(2)} <span className="text-base"><Stars rating={Math.round(rating.average)} /></span>
+                      </p>
+                      <p className="text-xs text-gray-500">{rating.count} review{rating.count === 1 ? '' : 's'}</p>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-500">Not rated yet</p>
+                  )}
+                </div>
+                {rating && rating.count > 0 && (
+                  <ul className="text-xs text-gray-600 space-y-0.5">
+                    {Array.from({ length: MAX_RATING }, (_, index) => MAX_RATING - index).map((stars) => (
+                      <li key={stars} className="flex items-center gap-2">
+                        <span className="w-4">{stars}★</span>
+                        <span className="flex-1 h-2 bg-gray-100 rounded">
+                          <span
+                            className="block h-2 bg-yellow-400 rounded"
+                            style={{ width: `${(rating.distribution[stars] / rating.count) * 100}%` }}
+                          />
+                        </span>
+                        <span className="w-6 text-right">{rating.distribution[stars]}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            {/* Reviews */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center space-x-4">
+                <h2 className="text-xl font-semibold text-gray-900">Reviews</h2>
+                {['received', 'given'].map((role) => (
+                  <button
+                    key={role}
+                    onClick={() => setTab(role)}
+                    className={tab === role ? 'text-sm font-medium text-indigo-700' : 'text-sm text-gray-500 hover:text-indigo-600'}
+                  >
+                    {role === 'received' ? 'Received' : 'Written'}
+                  </button>
+                ))}
+              </div>
+              <Reviews
+                path={`/users/${user}/reviews?role=${tab}`}
+                isArbitrator={Boolean(isArbitrator)}
+                emptyText={tab === 'received' ? 'No reviews of this user yet.' : 'This user hasn\'t reviewed anyone yet.'}
+              />
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
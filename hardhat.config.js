@@ -1,10 +1,23 @@
 require('@nomicfoundation/hardhat-toolbox');
+const { task } = require('hardhat/config');
+const { TASK_COMPILE } = require('hardhat/builtin-tasks/task-names');
 require('dotenv').config();
 
+// Groth16Verifier.sol and the proving key it matches are generated, not
+// checked in, so a fresh checkout runs the ZK build before compiling
+task(TASK_COMPILE, async (args, hre, runSuper) => {
+  const zk = require('./scripts/build-zk');
+  if (!zk.isBuilt()) {
+    console.log('ZK build outputs missing, running `npm run zk:build` first...');
+    zk.buildZk();
+  }
+  return runSuper(args);
+});
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.20",
     settings: {
       optimizer: {
         enabled: true,
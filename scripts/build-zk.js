@@ -0,0 +1,80 @@
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Compiles the eligibility circuit and runs a Groth16 setup for it.
+//
+// Outputs (in zk/build):
+//   eligibility_js/eligibility.wasm  witness generator used by the prover
+//   eligibility.zkey                 proving key
+//   verification_key.json            verification key used by the backend
+//
+// and contracts/verifiers/Groth16Verifier.sol, the on-chain verifier wrapped
+// by EligibilityVerifier. It is regenerated (and must be redeployed) with
+// every setup, so it is not checked in; `hardhat compile` (and so `npm test`
+// and the deploy scripts) runs this build first when any output is missing.
+//
+// Without PTAU_PATH a throwaway powers-of-tau ceremony is generated locally,
+// which is fine for development but NOT for production: point PTAU_PATH at a
+// file from a public ceremony (2^11 constraints or more) instead.
+
+const ROOT = path.join(__dirname, "..");
+const BUILD_DIR = path.join(ROOT, "zk", "build");
+const SOLIDITY_VERIFIER = path.join(ROOT, "contracts", "verifiers", "Groth16Verifier.sol");
+const PTAU_POWER = 11;
+const OUTPUTS = [
+  path.join(BUILD_DIR, "eligibility_js", "eligibility.wasm"),
+  path.join(BUILD_DIR, "eligibility.zkey"),
+  path.join(BUILD_DIR, "verification_key.json"),
+  SOLIDITY_VERIFIER
+];
+
+function run(bin, args, cwd = BUILD_DIR) {
+  console.log(`$ ${bin} ${args.join(" ")}`);
+  execFileSync(path.join(ROOT, "node_modules", ".bin", bin), args, { cwd, stdio: "inherit" });
+}
+
+function entropy() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// The verifier only matches the proving key it was exported from, so all of
+// them come from the same run
+function isBuilt() {
+  return OUTPUTS.every((output) => fs.existsSync(output));
+}
+
+function buildZk() {
+  fs.mkdirSync(BUILD_DIR, { recursive: true });
+
+  console.log("Compiling eligibility circuit...");
+  // circom2 runs as WASI and only sees paths below its working directory
+  run("circom2", ["zk/circuits/eligibility.circom", "--r1cs", "--wasm", "-o", "zk/build", "-l", "node_modules"], ROOT);
+
+  let ptau = process.env.PTAU_PATH;
+  if (!ptau) {
+    console.log("PTAU_PATH not set, generating a development-only powers of tau...");
+    run("snarkjs", ["powersoftau", "new", "bn128", String(PTAU_POWER), "pot_0000.ptau"]);
+    run("snarkjs", ["powersoftau", "contribute", "pot_0000.ptau", "pot_0001.ptau", "--name=dev", `-e=${entropy()}`]);
+    run("snarkjs", ["powersoftau", "prepare", "phase2", "pot_0001.ptau", "pot_final.ptau"]);
+    ptau = path.join(BUILD_DIR, "pot_final.ptau");
+  }
+
+  console.log("Running Groth16 setup...");
+  run("snarkjs", ["groth16", "setup", "eligibility.r1cs", ptau, "eligibility_0000.zkey"]);
+  run("snarkjs", ["zkey", "contribute", "eligibility_0000.zkey", "eligibility.zkey", "--name=zk-marketplace", `-e=${entropy()}`]);
+  run("snarkjs", ["zkey", "export", "verificationkey", "eligibility.zkey", "verification_key.json"]);
+
+  console.log("Exporting Solidity verifier...");
+  fs.mkdirSync(path.dirname(SOLIDITY_VERIFIER), { recursive: true });
+  run("snarkjs", ["zkey", "export", "solidityverifier", "eligibility.zkey", SOLIDITY_VERIFIER]);
+
+  console.log("ZK build completed:", BUILD_DIR);
+}
+
+if (require.main === module) {
+  buildZk();
+}
+
+module.exports = { buildZk, isBuilt };
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployEligibilityGate } = require("./eligibility-gate");
 
 async function main() {
   console.log("Deploying ZK Marketplace to Testnet...");
@@ -25,6 +26,25 @@ async function main() {
   await disputeResolution.waitForDeployment();
   const disputeAddress = await disputeResolution.getAddress();
   console.log("DisputeResolution deployed to:", disputeAddress);
+
+  // Only the dispute contract may freeze and pay out escrowed orders
+  await (await marketplace.setDisputeResolver(disputeAddress)).wait();
+  console.log("Dispute resolver set on marketplace");
+
+  // The deployer starts as the only arbitrator, so panels have one member
+  // until more are added and the size raised with setPanelConfig
+  await (await disputeResolution.setPanelConfig(1, 3 * 24 * 60 * 60, 2 * 24 * 60 * 60, 3)).wait();
+  console.log("Dispute panel size set to 1");
+
+  // ERC-20s orders may be priced in, e.g. PAYMENT_TOKENS=0xUSDC,0xDAI
+  const paymentTokens = (process.env.PAYMENT_TOKENS || "").split(",").map((token) => token.trim()).filter(Boolean);
+  for (const token of paymentTokens) {
+    await (await marketplace.setTokenAllowed(token, true)).wait();
+    console.log("Payment token allowed:", token);
+  }
+
+  // Eligibility gate for ZK-gated orders
+  const eligibilityGate = await deployEligibilityGate(hre, marketplace, process.env.ISSUER_ADDRESS || deployer.address);
   
   // Verify deployment
   console.log("Verifying deployment...");
@@ -45,7 +65,13 @@ async function main() {
       DisputeResolution: {
         address: disputeAddress,
         abi: "DisputeResolution.sol"
-      }
+      },
+      EligibilityVerifier: eligibilityGate ? {
+        address: eligibilityGate.eligibilityVerifier,
+        abi: "EligibilityVerifier.sol",
+        groth16Verifier: eligibilityGate.groth16Verifier,
+        issuer: eligibilityGate.issuer
+      } : null
     },
     deployer: deployer.address,
     platformFee: platformFee.toString(),
@@ -1,10 +1,12 @@
 const hre = require("hardhat");
+const { deployEligibilityGate } = require("./eligibility-gate");
 
 async function main() {
   console.log("Deploying ZK Marketplace...");
 
-  // Get the contract factory
+  // Get the contract factories
   const ZKMarketplace = await hre.ethers.getContractFactory("ZKMarketplace");
+  const DisputeResolution = await hre.ethers.getContractFactory("DisputeResolution");
   
   // Deploy the contract
   // The fee recipient will be the deployer for now
@@ -17,6 +19,31 @@ async function main() {
 
   const marketplaceAddress = await marketplace.getAddress();
   console.log("ZK Marketplace deployed to:", marketplaceAddress);
+
+  // The deployer doubles as the main arbitrator on local networks
+  const disputeResolution = await DisputeResolution.deploy(marketplaceAddress, deployer.address);
+  await disputeResolution.waitForDeployment();
+
+  const disputeAddress = await disputeResolution.getAddress();
+  console.log("DisputeResolution deployed to:", disputeAddress);
+
+  // Only the dispute contract may freeze and pay out escrowed orders
+  await (await marketplace.setDisputeResolver(disputeAddress)).wait();
+  console.log("Dispute resolver set on marketplace");
+
+  // The deployer is the only arbitrator on a local node, so panels have one member
+  await (await disputeResolution.setPanelConfig(1, 3 * 24 * 60 * 60, 2 * 24 * 60 * 60, 3)).wait();
+  console.log("Dispute panel size set to 1");
+
+  // ERC-20s orders may be priced in, e.g. PAYMENT_TOKENS=0xUSDC,0xDAI
+  const paymentTokens = (process.env.PAYMENT_TOKENS || "").split(",").map((token) => token.trim()).filter(Boolean);
+  for (const token of paymentTokens) {
+    await (await marketplace.setTokenAllowed(token, true)).wait();
+    console.log("Payment token allowed:", token);
+  }
+
+  // The backend signs ZK credentials with ISSUER_PRIVATE_KEY; locally that's the deployer
+  const eligibilityGate = await deployEligibilityGate(hre, marketplace, process.env.ISSUER_ADDRESS || deployer.address);
   
   // Verify deployment
   console.log("Verifying deployment...");
@@ -30,6 +57,8 @@ async function main() {
   const deploymentInfo = {
     network: hre.network.name,
     contractAddress: marketplaceAddress,
+    disputeContractAddress: disputeAddress,
+    eligibilityVerifierAddress: eligibilityGate ? eligibilityGate.eligibilityVerifier : null,
     deployer: deployer.address,
     platformFee: platformFee.toString(),
     feeRecipient: feeRecipient,
@@ -0,0 +1,33 @@
+// Deploys the on-chain eligibility gate and plugs it into ZKMarketplace.
+// Groth16Verifier is generated by `npm run zk:build`; without it gated
+// orders stay disabled and this is a no-op.
+async function deployEligibilityGate(hre, marketplace, issuer) {
+  if (!(await hre.artifacts.artifactExists("Groth16Verifier"))) {
+    console.log("Groth16Verifier not found, skipping eligibility gate (run `npm run zk:build` and recompile)");
+    return null;
+  }
+
+  console.log("Deploying Groth16Verifier...");
+  const Groth16Verifier = await hre.ethers.getContractFactory("Groth16Verifier");
+  const groth16Verifier = await Groth16Verifier.deploy();
+  await groth16Verifier.waitForDeployment();
+
+  console.log("Deploying EligibilityVerifier...");
+  const EligibilityVerifier = await hre.ethers.getContractFactory("EligibilityVerifier");
+  const eligibilityVerifier = await EligibilityVerifier.deploy(await groth16Verifier.getAddress(), issuer);
+  await eligibilityVerifier.waitForDeployment();
+
+  const eligibilityVerifierAddress = await eligibilityVerifier.getAddress();
+  console.log("EligibilityVerifier deployed to:", eligibilityVerifierAddress);
+  console.log("Credential issuer:", issuer);
+
+  await (await marketplace.setEligibilityVerifier(eligibilityVerifierAddress)).wait();
+
+  return {
+    groth16Verifier: await groth16Verifier.getAddress(),
+    eligibilityVerifier: eligibilityVerifierAddress,
+    issuer
+  };
+}
+
+module.exports = { deployEligibilityGate };
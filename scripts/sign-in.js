@@ -0,0 +1,60 @@
+const hre = require("hardhat");
+
+// Signs in to the backend API with one of the Hardhat node's accounts and
+// prints a session token to use as "Authorization: Bearer <token>":
+//
+//   1. npx hardhat node
+//   2. cd backend && npm start
+//   3. SIGNER_INDEX=1 npx hardhat run scripts/sign-in.js --network localhost
+//
+// SIWE_DOMAIN and CHAIN_ID must match the backend's.
+
+const API_URL = process.env.API_URL || "http://localhost:3001";
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || "localhost:3000";
+const SIGNER_INDEX = parseInt(process.env.SIGNER_INDEX || "0");
+
+// EIP-4361 message layout
+function buildMessage({ address, chainId, nonce }) {
+  return [
+    `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to ZK Marketplace",
+    "",
+    `URI: http://${SIWE_DOMAIN}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join("\n");
+}
+
+async function main() {
+  const signer = (await hre.ethers.getSigners())[SIGNER_INDEX];
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const { nonce } = await (await fetch(`${API_URL}/api/auth/nonce`)).json();
+  const message = buildMessage({ address: signer.address, chainId, nonce });
+  const signature = await signer.signMessage(message);
+
+  const response = await fetch(`${API_URL}/api/auth/verify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message, signature })
+  });
+  const session = await response.json();
+  if (!response.ok) {
+    throw new Error(`Sign-in failed: ${session.error}`);
+  }
+
+  console.log("Signed in as", session.address, session.isArbitrator ? "(arbitrator)" : "");
+  console.log("Expires at", session.expiresAt);
+  console.log(session.token);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,632 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { resetDatabase } = require("./helpers/database");
+const { CHAIN_ID, startApi, request, signIn } = require("./helpers/api");
+const { computeCid } = require("../backend/evidence");
+const { buildMessage: buildReviewMessage } = require("../backend/reviews");
+const terms = require("../backend/terms");
+
+describe("REST API", function () {
+  let db;
+  let seller;
+  let buyer;
+
+  beforeEach(async function () {
+    db = await resetDatabase(this);
+    await startApi();
+    [, seller, buyer] = await ethers.getSigners();
+    for (const account of [seller, buyer]) {
+      await db.query("INSERT INTO users (address) VALUES ($1)", [account.address]);
+    }
+  });
+
+  // An indexed order and its dispute, as the indexer would store them
+  async function insertDispute(orderId) {
+    await db.query(
+      `INSERT INTO orders (order_id, buyer_address, seller_address, amount_wei, description, status)
+       VALUES ($1, $2, $3, 1000, 'Test item', 'disputed')`,
+      [orderId, buyer.address, seller.address]
+    );
+    await db.query(
+      `INSERT INTO disputes (dispute_id, order_id, raised_by, reason, status)
+       VALUES ($1, $1, $2, 'Item arrived broken', 'open')`,
+      [orderId, buyer.address]
+    );
+  }
+
+  // Evidence naming the CID of `text`, uploaded first if `uploaded`
+  async function insertEvidence(orderId, submitter, text, uploaded) {
+    const cid = computeCid(Buffer.from(text));
+    if (uploaded) {
+      await uploadBlob(cid, submitter);
+    }
+    await db.query(
+      `INSERT INTO evidence (dispute_id, submitted_by, evidence_text, evidence_hash, evidence_cid)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [orderId, submitter.address, text, `ipfs://${cid}`, cid]
+    );
+    return cid;
+  }
+
+  async function uploadBlob(cid, uploader) {
+    await db.query(
+      "INSERT INTO evidence_blobs (cid, size_bytes, content_type, uploaded_by) VALUES ($1, 1, 'text/plain', $2)",
+      [cid, uploader.address]
+    );
+  }
+
+  describe("users", function () {
+    for (const path of ["", "/reputation", "/verification"]) {
+      it(`finds a user by their address in any case at /api/users/:address${path}`, async function () {
+        for (const address of [buyer.address, buyer.address.toLowerCase(), buyer.address.toUpperCase().replace("0X", "0x")]) {
+          const response = await request("GET", `/api/users/${address}${path}`);
+          expect(response.status).to.equal(200);
+          expect(response.body.address).to.equal(buyer.address);
+        }
+      });
+
+      it(`rejects a malformed address at /api/users/:address${path}`, async function () {
+        const response = await request("GET", `/api/users/0x1234${path}`);
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.equal("address must be an Ethereum address");
+      });
+    }
+
+    it("sums a user's credited and withdrawn payouts, by address in any case", async function () {
+      const events = [
+        ["PaymentCredited", 700],
+        ["PaymentCredited", 300],
+        ["PaymentWithdrawn", 400]
+      ];
+      for (const [index, [name, amount]] of events.entries()) {
+        await db.query(
+          `INSERT INTO events (block_number, block_hash, transaction_hash, log_index, contract_name, event_name, event_data)
+           VALUES (1, '0x01', '0x01', $1, 'ZKMarketplace', $2, $3)`,
+          [index, name, { payee: seller.address, amount: String(amount) }]
+        );
+      }
+
+      for (const address of [seller.address, seller.address.toLowerCase()]) {
+        const response = await request("GET", `/api/users/${address}/balances`);
+        expect(response.status).to.equal(200);
+        expect(response.body.map((row) => [row.contract_name, row.pending])).to.deep.equal([["ZKMarketplace", "600"]]);
+      }
+
+      const invalid = await request("GET", "/api/users/0x1234/balances");
+      expect(invalid.status).to.equal(400);
+    });
+
+    it("lets an arbitrator revoke a user's verification, by address in any case", async function () {
+      const [, , , arbitrator] = await ethers.getSigners();
+      const { rows } = await db.query(
+        `INSERT INTO zk_credentials (user_address, commitment, score, completed_orders, lost_disputes, expires_at)
+         VALUES ($1, '1', 80, 5, 0, CURRENT_TIMESTAMP + INTERVAL '1 day') RETURNING id`,
+        [buyer.address]
+      );
+      await db.query(
+        `INSERT INTO zk_verifications
+           (user_address, credential_id, min_score, min_completed_orders, max_lost_disputes, proof, public_signals, expires_at)
+         VALUES ($1, $2, 50, 1, 0, '{}', '[]', CURRENT_TIMESTAMP + INTERVAL '1 day')`,
+        [buyer.address, rows[0].id]
+      );
+      await db.query("UPDATE users SET is_verified = TRUE WHERE address = $1", [buyer.address]);
+      const token = await signIn(arbitrator);
+
+      const response = await request("POST", `/api/users/${buyer.address.toLowerCase()}/verification/revoke`, { token });
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ address: buyer.address, revoked: true });
+      expect((await request("GET", `/api/users/${buyer.address}`)).body.is_verified).to.equal(false);
+      const revoked = await db.query("SELECT COUNT(*)::int AS count FROM zk_verifications WHERE revoked_at IS NOT NULL");
+      expect(revoked.rows[0].count).to.equal(1);
+
+      const invalid = await request("POST", "/api/users/0x1234/verification/revoke", { token });
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.error).to.equal("address must be an Ethereum address");
+    });
+  });
+
+  describe("user activity", function () {
+    let other;
+
+    // buyer bought 1, 2, 4 and 6 and sold 3; 5 is between the others. 1 and 3
+    // are disputed, 4 was cancelled unfunded and 6 was auto-released.
+    beforeEach(async function () {
+      [, , , , , other] = await ethers.getSigners();
+      await db.query("INSERT INTO users (address) VALUES ($1)", [other.address]);
+
+      const orders = [
+        [1, buyer, seller, 1000, 20, "completed", "100 seconds", "400 seconds", false],
+        [2, buyer, seller, 3000, 60, "completed", null, "900 seconds", false],
+        [3, seller, buyer, 500, null, "disputed", null, null, false],
+        [4, buyer, other, 700, null, "cancelled", null, null, false],
+        [5, other, seller, 800, null, "funded", null, null, false],
+        [6, buyer, seller, 2000, 40, "completed", null, "5000 seconds", true]
+      ];
+      for (const [orderId, orderBuyer, orderSeller, amount, fee, status, delivered, confirmed, autoReleased] of orders) {
+        await db.query(
+          `INSERT INTO orders (order_id, buyer_address, seller_address, amount_wei, platform_fee, description, status,
+                               funded_at, delivered_at, confirmed_at, auto_released)
+           VALUES ($1, $2, $3, $4, $5, 'Test item', $6,
+                   CASE WHEN $10 THEN TIMESTAMP '2024-01-01' END,
+                   TIMESTAMP '2024-01-01' + $7::interval, TIMESTAMP '2024-01-01' + $8::interval, $9)`,
+          [orderId, orderBuyer.address, orderSeller.address, amount, fee, status, delivered, confirmed, autoReleased, status !== "cancelled"]
+        );
+      }
+      await db.query(
+        `INSERT INTO disputes (dispute_id, order_id, raised_by, reason, status)
+         VALUES (1, 1, $1, 'Late delivery', 'resolved'), (3, 3, $2, 'Never paid', 'open')`,
+        [buyer.address, seller.address]
+      );
+    });
+
+    // Every page of `path` at `limit` per page
+    async function allPages(path, limit) {
+      const ids = [];
+      let cursor = null;
+      do {
+        const separator = path.includes("?") ? "&" : "?";
+        const response = await request("GET", `${path}${separator}limit=${limit}${cursor ? `&cursor=${cursor}` : ""}`);
+        expect(response.status).to.equal(200);
+        expect(response.body.items.length).to.be.at.most(limit);
+        ids.push(...response.body.items.map((item) => item.order_id));
+        cursor = response.body.nextCursor;
+      } while (cursor);
+      return ids;
+    }
+
+    it("pages a user's orders as either party, or in one role", async function () {
+      const path = `/api/users/${buyer.address.toLowerCase()}/orders?sort=order_id`;
+      expect(await allPages(path, 2)).to.deep.equal(["1", "2", "3", "4", "6"]);
+      expect(await allPages(`${path}&role=buyer`, 2)).to.deep.equal(["1", "2", "4", "6"]);
+      expect(await allPages(`${path}&role=seller`, 2)).to.deep.equal(["3"]);
+      expect(await allPages(`${path}&role=buyer&status=completed`, 10)).to.deep.equal(["1", "2", "6"]);
+
+      const invalidRole = await request("GET", `${path}&role=arbitrator`);
+      expect(invalidRole.status).to.equal(400);
+    });
+
+    it("pages disputes over a user's orders as either party, or in one role", async function () {
+      const path = `/api/users/${buyer.address}/disputes?sort=order_id`;
+      expect(await allPages(path, 1)).to.deep.equal(["1", "3"]);
+      expect(await allPages(`${path}&role=buyer`, 1)).to.deep.equal(["1"]);
+      expect(await allPages(`${path}&role=seller`, 1)).to.deep.equal(["3"]);
+      expect(await allPages(`/api/users/${other.address}/disputes`, 10)).to.deep.equal([]);
+    });
+
+    it("aggregates a user's orders, disputes and completed volume", async function () {
+      const response = await request("GET", `/api/users/${buyer.address.toLowerCase()}/stats`);
+      expect(response.status).to.equal(200);
+      const { tokens, ...counts } = response.body;
+      expect(counts).to.deep.equal({
+        address: buyer.address,
+        totalOrders: 5,
+        ordersAsBuyer: 4,
+        ordersAsSeller: 1,
+        completedOrders: 3,
+        cancelledOrders: 1,
+        disputedOrders: 2,
+        disputeRate: 0.5,
+        // Order 1 confirmed 300s after delivery, order 2 900s after funding; 6 was auto-released
+        avgConfirmationSeconds: 600
+      });
+      expect(tokens.map(({ token, bought, sold, feesPaid }) => ({ token, bought, sold, feesPaid }))).to.deep.equal([
+        { token: ethers.ZeroAddress, bought: "6000", sold: "0", feesPaid: "0" }
+      ]);
+
+      const sales = (await request("GET", `/api/users/${seller.address}/stats`)).body.tokens;
+      expect(sales.map(({ bought, sold, feesPaid }) => ({ bought, sold, feesPaid }))).to.deep.equal([
+        { bought: "0", sold: "6000", feesPaid: "120" }
+      ]);
+    });
+
+    it("rejects a malformed address", async function () {
+      for (const path of ["stats", "orders", "disputes"]) {
+        const response = await request("GET", `/api/users/0x1234/${path}`);
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.equal("address must be an Ethereum address");
+      }
+    });
+  });
+
+  describe("orders", function () {
+    it("finds an order by its on-chain ID or its UUID, and rejects any other id", async function () {
+      await insertDispute(7);
+      const { rows } = await db.query("SELECT id FROM orders WHERE order_id = 7");
+
+      for (const id of ["7", rows[0].id]) {
+        const response = await request("GET", `/api/orders/${id}`);
+        expect(response.status).to.equal(200);
+        expect(response.body.order_id).to.equal("7");
+      }
+
+      const invalid = await request("GET", "/api/orders/abc");
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.error).to.equal("id must be an order ID or a UUID");
+    });
+
+    it("rejects order and listing IDs too large for a BIGINT", async function () {
+      const tooLarge = "99999999999999999999";
+      for (const path of [`/api/orders/${tooLarge}`, `/api/orders?listing=${tooLarge}`, `/api/disputes/${tooLarge}`]) {
+        const response = await request("GET", path);
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.match(/must be an integer <= 9223372036854775807$/);
+      }
+
+      const largest = await request("GET", "/api/orders/9223372036854775807");
+      expect(largest.status).to.equal(404);
+    });
+  });
+
+  describe("disputes", function () {
+    it("counts the evidence that doesn't resolve to an upload", async function () {
+      await insertDispute(1);
+      await insertEvidence(1, buyer, "photo", true);
+      await insertEvidence(1, seller, "receipt", false);
+      await insertEvidence(1, seller, "tracking", false);
+      await insertDispute(2);
+      await insertEvidence(2, buyer, "video", true);
+
+      const dispute = await request("GET", "/api/disputes/1");
+      expect(dispute.status).to.equal(200);
+      expect(dispute.body.unresolved_evidence).to.equal(2);
+
+      const list = await request("GET", "/api/disputes?sort=order_id");
+      expect(list.body.items.map((item) => [item.dispute_id, item.unresolved_evidence])).to.deep.equal([
+        ["1", 2],
+        ["2", 0]
+      ]);
+    });
+
+    it("resolves evidence whose file is uploaded after it was indexed", async function () {
+      await insertDispute(1);
+      const cid = await insertEvidence(1, seller, "receipt", false);
+      expect((await request("GET", "/api/disputes/1")).body.unresolved_evidence).to.equal(1);
+
+      await uploadBlob(cid, seller);
+
+      const dispute = await request("GET", "/api/disputes/1");
+      expect(dispute.body.unresolved_evidence).to.equal(0);
+      expect(dispute.body.evidence[0].blob.cid).to.equal(cid);
+    });
+
+    it("rejects a dispute id that isn't an integer", async function () {
+      const response = await request("GET", "/api/disputes/abc");
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.equal("orderId must be an integer >= 0");
+    });
+
+    it("lists only disputes with evidence arbitrators can't open", async function () {
+      await insertDispute(1);
+      await insertEvidence(1, seller, "receipt", false);
+      await insertDispute(2);
+      await insertEvidence(2, buyer, "video", true);
+
+      const unresolved = await request("GET", "/api/disputes?unresolvedEvidence=true");
+      expect(unresolved.body.items.map((item) => item.dispute_id)).to.deep.equal(["1"]);
+
+      const resolved = await request("GET", "/api/disputes?unresolvedEvidence=false");
+      expect(resolved.body.items.map((item) => item.dispute_id)).to.deep.equal(["2"]);
+
+      const invalid = await request("GET", "/api/disputes?unresolvedEvidence=maybe");
+      expect(invalid.status).to.equal(400);
+    });
+  });
+
+  describe("arbitrators", function () {
+    it("filters arbitrators by whether they're active", async function () {
+      await db.query("INSERT INTO arbitrators (address, is_active) VALUES ($1, TRUE), ($2, FALSE)", [
+        seller.address,
+        buyer.address
+      ]);
+
+      const active = await request("GET", "/api/arbitrators?active=true");
+      expect(active.body.map((arbitrator) => arbitrator.address)).to.deep.equal([seller.address]);
+
+      const inactive = await request("GET", "/api/arbitrators?active=false");
+      expect(inactive.body.map((arbitrator) => arbitrator.address)).to.deep.equal([buyer.address]);
+
+      for (const search of ["active=yes", "active=true&active=false"]) {
+        const response = await request("GET", `/api/arbitrators?${search}`);
+        expect(response.status).to.equal(400);
+      }
+    });
+
+    it("tells a broken deadlock apart from a ruling on a dispute no panel was drawn for", async function () {
+      const [, , , main, panelist] = await ethers.getSigners();
+      await db.query("INSERT INTO users (address) VALUES ($1), ($2)", [main.address, panelist.address]);
+      for (const orderId of [1, 2]) {
+        await insertDispute(orderId);
+        await db.query("UPDATE disputes SET status = 'resolved', ruled_by = $1, buyer_share_bps = 10000 WHERE dispute_id = $2", [
+          main.address,
+          orderId
+        ]);
+      }
+      await db.query("INSERT INTO dispute_panel_members (dispute_id, arbitrator_address) VALUES (1, $1)", [panelist.address]);
+
+      const response = await request("GET", `/api/arbitrators/${main.address}/rulings`);
+      expect(response.status).to.equal(200);
+      const rulings = response.body.items.map((item) => [item.dispute_id, item.broke_deadlock, item.ruled_without_panel]);
+      expect(rulings.sort()).to.deep.equal([
+        ["1", true, false],
+        ["2", false, true]
+      ]);
+    });
+  });
+
+  describe("listings", function () {
+    let other;
+
+    // Listings 0-4 by seller; 1 is reserved for buyer and 3 for someone else, 4 was closed
+    beforeEach(async function () {
+      [, , , , , other] = await ethers.getSigners();
+      const listings = [
+        [0, ethers.ZeroAddress, 1000, 2, "cameras", "Vintage film camera", true],
+        [1, buyer.address, 3000, 1, "cameras", "Digital camera body", true],
+        [2, ethers.ZeroAddress, 2000, 0, "books", "Rare first edition", true],
+        [3, other.address, 500, 1, "books", "Family cookbook", true],
+        [4, ethers.ZeroAddress, 1500, 0, "cameras", "Tripod", false]
+      ];
+      for (const [listingId, reservedFor, price, stock, category, description, active] of listings) {
+        await db.query(
+          `INSERT INTO listings (listing_id, seller_address, buyer_address, price_wei, stock, category, description, is_active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [listingId, seller.address, reservedFor, price, stock, category, description, active]
+        );
+      }
+    });
+
+    async function listingIds(search) {
+      const response = await request("GET", `/api/listings?${search}`);
+      expect(response.status).to.equal(200);
+      return response.body.items.map((item) => item.listing_id);
+    }
+
+    it("filters listings", async function () {
+      const filters = [
+        ["category=cameras", ["0", "1", "4"]],
+        ["active=false", ["4"]],
+        ["inStock=true", ["0", "1", "3"]],
+        [`availableTo=${buyer.address.toLowerCase()}`, ["0", "1", "2", "4"]],
+        [`buyer=${buyer.address}`, ["1"]],
+        [`seller=${buyer.address}`, []],
+        ["minPrice=1000&maxPrice=2000", ["0", "2", "4"]],
+        ["q=camera", ["0", "1"]],
+        ["category=cameras&active=true&inStock=true&maxPrice=1000", ["0"]]
+      ];
+      for (const [search, expected] of filters) {
+        expect(await listingIds(`${search}&sort=listing_id`), search).to.deep.equal(expected);
+      }
+    });
+
+    it("pages listings by price in either direction", async function () {
+      for (const [sort, expected] of [
+        ["price", ["3", "0", "4", "2", "1"]],
+        ["-price", ["1", "2", "4", "0", "3"]]
+      ]) {
+        const seen = [];
+        let cursor = null;
+        do {
+          const response = await request("GET", `/api/listings?sort=${sort}&limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+          expect(response.body.items.length).to.be.at.most(2);
+          seen.push(...response.body.items.map((item) => item.listing_id));
+          cursor = response.body.nextCursor;
+        } while (cursor);
+        expect(seen).to.deep.equal(expected);
+      }
+    });
+
+    it("rejects malformed filters", async function () {
+      for (const search of ["minPrice=cheap", "inStock=yes", "availableTo=0x1234", `category=${"x".repeat(33)}`, "sort=stock", "limit=0"]) {
+        const response = await request("GET", `/api/listings?${search}`);
+        expect(response.status, search).to.equal(400);
+      }
+    });
+  });
+
+  describe("private terms", function () {
+    let signers;
+    let fields;
+    let leaves;
+    let commitment;
+
+    beforeEach(async function () {
+      signers = await ethers.getSigners();
+      fields = [
+        { name: "item", value: "Vintage camera" },
+        { name: "condition", value: "Lens has no scratches" }
+      ].map((field) => ({ ...field, salt: ethers.hexlify(ethers.randomBytes(32)) }));
+      leaves = fields.map(terms.computeLeaf);
+      commitment = terms.computeCommitment(leaves);
+    });
+
+    // An envelope as the browser builds it; the API only checks its shape
+    function envelope(...recipients) {
+      const key = () => ({
+        ephemeralPublicKey: new ethers.SigningKey(ethers.randomBytes(32)).publicKey,
+        iv: ethers.hexlify(ethers.randomBytes(12)),
+        wrappedKey: ethers.hexlify(ethers.randomBytes(48))
+      });
+      return {
+        iv: ethers.hexlify(ethers.randomBytes(12)),
+        ciphertext: ethers.hexlify(ethers.randomBytes(64)),
+        recipients: Object.fromEntries(recipients.map((recipient) => [recipient.address, key()]))
+      };
+    }
+
+    // Private order 1, disputed, with `panelist` on its panel
+    async function disputedPrivateOrder(panelist) {
+      await insertDispute(1);
+      await db.query("UPDATE orders SET description = '', terms_commitment = $1 WHERE order_id = 1", [commitment]);
+      await db.query("INSERT INTO users (address) VALUES ($1)", [panelist.address]);
+      await db.query("INSERT INTO dispute_panel_members (dispute_id, arbitrator_address) VALUES (1, $1)", [panelist.address]);
+    }
+
+    it("keeps the first envelope stored for a commitment, which must be encrypted to its sender", async function () {
+      const token = await signIn(seller);
+
+      const stored = await request("POST", "/api/terms", { token, body: { commitment, envelope: envelope(seller, buyer) } });
+      expect(stored.status).to.equal(201);
+      expect(stored.body.stored_by).to.equal(seller.address);
+
+      const again = await request("POST", "/api/terms", { token, body: { commitment, envelope: envelope(seller) } });
+      expect(again.status).to.equal(409);
+
+      const notToSelf = await request("POST", "/api/terms", {
+        token,
+        body: { commitment: ethers.id("other terms"), envelope: envelope(buyer) }
+      });
+      expect(notToSelf.status).to.equal(400);
+      expect(notToSelf.body.error).to.equal("The terms must be encrypted to your own key too");
+
+      expect((await request("POST", "/api/terms", { body: { commitment, envelope: envelope(seller) } })).status).to.equal(401);
+    });
+
+    it("rejects a reveal whose leaves don't match the order's commitment", async function () {
+      const [, , , , panelist] = signers;
+      await disputedPrivateOrder(panelist);
+      const token = await signIn(buyer);
+
+      for (const [reveal, error] of [
+        [{ leaves: [...leaves].reverse(), fields: [{ index: 1, ...fields[1] }] }, "Leaves do not match the order's terms commitment"],
+        [{ leaves, fields: [{ index: 1, ...fields[1], value: "Mint condition" }] }, "Field 1 does not match its leaf"]
+      ]) {
+        const response = await request("POST", "/api/orders/1/terms/reveals", { token, body: reveal });
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.equal(error);
+      }
+      expect((await db.query("SELECT COUNT(*)::int AS count FROM order_terms_reveals")).rows[0].count).to.equal(0);
+    });
+
+    it("shows a reveal to the parties and the dispute's arbitrators only", async function () {
+      const [owner, , , main, panelist, otherArbitrator, stranger] = signers;
+      const disputeResolution = await ethers.getContractAt("DisputeResolution", process.env.DISPUTE_CONTRACT_ADDRESS);
+      for (const arbitrator of [panelist, otherArbitrator]) {
+        if (!(await disputeResolution.isArbitrator(arbitrator.address))) {
+          await disputeResolution.connect(owner).addArbitrator(arbitrator.address);
+        }
+      }
+      await disputedPrivateOrder(panelist);
+
+      const revealed = await request("POST", "/api/orders/1/terms/reveals", {
+        token: await signIn(buyer),
+        body: { leaves, fields: [{ index: 1, ...fields[1] }] }
+      });
+      expect(revealed.status).to.equal(201);
+
+      for (const reader of [buyer, seller, main, panelist]) {
+        const response = await request("GET", "/api/orders/1/terms/reveals", { token: await signIn(reader) });
+        expect(response.status).to.equal(200);
+        expect(response.body.commitment).to.equal(commitment);
+        expect(response.body.reveals.map((reveal) => [reveal.revealed_by, reveal.fields])).to.deep.equal([
+          [buyer.address, [{ index: 1, ...fields[1] }]]
+        ]);
+      }
+
+      for (const reader of [otherArbitrator, stranger]) {
+        const response = await request("GET", "/api/orders/1/terms/reveals", { token: await signIn(reader) });
+        expect(response.status).to.equal(403);
+      }
+      const strangerReveal = await request("POST", "/api/orders/1/terms/reveals", {
+        token: await signIn(stranger),
+        body: { leaves, fields: [{ index: 0, ...fields[0] }] }
+      });
+      expect(strangerReveal.status).to.equal(403);
+      expect((await request("GET", "/api/orders/1/terms/reveals")).status).to.equal(401);
+    });
+  });
+
+  describe("reviews", function () {
+    async function postReview(reviewer, orderId, comment, rating = 5) {
+      const reviewee = reviewer.address === buyer.address ? seller.address : buyer.address;
+      const message = buildReviewMessage({
+        marketplace: process.env.MARKETPLACE_ADDRESS,
+        chainId: CHAIN_ID,
+        orderId,
+        reviewer: reviewer.address,
+        reviewee,
+        rating,
+        comment
+      });
+      return request("POST", `/api/orders/${orderId}/reviews`, {
+        body: { reviewer: reviewer.address, rating, comment, signature: await reviewer.signMessage(message) }
+      });
+    }
+
+    async function completedOrder(orderId) {
+      await db.query(
+        `INSERT INTO orders (order_id, buyer_address, seller_address, amount_wei, description, status)
+         VALUES ($1, $2, $3, 1000, 'Test item', 'completed')`,
+        [orderId, buyer.address, seller.address]
+      );
+    }
+
+    it("takes one review per party per order", async function () {
+      await completedOrder(1);
+
+      expect((await postReview(buyer, 1, "Great seller")).status).to.equal(201);
+      const again = await postReview(buyer, 1, "Changed my mind");
+      expect(again.status).to.equal(409);
+      expect(again.body.error).to.equal("You have already reviewed this order");
+
+      expect((await postReview(seller, 1, "Paid promptly")).status).to.equal(201);
+      const { rows } = await db.query("SELECT reviewer_address, comment FROM reviews ORDER BY created_at");
+      expect(rows).to.deep.equal([
+        { reviewer_address: buyer.address, comment: "Great seller" },
+        { reviewer_address: seller.address, comment: "Paid promptly" }
+      ]);
+    });
+
+    it("drops a review an arbitrator hid from listings and ratings until it's restored", async function () {
+      const [, , , arbitrator] = await ethers.getSigners();
+      await completedOrder(1);
+      await completedOrder(2);
+      await postReview(buyer, 1, "Great seller", 5);
+      const abusive = (await postReview(buyer, 2, "Abusive rant", 1)).body;
+      const rating = async () => {
+        const { body } = await request("GET", `/api/users/${seller.address}/rating`);
+        return [body.count, body.average, body.distribution[1]];
+      };
+      const visible = async () => {
+        const paths = ["/api/reviews", `/api/users/${seller.address}/reviews`, "/api/orders/2/reviews"];
+        return Promise.all(paths.map(async (path) => (await request("GET", path)).body.items.map((review) => review.comment)));
+      };
+      expect(await rating()).to.deep.equal([2, 3, 1]);
+
+      const arbitratorToken = await signIn(arbitrator);
+      const moderate = (body, token = arbitratorToken) => request("PUT", `/api/reviews/${abusive.id}/moderation`, { token, body });
+
+      expect((await moderate({ hidden: true })).status).to.equal(400);
+      const hidden = await moderate({ hidden: true, reason: "Abusive language" });
+      expect(hidden.status).to.equal(200);
+      expect([hidden.body.is_hidden, hidden.body.moderated_by]).to.deep.equal([true, arbitrator.address]);
+
+      expect(await visible()).to.deep.equal([["Great seller"], ["Great seller"], []]);
+      expect(await rating()).to.deep.equal([1, 5, 0]);
+      const moderated = await request("GET", "/api/reviews?includeHidden=true&hidden=true", { token: arbitratorToken });
+      expect(moderated.body.items.map((review) => review.moderation_reason)).to.deep.equal(["Abusive language"]);
+
+      expect((await moderate({ hidden: false })).status).to.equal(200);
+      expect((await visible())[2]).to.deep.equal(["Abusive rant"]);
+      expect(await rating()).to.deep.equal([2, 3, 1]);
+    });
+
+    it("only lets arbitrators moderate reviews or see hidden ones", async function () {
+      await completedOrder(1);
+      const review = (await postReview(buyer, 1, "Great seller")).body;
+      const token = await signIn(seller);
+
+      const moderation = await request("PUT", `/api/reviews/${review.id}/moderation`, {
+        token,
+        body: { hidden: true, reason: "I don't like it" }
+      });
+      expect(moderation.status).to.equal(403);
+      expect(moderation.body.error).to.equal("Arbitrator role required");
+      const signedOut = await request("PUT", `/api/reviews/${review.id}/moderation`, { body: { hidden: true, reason: "Spam" } });
+      expect(signedOut.status).to.equal(401);
+
+      expect((await request("GET", "/api/reviews?includeHidden=true", { token })).status).to.equal(403);
+      const { rows } = await db.query("SELECT is_hidden FROM reviews");
+      expect(rows).to.deep.equal([{ is_hidden: false }]);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { resetDatabase } = require("./helpers/database");
+const { SIWE_DOMAIN, CHAIN_ID, startApi, request, buildSignInMessage, signIn } = require("./helpers/api");
+
+describe("Sign-In with Ethereum", function () {
+  let signers;
+
+  before(async function () {
+    await resetDatabase(this);
+    signers = await ethers.getSigners();
+    await startApi();
+  });
+
+  async function nonce() {
+    return (await request("GET", "/api/auth/nonce")).body.nonce;
+  }
+
+  // A message for `signer` on a fresh nonce, and its signature
+  async function signedMessage(signer, overrides = {}) {
+    const message = buildSignInMessage({ address: signer.address, nonce: await nonce(), ...overrides });
+    return { message, signature: await signer.signMessage(message) };
+  }
+
+  it("starts a session for the address that signed a fresh nonce", async function () {
+    const [, user] = signers;
+
+    const { status, body } = await request("POST", "/api/auth/verify", { body: await signedMessage(user) });
+    expect(status).to.equal(200);
+    expect(body.address).to.equal(user.address);
+    expect(body.isArbitrator).to.equal(false);
+
+    const me = await request("GET", "/api/auth/me", { token: body.token });
+    expect(me.status).to.equal(200);
+    expect(me.body).to.deep.equal({ address: user.address, isArbitrator: false });
+  });
+
+  it("reports the arbitrator role from the contract", async function () {
+    const [, , , arbitrator] = signers;
+
+    const me = await request("GET", "/api/auth/me", { token: await signIn(arbitrator) });
+    expect(me.body).to.deep.equal({ address: arbitrator.address, isArbitrator: true });
+  });
+
+  it("rejects a replayed nonce", async function () {
+    const [, user] = signers;
+    const signed = await signedMessage(user);
+
+    expect((await request("POST", "/api/auth/verify", { body: signed })).status).to.equal(200);
+
+    const replay = await request("POST", "/api/auth/verify", { body: signed });
+    expect(replay.status).to.equal(401);
+    expect(replay.body.error).to.equal("Unknown or expired nonce");
+  });
+
+  it("rejects a nonce the server never issued", async function () {
+    const [, user] = signers;
+    const message = buildSignInMessage({ address: user.address, nonce: "madeUpNonce123" });
+
+    const response = await request("POST", "/api/auth/verify", {
+      body: { message, signature: await user.signMessage(message) }
+    });
+    expect(response.status).to.equal(401);
+    expect(response.body.error).to.equal("Unknown or expired nonce");
+  });
+
+  it("rejects a message for another domain", async function () {
+    const [, user] = signers;
+
+    const response = await request("POST", "/api/auth/verify", {
+      body: await signedMessage(user, { domain: "evil.example" })
+    });
+    expect(response.status).to.equal(401);
+    expect(response.body.error).to.equal(`SIWE message must be for ${SIWE_DOMAIN}`);
+  });
+
+  it("rejects a message for another chain", async function () {
+    const [, user] = signers;
+
+    const response = await request("POST", "/api/auth/verify", { body: await signedMessage(user, { chainId: 1 }) });
+    expect(response.status).to.equal(401);
+    expect(response.body.error).to.equal(`SIWE message must be for chain ${CHAIN_ID}`);
+  });
+
+  it("rejects a message signed by another account", async function () {
+    const [, user, other] = signers;
+    const message = buildSignInMessage({ address: user.address, nonce: await nonce() });
+
+    const response = await request("POST", "/api/auth/verify", {
+      body: { message, signature: await other.signMessage(message) }
+    });
+    expect(response.status).to.equal(401);
+    expect(response.body.error).to.equal("Invalid SIWE signature");
+  });
+
+  it("rejects changes to another address with the caller's session", async function () {
+    const [, user, other] = signers;
+    const token = await signIn(user);
+
+    const register = await request("POST", "/api/users", { token, body: { address: other.address } });
+    expect(register.status).to.equal(403);
+    expect(register.body.error).to.equal("Signed in as a different address");
+
+    const key = await request("PUT", `/api/users/${other.address}/encryption-key`, {
+      token,
+      body: { publicKey: ethers.hexlify(ethers.randomBytes(32)) }
+    });
+    expect(key.status).to.equal(403);
+
+    const credential = await request("POST", "/api/zk/credentials", { token, body: { address: other.address } });
+    expect(credential.status).to.equal(403);
+
+    // Their own address is fine
+    const own = await request("POST", "/api/users", { token, body: { address: user.address } });
+    expect(own.status).to.equal(200);
+    expect(own.body.address).to.equal(user.address);
+  });
+
+  it("requires a session for changes", async function () {
+    const [, user] = signers;
+
+    const response = await request("POST", "/api/users", { body: { address: user.address } });
+    expect(response.status).to.equal(401);
+    expect(response.body.error).to.equal("Sign in required");
+
+    const upload = await request("POST", "/api/evidence", { body: { photo: "of the damage" } });
+    expect(upload.status).to.equal(401);
+  });
+});
@@ -0,0 +1,427 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const AMOUNT = ethers.parseEther("1");
+const DISPUTE_FEE = ethers.parseEther("0.01");
+const DAY = 24 * 60 * 60;
+
+// ZKMarketplace.OrderStatus
+const Funded = 1;
+const Disputed = 3;
+const Resolved = 4;
+
+// DisputeResolution.DisputeStatus
+const Open = 0;
+const UnderReview = 1;
+const ResolvedDispute = 2;
+const Cancelled = 3;
+
+describe("DisputeResolution", function () {
+  // A funded order whose buyer has raised a dispute. The arbitrator is the
+  // only one in the pool, so a panel of one always draws them.
+  async function disputedOrderFixture() {
+    const [owner, seller, buyer, arbitrator] = await ethers.getSigners();
+
+    const ZKMarketplace = await ethers.getContractFactory("ZKMarketplace");
+    const marketplace = await ZKMarketplace.deploy(owner.address);
+    const DisputeResolution = await ethers.getContractFactory("DisputeResolution");
+    const disputeResolution = await DisputeResolution.deploy(await marketplace.getAddress(), arbitrator.address);
+
+    await marketplace.setDisputeResolver(await disputeResolution.getAddress());
+    await disputeResolution.setPanelConfig(1, 3 * DAY, 2 * DAY, 3);
+
+    await marketplace.connect(seller).createOrder("Test item", { value: AMOUNT });
+    await marketplace.connect(buyer).fundOrder(0, { value: AMOUNT });
+    await disputeResolution.connect(buyer).raiseDispute(0, "Item never arrived", "bafyevidence", { value: DISPUTE_FEE });
+
+    return { marketplace, disputeResolution, owner, seller, buyer, arbitrator };
+  }
+
+  // Draw the panel and have it rule `buyerShareBps`
+  async function rule(disputeResolution, arbitrator, orderId, buyerShareBps) {
+    const salt = ethers.id("salt");
+    await disputeResolution.connect(arbitrator).assignPanel(orderId);
+    await disputeResolution.connect(arbitrator).commitVote(
+      orderId,
+      await disputeResolution.voteCommitment(orderId, arbitrator.address, buyerShareBps, salt)
+    );
+    await time.increase(3 * DAY + 1);
+    await disputeResolution.connect(arbitrator).revealVote(orderId, buyerShareBps, salt);
+    return disputeResolution.finalizeDispute(orderId);
+  }
+
+  describe("Arbitrators", function () {
+    it("announces the main arbitrator chosen at deployment", async function () {
+      const { disputeResolution, arbitrator } = await loadFixture(disputedOrderFixture);
+      const deployment = disputeResolution.deploymentTransaction();
+
+      await expect(deployment).to.emit(disputeResolution, "ArbitratorAdded").withArgs(arbitrator.address);
+      await expect(deployment)
+        .to.emit(disputeResolution, "MainArbitratorChanged")
+        .withArgs(ethers.ZeroAddress, arbitrator.address);
+    });
+
+    it("announces a new main arbitrator and the removal of the previous one", async function () {
+      const { disputeResolution, owner, arbitrator } = await loadFixture(disputedOrderFixture);
+      const [, , , , successor] = await ethers.getSigners();
+
+      await expect(disputeResolution.connect(owner).setMainArbitrator(successor.address))
+        .to.emit(disputeResolution, "ArbitratorRemoved").withArgs(arbitrator.address)
+        .and.to.emit(disputeResolution, "ArbitratorAdded").withArgs(successor.address)
+        .and.to.emit(disputeResolution, "MainArbitratorChanged").withArgs(arbitrator.address, successor.address);
+      expect(await disputeResolution.getArbitrators()).to.deep.equal([successor.address]);
+    });
+
+    it("announces each added arbitrator once", async function () {
+      const { disputeResolution, owner } = await loadFixture(disputedOrderFixture);
+      const [, , , , newcomer] = await ethers.getSigners();
+
+      const receipt = await (await disputeResolution.connect(owner).addArbitrator(newcomer.address)).wait();
+      const added = receipt.logs.filter((log) => disputeResolution.interface.parseLog(log)?.name === "ArbitratorAdded");
+      expect(added).to.have.length(1);
+    });
+  });
+
+  describe("Freezing the order", function () {
+    it("marks the order disputed when a dispute is raised", async function () {
+      const { marketplace } = await loadFixture(disputedOrderFixture);
+
+      expect(await marketplace.getOrderStatus(0)).to.equal(Disputed);
+    });
+
+    it("stops the buyer confirming receipt mid-dispute", async function () {
+      const { marketplace, buyer } = await loadFixture(disputedOrderFixture);
+
+      await expect(marketplace.connect(buyer).confirmReceipt(0)).to.be.revertedWith("Order not funded");
+    });
+
+    it("stops the seller releasing the escrow after the deadline mid-dispute", async function () {
+      const { marketplace, disputeResolution, seller, buyer } = await loadFixture(disputedOrderFixture);
+
+      // A second order, delivered and then disputed within the confirmation window
+      await marketplace.connect(seller).createOrder("Second item", { value: AMOUNT });
+      await marketplace.connect(buyer).fundOrder(1, { value: AMOUNT });
+      await marketplace.connect(seller).markDelivered(1);
+      await disputeResolution.connect(buyer).raiseDispute(1, "Item broken", "bafyevidence", { value: DISPUTE_FEE });
+      await time.increase(3 * DAY + 1);
+
+      await expect(marketplace.connect(seller).releaseAfterDeadline(1)).to.be.revertedWith("Order not funded");
+    });
+
+    it("only lets the dispute resolver freeze, clear or resolve orders", async function () {
+      const { marketplace, seller } = await loadFixture(disputedOrderFixture);
+
+      await expect(marketplace.connect(seller).markDisputed(0)).to.be.revertedWith("Not the dispute resolver");
+      await expect(marketplace.connect(seller).clearDispute(0)).to.be.revertedWith("Not the dispute resolver");
+      await expect(marketplace.connect(seller).resolveOrder(0, 0)).to.be.revertedWith("Not the dispute resolver");
+    });
+  });
+
+  describe("Rulings", function () {
+    // Escrow is the seller's deposit plus the buyer's funding; the 2.5% fee is
+    // charged on the payment only, as when the order is released
+    const escrow = AMOUNT * 2n;
+    const fee = (AMOUNT * 250n) / 10000n;
+
+    for (const buyerShareBps of [10000n, 0n, 5000n, 7500n]) {
+      it(`splits the escrow ${buyerShareBps} bps to the buyer`, async function () {
+        const { marketplace, disputeResolution, seller, buyer, arbitrator } = await loadFixture(disputedOrderFixture);
+        const buyerAmount = ((escrow - fee) * buyerShareBps) / 10000n;
+        const sellerAmount = escrow - fee - buyerAmount;
+
+        await expect(rule(disputeResolution, arbitrator, 0, buyerShareBps))
+          .to.emit(marketplace, "OrderResolved")
+          .withArgs(0, buyerAmount, sellerAmount, fee, anyValue);
+
+        expect(await marketplace.getOrderStatus(0)).to.equal(Resolved);
+        expect(await marketplace.pendingWithdrawals(buyer.address, ethers.ZeroAddress)).to.equal(buyerAmount);
+        expect(await marketplace.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(sellerAmount);
+        expect(await marketplace.accruedFees(ethers.ZeroAddress)).to.equal(fee);
+        // The buyer raised the dispute, so gets back their share of the fee
+        expect(await disputeResolution.pendingWithdrawals(buyer.address))
+          .to.equal((DISPUTE_FEE * buyerShareBps) / 10000n);
+      });
+    }
+
+    it("leaves no funds in the marketplace once everyone has withdrawn", async function () {
+      const { marketplace, disputeResolution, owner, seller, buyer, arbitrator } = await loadFixture(disputedOrderFixture);
+
+      await rule(disputeResolution, arbitrator, 0, 7500n);
+      await marketplace.connect(owner).withdrawFees(ethers.ZeroAddress);
+      for (const payee of [owner, seller, buyer]) {
+        await marketplace.connect(payee).withdraw();
+      }
+
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(0);
+    });
+
+    it("rejects a share above 100%", async function () {
+      const { disputeResolution, arbitrator } = await loadFixture(disputedOrderFixture);
+
+      await expect(rule(disputeResolution, arbitrator, 0, 10001n)).to.be.revertedWith("Share exceeds 100%");
+    });
+  });
+
+  describe("Panels of three", function () {
+    // Two more arbitrators join the main one, so every panel of three draws
+    // the whole pool; two strikes remove an arbitrator
+    async function panelOfThreeFixture() {
+      const fixture = await disputedOrderFixture();
+      const { disputeResolution, owner, arbitrator } = fixture;
+      const [, , , , second, third] = await ethers.getSigners();
+
+      await disputeResolution.connect(owner).addArbitrator(second.address);
+      await disputeResolution.connect(owner).addArbitrator(third.address);
+      await disputeResolution.connect(owner).setPanelConfig(3, 3 * DAY, 2 * DAY, 2);
+
+      return { ...fixture, panel: [arbitrator, second, third] };
+    }
+
+    // Draw the panel for `orderId`, have `voters` commit and reveal
+    // `buyerShareBps`, and let the reveal period run out
+    async function vote(disputeResolution, orderId, voters, buyerShareBps) {
+      const salt = ethers.id("salt");
+      await disputeResolution.connect(voters[0]).assignPanel(orderId);
+      for (const voter of voters) {
+        await disputeResolution.connect(voter).commitVote(
+          orderId,
+          await disputeResolution.voteCommitment(orderId, voter.address, buyerShareBps, salt)
+        );
+      }
+      await time.increase(3 * DAY + 1);
+      for (const voter of voters) {
+        await disputeResolution.connect(voter).revealVote(orderId, buyerShareBps, salt);
+      }
+      await time.increase(2 * DAY);
+    }
+
+    it("doesn't let a minority of revealed votes decide", async function () {
+      const { disputeResolution, seller, panel } = await loadFixture(panelOfThreeFixture);
+      const [main, second, third] = panel;
+
+      await vote(disputeResolution, 0, [second], 10000n);
+      await expect(disputeResolution.finalizeDispute(0)).to.be.revertedWith("Panel deadlocked");
+
+      // The main arbitrator rules instead, and the members who didn't reveal get a strike
+      await expect(disputeResolution.connect(main).resolveDispute(0, 0n, "Only one vote was revealed"))
+        .to.emit(disputeResolution, "ArbitratorPenalized").withArgs(0, main.address, 1)
+        .and.to.emit(disputeResolution, "ArbitratorPenalized").withArgs(0, third.address, 1)
+        .and.to.emit(disputeResolution, "DisputeResolved")
+        .withArgs(0, seller.address, main.address, 0n, anyValue, anyValue, anyValue, anyValue, anyValue, anyValue);
+      expect(await disputeResolution.arbitratorStrikes(second.address)).to.equal(0);
+    });
+
+    it("follows a majority of revealed votes and gives the member who didn't reveal a strike", async function () {
+      const { disputeResolution, buyer, panel } = await loadFixture(panelOfThreeFixture);
+      const [main, second, third] = panel;
+
+      await vote(disputeResolution, 0, [second, third], 10000n);
+      await expect(disputeResolution.connect(main).resolveDispute(0, 0n, "Overruling the panel"))
+        .to.be.revertedWith("Panel reached a ruling");
+
+      await expect(disputeResolution.finalizeDispute(0))
+        .to.emit(disputeResolution, "ArbitratorPenalized").withArgs(0, main.address, 1)
+        .and.to.emit(disputeResolution, "DisputeResolved")
+        .withArgs(0, buyer.address, ethers.ZeroAddress, 10000n, anyValue, anyValue, anyValue, anyValue, anyValue, anyValue);
+      expect(await disputeResolution.arbitratorStrikes(main.address)).to.equal(1);
+    });
+
+    it("removes an arbitrator from the pool at the maximum strikes, but never the main arbitrator", async function () {
+      const { marketplace, disputeResolution, seller, buyer, panel } = await loadFixture(panelOfThreeFixture);
+      const [main, second, third] = panel;
+
+      await vote(disputeResolution, 0, [second], 10000n);
+      await disputeResolution.connect(main).resolveDispute(0, 10000n, "Only one vote was revealed");
+      expect(await disputeResolution.arbitratorStrikes(third.address)).to.equal(1);
+      expect(await disputeResolution.authorizedArbitrators(third.address)).to.equal(true);
+
+      // A second dispute the same two members ignore
+      await marketplace.connect(seller).createOrder("Second item", { value: AMOUNT });
+      await marketplace.connect(buyer).fundOrder(1, { value: AMOUNT });
+      await disputeResolution.connect(buyer).raiseDispute(1, "Item broken", "bafyevidence", { value: DISPUTE_FEE });
+      await vote(disputeResolution, 1, [second], 10000n);
+
+      await expect(disputeResolution.connect(main).resolveDispute(1, 10000n, "Only one vote was revealed"))
+        .to.emit(disputeResolution, "ArbitratorPenalized").withArgs(1, third.address, 2)
+        .and.to.emit(disputeResolution, "ArbitratorRemoved").withArgs(third.address);
+      expect(await disputeResolution.authorizedArbitrators(third.address)).to.equal(false);
+      expect(await disputeResolution.arbitratorStrikes(main.address)).to.equal(2);
+      expect([...(await disputeResolution.getArbitrators())]).to.have.members([main.address, second.address]);
+    });
+  });
+
+  describe("Main arbitrator rulings", function () {
+    it("records a panel ruling as ruled by no single arbitrator", async function () {
+      const { disputeResolution, buyer, arbitrator } = await loadFixture(disputedOrderFixture);
+
+      await expect(rule(disputeResolution, arbitrator, 0, 10000n))
+        .to.emit(disputeResolution, "DisputeResolved")
+        .withArgs(0, buyer.address, ethers.ZeroAddress, 10000n, anyValue, anyValue, anyValue, anyValue, anyValue, anyValue);
+    });
+
+    it("breaks a deadlock once the reveal deadline has passed", async function () {
+      const { disputeResolution, seller, arbitrator } = await loadFixture(disputedOrderFixture);
+
+      // The only panel member never votes
+      await disputeResolution.connect(arbitrator).assignPanel(0);
+      await expect(disputeResolution.connect(arbitrator).resolveDispute(0, 0n, "No response from the buyer"))
+        .to.be.revertedWith("Voting still in progress");
+
+      await time.increase(5 * DAY + 1);
+      await expect(disputeResolution.connect(arbitrator).resolveDispute(0, 0n, "No response from the buyer"))
+        .to.emit(disputeResolution, "DisputeResolved")
+        .withArgs(0, seller.address, arbitrator.address, 0n, anyValue, anyValue, anyValue, anyValue, anyValue, anyValue);
+    });
+
+    it("rules on an open dispute no panel could be drawn for once the panel timeout has passed", async function () {
+      const { marketplace, disputeResolution, owner, buyer, arbitrator } = await loadFixture(disputedOrderFixture);
+
+      // Three members are needed but the main arbitrator is the only one in the pool
+      await disputeResolution.connect(owner).setPanelConfig(3, 3 * DAY, 2 * DAY, 3);
+      await expect(disputeResolution.connect(arbitrator).assignPanel(0))
+        .to.be.revertedWith("Not enough eligible arbitrators");
+      await expect(disputeResolution.connect(arbitrator).resolveDispute(0, 10000n, "Seller never shipped"))
+        .to.be.revertedWith("Panel can still be assigned");
+
+      await time.increase(7 * DAY + 1);
+      await expect(disputeResolution.connect(buyer).resolveDispute(0, 10000n, "Seller never shipped"))
+        .to.be.revertedWith("Only main arbitrator can break a deadlock");
+      await expect(disputeResolution.connect(arbitrator).resolveDispute(0, 10000n, "Seller never shipped"))
+        .to.emit(disputeResolution, "DisputeResolved")
+        .withArgs(0, buyer.address, arbitrator.address, 10000n, anyValue, anyValue, anyValue, anyValue, anyValue, anyValue);
+
+      expect(await marketplace.getOrderStatus(0)).to.equal(Resolved);
+    });
+
+    it("rejects a ruling on an order with no dispute", async function () {
+      const { disputeResolution, arbitrator } = await loadFixture(disputedOrderFixture);
+
+      await time.increase(7 * DAY + 1);
+      await expect(disputeResolution.connect(arbitrator).resolveDispute(1, 0n, "Nothing to rule on"))
+        .to.be.revertedWith("No dispute exists for this order");
+    });
+  });
+
+  describe("Paged views", function () {
+    // Orders 0-3 all disputed, so the Open list starts as [0, 1, 2, 3]
+    async function fourDisputesFixture() {
+      const fixture = await disputedOrderFixture();
+      const { marketplace, disputeResolution, seller, buyer } = fixture;
+      for (const orderId of [1, 2, 3]) {
+        await marketplace.connect(seller).createOrder(`Item ${orderId}`, { value: AMOUNT });
+        await marketplace.connect(buyer).fundOrder(orderId, { value: AMOUNT });
+        await disputeResolution.connect(buyer).raiseDispute(orderId, "Item never arrived", "bafyevidence", { value: DISPUTE_FEE });
+      }
+      return fixture;
+    }
+
+    async function byStatus(disputeResolution, status, offset = 0, limit = 10) {
+      return (await disputeResolution.getDisputesByStatus(status, offset, limit)).map(Number);
+    }
+
+    async function counts(disputeResolution) {
+      return Promise.all(
+        [Open, UnderReview, ResolvedDispute, Cancelled].map(async (status) => Number(await disputeResolution.getDisputeCount(status)))
+      );
+    }
+
+    it("moves disputes between the status lists, the last one filling the gap", async function () {
+      const { disputeResolution, owner, arbitrator } = await loadFixture(fourDisputesFixture);
+      expect(await byStatus(disputeResolution, Open)).to.deep.equal([0, 1, 2, 3]);
+      expect(await counts(disputeResolution)).to.deep.equal([4, 0, 0, 0]);
+
+      await disputeResolution.connect(arbitrator).assignPanel(1);
+      expect(await byStatus(disputeResolution, Open)).to.deep.equal([0, 3, 2]);
+      expect(await byStatus(disputeResolution, UnderReview)).to.deep.equal([1]);
+
+      await disputeResolution.connect(owner).cancelDispute(0);
+      expect(await byStatus(disputeResolution, Open)).to.deep.equal([2, 3]);
+      expect(await byStatus(disputeResolution, Cancelled)).to.deep.equal([0]);
+
+      await rule(disputeResolution, arbitrator, 3, 5000n);
+      expect(await byStatus(disputeResolution, Open)).to.deep.equal([2]);
+      expect(await byStatus(disputeResolution, UnderReview)).to.deep.equal([1]);
+      expect(await byStatus(disputeResolution, ResolvedDispute)).to.deep.equal([3]);
+      expect(await counts(disputeResolution)).to.deep.equal([1, 1, 1, 1]);
+    });
+
+    it("pages disputes by status, returning nothing past the end", async function () {
+      const { disputeResolution, arbitrator } = await loadFixture(fourDisputesFixture);
+      await disputeResolution.connect(arbitrator).assignPanel(0);
+
+      expect(await byStatus(disputeResolution, Open, 0, 2)).to.deep.equal([3, 1]);
+      expect(await byStatus(disputeResolution, Open, 2, 2)).to.deep.equal([2]);
+      expect(await byStatus(disputeResolution, Open, 1, 0)).to.deep.equal([]);
+      expect(await byStatus(disputeResolution, Open, 3, 2)).to.deep.equal([]);
+      expect(await byStatus(disputeResolution, Open, 100, 2)).to.deep.equal([]);
+      expect(await byStatus(disputeResolution, Cancelled, 0, 10)).to.deep.equal([]);
+    });
+
+    it("pages evidence oldest first, returning nothing past the end", async function () {
+      const { disputeResolution, seller, buyer } = await loadFixture(disputedOrderFixture);
+      await disputeResolution.connect(seller).submitEvidence(0, "bafyseller", "Tracking number");
+      await disputeResolution.connect(buyer).submitEvidence(0, "bafybuyer", "Empty box photo");
+
+      const hashes = async (offset, limit) =>
+        (await disputeResolution.getEvidencePage(0, offset, limit)).map((evidence) => evidence.hash);
+
+      expect(await disputeResolution.getEvidenceCount(0)).to.equal(3);
+      expect(await hashes(0, 2)).to.deep.equal(["bafyevidence", "bafyseller"]);
+      expect(await hashes(1, 10)).to.deep.equal(["bafyseller", "bafybuyer"]);
+      expect(await hashes(2, 1)).to.deep.equal(["bafybuyer"]);
+      expect(await hashes(0, 0)).to.deep.equal([]);
+      expect(await hashes(3, 1)).to.deep.equal([]);
+      expect(await hashes(100, 5)).to.deep.equal([]);
+    });
+  });
+
+  describe("Cancelling", function () {
+    it("returns the order to Funded so the buyer can confirm receipt", async function () {
+      const { marketplace, disputeResolution, owner, seller, buyer } = await loadFixture(disputedOrderFixture);
+
+      await expect(disputeResolution.connect(owner).cancelDispute(0))
+        .to.emit(marketplace, "OrderDisputeCleared")
+        .withArgs(0, anyValue);
+      expect(await marketplace.getOrderStatus(0)).to.equal(Funded);
+      expect(await disputeResolution.pendingWithdrawals(buyer.address)).to.equal(DISPUTE_FEE);
+
+      await expect(marketplace.connect(buyer).confirmReceipt(0))
+        .to.emit(marketplace, "OrderConfirmed")
+        .withArgs(0, seller.address, anyValue, anyValue);
+    });
+
+    it("lets the order be disputed again with a fresh panel", async function () {
+      const { marketplace, disputeResolution, owner, seller, arbitrator } = await loadFixture(disputedOrderFixture);
+
+      await disputeResolution.connect(arbitrator).assignPanel(0);
+      await disputeResolution.connect(owner).cancelDispute(0);
+      expect((await disputeResolution.getDispute(0)).status).to.equal(Cancelled);
+      expect((await disputeResolution.getPanel(0)).members).to.deep.equal([]);
+
+      await expect(
+        disputeResolution.connect(seller).raiseDispute(0, "Buyer unresponsive", "bafyevidence2", { value: DISPUTE_FEE })
+      ).to.emit(disputeResolution, "DisputeRaised");
+
+      const dispute = await disputeResolution.getDispute(0);
+      expect(dispute.status).to.equal(Open);
+      expect(dispute.disputer).to.equal(seller.address);
+      expect(await marketplace.getOrderStatus(0)).to.equal(Disputed);
+      expect(await disputeResolution.getEvidenceCount(0)).to.equal(2);
+
+      const [total, resolved, open, underReview, cancelled] = await disputeResolution.getDisputeStats();
+      expect([total, resolved, open, underReview, cancelled]).to.deep.equal([1n, 0n, 1n, 0n, 0n]);
+
+      await expect(rule(disputeResolution, arbitrator, 0, 0n)).to.emit(disputeResolution, "DisputeResolved");
+    });
+
+    it("rejects a second dispute while one is open", async function () {
+      const { disputeResolution, seller } = await loadFixture(disputedOrderFixture);
+
+      await expect(
+        disputeResolution.connect(seller).raiseDispute(0, "Me too", "bafyevidence2", { value: DISPUTE_FEE })
+      ).to.be.revertedWith("Dispute already exists for this order");
+    });
+  });
+});
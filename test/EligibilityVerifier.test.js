@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { generateProof } = require("../zk/prover");
+const { computeCommitment, randomSalt, credentialMessage, encodeContractProof } = require("../zk/eligibility");
+
+const AMOUNT = ethers.parseEther("1");
+const DAY = 24 * 60 * 60;
+
+// What the buyer's credential attests to, and what the gated order asks for
+const HISTORY = { score: 80, completedOrders: 5, lostDisputes: 0 };
+const REQUIREMENTS = { minReputation: 50, minOrders: 3, maxLostDisputes: 1 };
+
+describe("Eligibility gate", function () {
+  it("rejects the zero address as eligibility verifier", async function () {
+    const [owner] = await ethers.getSigners();
+    const ZKMarketplace = await ethers.getContractFactory("ZKMarketplace");
+    const marketplace = await ZKMarketplace.deploy(owner.address);
+
+    await expect(marketplace.setEligibilityVerifier(ethers.ZeroAddress)).to.be.revertedWith("Invalid verifier address");
+  });
+
+  // Groth16Verifier and the proving key come from the ZK build, which
+  // compiling runs when they're missing
+  describe("fundOrderWithProof", function () {
+    let credential;
+    let proof;
+
+    before(async function () {
+      const [, , buyer] = await ethers.getSigners();
+      credential = { subject: buyer.address, ...HISTORY, salt: randomSalt() };
+      credential.commitment = await computeCommitment(credential);
+      ({ proof } = await generateProof(credential, REQUIREMENTS));
+    });
+
+    // A marketplace gated by EligibilityVerifier, with order 0 asking for
+    // REQUIREMENTS and order 1 for a higher score
+    async function gatedOrderFixture() {
+      const [owner, seller, buyer, issuer, other] = await ethers.getSigners();
+
+      const ZKMarketplace = await ethers.getContractFactory("ZKMarketplace");
+      const marketplace = await ZKMarketplace.deploy(owner.address);
+      const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
+      const groth16Verifier = await Groth16Verifier.deploy();
+      const EligibilityVerifier = await ethers.getContractFactory("EligibilityVerifier");
+      const verifier = await EligibilityVerifier.deploy(await groth16Verifier.getAddress(), issuer.address);
+      await marketplace.setEligibilityVerifier(await verifier.getAddress());
+
+      const { minReputation, minOrders, maxLostDisputes } = REQUIREMENTS;
+      await marketplace.connect(seller).createGatedOrder("Gated item", minReputation, minOrders, maxLostDisputes, {
+        value: AMOUNT
+      });
+      await marketplace.connect(seller).createGatedOrder("Pickier item", minReputation + 10, minOrders, maxLostDisputes, {
+        value: AMOUNT
+      });
+
+      return { marketplace, verifier, seller, buyer, issuer, other };
+    }
+
+    // The contract proof for `credential`, signed by `signer` for the given expiry
+    async function contractProof(verifier, signer, { expiresAt, subject = credential.subject } = {}) {
+      const signature = await signer.signMessage(credentialMessage({
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifierAddress: await verifier.getAddress(),
+        subject,
+        commitment: credential.commitment,
+        expiresAt
+      }));
+      return encodeContractProof(proof, { commitment: credential.commitment, onChain: { expiresAt, signature } });
+    }
+
+    it("funds the order with a valid proof", async function () {
+      const { marketplace, verifier, buyer, issuer } = await loadFixture(gatedOrderFixture);
+      const expiresAt = (await time.latest()) + DAY;
+
+      await expect(
+        marketplace.connect(buyer).fundOrderWithProof(0, await contractProof(verifier, issuer, { expiresAt }), {
+          value: AMOUNT
+        })
+      ).to.emit(marketplace, "OrderFunded");
+    });
+
+    it("requires a proof to fund a gated order", async function () {
+      const { marketplace, buyer } = await loadFixture(gatedOrderFixture);
+
+      await expect(marketplace.connect(buyer).fundOrder(0, { value: AMOUNT }))
+        .to.be.revertedWith("Eligibility proof required");
+    });
+
+    it("rejects a credential not signed by the issuer", async function () {
+      const { marketplace, verifier, buyer, other } = await loadFixture(gatedOrderFixture);
+      const expiresAt = (await time.latest()) + DAY;
+
+      await expect(
+        marketplace.connect(buyer).fundOrderWithProof(0, await contractProof(verifier, other, { expiresAt }), {
+          value: AMOUNT
+        })
+      ).to.be.revertedWith("Eligibility proof rejected");
+    });
+
+    it("rejects an expired credential", async function () {
+      const { marketplace, verifier, buyer, issuer } = await loadFixture(gatedOrderFixture);
+      const expiresAt = (await time.latest()) + DAY;
+      const signed = await contractProof(verifier, issuer, { expiresAt });
+
+      await time.increaseTo(expiresAt + 1);
+
+      await expect(marketplace.connect(buyer).fundOrderWithProof(0, signed, { value: AMOUNT }))
+        .to.be.revertedWith("Eligibility proof rejected");
+    });
+
+    it("rejects another buyer's proof", async function () {
+      const { marketplace, verifier, buyer, issuer, other } = await loadFixture(gatedOrderFixture);
+      const expiresAt = (await time.latest()) + DAY;
+
+      // As issued to the buyer, and re-signed for the other address
+      for (const subject of [buyer.address, other.address]) {
+        await expect(
+          marketplace.connect(other).fundOrderWithProof(0, await contractProof(verifier, issuer, { expiresAt, subject }), {
+            value: AMOUNT
+          })
+        ).to.be.revertedWith("Eligibility proof rejected");
+      }
+    });
+
+    it("rejects a proof made for another order's requirements", async function () {
+      const { marketplace, verifier, buyer, issuer } = await loadFixture(gatedOrderFixture);
+      const expiresAt = (await time.latest()) + DAY;
+
+      await expect(
+        marketplace.connect(buyer).fundOrderWithProof(1, await contractProof(verifier, issuer, { expiresAt }), {
+          value: AMOUNT
+        })
+      ).to.be.revertedWith("Eligibility proof rejected");
+    });
+  });
+});
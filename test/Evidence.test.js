@@ -0,0 +1,63 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { resetDatabase } = require("./helpers/database");
+
+describe("Evidence uploads", function () {
+  let db;
+  let evidence;
+  let dir;
+
+  beforeEach(async function () {
+    db = await resetDatabase(this);
+    evidence = require("../backend/evidence");
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "evidence-"));
+  });
+
+  afterEach(function () {
+    if (dir) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // A service storing under a temporary directory, with a 10 byte quota
+  function service() {
+    return new evidence.EvidenceService(db, { store: new evidence.LocalFileStore(dir), quotaBytes: 10 });
+  }
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    expect.fail("Expected the upload to be rejected");
+  }
+
+  it("requires an uploader", async function () {
+    const error = await rejection(service().upload(Buffer.from("photo"), { contentType: "text/plain" }));
+
+    expect(error).to.be.instanceOf(evidence.EvidenceError);
+    expect(error.status).to.equal(401);
+  });
+
+  it("stops an address once it has used its quota", async function () {
+    const [uploader, other] = await ethers.getSigners();
+    const uploads = service();
+
+    await uploads.upload(Buffer.from("123456"), { contentType: "text/plain", uploader: uploader.address });
+    const error = await rejection(
+      uploads.upload(Buffer.from("abcdef"), { contentType: "text/plain", uploader: uploader.address })
+    );
+    expect(error).to.be.instanceOf(evidence.EvidenceError);
+    expect(error.status).to.equal(429);
+
+    // Other addresses have their own quota, and files that are already stored are free
+    const { created } = await uploads.upload(Buffer.from("abcdef"), { contentType: "text/plain", uploader: other.address });
+    expect(created).to.equal(true);
+    const again = await uploads.upload(Buffer.from("abcdef"), { contentType: "text/plain", uploader: uploader.address });
+    expect(again.created).to.equal(false);
+  });
+});
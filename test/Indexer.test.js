@@ -0,0 +1,292 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { resetDatabase } = require("./helpers/database");
+
+const AMOUNT = ethers.parseEther("1");
+
+describe("Indexer", function () {
+  let db;
+  let BlockchainIndexer;
+
+  // Every test deploys new contracts, whose order IDs start again from 0
+  beforeEach(async function () {
+    db = await resetDatabase(this);
+    ({ BlockchainIndexer } = require("../backend/indexer"));
+  });
+
+  // Fresh contracts and an indexer that follows them with no confirmations
+  async function deployIndexed() {
+    const [owner, seller, buyer] = await ethers.getSigners();
+
+    const ZKMarketplace = await ethers.getContractFactory("ZKMarketplace");
+    const marketplace = await ZKMarketplace.deploy(owner.address);
+    const DisputeResolution = await ethers.getContractFactory("DisputeResolution");
+    const disputeResolution = await DisputeResolution.deploy(await marketplace.getAddress(), owner.address);
+    await marketplace.setDisputeResolver(await disputeResolution.getAddress());
+
+    const indexer = new BlockchainIndexer({
+      provider: ethers.provider,
+      addresses: {
+        ZKMarketplace: await marketplace.getAddress(),
+        DisputeResolution: await disputeResolution.getAddress()
+      }
+    });
+    indexer.confirmations = 0;
+    indexer.isRunning = true;
+    indexer.cursor = await indexer.loadCursor();
+
+    return { marketplace, disputeResolution, indexer, seller, buyer };
+  }
+
+  // Every stored row whose block is no longer on the chain
+  async function orphanedRows(table) {
+    const rows = (await db.query(`SELECT block_number, block_hash FROM ${table}`)).rows;
+    const orphaned = [];
+    for (const row of rows) {
+      if ((await ethers.provider.getBlock(Number(row.block_number))).hash !== row.block_hash) {
+        orphaned.push(row);
+      }
+    }
+    return orphaned;
+  }
+
+  async function orders() {
+    return (await db.query("SELECT order_id, status, description, amount_wei FROM orders ORDER BY order_id")).rows;
+  }
+
+  it("rolls back projections and checkpoints from a branch that is reorganised away", async function () {
+    const { marketplace, indexer, seller, buyer } = await deployIndexed();
+
+    await marketplace.connect(seller).createOrder("Shared item", { value: AMOUNT });
+    await indexer.syncToHead();
+    const forkBlock = await ethers.provider.getBlockNumber();
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    // Branch A: the first order is funded and a second one created
+    await marketplace.connect(buyer).fundOrder(0, { value: AMOUNT });
+    await marketplace.connect(seller).createOrder("Orphaned item", { value: AMOUNT });
+    await mine(2);
+    await indexer.syncToHead();
+    const orphanedHead = await ethers.provider.getBlock("latest");
+
+    expect((await orders()).map((order) => [order.status, order.description])).to.deep.equal([
+      ["funded", "Shared item"],
+      ["pending", "Orphaned item"]
+    ]);
+
+    // Branch B: back to the fork and a longer chain with a different second order
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await marketplace.connect(seller).createOrder("Canonical item", { value: AMOUNT * 2n });
+    await mine(4);
+    await indexer.syncToHead();
+
+    expect((await orders()).map((order) => [order.status, order.description, order.amount_wei])).to.deep.equal([
+      ["pending", "Shared item", AMOUNT.toString()],
+      ["pending", "Canonical item", (AMOUNT * 2n).toString()]
+    ]);
+    expect(await orphanedRows("events")).to.deep.equal([]);
+    expect(await orphanedRows("indexer_checkpoints")).to.deep.equal([]);
+
+    const head = await ethers.provider.getBlock("latest");
+    expect(head.number).to.be.greaterThan(orphanedHead.number);
+    expect(indexer.cursor).to.deep.equal({ blockNumber: head.number, blockHash: head.hash });
+    expect((await db.query("SELECT COUNT(*)::int AS count FROM events WHERE block_number > $1", [forkBlock])).rows[0].count)
+      .to.equal(1);
+  });
+
+  it("parks an event whose projection fails, moves past it, and reprojects it on replay", async function () {
+    const { marketplace, indexer, seller } = await deployIndexed();
+    indexer.handleOrderCreated = async () => {
+      throw new Error("projection bug");
+    };
+
+    await marketplace.connect(seller).createOrder("Test item", { value: AMOUNT });
+    await indexer.syncToHead();
+
+    const parked = await db.query(
+      `SELECT d.event_name, d.error, e.event_name AS stored_event
+       FROM dead_letter_events d JOIN events e ON e.id = d.event_id`
+    );
+    expect(parked.rows.map((row) => [row.event_name, row.stored_event])).to.deep.equal([["OrderCreated", "OrderCreated"]]);
+    expect(parked.rows[0].error).to.include("projection bug");
+    expect(await orders()).to.deep.equal([]);
+
+    const head = await ethers.provider.getBlock("latest");
+    const checkpoint = await db.query("SELECT MAX(block_number)::int AS block_number FROM indexer_checkpoints");
+    expect(checkpoint.rows[0].block_number).to.equal(head.number);
+
+    // Once the handler is fixed, replay projects the parked event
+    delete indexer.handleOrderCreated;
+    await indexer.replay();
+
+    expect((await orders()).map((order) => [order.status, order.description])).to.deep.equal([["pending", "Test item"]]);
+    expect((await db.query("SELECT COUNT(*)::int AS count FROM dead_letter_events")).rows[0].count).to.equal(0);
+  });
+
+  // A funded order the buyer disputes, left open past the panel timeout;
+  // panels need three arbitrators, so none can be drawn
+  async function disputedOrder({ marketplace, disputeResolution, seller, buyer }) {
+    await marketplace.connect(seller).createOrder("Test item", { value: AMOUNT });
+    await marketplace.connect(buyer).fundOrder(0, { value: AMOUNT });
+    await disputeResolution.connect(buyer).raiseDispute(0, "Item never arrived", "bafyevidence", {
+      value: ethers.parseEther("0.01")
+    });
+    await time.increase(7 * 24 * 60 * 60 + 1);
+  }
+
+  // The main arbitrator rules on it alone. Resolves to the ruling's block time.
+  async function ruleWithoutPanel({ disputeResolution }, buyerShareBps) {
+    const [owner] = await ethers.getSigners();
+    await disputeResolution.connect(owner).resolveDispute(0, buyerShareBps, "Ruled by the main arbitrator");
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  it("records who ruled on a dispute from the event, not the current main arbitrator", async function () {
+    const [owner, , , successor] = await ethers.getSigners();
+    const deployment = await deployIndexed();
+    const { disputeResolution, indexer, buyer } = deployment;
+
+    await disputedOrder(deployment);
+    await ruleWithoutPanel(deployment, 10000n);
+    await disputeResolution.connect(owner).setMainArbitrator(successor.address);
+    await indexer.syncToHead();
+
+    const dispute = (await db.query("SELECT status, winner_address, ruled_by FROM disputes WHERE dispute_id = 0")).rows[0];
+    expect(dispute).to.deep.equal({ status: "resolved", winner_address: buyer.address, ruled_by: owner.address });
+  });
+
+  describe("dispute reputation", function () {
+    async function scores(...accounts) {
+      const result = await db.query(
+        "SELECT address, reputation_score FROM users WHERE address = ANY($1)",
+        [accounts.map((account) => account.address)]
+      );
+      const byAddress = Object.fromEntries(result.rows.map((row) => [row.address, row.reputation_score]));
+      return accounts.map((account) => byAddress[account.address]);
+    }
+
+    it("leaves both parties' scores alone until the dispute is ruled on", async function () {
+      const deployment = await deployIndexed();
+      const { indexer, seller, buyer } = deployment;
+
+      await disputedOrder(deployment);
+      await indexer.syncToHead();
+      expect(await scores(seller, buyer)).to.deep.equal([0, 0]);
+
+      await ruleWithoutPanel(deployment, 10000n);
+      await indexer.syncToHead();
+      expect(await scores(seller, buyer)).to.deep.equal([-10, 15]);
+    });
+
+    it("penalizes both parties for an even split", async function () {
+      const deployment = await deployIndexed();
+      const { indexer, seller, buyer } = deployment;
+
+      await disputedOrder(deployment);
+      await ruleWithoutPanel(deployment, 5000n);
+      await indexer.syncToHead();
+
+      expect(await scores(seller, buyer)).to.deep.equal([-5, -5]);
+    });
+  });
+
+  it("revokes the loser's credentials issued by the ruling, and keeps later ones on replay", async function () {
+    const deployment = await deployIndexed();
+    const { indexer, seller } = deployment;
+
+    async function issueCredential(commitment, issuedAt) {
+      await db.query(
+        `INSERT INTO zk_credentials (user_address, commitment, score, completed_orders, lost_disputes, issued_at, expires_at)
+         VALUES ($1, $2, 500, 1, 0, to_timestamp($3), to_timestamp($3) + INTERVAL '1 day')`,
+        [seller.address, commitment, issuedAt]
+      );
+    }
+
+    async function credentials() {
+      const result = await db.query(
+        "SELECT commitment, EXTRACT(EPOCH FROM revoked_at)::int AS revoked_at FROM zk_credentials ORDER BY issued_at"
+      );
+      return result.rows.map((row) => [row.commitment, row.revoked_at]);
+    }
+
+    await disputedOrder(deployment);
+    await indexer.syncToHead();
+    const raisedAt = (await ethers.provider.getBlock("latest")).timestamp;
+    await issueCredential("before", raisedAt - 60);
+
+    // The seller loses
+    const ruledAt = await ruleWithoutPanel(deployment, 10000n);
+    await indexer.syncToHead();
+    expect(await credentials()).to.deep.equal([["before", ruledAt]]);
+
+    // Issued after the loss, so it already reflects it
+    await issueCredential("after", ruledAt + 60);
+    await indexer.replay();
+
+    expect(await credentials()).to.deep.equal([["before", ruledAt], ["after", null]]);
+  });
+
+  it("stores the CID an evidence hash names", async function () {
+    const { marketplace, disputeResolution, indexer, seller, buyer } = await deployIndexed();
+    const { computeCid } = require("../backend/evidence");
+    const uploaded = computeCid(Buffer.from("photo of the damage"));
+    const missing = computeCid(Buffer.from("never uploaded"));
+
+    await marketplace.connect(seller).createOrder("Test item", { value: AMOUNT });
+    await marketplace.connect(buyer).fundOrder(0, { value: AMOUNT });
+    await disputeResolution.connect(buyer).raiseDispute(0, "Item arrived broken", `ipfs://${uploaded}`, {
+      value: ethers.parseEther("0.01")
+    });
+    await disputeResolution.connect(seller).submitEvidence(0, missing, "Packing photo");
+    await disputeResolution.connect(seller).submitEvidence(0, "it was fine", "Statement");
+    await indexer.syncToHead();
+
+    const evidence = await db.query("SELECT evidence_text, evidence_cid FROM evidence ORDER BY created_at, evidence_text");
+    expect(evidence.rows.map((row) => [row.evidence_text, row.evidence_cid])).to.deep.equal([
+      ["Item arrived broken", uploaded],
+      ["Packing photo", missing],
+      ["Statement", null]
+    ]);
+  });
+
+  it("follows a listing's price, stock and orders until it closes, and replays to the same rows", async function () {
+    const { marketplace, indexer, seller, buyer } = await deployIndexed();
+    const listings = async () =>
+      (await db.query(
+        `SELECT listing_id, seller_address, price_wei, stock, category, is_active, order_count, closed_at IS NOT NULL AS closed
+         FROM listings ORDER BY listing_id`
+      )).rows;
+
+    await marketplace.connect(seller).createListing("Test item", "cameras", AMOUNT, 3, ethers.ZeroAddress, { value: AMOUNT * 3n });
+    await marketplace.connect(buyer).orderFromListing(0, { value: AMOUNT });
+    await marketplace.connect(seller).updateListing(0, AMOUNT * 2n, 4, { value: AMOUNT * 6n });
+    await marketplace.connect(buyer).orderFromListing(0, { value: AMOUNT * 2n });
+    await indexer.syncToHead();
+
+    const open = {
+      listing_id: "0",
+      seller_address: seller.address,
+      price_wei: (AMOUNT * 2n).toString(),
+      stock: "3",
+      category: "cameras",
+      is_active: true,
+      order_count: 2,
+      closed: false
+    };
+    expect(await listings()).to.deep.equal([open]);
+    const ordered = await db.query("SELECT order_id, listing_id, amount_wei FROM orders ORDER BY order_id");
+    expect(ordered.rows.map((row) => [row.order_id, row.listing_id, row.amount_wei])).to.deep.equal([
+      ["0", "0", AMOUNT.toString()],
+      ["1", "0", (AMOUNT * 2n).toString()]
+    ]);
+
+    await marketplace.connect(seller).closeListing(0);
+    await indexer.syncToHead();
+    const closed = { ...open, stock: "0", is_active: false, closed: true };
+    expect(await listings()).to.deep.equal([closed]);
+
+    await indexer.replay();
+    expect(await listings()).to.deep.equal([closed]);
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const query = require("../backend/query");
+
+// A stand-in for the pool that runs paginate's keyset query over `rows`
+// ({ id, value }, both numbers): the cursor condition, ORDER BY and LIMIT
+function stubDb(rows) {
+  return {
+    queries: [],
+    async query(sql, params) {
+      this.queries.push({ sql, params });
+      const direction = /ORDER BY \S+ DESC/.test(sql) ? -1 : 1;
+      const compare = (a, b) => direction * (a.value - b.value || a.id - b.id);
+
+      let matched = [...rows].sort(compare);
+      const after = sql.match(/\) ([<>]) \(\$(\d+)::\w+, \$(\d+)::\w+\)/);
+      if (after) {
+        const cursor = { value: Number(params[after[2] - 1]), id: Number(params[after[3] - 1]) };
+        matched = matched.filter((row) => compare(row, cursor) > 0);
+      }
+
+      const limit = params[params.length - 1];
+      return {
+        rows: matched.slice(0, limit).map((row) => ({ ...row, cursor_value: String(row.value), cursor_id: String(row.id) }))
+      };
+    }
+  };
+}
+
+const SORTS = { value: { column: "t.value", type: "numeric" } };
+const TIEBREAK = { column: "t.id", type: "bigint" };
+
+function page(db, params) {
+  return query.paginate(db, {
+    select: "t.id, t.value",
+    from: "things t",
+    conditions: new query.Conditions(),
+    sort: query.parseSort(params.sort, SORTS),
+    tiebreak: TIEBREAK,
+    cursor: params.cursor,
+    limit: query.parseLimit(params.limit)
+  });
+}
+
+describe("List queries", function () {
+  describe("paginate", function () {
+    // Rows 2 to 4 share a value, so the pages split them by id
+    const ROWS = [
+      { id: 1, value: 10 },
+      { id: 2, value: 20 },
+      { id: 3, value: 20 },
+      { id: 4, value: 20 },
+      { id: 5, value: 30 }
+    ];
+
+    it("continues after the last row of a page, settling equal sort values by the tiebreak", async function () {
+      const db = stubDb(ROWS);
+
+      const first = await page(db, { sort: "value", limit: "3" });
+      expect(first.items).to.deep.equal([ROWS[0], ROWS[1], ROWS[2]]);
+      expect(first.nextCursor).to.be.a("string");
+
+      const second = await page(db, { sort: "value", limit: "3", cursor: first.nextCursor });
+      expect(second.items).to.deep.equal([ROWS[3], ROWS[4]]);
+      expect(second.nextCursor).to.equal(null);
+      expect(db.queries[1].params.slice(0, 2)).to.deep.equal(["20", "3"]);
+    });
+
+    it("sorts descending with -field, and by default on the first sortable field", async function () {
+      for (const sort of ["-value", undefined]) {
+        const db = stubDb(ROWS);
+
+        const first = await page(db, { sort, limit: "2" });
+        expect(first.items.map((row) => row.id)).to.deep.equal([5, 4]);
+        const second = await page(db, { sort, limit: "2", cursor: first.nextCursor });
+        expect(second.items.map((row) => row.id)).to.deep.equal([3, 2]);
+
+        expect(db.queries[1].sql).to.match(/\(t\.value, t\.id\) < /);
+        expect(db.queries[1].sql).to.match(/ORDER BY t\.value DESC, t\.id DESC/);
+      }
+    });
+
+    it("rejects a tampered cursor", async function () {
+      const tampered = [
+        "not a cursor",
+        Buffer.from(JSON.stringify({ value: 1 })).toString("base64url"),
+        Buffer.from(JSON.stringify([1, 2])).toString("base64url")
+      ];
+      for (const cursor of tampered) {
+        const error = await page(stubDb(ROWS), { cursor }).catch((rejection) => rejection);
+        expect(error).to.be.instanceOf(query.QueryError);
+        expect(error.message).to.equal("cursor is invalid");
+      }
+    });
+
+    it("rejects a well-formed cursor whose values the database can't cast", async function () {
+      const db = {
+        async query() {
+          throw Object.assign(new Error("invalid input syntax for type numeric"), { code: "22P02" });
+        }
+      };
+      const cursor = Buffer.from(JSON.stringify(["abc", "1"])).toString("base64url");
+
+      const error = await page(db, { cursor }).catch((rejection) => rejection);
+      expect(error).to.be.instanceOf(query.QueryError);
+      expect(error.status).to.equal(400);
+    });
+  });
+
+  describe("parameters", function () {
+    it("rejects parameters given more than once or as objects", function () {
+      expect(() => query.parseLimit(["1", "2"])).to.throw(query.QueryError, "limit must be given once");
+      expect(() => query.parseSort(["value", "-value"], SORTS)).to.throw(query.QueryError, "sort must be given once");
+      expect(() => query.parseBoolean({ a: "true" }, "verified")).to.throw(query.QueryError, "verified must be given once");
+      expect(() => query.parseAddress(["0x1", "0x2"], "seller")).to.throw(query.QueryError, "seller must be given once");
+    });
+
+    it("defaults limit to 20 and accepts 1 to 100", function () {
+      expect(query.parseLimit(undefined)).to.equal(query.DEFAULT_LIMIT);
+      expect(query.parseLimit("1")).to.equal(1);
+      expect(query.parseLimit("100")).to.equal(query.MAX_LIMIT);
+      for (const limit of ["0", "101", "-1", "1.5", "ten", ""]) {
+        expect(() => query.parseLimit(limit)).to.throw(query.QueryError, "limit must be an integer between 1 and 100");
+      }
+    });
+
+    it("bounds integers by min and, by default, the largest BIGINT", function () {
+      expect(query.parseInteger(undefined, "id")).to.equal(null);
+      expect(query.parseInteger("9223372036854775807", "id")).to.equal("9223372036854775807");
+      expect(() => query.parseInteger("9223372036854775808", "id")).to.throw(
+        query.QueryError,
+        "id must be an integer <= 9223372036854775807"
+      );
+      expect(() => query.parseInteger("-1", "id")).to.throw(query.QueryError, "id must be an integer >= 0");
+
+      expect(query.parseInteger("-5", "score", { min: -10, max: 10 })).to.equal("-5");
+      expect(() => query.parseInteger("11", "score", { min: -10, max: 10 })).to.throw(query.QueryError, "score must be an integer <= 10");
+      const maxUint256 = (2n ** 256n - 1n).toString();
+      expect(query.parseInteger(maxUint256, "minAmount", { max: 2n ** 256n - 1n })).to.equal(maxUint256);
+    });
+
+    it("rejects unknown sort fields", function () {
+      expect(() => query.parseSort("-price", SORTS)).to.throw(query.QueryError, "sort must be one of: value, -value");
+    });
+  });
+});
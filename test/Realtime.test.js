@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const realtime = require("../backend/realtime");
+
+describe("Live updates", function () {
+  let buyer;
+  let seller;
+  let outsider;
+
+  before(async function () {
+    [, seller, buyer, outsider] = await ethers.getSigners();
+  });
+
+  // An events row joined with its order, as EVENT_QUERY returns it
+  function eventRow(seq, orderId = "1") {
+    return {
+      seq: String(seq),
+      block_number: String(seq),
+      transaction_hash: ethers.zeroPadValue(ethers.toBeHex(seq), 32),
+      contract_name: "ZKMarketplace",
+      event_name: "OrderFunded",
+      event_data: { orderId, buyer: buyer.address },
+      order_id: orderId,
+      order_status: "funded",
+      buyer_address: buyer.address,
+      seller_address: seller.address,
+      dispute_status: null
+    };
+  }
+
+  // A stand-in for the pool holding events 1 to `latest`; the backlog query
+  // returns `backlog` (default: everything after the client's last event)
+  function stubPool(latest, backlog) {
+    return {
+      async query(sql, params) {
+        if (sql.includes("MAX(seq)")) {
+          return { rows: [{ seq: String(latest) }] };
+        }
+        if (sql.includes("e.seq = $1")) {
+          return { rows: Number(params[0]) <= latest ? [eventRow(params[0])] : [] };
+        }
+        const [after, upTo] = params.map(Number);
+        const rows = backlog || Array.from({ length: upTo - after }, (_, i) => eventRow(after + i + 1));
+        return { rows };
+      }
+    };
+  }
+
+  // A connected WebSocket that records what it's sent
+  function fakeSocket() {
+    return {
+      OPEN: 1,
+      readyState: 1,
+      sent: [],
+      on() {},
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+    };
+  }
+
+  function serverWith(pool, socket) {
+    const server = new realtime.RealtimeServer(pool);
+    server.wss = { clients: new Set([socket]) };
+    server.handleConnection(socket);
+    return server;
+  }
+
+  function subscribe(server, socket, message) {
+    return server.enqueue(() => server.handleMessage(socket, Buffer.from(JSON.stringify({ type: "subscribe", ...message }))));
+  }
+
+  function notify(server, id) {
+    return server.enqueue(() => server.handleNotification({ type: "event", id: String(id) }));
+  }
+
+  it("sends the backlog, then live events, each once and in order", async function () {
+    const pool = stubPool(5);
+    const socket = fakeSocket();
+    const server = serverWith(pool, socket);
+
+    // Event 4 is notified before the client subscribes, 5 while it's catching
+    // up, and 6 is committed afterwards
+    const handled = [notify(server, 4), subscribe(server, socket, { orders: [1], lastEventId: "2" }), notify(server, 5)];
+    await Promise.all(handled);
+    pool.query = stubPool(6).query;
+    await notify(server, 6);
+
+    expect(socket.sent.map((message) => [message.type, message.id || message.lastEventId])).to.deep.equal([
+      ["event", "3"],
+      ["event", "4"],
+      ["event", "5"],
+      ["subscribed", "5"],
+      ["event", "6"]
+    ]);
+    expect(socket.sent[0].order).to.deep.equal({ orderId: "1", status: "funded", buyer: buyer.address, seller: seller.address });
+  });
+
+  it("starts from the latest event without a lastEventId", async function () {
+    const socket = fakeSocket();
+    const server = serverWith(stubPool(5), socket);
+
+    await subscribe(server, socket, { all: true });
+    await notify(server, 5);
+
+    expect(socket.sent).to.deep.equal([{ type: "subscribed", lastEventId: "5" }]);
+  });
+
+  it("tells a client that missed more than MAX_BACKLOG events to resync", async function () {
+    const backlog = Array.from({ length: realtime.MAX_BACKLOG + 1 }, (_, i) => eventRow(i + 1));
+    const socket = fakeSocket();
+    const server = serverWith(stubPool(1000, backlog), socket);
+
+    await subscribe(server, socket, { all: true, lastEventId: "0" });
+
+    expect(socket.sent).to.deep.equal([
+      { type: "resync", orderIds: null },
+      { type: "subscribed", lastEventId: "1000" }
+    ]);
+  });
+
+  it("answers malformed messages with an error", async function () {
+    const socket = fakeSocket();
+    const server = serverWith(stubPool(0), socket);
+
+    await server.enqueue(() => server.handleMessage(socket, Buffer.from("not json")));
+    await server.enqueue(() => server.handleMessage(socket, Buffer.from(JSON.stringify({ type: "publish" }))));
+    await subscribe(server, socket, { orders: "1" });
+
+    expect(socket.sent).to.deep.equal([
+      { type: "error", error: "Messages must be JSON objects" },
+      { type: "error", error: "Unknown message type" },
+      { type: "error", error: "orders and addresses must be arrays" }
+    ]);
+    expect(socket.subscription).to.equal(null);
+  });
+
+  describe("parseSubscription", function () {
+    it("normalizes order IDs and addresses", function () {
+      const subscription = realtime.parseSubscription({
+        orders: [1, "2"],
+        addresses: [buyer.address.toLowerCase()],
+        lastEventId: 41
+      });
+
+      expect(subscription).to.deep.equal({
+        all: false,
+        orders: new Set(["1", "2"]),
+        addresses: new Set([buyer.address]),
+        lastEventId: "41"
+      });
+    });
+
+    it("rejects malformed subscriptions", function () {
+      const invalid = [
+        [{ orders: [1.5] }, "orders must be order IDs"],
+        [{ addresses: ["0x1234"] }, "addresses must be Ethereum addresses"],
+        [{ addresses: buyer.address }, "orders and addresses must be arrays"],
+        [{ lastEventId: "latest" }, "lastEventId must be an event ID"],
+        [{ orders: Array.from({ length: 101 }, (_, i) => i) }, "At most 100 orders and addresses per connection"]
+      ];
+      for (const [message, error] of invalid) {
+        expect(() => realtime.parseSubscription(message)).to.throw(error);
+      }
+    });
+  });
+
+  describe("matches", function () {
+    function message(args = {}) {
+      return { orderId: "1", args: { orderId: "1", ...args }, order: { buyer: buyer.address, seller: seller.address } };
+    }
+
+    it("matches events of subscribed orders and of the addresses involved", function () {
+      const byOrder = realtime.parseSubscription({ orders: [1] });
+      const bySeller = realtime.parseSubscription({ addresses: [seller.address] });
+      const byArgument = realtime.parseSubscription({ addresses: [outsider.address] });
+      const other = realtime.parseSubscription({ orders: [2], addresses: [outsider.address] });
+
+      expect(realtime.matches(byOrder, message())).to.equal(true);
+      expect(realtime.matches(bySeller, message())).to.equal(true);
+      expect(realtime.matches(byArgument, message({ arbitrator: outsider.address }))).to.equal(true);
+      expect(realtime.matches(other, message())).to.equal(false);
+      expect(realtime.matches(realtime.parseSubscription({ all: true }), message())).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const reviews = require("../backend/reviews");
+
+const DOMAIN = { marketplace: "0x5FbDB2315678afecb367f032d93F642f64180aa3", chainId: 1337 };
+
+describe("Review signatures", function () {
+  let seller;
+  let buyer;
+  let outsider;
+  let order;
+
+  before(async function () {
+    [, seller, buyer, outsider] = await ethers.getSigners();
+    order = { order_id: "4", buyer_address: buyer.address, seller_address: seller.address, status: "completed" };
+  });
+
+  // `signer` signs a 4/5 review by `reviewer` of `order`'s other party;
+  // `overrides` change what's signed
+  async function signedReview(signer, reviewer, overrides = {}) {
+    const review = { reviewer: reviewer.address, rating: 4, comment: "Shipped fast" };
+    const message = reviews.buildMessage({
+      ...DOMAIN,
+      orderId: order.order_id,
+      reviewer: reviewer.address,
+      reviewee: reviewer.address === buyer.address ? seller.address : buyer.address,
+      ...review,
+      ...overrides
+    });
+    return { ...review, signature: await signer.signMessage(message) };
+  }
+
+  function rejection(review, reviewed = order) {
+    try {
+      reviews.verifyReview(reviewed, review, DOMAIN);
+    } catch (error) {
+      expect(error).to.be.instanceOf(reviews.ReviewError);
+      return error;
+    }
+    expect.fail("Expected the review to be rejected");
+  }
+
+  it("accepts a review signed by either party, of the other", async function () {
+    expect(reviews.verifyReview(order, await signedReview(buyer, buyer), DOMAIN)).to.deep.equal({
+      reviewee: seller.address,
+      role: "buyer"
+    });
+    expect(reviews.verifyReview(order, await signedReview(seller, seller), DOMAIN)).to.deep.equal({
+      reviewee: buyer.address,
+      role: "seller"
+    });
+  });
+
+  it("rejects a review signed by someone other than the reviewer", async function () {
+    const error = rejection(await signedReview(outsider, buyer));
+    expect(error.status).to.equal(401);
+    expect(error.message).to.equal("The review was not signed by the reviewer");
+  });
+
+  it("rejects a review signed for another order", async function () {
+    const error = rejection(await signedReview(buyer, buyer, { orderId: "5" }));
+    expect(error.status).to.equal(401);
+  });
+
+  it("rejects a review signed for another rating than it claims", async function () {
+    const review = await signedReview(buyer, buyer);
+    expect(rejection({ ...review, rating: 5 }).status).to.equal(401);
+  });
+
+  it("rejects a reviewer who isn't a party of the order", async function () {
+    const error = rejection(await signedReview(outsider, outsider));
+    expect(error.status).to.equal(403);
+  });
+
+  it("rejects reviews of orders that aren't finished", async function () {
+    const error = rejection(await signedReview(buyer, buyer), { ...order, status: "delivered" });
+    expect(error.status).to.equal(409);
+  });
+});
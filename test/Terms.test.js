@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const terms = require("../backend/terms");
+
+const AMOUNT = ethers.parseEther("1");
+
+describe("Private terms reveals", function () {
+  // A private order committing to three salted fields, as the browser builds it
+  async function privateOrderFixture() {
+    const [owner, seller, buyer] = await ethers.getSigners();
+    const ZKMarketplace = await ethers.getContractFactory("ZKMarketplace");
+    const marketplace = await ZKMarketplace.deploy(owner.address);
+
+    const fields = [
+      { name: "item", value: "Vintage camera" },
+      { name: "condition", value: "Lens has no scratches" },
+      { name: "shipping", value: "Tracked, within 3 days" }
+    ].map((field) => ({ ...field, salt: ethers.hexlify(ethers.randomBytes(32)) }));
+    const leaves = fields.map(terms.computeLeaf);
+
+    await marketplace.connect(seller).createPrivateOrder(terms.computeCommitment(leaves), buyer.address, { value: AMOUNT });
+    const commitment = await marketplace.termsCommitments(0);
+
+    return { commitment, fields, leaves };
+  }
+
+  // Reveal the condition field (index 1)
+  function reveal({ fields, leaves }, overrides = {}) {
+    return { leaves, fields: [{ index: 1, ...fields[1], ...overrides }] };
+  }
+
+  function rejection(commitment, revealed, message) {
+    expect(() => terms.verifyReveal(commitment, revealed)).to.throw(terms.TermsError, message);
+  }
+
+  it("verifies revealed fields against the on-chain commitment", async function () {
+    const fixture = await loadFixture(privateOrderFixture);
+
+    expect(terms.verifyReveal(fixture.commitment, reveal(fixture))).to.deep.equal({
+      leaves: fixture.leaves,
+      fields: [{ index: 1, ...fixture.fields[1] }]
+    });
+  });
+
+  it("rejects a tampered field value", async function () {
+    const fixture = await loadFixture(privateOrderFixture);
+
+    rejection(fixture.commitment, reveal(fixture, { value: "Lens has a small scratch" }), "Field 1 does not match its leaf");
+  });
+
+  it("rejects reordered leaves", async function () {
+    const fixture = await loadFixture(privateOrderFixture);
+    const [first, second, third] = fixture.leaves;
+
+    rejection(
+      fixture.commitment,
+      { ...reveal(fixture), leaves: [second, first, third] },
+      "Leaves do not match the order's terms commitment"
+    );
+  });
+
+  it("rejects a field revealed at another leaf's index", async function () {
+    const fixture = await loadFixture(privateOrderFixture);
+
+    rejection(fixture.commitment, reveal(fixture, { index: 0 }), "Field 0 does not match its leaf");
+  });
+
+  it("rejects a wrong salt", async function () {
+    const fixture = await loadFixture(privateOrderFixture);
+
+    rejection(fixture.commitment, reveal(fixture, { salt: ethers.hexlify(ethers.randomBytes(32)) }), "Field 1 does not match its leaf");
+  });
+});
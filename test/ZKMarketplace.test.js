@@ -0,0 +1,363 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const AMOUNT = ethers.parseEther("1");
+
+describe("ZKMarketplace", function () {
+  async function deployFixture() {
+    const [owner, seller, buyer] = await ethers.getSigners();
+
+    const ZKMarketplace = await ethers.getContractFactory("ZKMarketplace");
+    const marketplace = await ZKMarketplace.deploy(owner.address);
+
+    return { marketplace, owner, seller, buyer };
+  }
+
+  // A funded ETH order between `seller` and `buyer`
+  async function fundedOrderFixture() {
+    const fixture = await deployFixture();
+    const { marketplace, seller, buyer } = fixture;
+
+    await marketplace.connect(seller).createOrder("Test item", { value: AMOUNT });
+    await marketplace.connect(buyer).fundOrder(0, { value: AMOUNT });
+
+    return fixture;
+  }
+
+  // Everyone with a balance withdraws it, then nothing may be left behind
+  async function withdrawAll(marketplace, owner, payees) {
+    await marketplace.connect(owner).withdrawFees(ethers.ZeroAddress);
+    for (const payee of [owner, ...payees]) {
+      if ((await marketplace.pendingWithdrawals(payee.address, ethers.ZeroAddress)) > 0n) {
+        await marketplace.connect(payee).withdraw();
+      }
+    }
+  }
+
+  describe("Release", function () {
+    it("pays the seller the payment and their deposit, less the fee, on confirmation", async function () {
+      const { marketplace, owner, seller, buyer } = await loadFixture(fundedOrderFixture);
+      const fee = (AMOUNT * 250n) / 10000n;
+
+      await expect(marketplace.connect(buyer).confirmReceipt(0))
+        .to.emit(marketplace, "OrderConfirmed")
+        .withArgs(0, seller.address, AMOUNT * 2n - fee, anyValue);
+
+      expect(await marketplace.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(AMOUNT * 2n - fee);
+      expect(await marketplace.accruedFees(ethers.ZeroAddress)).to.equal(fee);
+
+      await withdrawAll(marketplace, owner, [seller, buyer]);
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(0);
+    });
+
+    it("leaves no funds behind after an auto-release", async function () {
+      const { marketplace, owner, seller, buyer } = await loadFixture(fundedOrderFixture);
+      const fee = (AMOUNT * 250n) / 10000n;
+
+      await marketplace.connect(seller).markDelivered(0);
+      await time.increase(3 * 24 * 60 * 60 + 1);
+
+      await expect(marketplace.connect(seller).releaseAfterDeadline(0))
+        .to.emit(marketplace, "OrderAutoReleased")
+        .withArgs(0, seller.address, AMOUNT * 2n - fee, anyValue);
+
+      await withdrawAll(marketplace, owner, [seller, buyer]);
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("Cancellation", function () {
+    // OrderStatus
+    const Cancelled = 5;
+
+    it("cancels an unfunded order and credits the seller's deposit back", async function () {
+      const { marketplace, seller } = await loadFixture(deployFixture);
+      await marketplace.connect(seller).createOrder("Test item", { value: AMOUNT });
+
+      await expect(marketplace.connect(seller).cancelOrder(0))
+        .to.emit(marketplace, "OrderCancelled")
+        .withArgs(0, seller.address, AMOUNT, anyValue);
+
+      expect(await marketplace.getOrderStatus(0)).to.equal(Cancelled);
+      expect(await marketplace.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(AMOUNT);
+      await expect(marketplace.connect(seller).withdraw()).to.changeEtherBalance(seller, AMOUNT);
+    });
+
+    it("rejects cancelling an order once it is funded", async function () {
+      const { marketplace, seller } = await loadFixture(fundedOrderFixture);
+
+      await expect(marketplace.connect(seller).cancelOrder(0)).to.be.revertedWith("Only unfunded orders can be cancelled");
+    });
+
+    it("rejects anyone but the seller", async function () {
+      const { marketplace, seller, buyer } = await loadFixture(deployFixture);
+      const [, , , stranger] = await ethers.getSigners();
+      await marketplace.connect(seller).createPrivateOrder(ethers.id("terms"), buyer.address, { value: AMOUNT });
+
+      // Not even the buyer the order is reserved for
+      for (const caller of [buyer, stranger]) {
+        await expect(marketplace.connect(caller).cancelOrder(0)).to.be.revertedWith("Only seller can cancel order");
+      }
+    });
+  });
+
+  describe("Tokens", function () {
+    const PRICE = 1000n * 10n ** 6n;
+
+    // Two allowlisted tokens, with the seller and buyer holding and having
+    // approved plenty of each
+    async function tokenFixture() {
+      const fixture = await deployFixture();
+      const { marketplace, owner, seller, buyer } = fixture;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usd = await MockERC20.deploy("Mock USD", "mUSD");
+      const eur = await MockERC20.deploy("Mock EUR", "mEUR");
+      for (const token of [usd, eur]) {
+        await marketplace.connect(owner).setTokenAllowed(await token.getAddress(), true);
+        for (const party of [seller, buyer]) {
+          await token.mint(party.address, PRICE * 10n);
+          await token.connect(party).approve(await marketplace.getAddress(), ethers.MaxUint256);
+        }
+      }
+
+      return { ...fixture, usd, eur };
+    }
+
+    it("settles a token order from creation to the seller's withdrawal", async function () {
+      const { marketplace, seller, buyer, usd } = await loadFixture(tokenFixture);
+      const token = await usd.getAddress();
+      const fee = (PRICE * 250n) / 10000n;
+
+      await expect(marketplace.connect(seller).createTokenOrder("Test item", token, PRICE))
+        .to.emit(marketplace, "OrderCreated")
+        .withArgs(0, seller.address, ethers.ZeroAddress, token, PRICE, "Test item", anyValue);
+      await expect(marketplace.connect(buyer).fundOrder(0)).to.changeTokenBalances(
+        usd,
+        [buyer, marketplace],
+        [-PRICE, PRICE]
+      );
+      await expect(marketplace.connect(buyer).confirmReceipt(0))
+        .to.emit(marketplace, "OrderConfirmed")
+        .withArgs(0, seller.address, PRICE * 2n - fee, anyValue);
+
+      expect(await marketplace.pendingWithdrawals(seller.address, token)).to.equal(PRICE * 2n - fee);
+      expect(await marketplace.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(0);
+      await expect(marketplace.connect(seller).withdrawToken(token)).to.changeTokenBalances(
+        usd,
+        [seller, marketplace],
+        [PRICE * 2n - fee, -(PRICE * 2n - fee)]
+      );
+      expect(await usd.balanceOf(await marketplace.getAddress())).to.equal(fee);
+      await expect(marketplace.connect(seller).withdrawToken(ethers.ZeroAddress)).to.be.revertedWith("Use withdraw for ETH");
+    });
+
+    it("accrues and withdraws fees separately for each token", async function () {
+      const { marketplace, owner, seller, buyer, usd, eur } = await loadFixture(tokenFixture);
+      const orders = [
+        [await usd.getAddress(), PRICE],
+        [await eur.getAddress(), PRICE * 3n],
+        [ethers.ZeroAddress, AMOUNT]
+      ];
+
+      for (const [index, [token, amount]] of orders.entries()) {
+        const value = token === ethers.ZeroAddress ? amount : 0n;
+        if (token === ethers.ZeroAddress) {
+          await marketplace.connect(seller).createOrder("Test item", { value });
+        } else {
+          await marketplace.connect(seller).createTokenOrder("Test item", token, amount);
+        }
+        await marketplace.connect(buyer).fundOrder(index, { value });
+        await marketplace.connect(buyer).confirmReceipt(index);
+      }
+      for (const [token, amount] of orders) {
+        expect(await marketplace.accruedFees(token)).to.equal((amount * 250n) / 10000n);
+      }
+
+      const [usdAddress, eurAddress] = [orders[0][0], orders[1][0]];
+      const usdFee = (PRICE * 250n) / 10000n;
+      await expect(marketplace.connect(owner).withdrawFees(usdAddress))
+        .to.emit(marketplace, "FeesWithdrawn")
+        .withArgs(usdAddress, owner.address, usdFee);
+      expect(await marketplace.accruedFees(usdAddress)).to.equal(0);
+      expect(await marketplace.accruedFees(eurAddress)).to.equal((PRICE * 3n * 250n) / 10000n);
+      await expect(marketplace.connect(owner).withdrawToken(usdAddress)).to.changeTokenBalance(usd, owner, usdFee);
+      await expect(marketplace.connect(owner).withdrawFees(usdAddress)).to.be.revertedWith("No fees to withdraw");
+    });
+
+    it("only accepts tokens on the owner's allowlist", async function () {
+      const { marketplace, owner, seller, usd } = await loadFixture(tokenFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const unlisted = await MockERC20.deploy("Unlisted", "NOPE");
+      await unlisted.mint(seller.address, PRICE);
+      await unlisted.connect(seller).approve(await marketplace.getAddress(), PRICE);
+
+      await expect(marketplace.connect(seller).createTokenOrder("Test item", await unlisted.getAddress(), PRICE))
+        .to.be.revertedWith("Token not allowed");
+      await expect(marketplace.connect(seller).setTokenAllowed(await unlisted.getAddress(), true))
+        .to.be.revertedWith("Not the owner");
+
+      // Removing a token stops new orders in it
+      const token = await usd.getAddress();
+      await expect(marketplace.connect(owner).setTokenAllowed(token, false))
+        .to.emit(marketplace, "TokenAllowlistUpdated")
+        .withArgs(token, false);
+      await expect(marketplace.connect(seller).createTokenOrder("Test item", token, PRICE))
+        .to.be.revertedWith("Token not allowed");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    // MaliciousReceiver.Mode
+    const Accept = 0;
+    const Revert = 1;
+    const Reenter = 2;
+
+    // An order sold by a contract that can refuse or reenter payments, which
+    // the buyer gets refunded after a missed delivery, crediting both sides
+    async function refundedToContractFixture() {
+      const fixture = await deployFixture();
+      const { marketplace, buyer } = fixture;
+
+      const MaliciousReceiver = await ethers.getContractFactory("MaliciousReceiver");
+      const receiver = await MaliciousReceiver.deploy(await marketplace.getAddress());
+
+      await receiver.createOrder("Test item", { value: AMOUNT });
+      await marketplace.connect(buyer).fundOrder(0, { value: AMOUNT });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await marketplace.connect(buyer).refundOrder(0);
+
+      return { ...fixture, receiver };
+    }
+
+    it("doesn't let a payee that rejects ETH block anyone else's withdrawal", async function () {
+      const { marketplace, buyer, receiver } = await loadFixture(refundedToContractFixture);
+      const receiverAddress = await receiver.getAddress();
+
+      await receiver.setMode(Revert);
+      await expect(receiver.withdraw()).to.be.revertedWith("ETH transfer failed");
+      expect(await marketplace.pendingWithdrawals(receiverAddress, ethers.ZeroAddress)).to.equal(AMOUNT);
+
+      await expect(marketplace.connect(buyer).withdraw()).to.changeEtherBalances(
+        [buyer, marketplace],
+        [AMOUNT, -AMOUNT]
+      );
+    });
+
+    it("completes an order whose seller rejects ETH", async function () {
+      const { marketplace, owner, buyer, receiver } = await loadFixture(refundedToContractFixture);
+      const fee = (AMOUNT * 250n) / 10000n;
+
+      await receiver.setMode(Revert);
+      await receiver.createOrder("Second item", { value: AMOUNT });
+      await marketplace.connect(buyer).fundOrder(1, { value: AMOUNT });
+      await expect(marketplace.connect(buyer).confirmReceipt(1)).to.emit(marketplace, "OrderConfirmed");
+
+      await marketplace.connect(owner).withdrawFees(ethers.ZeroAddress);
+      await expect(marketplace.connect(owner).withdraw()).to.changeEtherBalance(owner, fee);
+    });
+
+    it("rejects reentering withdraw from the payment", async function () {
+      const { marketplace, receiver } = await loadFixture(refundedToContractFixture);
+      const receiverAddress = await receiver.getAddress();
+      const held = await ethers.provider.getBalance(await marketplace.getAddress());
+
+      await receiver.setMode(Reenter);
+      await expect(receiver.withdraw()).to.be.revertedWith("ETH transfer failed");
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(held);
+      expect(await marketplace.pendingWithdrawals(receiverAddress, ethers.ZeroAddress)).to.equal(AMOUNT);
+
+      // Paid exactly once when it stops reentering
+      await receiver.setMode(Accept);
+      await expect(receiver.withdraw()).to.changeEtherBalances([receiver, marketplace], [AMOUNT, -AMOUNT]);
+    });
+  });
+
+  describe("Listings", function () {
+    it("leaves no funds behind once a listing is sold out and its orders settle", async function () {
+      const { marketplace, owner, seller, buyer } = await loadFixture(deployFixture);
+      const [, , , secondBuyer, thirdBuyer] = await ethers.getSigners();
+      const buyers = [buyer, secondBuyer, thirdBuyer];
+
+      await marketplace.connect(seller).createListing("Test item", "misc", AMOUNT, buyers.length, ethers.ZeroAddress, {
+        value: AMOUNT * BigInt(buyers.length)
+      });
+      for (const each of buyers) {
+        await marketplace.connect(each).orderFromListing(0, { value: AMOUNT });
+      }
+      expect((await marketplace.getListing(0)).stock).to.equal(0);
+      await expect(marketplace.connect(thirdBuyer).orderFromListing(0, { value: AMOUNT }))
+        .to.be.revertedWith("Listing out of stock");
+
+      // One order confirmed, one auto-released, one refunded after a missed delivery
+      await marketplace.connect(buyer).confirmReceipt(0);
+      await marketplace.connect(seller).markDelivered(1);
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await marketplace.connect(seller).releaseAfterDeadline(1);
+      await marketplace.connect(thirdBuyer).refundOrder(2);
+
+      await expect(marketplace.connect(seller).closeListing(0))
+        .to.emit(marketplace, "ListingClosed")
+        .withArgs(0, 0, anyValue);
+
+      await withdrawAll(marketplace, owner, [seller, ...buyers]);
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(0);
+    });
+
+    it("only lets the designated buyer order a reserved listing", async function () {
+      const { marketplace, seller, buyer } = await loadFixture(deployFixture);
+      const [, , , stranger] = await ethers.getSigners();
+      await marketplace.connect(seller).createListing("Test item", "misc", AMOUNT, 2, buyer.address, { value: AMOUNT * 2n });
+
+      await expect(marketplace.connect(stranger).orderFromListing(0, { value: AMOUNT }))
+        .to.be.revertedWith("Listing is reserved for another buyer");
+      await expect(marketplace.connect(buyer).orderFromListing(0, { value: AMOUNT }))
+        .to.emit(marketplace, "ListingOrdered")
+        .withArgs(0, 0, buyer.address, 1);
+    });
+
+    it("tops up the deposit when a listing grows and credits the excess when it shrinks", async function () {
+      const { marketplace, seller, buyer } = await loadFixture(deployFixture);
+      await marketplace.connect(seller).createListing("Test item", "misc", AMOUNT, 2, ethers.ZeroAddress, { value: AMOUNT * 2n });
+
+      // 2 x 1 ETH to 3 x 1 ETH
+      await expect(marketplace.connect(seller).updateListing(0, AMOUNT, 3, { value: AMOUNT / 2n }))
+        .to.be.revertedWith("Incorrect funding amount");
+      await expect(marketplace.connect(seller).updateListing(0, AMOUNT, 3, { value: AMOUNT }))
+        .to.emit(marketplace, "ListingUpdated")
+        .withArgs(0, AMOUNT, 3, anyValue);
+
+      // 3 x 1 ETH to 2 x 0.5 ETH
+      const price = AMOUNT / 2n;
+      await expect(marketplace.connect(seller).updateListing(0, price, 2, { value: 1n }))
+        .to.be.revertedWith("No deposit needed");
+      await expect(marketplace.connect(seller).updateListing(0, price, 2))
+        .to.emit(marketplace, "PaymentCredited")
+        .withArgs(seller.address, ethers.ZeroAddress, AMOUNT * 2n);
+      const listing = await marketplace.getListing(0);
+      expect([listing.price, listing.stock]).to.deep.equal([price, 2n]);
+
+      await expect(marketplace.connect(buyer).updateListing(0, AMOUNT, 2)).to.be.revertedWith("Only seller can update listing");
+      await expect(marketplace.connect(buyer).orderFromListing(0, { value: price }))
+        .to.emit(marketplace, "ListingOrdered")
+        .withArgs(0, 0, buyer.address, 1);
+    });
+
+    it("credits the deposit for the unsold stock when a listing closes", async function () {
+      const { marketplace, seller, buyer } = await loadFixture(deployFixture);
+      await marketplace.connect(seller).createListing("Test item", "misc", AMOUNT, 3, ethers.ZeroAddress, { value: AMOUNT * 3n });
+      await marketplace.connect(buyer).orderFromListing(0, { value: AMOUNT });
+
+      await expect(marketplace.connect(buyer).closeListing(0)).to.be.revertedWith("Only seller can close listing");
+      await expect(marketplace.connect(seller).closeListing(0))
+        .to.emit(marketplace, "ListingClosed")
+        .withArgs(0, AMOUNT * 2n, anyValue);
+      expect(await marketplace.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(AMOUNT * 2n);
+
+      await expect(marketplace.connect(buyer).orderFromListing(0, { value: AMOUNT })).to.be.revertedWith("Listing not active");
+      await expect(marketplace.connect(seller).closeListing(0)).to.be.revertedWith("Listing not active");
+    });
+  });
+});
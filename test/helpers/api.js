@@ -0,0 +1,102 @@
+const hre = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+
+const { ethers } = hre;
+
+const SIWE_DOMAIN = "localhost:3000";
+const CHAIN_ID = 1337;
+
+let api = null;
+
+// The API for a ZKMarketplace, with the arbitrator role read from a
+// DisputeResolution on the test network (main arbitrator: the fourth signer) served over HTTP like
+// `npx hardhat node`. backend/server reads its settings when first required,
+// so it is started once and shared by every suite.
+function startApi() {
+  if (!api) {
+    api = start();
+  }
+  return api;
+}
+
+async function start() {
+  const [owner, , , arbitrator] = await ethers.getSigners();
+
+  const ZKMarketplace = await ethers.getContractFactory("ZKMarketplace");
+  const marketplace = await ZKMarketplace.deploy(owner.address);
+  const DisputeResolution = await ethers.getContractFactory("DisputeResolution");
+  const disputeResolution = await DisputeResolution.deploy(await marketplace.getAddress(), arbitrator.address);
+
+  const rpcServer = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+  const { port: rpcPort } = await rpcServer.listen();
+
+  Object.assign(process.env, {
+    RPC_URL: `http://127.0.0.1:${rpcPort}`,
+    MARKETPLACE_ADDRESS: await marketplace.getAddress(),
+    DISPUTE_CONTRACT_ADDRESS: await disputeResolution.getAddress(),
+    JWT_SECRET: "test-secret",
+    SIWE_DOMAIN,
+    CHAIN_ID: String(CHAIN_ID)
+  });
+  const { app } = require("../../backend/server");
+
+  const apiServer = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => apiServer.once("listening", resolve));
+
+  return { rpcServer, apiServer, baseUrl: `http://127.0.0.1:${apiServer.address().port}` };
+}
+
+// A JSON request to the API, signed in with `token` if given
+async function request(method, path, { body, token } = {}) {
+  const { baseUrl } = await startApi();
+  const headers = { "Content-Type": "application/json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// EIP-4361 message layout, as built by scripts/sign-in.js
+function buildSignInMessage({ address, nonce, domain = SIWE_DOMAIN, chainId = CHAIN_ID }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to ZK Marketplace",
+    "",
+    `URI: http://${domain}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join("\n");
+}
+
+// A session token for `signer`, signed in on a fresh nonce
+async function signIn(signer) {
+  const { nonce } = (await request("GET", "/api/auth/nonce")).body;
+  const message = buildSignInMessage({ address: signer.address, nonce });
+  const { status, body } = await request("POST", "/api/auth/verify", {
+    body: { message, signature: await signer.signMessage(message) }
+  });
+  if (status !== 200) {
+    throw new Error(`Sign-in failed: ${body.error}`);
+  }
+  return body.token;
+}
+
+// Registered once, as a root hook, when the first test file loads this
+after(async function () {
+  if (api) {
+    const { rpcServer, apiServer } = await api;
+    await new Promise((resolve) => apiServer.close(resolve));
+    await rpcServer.close();
+  }
+});
+
+module.exports = { SIWE_DOMAIN, CHAIN_ID, startApi, request, buildSignInMessage, signIn };
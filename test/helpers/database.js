@@ -0,0 +1,35 @@
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA = path.join(__dirname, "..", "..", "backend", "schema.sql");
+
+let pool = null;
+
+// Backend tests run against the Postgres database named by TEST_DB_NAME
+// (connection settings otherwise as for the backend: DB_HOST, DB_USER, ...).
+// It is wiped and given a fresh schema. Without it the calling suite is
+// skipped, so call this from a `before` hook.
+async function resetDatabase(context) {
+  if (!process.env.TEST_DB_NAME) {
+    context.skip();
+  }
+
+  if (!pool) {
+    // backend/db reads DB_NAME when first required
+    process.env.DB_NAME = process.env.TEST_DB_NAME;
+    ({ pool } = require("../../backend/db"));
+  }
+
+  await pool.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public");
+  await pool.query(fs.readFileSync(SCHEMA, "utf8"));
+  return pool;
+}
+
+// Registered once, as a root hook, when the first test file loads this
+after(async function () {
+  if (pool) {
+    await pool.end();
+  }
+});
+
+module.exports = { resetDatabase };
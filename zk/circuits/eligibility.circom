@@ -0,0 +1,60 @@
+pragma circom 2.1.0;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+// Proves that the holder of a reputation credential issued by the backend
+// meets a set of thresholds without revealing the credential's contents.
+//
+// The backend publishes commitment = Poseidon(subject, score, completedOrders,
+// lostDisputes, salt) for each address it issues a credential to. A verifier
+// only learns the commitment, the subject and the thresholds.
+template Eligibility(BITS) {
+    // Public inputs (this order is the order of publicSignals)
+    signal input commitment;
+    signal input subject;
+    signal input minScore;
+    signal input minCompletedOrders;
+    signal input maxLostDisputes;
+
+    // Private credential contents
+    signal input score;
+    signal input completedOrders;
+    signal input lostDisputes;
+    signal input salt;
+
+    // The credential must be the one the backend committed to
+    component hash = Poseidon(5);
+    hash.inputs[0] <== subject;
+    hash.inputs[1] <== score;
+    hash.inputs[2] <== completedOrders;
+    hash.inputs[3] <== lostDisputes;
+    hash.inputs[4] <== salt;
+    hash.out === commitment;
+
+    // Comparators are only sound for values that fit in BITS bits
+    component ranges[6];
+    var values[6] = [score, completedOrders, lostDisputes, minScore, minCompletedOrders, maxLostDisputes];
+    for (var i = 0; i < 6; i++) {
+        ranges[i] = Num2Bits(BITS);
+        ranges[i].in <== values[i];
+    }
+
+    component scoreOk = GreaterEqThan(BITS);
+    scoreOk.in[0] <== score;
+    scoreOk.in[1] <== minScore;
+    scoreOk.out === 1;
+
+    component ordersOk = GreaterEqThan(BITS);
+    ordersOk.in[0] <== completedOrders;
+    ordersOk.in[1] <== minCompletedOrders;
+    ordersOk.out === 1;
+
+    component disputesOk = LessEqThan(BITS);
+    disputesOk.in[0] <== lostDisputes;
+    disputesOk.in[1] <== maxLostDisputes;
+    disputesOk.out === 1;
+}
+
+component main {public [commitment, subject, minScore, minCompletedOrders, maxLostDisputes]} = Eligibility(32);
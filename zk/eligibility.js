@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const path = require('path');
+const { buildPoseidon } = require('circomlibjs');
+const { ethers } = require('ethers');
+
+// Shared definitions for the eligibility circuit (zk/circuits/eligibility.circom)
+
+const BUILD_DIR = process.env.ZK_BUILD_DIR || path.join(__dirname, 'build');
+
+const ARTIFACTS = {
+  wasm: path.join(BUILD_DIR, 'eligibility_js', 'eligibility.wasm'),
+  zkey: path.join(BUILD_DIR, 'eligibility.zkey'),
+  verificationKey: path.join(BUILD_DIR, 'verification_key.json')
+};
+
+// The circuit range-checks every value to 32 bits
+const MAX_VALUE = 2 ** 32 - 1;
+
+// Order of the circuit's public signals
+const PUBLIC_SIGNALS = ['commitment', 'subject', 'minScore', 'minCompletedOrders', 'maxLostDisputes'];
+
+let poseidonPromise = null;
+function getPoseidon() {
+  if (!poseidonPromise) {
+    poseidonPromise = buildPoseidon();
+  }
+  return poseidonPromise;
+}
+
+function assertCircuitValue(name, value) {
+  if (!Number.isInteger(value) || value < 0 || value > MAX_VALUE) {
+    throw new Error(`${name} must be an integer between 0 and ${MAX_VALUE}`);
+  }
+}
+
+// Turn a requirements object ({ minReputation, minOrders, maxLostDisputes })
+// into circuit thresholds. Omitted requirements are left unconstrained.
+function normalizeRequirements(requirements = {}) {
+  const thresholds = {
+    minScore: requirements.minReputation ?? 0,
+    minCompletedOrders: requirements.minOrders ?? 0,
+    maxLostDisputes: requirements.maxLostDisputes ?? MAX_VALUE
+  };
+
+  for (const [name, value] of Object.entries(thresholds)) {
+    assertCircuitValue(name, value);
+  }
+
+  return thresholds;
+}
+
+// Field element for an Ethereum address
+function addressToField(address) {
+  return BigInt(address).toString();
+}
+
+function randomSalt() {
+  // 31 bytes always fits in the BN254 scalar field
+  return BigInt('0x' + crypto.randomBytes(31).toString('hex')).toString();
+}
+
+async function computeCommitment({ subject, score, completedOrders, lostDisputes, salt }) {
+  const poseidon = await getPoseidon();
+  const hash = poseidon([addressToField(subject), score, completedOrders, lostDisputes, BigInt(salt)]);
+  return poseidon.F.toString(hash);
+}
+
+function buildCircuitInput(credential, requirements) {
+  const thresholds = normalizeRequirements(requirements);
+  return {
+    commitment: credential.commitment,
+    subject: addressToField(credential.subject),
+    minScore: thresholds.minScore,
+    minCompletedOrders: thresholds.minCompletedOrders,
+    maxLostDisputes: thresholds.maxLostDisputes,
+    score: credential.score,
+    completedOrders: credential.completedOrders,
+    lostDisputes: credential.lostDisputes,
+    salt: credential.salt
+  };
+}
+
+// publicSignals array -> named object
+function parsePublicSignals(publicSignals) {
+  if (!Array.isArray(publicSignals) || publicSignals.length !== PUBLIC_SIGNALS.length) {
+    throw new Error(`Expected ${PUBLIC_SIGNALS.length} public signals`);
+  }
+
+  const parsed = {};
+  PUBLIC_SIGNALS.forEach((name, i) => {
+    parsed[name] = String(publicSignals[i]);
+  });
+  return parsed;
+}
+
+// Message the backend's issuer key signs so EligibilityVerifier can check a
+// credential commitment on-chain (see EligibilityVerifier.credentialDigest)
+function credentialMessage({ chainId, verifierAddress, subject, commitment, expiresAt }) {
+  return ethers.getBytes(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint256', 'address', 'address', 'uint256', 'uint256'],
+    [chainId, verifierAddress, subject, commitment, expiresAt]
+  )));
+}
+
+// Encode a snarkjs proof and its signed credential as the `proof` bytes
+// ZKMarketplace.fundOrderWithProof passes to EligibilityVerifier
+function encodeContractProof(proof, credential) {
+  const { expiresAt, signature } = credential.onChain;
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint256[2]', 'uint256[2][2]', 'uint256[2]', 'uint256', 'uint256', 'bytes'],
+    [
+      [proof.pi_a[0], proof.pi_a[1]],
+      // The precompile expects G2 coordinates in reverse order
+      [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
+      [proof.pi_c[0], proof.pi_c[1]],
+      credential.commitment,
+      expiresAt,
+      signature
+    ]
+  );
+}
+
+module.exports = {
+  ARTIFACTS,
+  MAX_VALUE,
+  PUBLIC_SIGNALS,
+  assertCircuitValue,
+  normalizeRequirements,
+  addressToField,
+  randomSalt,
+  computeCommitment,
+  buildCircuitInput,
+  parsePublicSignals,
+  credentialMessage,
+  encodeContractProof
+};
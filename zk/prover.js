@@ -0,0 +1,18 @@
+const snarkjs = require('snarkjs');
+const { ARTIFACTS, buildCircuitInput } = require('./eligibility');
+
+// Prove that `credential` (as returned by POST /api/zk/credentials) meets
+// `requirements` ({ minReputation, minOrders, maxLostDisputes }). Only the
+// returned proof and public signals need to be sent to a verifier.
+async function generateProof(credential, requirements, artifacts = ARTIFACTS) {
+  const input = buildCircuitInput(credential, requirements);
+
+  try {
+    return await snarkjs.groth16.fullProve(input, artifacts.wasm, artifacts.zkey);
+  } catch (error) {
+    // The witness generator fails on any violated constraint
+    throw new Error(`Credential does not satisfy the requirements: ${error.message}`);
+  }
+}
+
+module.exports = { generateProof };
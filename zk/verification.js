@@ -0,0 +1,278 @@
+const fs = require('fs');
+const snarkjs = require('snarkjs');
+const {
+  ARTIFACTS,
+  MAX_VALUE,
+  normalizeRequirements,
+  addressToField,
+  randomSalt,
+  computeCommitment,
+  parsePublicSignals,
+  credentialMessage
+} = require('./eligibility');
+
+// Credentials and verified results both expire after 24 hours by default
+const CREDENTIAL_TTL_SECONDS = parseInt(process.env.ZK_CREDENTIAL_TTL_SECONDS || '86400');
+const VERIFICATION_TTL_SECONDS = parseInt(process.env.ZK_VERIFICATION_TTL_SECONDS || '86400');
+
+// Rejected proofs and requests; the API turns these into 400 responses
+class VerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VerificationError';
+    this.status = 400;
+  }
+}
+
+function clamp(value) {
+  return Math.min(Math.max(Number(value), 0), MAX_VALUE);
+}
+
+// Eligibility proofs over indexed marketplace history.
+//
+// 1. The backend issues a credential: the user's score, completed orders and
+//    lost disputes, plus a random salt, committed to with Poseidon.
+// 2. The user proves with zk/prover.js (or snarkjs in the browser) that the
+//    credential meets a set of requirements.
+// 3. verifyUserRequirements checks the proof against the issued commitment
+//    and stores the result with an expiry; users.is_verified follows it.
+class ZKVerification {
+  // options.issuer (an ethers Signer), options.chainId and
+  // options.verifierAddress enable signing credentials for EligibilityVerifier
+  constructor(db, options = {}) {
+    this.db = db;
+    this.verificationKeyPath = options.verificationKeyPath || ARTIFACTS.verificationKey;
+    this.verificationKey = null;
+    this.issuer = options.issuer || null;
+    this.chainId = options.chainId;
+    this.verifierAddress = options.verifierAddress;
+  }
+
+  loadVerificationKey() {
+    if (!this.verificationKey) {
+      if (!fs.existsSync(this.verificationKeyPath)) {
+        throw new Error(`Verification key not found at ${this.verificationKeyPath}. Run "npm run zk:build" first.`);
+      }
+      this.verificationKey = JSON.parse(fs.readFileSync(this.verificationKeyPath, 'utf8'));
+    }
+    return this.verificationKey;
+  }
+
+  async findUser(address) {
+    const result = await this.db.query('SELECT address FROM users WHERE LOWER(address) = LOWER($1)', [address]);
+    if (result.rows.length === 0) {
+      throw new VerificationError(`Unknown user ${address}`);
+    }
+    return result.rows[0].address;
+  }
+
+  // The values a credential attests to, taken from indexed on-chain outcomes
+  async getUserHistory(address) {
+    const result = await this.db.query(
+      `SELECT u.reputation_score AS score,
+              (SELECT COUNT(*) FROM orders o
+               WHERE o.status = 'completed' AND (o.buyer_address = u.address OR o.seller_address = u.address)
+              ) AS completed_orders,
+              (SELECT COUNT(*) FROM disputes d JOIN orders o ON d.order_id = o.order_id
+               WHERE d.status = 'resolved' AND d.winner_address <> u.address
+                 AND (o.buyer_address = u.address OR o.seller_address = u.address)
+              ) AS lost_disputes
+       FROM users u WHERE u.address = $1`,
+      [address]
+    );
+
+    const row = result.rows[0];
+    return {
+      score: clamp(row.score),
+      completedOrders: clamp(row.completed_orders),
+      lostDisputes: clamp(row.lost_disputes)
+    };
+  }
+
+  // Issue a fresh credential, superseding any earlier one. The returned object
+  // (including the salt) is what the user feeds to the prover.
+  async issueCredential(address) {
+    const subject = await this.findUser(address);
+    const history = await this.getUserHistory(subject);
+    const salt = randomSalt();
+    const commitment = await computeCommitment({ subject, salt, ...history });
+
+    await this.db.query(
+      'UPDATE zk_credentials SET revoked_at = CURRENT_TIMESTAMP WHERE user_address = $1 AND revoked_at IS NULL',
+      [subject]
+    );
+    const result = await this.db.query(
+      `INSERT INTO zk_credentials (user_address, commitment, score, completed_orders, lost_disputes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(secs => $6))
+       RETURNING issued_at, expires_at`,
+      [subject, commitment, history.score, history.completedOrders, history.lostDisputes, CREDENTIAL_TTL_SECONDS]
+    );
+
+    const credential = {
+      subject,
+      ...history,
+      salt,
+      commitment,
+      issuedAt: result.rows[0].issued_at,
+      expiresAt: result.rows[0].expires_at
+    };
+
+    if (this.issuer && this.verifierAddress) {
+      credential.onChain = await this.signCredential(credential);
+    }
+
+    return credential;
+  }
+
+  // Issuer signature that lets the credential be used with fundOrderWithProof
+  async signCredential(credential) {
+    const onChain = {
+      chainId: this.chainId,
+      verifierAddress: this.verifierAddress,
+      subject: credential.subject,
+      commitment: credential.commitment,
+      expiresAt: Math.floor(new Date(credential.expiresAt).getTime() / 1000)
+    };
+
+    return {
+      chainId: onChain.chainId,
+      verifier: onChain.verifierAddress,
+      expiresAt: onChain.expiresAt,
+      signature: await this.issuer.signMessage(credentialMessage(onChain))
+    };
+  }
+
+  // Cryptographic check only
+  async verifyProof(proof, publicSignals) {
+    try {
+      return await snarkjs.groth16.verify(this.loadVerificationKey(), publicSignals, proof);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Check that `proof` shows `address` meets `requirements` using a credential
+  // we issued and that is still valid, then record the result.
+  async verifyUserRequirements(address, requirements, proof, publicSignals) {
+    const subject = await this.findUser(address);
+
+    let thresholds;
+    let signals;
+    try {
+      thresholds = normalizeRequirements(requirements);
+      signals = parsePublicSignals(publicSignals);
+    } catch (error) {
+      throw new VerificationError(error.message);
+    }
+
+    if (signals.subject !== addressToField(subject)) {
+      throw new VerificationError('Proof was generated for a different address');
+    }
+    if (signals.minScore !== String(thresholds.minScore) ||
+        signals.minCompletedOrders !== String(thresholds.minCompletedOrders) ||
+        signals.maxLostDisputes !== String(thresholds.maxLostDisputes)) {
+      throw new VerificationError('Proof thresholds do not match the requirements');
+    }
+
+    const credential = await this.db.query(
+      `SELECT id, expires_at FROM zk_credentials
+       WHERE user_address = $1 AND commitment = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [subject, signals.commitment]
+    );
+    if (credential.rows.length === 0) {
+      throw new VerificationError('Proof is not bound to a valid credential');
+    }
+
+    if (!(await this.verifyProof(proof, publicSignals))) {
+      throw new VerificationError('Invalid proof');
+    }
+
+    // A result never outlives the credential it was proven from
+    const result = await this.db.query(
+      `INSERT INTO zk_verifications
+         (user_address, credential_id, min_score, min_completed_orders, max_lost_disputes, proof, public_signals, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7,
+               LEAST(CURRENT_TIMESTAMP + make_interval(secs => $8), $9))
+       RETURNING *`,
+      [
+        subject,
+        credential.rows[0].id,
+        thresholds.minScore,
+        thresholds.minCompletedOrders,
+        thresholds.maxLostDisputes,
+        JSON.stringify(proof),
+        JSON.stringify(publicSignals),
+        VERIFICATION_TTL_SECONDS,
+        credential.rows[0].expires_at
+      ]
+    );
+
+    await this.refreshVerificationStatus(subject);
+    return result.rows[0];
+  }
+
+  // True if the user holds an unexpired result at least as strong as `requirements`
+  async isUserVerified(address, requirements = {}) {
+    const thresholds = normalizeRequirements(requirements);
+    const result = await this.db.query(
+      `SELECT 1 FROM zk_verifications
+       WHERE LOWER(user_address) = LOWER($1) AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         AND min_score >= $2 AND min_completed_orders >= $3 AND max_lost_disputes <= $4
+       LIMIT 1`,
+      [address, thresholds.minScore, thresholds.minCompletedOrders, thresholds.maxLostDisputes]
+    );
+    return result.rows.length > 0;
+  }
+
+  async getVerifications(address) {
+    const result = await this.db.query(
+      `SELECT id, min_score, min_completed_orders, max_lost_disputes, verified_at, expires_at, revoked_at
+       FROM zk_verifications WHERE LOWER(user_address) = LOWER($1)
+       ORDER BY verified_at DESC`,
+      [address]
+    );
+    return result.rows;
+  }
+
+  async getVerifiedUsers() {
+    const result = await this.db.query('SELECT address FROM users WHERE is_verified ORDER BY address');
+    return result.rows.map((row) => row.address);
+  }
+
+  // Drop a user's credentials and results, e.g. after they lose a dispute.
+  // With `asOf` (unix seconds, e.g. the losing event's block time) only what
+  // was issued by then is revoked, as of then, so replaying the event gives
+  // the same result and leaves later credentials alone.
+  async revokeVerification(address, asOf = null) {
+    const params = [address, asOf === null ? null : asOf.toString()];
+    await this.db.query(
+      `UPDATE zk_credentials SET revoked_at = COALESCE(to_timestamp($2::double precision), CURRENT_TIMESTAMP)
+       WHERE user_address = $1 AND revoked_at IS NULL
+         AND ($2::double precision IS NULL OR issued_at <= to_timestamp($2::double precision))`,
+      params
+    );
+    await this.db.query(
+      `UPDATE zk_verifications SET revoked_at = COALESCE(to_timestamp($2::double precision), CURRENT_TIMESTAMP)
+       WHERE user_address = $1 AND revoked_at IS NULL
+         AND ($2::double precision IS NULL OR verified_at <= to_timestamp($2::double precision))`,
+      params
+    );
+    await this.refreshVerificationStatus(address);
+  }
+
+  // users.is_verified mirrors "has an active verification result". Without an
+  // address every user is refreshed, which also expires stale flags.
+  async refreshVerificationStatus(address = null) {
+    await this.db.query(
+      `UPDATE users SET is_verified = NOT is_verified
+       WHERE ($1::varchar IS NULL OR address = $1)
+         AND is_verified <> EXISTS (
+           SELECT 1 FROM zk_verifications v
+           WHERE v.user_address = users.address AND v.revoked_at IS NULL AND v.expires_at > CURRENT_TIMESTAMP
+         )`,
+      [address]
+    );
+  }
+}
+
+module.exports = { ZKVerification, VerificationError };